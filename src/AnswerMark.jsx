@@ -0,0 +1,14 @@
+// --- Answer Marks ---
+// Every feedback color comes with a shape so it doesn't rest on color alone:
+// a check for correct, a cross for wrong, a ring for a missing chord tone and
+// a dot for a held key. Centred on x, y; `size` is about half its width.
+
+export const AnswerMark = ({ state, x, y, size = 6, color = '#1c1917' }) => {
+  const stroke = { fill: 'none', stroke: color, strokeWidth: size / 3, strokeLinecap: 'round', strokeLinejoin: 'round', className: 'pointer-events-none' };
+  const d = size * 0.7;
+  if (state === 'correct') return <polyline points={`${x - size},${y} ${x - size / 3},${y + d} ${x + size},${y - d}`} {...stroke} />;
+  if (state === 'wrong') return <path d={`M${x - d},${y - d} L${x + d},${y + d} M${x + d},${y - d} L${x - d},${y + d}`} {...stroke} />;
+  if (state === 'missing') return <circle cx={x} cy={y} r={d} {...stroke} />;
+  if (state === 'pressed') return <circle cx={x} cy={y} r={size / 2} fill={color} className="pointer-events-none" />;
+  return null;
+};
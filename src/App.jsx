@@ -1,378 +1,1344 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Volume2, VolumeX, Settings, RefreshCw, Trophy, Music, Check, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Volume2, VolumeX, Settings, RefreshCw, Trophy, Music, Check, X, Keyboard, Mic, MicOff, BarChart3, Timer, Zap, Ear, Repeat, GraduationCap, Share2 } from 'lucide-react';
+import { isMidiSupported, requestMidiAccess, createMidiInput } from './midi';
+import { isMicrophoneSupported, createMicrophoneInput } from './microphone';
+import { KEY_SIGNATURES, getAccidentalSign, getKeyTonics, spellInKey, spellStaffNote, applyKey } from './keySignatures';
+import { CLEFS, getStaffPlace, getOverallRange } from './clefs';
+import { loadProgress, saveProgress, clearProgress, createEmptyProgress, loadSettings, saveSettings } from './storage';
+import { reportError } from './errors';
+import { startSession, addAttempt, passLevel, getSessionTotals, getMissedNotes } from './progress';
+import { DRILL_TYPES, createDrill } from './drills';
+import { DRILL_CONFIG_VERSION, EXERCISE_SETTINGS, encodeDrillConfig, decodeDrillConfig, createDrillSeed } from './drillConfig';
+import { createReport, reportToJson, reportToCsv } from './reports';
+import { MELODY_MOTIONS, INTERVAL_NAMES, PHRASE_LENGTHS, generatePhrase } from './melody';
+import { EAR_RANGES, EAR_INTERVAL_NAMES, INTERVAL_SETS, INTERVAL_STYLES, REFERENCE_TONES, pickEarNote, pickEarInterval } from './earTraining';
+import { SYNTH_PRESETS, createSynth } from './synth';
+import { CHORD_CATEGORIES, CHORD_ANSWER_MODES, CHORD_WINDOW_MS, NAME_CHOICES, generateChord, identifyChord, evaluateChordAnswer } from './chords';
+import { SELECTION_STRATEGIES, createRng, itemKey, recordAttempt, selectNext } from './selection';
+import { LETTERS, parseNote, accidentalToString, noteToMidi, midiToNote, noteToFrequency, getStaffPosition, staffPositionToNote, isEnharmonic, matchesNoteName } from './notes';
+import { OCTAVE_DOWN_KEY, OCTAVE_UP_KEY, qwertyToMidi, getQwertyHints, getDefaultQwertyOctave, clampQwertyOctave, typeNoteName } from './keyboard';
+import { NAMING_SYSTEMS, formatNoteName, parseNoteNameIn } from './noteNames';
+import { LOCALES, getDefaultLocale, createTranslator, translateName } from './i18n';
+import { getPiecePhrase, getPieceRange } from './score';
+import { SCORE_FILE_TYPES, readScoreFile } from './scoreImport';
+import { DEFAULT_CURRICULUM, normalizeCurriculum, parseCurriculum, getLevelPool, getLevelRange, getLevelKey, getLevelAttempts, evaluateLevel, getLevelText, getPassParams } from './curriculum';
+import { INSTRUMENTS, isTransposing, getSoundingNote, getWrittenPitch, getSoundingRange } from './instruments';
+import { TUNINGS, STRING_COUNT, MAX_FRET, DEFAULT_FRETS, parseTuning, findPositions } from './fretboard';
+import { TIME_SIGNATURES, RHYTHM_LEVELS, TIMING_WINDOWS, TEMPO_RANGE, generateMeasure, getOnsets, getTakeTiming, scoreTaps } from './rhythm';
+import { Staff } from './Staff.jsx';
+import { RhythmStaff } from './RhythmStaff.jsx';
+import { Piano } from './Piano.jsx';
+import { Fretboard } from './Fretboard.jsx';
+import { ProgressView } from './ProgressView.jsx';
+import { SessionSummary } from './SessionSummary.jsx';
+import { LevelMap } from './LevelMap.jsx';
 
 // --- Constants & Data ---
+// Names and descriptions shown for these live in the locale catalogs
+// (./locales), keyed by id: 'mode.TREBLE.name', 'exercise.melody.description'
 
-const NOTE_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const GAME_MODES = {
+  TREBLE: { clefs: ['treble'] },
+  BASS:   { clefs: ['bass'] },
+  ALTO:   { clefs: ['alto'] },
+  TENOR:  { clefs: ['tenor'] },
+  // Middle C belongs to both staves, so it can turn up on either
+  GRAND:  { clefs: ['treble', 'bass'], grand: true,
+            ranges: { treble: { min: 'C4', max: 'A5' }, bass: { min: 'E2', max: 'C4' } } },
+  MIXED:  { clefs: ['treble', 'bass', 'alto', 'tenor'] },
+};
 
-const FREQUENCIES = {
-  'E2': 82.41,  'F2': 87.31,  'F#2': 92.50, 'G2': 98.00,  'G#2': 103.83, 'A2': 110.00, 'A#2': 116.54, 'B2': 123.47,
-  'C3': 130.81, 'C#3': 138.59, 'D3': 146.83, 'D#3': 155.56, 'E3': 164.81, 'F3': 174.61, 'F#3': 185.00, 'G3': 196.00, 'G#3': 207.65, 'A3': 220.00, 'A#3': 233.08, 'B3': 246.94,
-  'C4': 261.63, 'C#4': 277.18, 'D4': 293.66, 'D#4': 311.13, 'E4': 329.63, 'F4': 349.23, 'F#4': 369.99, 'G4': 392.00, 'G#4': 415.30, 'A4': 440.00, 'A#4': 466.16, 'B4': 493.88,
-  'C5': 523.25, 'C#5': 554.37, 'D5': 587.33, 'D#5': 622.25, 'E5': 659.25, 'F5': 698.46, 'F#5': 739.99, 'G5': 783.99, 'G#5': 830.61, 'A5': 880.00, 'A#5': 932.33, 'B5': 987.77,
+// `namedAnswers`: the answer can be given as a letter name instead of a piano key;
+// `phrase`: notes are read left to right from a phrase on the staff;
+// `rhythm`: a measure is tapped in time instead of played (see ./rhythm)
+const EXERCISES = {
+  single: { namedAnswers: true },
+  melody: { namedAnswers: true, phrase: true },
+  // Walks through an imported score (see ./scoreImport)
+  piece:  { namedAnswers: true, phrase: true },
+  // One curriculum level at a time, picked on the level map (see ./curriculum)
+  lesson: { namedAnswers: true },
+  chord:  {},
+  rhythm: { rhythm: true },
+  // Ear exercises hide the staff and are tracked apart from reading
+  earNote:     { ear: true, namedAnswers: true },
+  earInterval: { ear: true },
 };
 
-const GAME_MODES = {
-  TREBLE: { name: 'Treble Clef', min: 'C4', max: 'A5', clefType: 'treble' },
-  BASS:   { name: 'Bass Clef',   min: 'E2', max: 'E4', clefType: 'bass' },
+const ANSWER_MODES = ['piano', 'name'];
+
+// What notes are played on. Each surface takes the Piano's answer props
+// (currentNote, lastGuessedNote, feedbackState, onPlay, keyStates, naming).
+const ANSWER_SURFACES = ['piano', 'fretboard'];
+
+// 'highContrast' puts the `high-contrast` class on the app (see index.css)
+const THEMES = ['standard', 'highContrast'];
+
+// A teacher's curriculum saved from an earlier visit; null when there is none or it no longer checks out
+const readSavedCurriculum = (data) => {
+  if (!data) return null;
+  try {
+    return normalizeCurriculum(data);
+  } catch (e) {
+    reportError('Curriculum Load', e);
+    return null;
+  }
+};
+
+// A tuning id (or 'custom' with the typed tuning) and the frets shown, see ./fretboard
+const readSavedFretboard = (data) => {
+  const tuning = TUNINGS[data?.tuning] || data?.tuning === 'custom' ? data.tuning : 'guitar';
+  const customTuning = typeof data?.customTuning === 'string' ? data.customTuning : '';
+  const { min, max } = data?.frets || {};
+  const frets = Number.isInteger(min) && Number.isInteger(max) && min >= 0 && min < max && max <= MAX_FRET ? { min, max } : DEFAULT_FRETS;
+  return { tuning, customTuning, frets };
+};
+
+// Language, note naming, instrument, answer surface, theme and the loaded
+// curriculum survive reloads; anything stale falls back to the defaults. The
+// theme starts out high-contrast when the system asks for more contrast.
+const getSavedPreferences = () => {
+  const saved = loadSettings();
+  const locale = LOCALES[saved.locale] ? saved.locale : getDefaultLocale();
+  const namingSystem = NAMING_SYSTEMS[saved.namingSystem] ? saved.namingSystem : LOCALES[locale].naming;
+  const instrument = INSTRUMENTS[saved.instrument] ? saved.instrument : 'concert';
+  const answerSurface = ANSWER_SURFACES.includes(saved.answerSurface) ? saved.answerSurface : 'piano';
+  const theme = THEMES.includes(saved.theme) ? saved.theme
+    : globalThis.matchMedia?.('(prefers-contrast: more)').matches ? 'highContrast' : 'standard';
+  return {
+    locale, namingSystem, instrument, answerSurface, theme,
+    fretboard: readSavedFretboard(saved.fretboard),
+    curriculum: readSavedCurriculum(saved.curriculum),
+  };
+};
+
+const getClefRange = (mode, clefId) => GAME_MODES[mode].ranges?.[clefId] || CLEFS[clefId].range;
+
+// A clef's range narrowed to a drill's { min, max }; the whole clef range if they don't overlap
+const getPracticeRange = (mode, clefId, limit) => {
+  const range = getClefRange(mode, clefId);
+  if (!limit) return range;
+  const min = Math.max(getStaffPosition(range.min), getStaffPosition(limit.min));
+  const max = Math.min(getStaffPosition(range.max), getStaffPosition(limit.max));
+  return min <= max ? { min: staffPositionToNote(min), max: staffPositionToNote(max) } : range;
+};
+
+// Natural notes from the bottom to the top of a range, for picking a drill's range
+const getRangeNotes = (range) => {
+  const notes = [];
+  for (let pos = getStaffPosition(range.min); pos <= getStaffPosition(range.max); pos++) notes.push(staffPositionToNote(pos));
+  return notes;
+};
+
+// Exercises a link can assign; a piece needs its file, a lesson its level, and
+// rhythm settings aren't part of a link (see drillConfig.EXERCISE_SETTINGS)
+const SHAREABLE_EXERCISES = Object.keys(EXERCISES).filter(id => id !== 'piece' && id !== 'lesson' && id !== 'rhythm');
+
+// A drill assigned by the link the page was opened with (see ./drillConfig)
+const readSharedDrill = () => {
+  try {
+    return decodeDrillConfig(globalThis.location?.search || '', {
+      exercises: SHAREABLE_EXERCISES,
+      clefModes: Object.keys(GAME_MODES),
+    });
+  } catch (e) {
+    reportError('Shared Drill', e);
+    return null;
+  }
+};
+
+const getShareUrl = (config) => {
+  const { origin = '', pathname = '' } = globalThis.location || {};
+  return `${origin}${pathname}?${encodeDrillConfig(config)}`;
+};
+
+// Hands generated text to the browser as a file download
+const downloadFile = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Revoking right away can cancel the download before the browser reads it
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const getModeRange = (mode) => getOverallRange(GAME_MODES[mode].clefs.map(c => getClefRange(mode, c)));
+
+const ENVELOPE_CONTROLS = [
+  { id: 'attack',  min: 0.001, max: 0.5, step: 0.001 },
+  { id: 'decay',   min: 0.05,  max: 3,   step: 0.05 },
+  { id: 'sustain', min: 0,     max: 1,   step: 0.05 },
+  { id: 'release', min: 0.02,  max: 2,   step: 0.02 },
+];
+
+// Ear prompts: an interval sounds together or in sequence, a target note follows its reference
+const playEarPrompt = (prompt) => {
+  if (prompt.harmonic) AudioEngine.playChord(prompt.notes, 1.2);
+  else AudioEngine.playSequence(prompt.notes);
+};
+
+// The chord and result are written pitches; `semitones` moves them to the keys
+// that sound them (see ./instruments). Presses are keys already.
+const getChordKeyStates = (chord, presses, result, feedbackState, semitones = 0) => {
+  const toStates = (groups, offset = semitones) =>
+    Object.fromEntries(groups.flatMap(([notes, state]) => notes.map(n => [noteToMidi(n) + offset, state])));
+  if (result) return toStates([[result.missing, 'missing'], [result.correct, 'correct'], [result.wrong, 'wrong']]);
+  if (feedbackState === 'correct') return toStates([[chord, 'correct']]);
+  return toStates([[presses, 'pressed']], 0);
 };
 
 // --- Audio Engine ---
+// Notes go through the synth (./synth); `delay` is seconds from now on the audio clock
 const AudioEngine = {
   ctx: null,
+  synth: null,
+  referencePitch: 440,
+  settings: { preset: 'piano', volume: 0.8, sustain: false, envelope: null },
   
+  // Also resumes a context the browser suspended for starting before any click
   init() {
     if (!this.ctx) {
       this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+      this.synth = createSynth(this.ctx, this.settings);
     }
     if (this.ctx.state === 'suspended') {
       this.ctx.resume();
     }
   },
 
-  playTone(freq, type = 'triangle', duration = 0.5) {
-    if (!this.ctx) this.init();
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.synth?.configure(settings);
+  },
+
+  // A plain oscillator blip for UI sounds, through the master volume
+  playTone(freq, type = 'sine', duration = 0.2, delay = 0) {
+    this.init();
     if (!freq) return;
 
     try {
+      const start = this.ctx.currentTime + delay;
       const osc = this.ctx.createOscillator();
       const gainNode = this.ctx.createGain();
 
       osc.type = type;
       osc.frequency.value = freq;
 
-      gainNode.gain.setValueAtTime(0.3, this.ctx.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
+      gainNode.gain.setValueAtTime(0.3, start);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration);
 
       osc.connect(gainNode);
-      gainNode.connect(this.ctx.destination);
+      gainNode.connect(this.synth.output);
 
-      osc.start();
-      osc.stop(this.ctx.currentTime + duration);
+      osc.start(start);
+      osc.stop(start + duration);
+      return osc;
     } catch (e) {
-      console.error("Audio Playback Error:", e);
+      reportError('Audio Playback', e);
+      return null;
     }
   },
 
-  playSuccess() {
-    this.playTone(880, 'sine', 0.1); 
-    setTimeout(() => this.playTone(1108.73, 'sine', 0.2), 100);
+  playNote(note, duration = 0.5, delay = 0) {
+    this.init();
+    try {
+      this.synth.noteOn(noteToFrequency(note, this.referencePitch), { when: this.ctx.currentTime + delay, duration });
+    } catch (e) {
+      reportError('Audio Playback', e);
+    }
   },
-};
 
-// --- Helper: Note parsing (Safe) ---
-const parseNote = (noteStr) => {
-  if (!noteStr || typeof noteStr !== 'string') return null;
-  const isSharp = noteStr.includes('#');
-  const name = noteStr.charAt(0);
-  // Ensure we get a valid integer for octave
-  const octaveStr = noteStr.slice(isSharp ? 2 : 1);
-  const octave = parseInt(octaveStr);
-  
-  if (isNaN(octave)) return null;
-
-  return { name, isSharp, octave, full: noteStr };
-};
+  playChord(notes, duration = 0.8, delay = 0) {
+    notes.forEach(note => this.playNote(note, duration, delay));
+  },
 
-const getNoteValue = (noteStr) => {
-  const parsed = parseNote(noteStr);
-  if (!parsed) return -1000; // Return safe default if parsing fails
-  const { name, octave, isSharp } = parsed;
-  const diatonic = NOTE_NAMES.indexOf(name);
-  if (diatonic === -1) return -1000;
-  return octave * 12 + diatonic + (isSharp ? 0.5 : 0);
-};
+  // One note after another, `gap` seconds apart
+  playSequence(notes, { gap = 0.8, duration = 0.6, delay = 0 } = {}) {
+    notes.forEach((note, i) => this.playNote(note, duration, delay + i * gap));
+  },
 
-// --- Components ---
+  playSuccess(delay = 0) {
+    this.playTone(880, 'sine', 0.1, delay);
+    this.playTone(1108.73, 'sine', 0.2, delay + 0.1);
+  },
 
-const Staff = ({ currentNote, guessedNote, feedbackState, clef }) => {
-  const width = 300;
-  const height = 240;
-  const lineSpacing = 20;
-  const middleY = height / 2;
-  
-  const getNoteY = (noteStr) => {
-    const parsed = parseNote(noteStr);
-    if (!parsed) return middleY;
-    
-    const { name, octave } = parsed;
-    const diatonicIndices = { 'C': 0, 'D': 1, 'E': 2, 'F': 3, 'G': 4, 'A': 5, 'B': 6 };
-    const absIndex = (octave * 7) + diatonicIndices[name];
-    
-    let topLineNoteIndex;
-    if (clef === 'treble') {
-        topLineNoteIndex = (5 * 7) + 3; // F5
-    } else {
-        topLineNoteIndex = (3 * 7) + 5; // A3
-    }
+  // Metronome clicks `delays` seconds from now, the accented ones higher.
+  // Kept so a measure that is stopped part way can silence the rest.
+  clicks: [],
 
-    const stepsFromTopLine = topLineNoteIndex - absIndex;
-    const staffTopY = middleY - (2 * lineSpacing);
-    return staffTopY + (stepsFromTopLine * (lineSpacing / 2));
-  };
+  playClicks(delays, accents = []) {
+    this.stopClicks();
+    this.clicks = delays.map((delay, i) => this.playTone(accents[i] ? 1760 : 1320, 'square', 0.04, delay));
+  },
 
-  const renderNoteVisuals = (noteStr, color, keySuffix) => {
-    if (!noteStr) return null;
-    const y = getNoteY(noteStr);
-    const staffTopY = middleY - (2 * lineSpacing);
-    const staffBottomY = middleY + (2 * lineSpacing);
-    
-    const ledgers = [];
-    if (y < staffTopY) { 
-      for (let ly = staffTopY - lineSpacing; ly >= y; ly -= lineSpacing) {
-        ledgers.push(<line key={`l-up-${ly}-${keySuffix}`} x1={width/2 - 20} y1={ly} x2={width/2 + 20} y2={ly} stroke={color} strokeWidth="2" opacity="0.5" />);
-      }
-    }
-    if (y > staffBottomY) { 
-      for (let ly = staffBottomY + lineSpacing; ly <= y; ly += lineSpacing) {
-        ledgers.push(<line key={`l-down-${ly}-${keySuffix}`} x1={width/2 - 20} y1={ly} x2={width/2 + 20} y2={ly} stroke={color} strokeWidth="2" opacity="0.5" />);
+  stopClicks() {
+    this.clicks.forEach(osc => {
+      try {
+        osc?.stop();
+      } catch {
+        // Already stopped
       }
-    }
+    });
+    this.clicks = [];
+  },
 
-    return (
-      <g key={keySuffix} transform={`translate(${width/2}, ${y})`}>
-         {ledgers.map(l => React.cloneElement(l, { transform: `translate(-${width/2}, -${y})` }))}
-        <ellipse cx="0" cy="0" rx="14" ry="10" fill={color} transform="rotate(-15)"/>
-        { y < middleY ? (
-           <line x1="-13" y1="2" x2="-13" y2="55" stroke={color} strokeWidth="2" />
-        ) : (
-           <line x1="13" y1="-2" x2="13" y2="-55" stroke={color} strokeWidth="2" />
-        )}
-      </g>
-    );
-  };
+  // How long after it is scheduled a sound reaches the speakers
+  getLatencyMs() {
+    if (!this.ctx) return 0;
+    return ((this.ctx.baseLatency || 0) + (this.ctx.outputLatency || 0)) * 1000;
+  },
+};
+
+// --- Answer buttons for naming an interval or chord quality ---
+// `formatChoice` turns a name from ./chords into the label shown
+const NameChoices = ({ choices, guess, feedbackState, onAnswer, formatChoice }) => (
+  <div className="flex flex-wrap justify-center gap-2 max-w-xl">
+    {choices.map(name => (
+      <button
+        key={name}
+        onClick={() => onAnswer(name)}
+        className={`py-2 px-3 text-sm rounded-lg border capitalize ${
+          guess === name && feedbackState === 'correct' ? 'bg-green-100 border-green-500 text-green-700 font-bold' :
+          guess === name && feedbackState === 'wrong' ? 'bg-red-100 border-red-500 text-red-700 font-bold' :
+          'bg-white border-stone-300 hover:bg-stone-50'}`}
+      >
+        {guess === name && feedbackState === 'correct' && <Check size={14} className="inline mr-1 -mt-0.5" />}
+        {guess === name && feedbackState === 'wrong' && <X size={14} className="inline mr-1 -mt-0.5" />}
+        {formatChoice(name)}
+      </button>
+    ))}
+  </div>
+);
+
+// --- Letter-name answers: tap a letter (after an optional sharp or flat) or type one ---
+const NoteNameInput = ({ typed, accidental, onAccidental, onAnswer, guess, feedbackState, naming }) => (
+  <div className="flex flex-col items-center gap-2">
+    <div className="flex flex-wrap justify-center gap-2">
+      {LETTERS.map(letter => {
+        const name = `${letter}${accidentalToString(accidental)}`;
+        return (
+          <button
+            key={letter}
+            onClick={() => onAnswer(name)}
+            className={`w-12 py-2 text-lg font-bold rounded-lg border ${
+              guess === name && feedbackState === 'correct' ? 'bg-green-100 border-green-500 text-green-700' :
+              guess === name && feedbackState === 'wrong' ? 'bg-red-100 border-red-500 text-red-700' :
+              'bg-white border-stone-300 hover:bg-stone-50'}`}
+          >
+            {guess === name && feedbackState === 'correct' && <Check size={14} className="inline mr-0.5 -mt-1" />}
+            {guess === name && feedbackState === 'wrong' && <X size={14} className="inline mr-0.5 -mt-1" />}
+            {formatNoteName(name, naming, { symbols: true })}
+          </button>
+        );
+      })}
+    </div>
+    <div className="flex items-center gap-2">
+      {[[-1, '♭'], [1, '♯']].map(([value, sign]) => (
+        <button
+          key={value}
+          onClick={() => onAccidental(accidental === value ? 0 : value)}
+          aria-pressed={accidental === value}
+          className={`w-10 py-1 text-lg rounded-lg border ${accidental === value ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+        >
+          {sign}
+        </button>
+      ))}
+      <span className="w-16 py-1 text-center font-mono text-stone-600 border-b border-stone-300">{typed || '\u00a0'}</span>
+    </div>
+  </div>
+);
+
+// --- Tuner-style readout for microphone input ---
+const Tuner = ({ reading, t, naming }) => {
+  const cents = reading ? reading.cents : 0;
+  const inTune = reading && Math.abs(cents) <= 10;
 
   return (
-    <div className="flex justify-center items-center py-4 bg-white rounded-xl shadow-inner border border-stone-200 w-full max-w-sm mx-auto">
-      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto overflow-visible">
-        {clef === 'treble' ? (
-             <g transform="translate(60, 130) scale(1.6)">
-                <path d="M15.9,34.9C16.6,37.3,18.8,38.5,21.5,38.5C25.4,38.5,28.7,35.6,28.7,30.3C28.7,24.4,24.3,21.1,19.9,21.1C16.9,21.1,15.1,22.6,15.1,22.6C15.1,22.6,15.3,21.7,15.5,21.1C17.6,13.7,25.9,8.7,25.9,4.4C25.9,2.6,24.8,0.7,22.2,0.7C18.6,0.7,17.2,4.8,16.5,8.8C16.1,11.3,15.8,12.7,15.8,12.7L14.7,18.6L14.4,20.3C14.4,20.3,10.6,18.6,8.2,18.6C4.1,18.6,0.7,21.9,0.7,26.4C0.7,31.4,4.9,35.1,9.8,35.1C13.4,35.1,15.4,33.1,15.4,33.1L14.8,36.5C14,40.9,12.1,43.2,9.8,43.2C8.6,43.2,7.7,42.5,7.7,42.5C7.7,42.5,7.5,43.4,7.5,43.7C7.5,45.6,9.5,46.7,11.9,46.7C17.3,46.7,20.6,41.9,21.5,37.6C21.7,36.9,21.8,36.1,21.9,35.7C21.9,35.7,16.8,35.7,15.9,34.9ZM21.3,31.8C19.6,31.8,18.5,30.5,18.5,28.8C18.5,27.1,19.7,25.4,21.6,25.4C23.3,25.4,24.4,26.8,24.4,28.5C24.4,30.4,23.1,31.8,21.3,31.8ZM13.8,30.7C13.8,30.7,11.9,32.3,10,32.3C7.4,32.3,5.4,30.2,5.4,26.9C5.4,23.9,7.6,21.5,10.6,21.5C11.9,21.5,14.2,22.3,14.2,22.3L13.8,30.7ZM21.7,3.5C22.6,3.5,23.1,4.2,23.1,5.1C23.1,8.3,17.3,13.8,16.2,18.4L16.7,15.6C17.5,11.3,19.2,3.5,21.7,3.5Z" 
-                      fill="black" transform="translate(-15, -45)"/>
-             </g>
-        ) : (
-             <g transform="translate(60, 120) scale(1.5)">
-               <path d="M12.6,0.6C8,0.6,3.4,3.2,1.5,7.6C0,11.1,0.6,15,3,17.9C4.9,20.3,8,21.7,11.1,21.7C16.9,21.7,21.6,17,21.6,11.2C21.6,5.4,17.6,0.6,12.6,0.6ZM11.1,18.6C9.1,18.6,7.1,17.7,5.9,16.1C4.3,14.1,4,11.4,5,9.1C6.2,6.3,9.2,4.6,12.2,4.6C15.9,4.6,17.9,8.3,17.9,11.1C17.9,15.3,14.8,18.6,11.1,18.6Z" fill="black" transform="translate(0, -11)" />
-               <circle cx="28" cy="-5" r="2.5" fill="black" />
-               <circle cx="28" cy="7" r="2.5" fill="black" />
-             </g>
+    <div className="w-full max-w-sm mx-auto bg-white rounded-xl border border-stone-200 px-4 py-3 shadow-sm">
+      <div className="flex items-baseline justify-between">
+        <span className={`text-2xl font-bold ${reading ? 'text-stone-800' : 'text-stone-300'}`}>
+          {reading ? formatNoteName(reading.note, naming) : '--'}
+        </span>
+        <span className="text-xs text-stone-400 tabular-nums">
+          {reading ? `${reading.frequency.toFixed(1)} Hz · ${cents > 0 ? '+' : ''}${cents}¢` : t('tuner.listening')}
+        </span>
+      </div>
+      <div className="relative h-2 mt-2 bg-stone-100 rounded-full">
+        <div className="absolute left-1/2 top-0 h-2 w-px bg-stone-400" />
+        {reading && (
+          <div
+            className={`absolute top-0 h-2 w-2 -ml-1 rounded-full ${inTune ? 'bg-green-500' : 'bg-amber-500'}`}
+            style={{ left: `${50 + cents}%` }}
+          />
         )}
-
-        {[0, 1, 2, 3, 4].map(i => {
-           const y = middleY - (2 * lineSpacing) + (i * lineSpacing);
-           return <line key={i} x1="20" y1={y} x2={width - 20} y2={y} stroke="#333" strokeWidth="2" />;
-        })}
-        
-        {renderNoteVisuals(currentNote, feedbackState === 'correct' ? '#22c55e' : 'black', 'target')}
-        {feedbackState === 'wrong' && guessedNote && renderNoteVisuals(guessedNote, '#ef4444', 'guess')}
-      </svg>
+      </div>
     </div>
   );
 };
 
-// --- Responsive SVG Piano Component ---
-const Piano = ({ minNote, maxNote, currentNote, lastGuessedNote, feedbackState, onPlay }) => {
-  const [keys, setKeys] = useState({ white: [], black: [] });
-  const [viewBoxWidth, setViewBoxWidth] = useState(100);
-
-  useEffect(() => {
-    // Safety check for inputs
-    if (!minNote || !maxNote) return;
-
-    const white = [];
-    const black = [];
-    
-    const startVal = getNoteValue(minNote);
-    const endVal = getNoteValue(maxNote);
-    
-    const startOctave = parseNote(minNote)?.octave || 0;
-    const endOctave = parseNote(maxNote)?.octave || 8;
-    
-    let whiteKeyIndex = 0;
-    
-    for (let o = startOctave; o <= endOctave + 1; o++) {
-        NOTE_NAMES.forEach(n => {
-            const noteStr = `${n}${o}`;
-            const val = getNoteValue(noteStr);
-            
-            // Only add keys within range
-            if (val >= startVal && val <= endVal) {
-                // White key
-                white.push({ note: noteStr, x: whiteKeyIndex, type: 'white' });
-                
-                // Check if this white key has a sharp (black key) after it
-                const hasSharp = ['C', 'D', 'F', 'G', 'A'].includes(n);
-                if (hasSharp) {
-                    const sharpNote = `${n}#${o}`;
-                    // Only add if sharp is also within valid range
-                    if (getNoteValue(sharpNote) <= endVal) {
-                        black.push({ 
-                            note: sharpNote, 
-                            x: whiteKeyIndex + 0.5, 
-                            type: 'black' 
-                        });
-                    }
-                }
-                whiteKeyIndex++;
-            }
-        });
-    }
-
-    setKeys({ white, black });
-    setViewBoxWidth(Math.max(100, whiteKeyIndex * 40));
-  }, [minNote, maxNote]);
-
-  const getKeyColor = (note, type) => {
-    const isTarget = currentNote === note;
-    const isGuessed = lastGuessedNote === note;
-    const isCorrect = feedbackState === 'correct';
-    const isWrong = feedbackState === 'wrong';
-
-    if (isCorrect && isTarget) return '#22c55e'; // Green
-    if (isWrong && isGuessed) return '#ef4444';   // Red
-    if (isWrong && isTarget && feedbackState === 'wrong') return '#22c55e'; // Show correct answer in green even if wrong? (Optional, kept simpler for now)
-    
-    return type === 'white' ? 'white' : '#1c1917';
+// Narrows practice to part of the mode's range; an empty end means the mode's own
+const RangeSelect = ({ range, value, onChange, naming, t }) => {
+  const notes = getRangeNotes(range);
+  const pick = (end, note) => {
+    if (!note) return onChange(null);
+    const next = { ...(value || range), [end]: note };
+    // Keep the ends in order whichever one moved past the other
+    const [min, max] = [next.min, next.max].sort((a, b) => getStaffPosition(a) - getStaffPosition(b));
+    onChange({ min, max });
   };
 
-  const keyWidth = 40;
-  const keyHeight = 160;
-  const blackKeyWidth = 24;
-  const blackKeyHeight = 100;
-
   return (
-    <div className="w-full max-w-full overflow-hidden rounded-lg shadow-xl bg-stone-900 p-1">
-      <svg viewBox={`0 0 ${viewBoxWidth} ${keyHeight}`} className="w-full h-auto block touch-manipulation select-none">
-        {/* Render White Keys */}
-        {keys.white.map((k) => (
-          <rect
-            key={k.note}
-            x={k.x * keyWidth}
-            y={0}
-            width={keyWidth}
-            height={keyHeight}
-            fill={getKeyColor(k.note, 'white')}
-            stroke="#d6d3d1"
-            strokeWidth="1"
-            className="cursor-pointer active:opacity-90 transition-colors duration-150"
-            rx="4"
-            onMouseDown={(e) => { e.preventDefault(); onPlay(k.note); }}
-            onTouchStart={(e) => { e.preventDefault(); onPlay(k.note); }}
-          />
+    <div className="mt-2 flex items-center justify-between gap-2 text-sm text-stone-600">
+      {t('settings.range')}
+      <div className="flex items-center gap-1">
+        {['min', 'max'].map((end, i) => (
+          <React.Fragment key={end}>
+            {i > 0 && '–'}
+            <select
+              aria-label={t(`settings.range.${end}`)}
+              value={value?.[end] ?? ''}
+              onChange={(e) => pick(end, e.target.value)}
+              className="py-1 px-2 rounded border border-stone-300 bg-white"
+            >
+              <option value="">{t(`settings.range.${end}`)}</option>
+              {notes.map(note => <option key={note} value={note}>{formatNoteName(note, naming)}</option>)}
+            </select>
+          </React.Fragment>
         ))}
-        {/* Render Labels on C keys */}
-        {keys.white.map((k) => k.note.startsWith('C') && (
-            <text key={`label-${k.note}`} x={k.x * keyWidth + keyWidth/2} y={keyHeight - 10} textAnchor="middle" fontSize="12" fill="#a8a29e" className="pointer-events-none select-none">
-                {k.note}
-            </text>
-        ))}
-
-        {/* Render Black Keys */}
-        {keys.black.map((k) => (
-          <rect
-            key={k.note}
-            x={(k.x + 0.5) * keyWidth - (blackKeyWidth / 2)} 
-            y={0}
-            width={blackKeyWidth}
-            height={blackKeyHeight}
-            fill={getKeyColor(k.note, 'black')}
-            className="cursor-pointer hover:fill-stone-700 active:fill-stone-600 transition-colors duration-150"
-            rx="2"
-            onMouseDown={(e) => { e.preventDefault(); onPlay(k.note); }}
-            onTouchStart={(e) => { e.preventDefault(); onPlay(k.note); }}
-          />
-        ))}
-      </svg>
+      </div>
     </div>
   );
 };
 
 export default function SightReadingApp() {
+  const [progress, setProgress] = useState(loadProgress);
+  // Read once: the settings below start from these
+  const [sharedDrill] = useState(readSharedDrill);
+  const [savedPreferences] = useState(getSavedPreferences);
+  const [locale, setLocale] = useState(savedPreferences.locale);
+  const [namingSystem, setNamingSystem] = useState(savedPreferences.namingSystem);
+  const [theme, setTheme] = useState(savedPreferences.theme);
+  const [instrument, setInstrument] = useState(sharedDrill?.instrument ?? savedPreferences.instrument);
+  // A teacher's curriculum, or null for the built-in one
+  const [customCurriculum, setCustomCurriculum] = useState(savedPreferences.curriculum);
+  const [curriculumError, setCurriculumError] = useState(null);
+  const [levelId, setLevelId] = useState(null);
+  const [showLevels, setShowLevels] = useState(false);
+  const [sessionId, setSessionId] = useState(null);
+  const [showProgress, setShowProgress] = useState(false);
+  const [confirmingReset, setConfirmingReset] = useState(false);
   const [started, setStarted] = useState(false);
-  const [mode, setMode] = useState('TREBLE');
+  const [mode, setMode] = useState(sharedDrill?.clefMode ?? 'TREBLE');
+  const [drillRange, setDrillRange] = useState(sharedDrill?.range ?? null);
+  const [keySignature, setKeySignature] = useState(sharedDrill?.keySignature ?? 'C');
+  const [useAccidentals, setUseAccidentals] = useState(sharedDrill?.accidentals ?? false);
+  const [exercise, setExercise] = useState(sharedDrill?.exercise ?? 'single');
+  const [phraseLength, setPhraseLength] = useState(sharedDrill?.phraseLength ?? 8);
+  const [melodyMotion, setMelodyMotion] = useState(sharedDrill?.motion ?? 'stepwise');
+  const [maxInterval, setMaxInterval] = useState(sharedDrill?.maxInterval ?? 4);
+  const [phrase, setPhrase] = useState(null);
+  const [piece, setPiece] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [cursor, setCursor] = useState(0);
+  const [timeSignature, setTimeSignature] = useState('4/4');
+  const [rhythmLevel, setRhythmLevel] = useState('basic');
+  const [tempo, setTempo] = useState(TEMPO_RANGE.default);
+  const [timingWindow, setTimingWindow] = useState('normal');
+  const [metronomeOn, setMetronomeOn] = useState(true);
+  // The measure being tapped; `take` counts replays of it after a miss
+  const [rhythm, setRhythm] = useState(null);
+  const [rhythmResult, setRhythmResult] = useState(null);
+  const [rhythmBeat, setRhythmBeat] = useState(null);
+  const [chordCategory, setChordCategory] = useState(sharedDrill?.chordCategory ?? 'triads');
+  const [chordInversions, setChordInversions] = useState(sharedDrill?.inversions ?? true);
+  const [chordAnswer, setChordAnswer] = useState(sharedDrill?.chordAnswer ?? 'keys');
+  const [currentChord, setCurrentChord] = useState(null);
+  const [chordPresses, setChordPresses] = useState([]);
+  const [chordResult, setChordResult] = useState(null);
+  const [nameGuess, setNameGuess] = useState(null);
+  const [earRange, setEarRange] = useState(sharedDrill?.earRange ?? 'octave');
+  const [intervalSet, setIntervalSet] = useState(sharedDrill?.intervalSet ?? 'basic');
+  const [intervalStyle, setIntervalStyle] = useState(sharedDrill?.intervalStyle ?? 'ascending');
+  const [referenceTone, setReferenceTone] = useState(sharedDrill?.referenceTone ?? REFERENCE_TONES[0]);
+  const [earPrompt, setEarPrompt] = useState(null);
+  const [answerMode, setAnswerMode] = useState('piano');
+  const [answerSurface, setAnswerSurface] = useState(savedPreferences.answerSurface);
+  const [tuning, setTuning] = useState(savedPreferences.fretboard.tuning);
+  const [customTuning, setCustomTuning] = useState(savedPreferences.fretboard.customTuning);
+  const [fretRange, setFretRange] = useState(savedPreferences.fretboard.frets);
+  const [typedName, setTypedName] = useState('');
+  const [nameAccidental, setNameAccidental] = useState(0);
+  const [showKeyHints, setShowKeyHints] = useState(true);
+  const [qwertyOctave, setQwertyOctave] = useState(null);
   const [currentNote, setCurrentNote] = useState(null);
-  const [score, setScore] = useState(0);
-  const [total, setTotal] = useState(0);
-  const [streak, setStreak] = useState(0);
+  const [currentClef, setCurrentClef] = useState(GAME_MODES.TREBLE.clefs[0]);
+  const [currentItemKey, setCurrentItemKey] = useState(null);
+  const [selectionStrategy, setSelectionStrategy] = useState(sharedDrill?.selection ?? 'uniform');
+  // Pick up where the last stored session left off
+  const [score, setScore] = useState(() => getSessionTotals(progress.sessions.at(-1)).score);
+  const [total, setTotal] = useState(() => getSessionTotals(progress.sessions.at(-1)).total);
+  const [streak, setStreak] = useState(() => getSessionTotals(progress.sessions.at(-1)).streak);
+  const [drillType, setDrillType] = useState(sharedDrill?.drill ?? 'free');
+  const [setLength, setSetLength] = useState(sharedDrill?.length ?? DRILL_TYPES.set.lengths[1]);
+  // Set while a shared (or about to be shared) drill should play the same notes every time
+  const [drillSeed, setDrillSeed] = useState(sharedDrill?.seed ?? null);
+  // Adaptive picks lean on each player's own stats, so a seeded drill only
+  // plays out the same for everyone with uniform picks
+  const selection = drillSeed === null ? selectionStrategy : 'uniform';
+  const [showShareLink, setShowShareLink] = useState(false);
+  // Notes missed last session, as a selection pool, while drilling them
+  const [mistakePool, setMistakePool] = useState(null);
+  const [drillResult, setDrillResult] = useState(null);
+  const [remainingMs, setRemainingMs] = useState(null);
+  const [lastReactionMs, setLastReactionMs] = useState(null);
   const [feedbackState, setFeedbackState] = useState(null); 
   const [lastGuessedNote, setLastGuessedNote] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [volumeOn, setVolumeOn] = useState(true);
+  const [soundPreset, setSoundPreset] = useState('piano');
+  const [masterVolume, setMasterVolume] = useState(0.8);
+  const [sustainOn, setSustainOn] = useState(false);
+  const [envelope, setEnvelope] = useState(null);
+  const [midiStatus, setMidiStatus] = useState(() => isMidiSupported() ? 'idle' : 'unsupported');
+  const [midiDevices, setMidiDevices] = useState([]);
+  const [midiDeviceId, setMidiDeviceId] = useState('');
+  const [micStatus, setMicStatus] = useState(() => isMicrophoneSupported() ? 'off' : 'unsupported');
+  const [micGain, setMicGain] = useState(1);
+  const [noiseGateDb, setNoiseGateDb] = useState(-45);
+  const [referencePitch, setReferencePitch] = useState(440);
+  const [pitchReading, setPitchReading] = useState(null);
+  const midiRef = useRef(null);
+  const micRef = useRef(null);
+  const keyHandlerRef = useRef(null);
+  const rngRef = useRef(null);
+  const generateNoteRef = useRef(null);
+  const drillRef = useRef(null);
+  const timeoutHandlerRef = useRef(null);
+  const computerKeyHandlerRef = useRef(null);
+  const finishHandlerRef = useRef(null);
+  // Pressed chord tones; null once the chord has been judged. A ref because
+  // MIDI can deliver a whole chord before React renders in between.
+  const chordPressesRef = useRef([]);
+  const chordTimerRef = useRef(null);
+  const chordWindowHandlerRef = useRef(null);
+  // The pending move to the next note, and the pending reset after a wrong answer
+  const nextNoteTimerRef = useRef(null);
+  const feedbackTimerRef = useRef(null);
+  // The take being played: { startAt, beatMs, taps }, with taps in ms from its first beat
+  const rhythmTakeRef = useRef(null);
+  const takeEndHandlerRef = useRef(null);
+  // The pending replay of a measure after a take with mistakes
+  const retakeTimerRef = useRef(null);
+
+  const curriculum = customCurriculum || DEFAULT_CURRICULUM;
+  const level = exercise === 'lesson' ? curriculum.levels.find(l => l.id === levelId) || null : null;
 
   // --- Logic ---
 
-  const generateNote = useCallback(() => {
+  const showNote = useCallback((note, clef, key, currentStreak) => {
+    drillRef.current?.noteShown(currentStreak);
+    // A reset still pending from the last target would wipe this one's answer
+    clearTimeout(feedbackTimerRef.current);
+    feedbackTimerRef.current = null;
+    setCurrentNote(note);
+    setCurrentClef(clef);
+    setCurrentItemKey(key);
+    setFeedbackState(null);
+    setLastGuessedNote(null);
+    clearTimeout(chordTimerRef.current);
+    chordTimerRef.current = null;
+    chordPressesRef.current = [];
+    setChordPresses([]);
+    setChordResult(null);
+    setNameGuess(null);
+  }, []);
+
+  // Moves on to the next target: the next note of the phrase in melody and
+  // piece modes, otherwise a fresh note (or phrase). `restart` forces a fresh
+  // one; a piece then starts again from the top.
+  const generateNote = useCallback(({ streak: currentStreak = streak, restart = false, mistakes = mistakePool } = {}) => {
+    if (!rngRef.current) rngRef.current = createRng(Date.now());
+    const rng = rngRef.current;
     const config = GAME_MODES[mode];
-    const notes = [];
-    const startVal = getNoteValue(config.min);
-    const endVal = getNoteValue(config.max);
-    
-    const startOctave = parseNote(config.min)?.octave || 3;
-    const endOctave = parseNote(config.max)?.octave || 5;
-    
-    for (let o = startOctave; o <= endOctave + 1; o++) {
-        NOTE_NAMES.forEach(n => {
-            const noteStr = `${n}${o}`;
-            const val = getNoteValue(noteStr);
-            if (val >= startVal && val <= endVal) {
-                notes.push(noteStr);
-            }
-        });
+    const chance = useAccidentals ? 0.25 : 0;
+    // Missed notes are retried one at a time, whatever was practiced before
+    const activeExercise = mistakes ? 'single' : exercise;
+
+    if (activeExercise === 'earNote') {
+      const target = pickEarNote({ ...EAR_RANGES[earRange], previous: restart ? null : currentNote, rng });
+      const prompt = { notes: [referenceTone, target], harmonic: false, name: null };
+      setPhrase(null);
+      setEarPrompt(prompt);
+      if (volumeOn) playEarPrompt(prompt);
+      showNote(target, currentClef, null, currentStreak);
+      return;
+    }
+
+    if (activeExercise === 'earInterval') {
+      const prompt = pickEarInterval({
+        ...EAR_RANGES[earRange],
+        semitones: INTERVAL_SETS[intervalSet].semitones,
+        style: intervalStyle,
+        rng,
+      });
+      setPhrase(null);
+      setEarPrompt(prompt);
+      if (volumeOn) playEarPrompt(prompt);
+      showNote(null, currentClef, null, currentStreak);
+      return;
     }
 
-    if (notes.length === 0) return; // Safety
+    if (EXERCISES[activeExercise].phrase && !restart && phrase && cursor < phrase.notes.length - 1) {
+      const next = cursor + 1;
+      setCursor(next);
+      showNote(phrase.notes[next], phrase.clef, phrase.keys[next], currentStreak);
+      return;
+    }
 
-    let newNote;
-    // Attempt to find a new note, but don't loop forever if only 1 note exists
-    let attempts = 0;
-    do {
-      newNote = notes[Math.floor(Math.random() * notes.length)];
-      attempts++;
-    } while (notes.length > 1 && newNote === currentNote && attempts < 5);
+    if (activeExercise === 'piece') {
+      if (!piece) return;
+      // The piece loops back to the top once its last phrase is read
+      const start = restart || !phrase ? 0 : phrase.end % piece.notes.length;
+      const { clef, keySignature: pieceKey, notes, end } = getPiecePhrase(piece.notes, start, phraseLength);
+      const keys = notes.map(note => itemKey(clef, staffPositionToNote(getStaffPosition(note))));
+      setPhrase({ id: String(Date.now()), clef, keySignature: pieceKey, notes, keys, end });
+      setCursor(0);
+      showNote(notes[0], clef, keys[0], currentStreak);
+      return;
+    }
 
-    setCurrentNote(newNote);
-    setFeedbackState(null);
-    setLastGuessedNote(null);
-  }, [mode, currentNote]);
+    if (activeExercise === 'melody') {
+      const clef = config.clefs[Math.floor(rng() * config.clefs.length)];
+      const range = getPracticeRange(mode, clef, drillRange);
+      const positions = generatePhrase({
+        minPosition: getStaffPosition(range.min),
+        maxPosition: getStaffPosition(range.max),
+        length: phraseLength,
+        motion: melodyMotion,
+        maxInterval,
+        rng,
+      });
+      const staffNotes = positions.map(pos => staffPositionToNote(pos));
+      const notes = staffNotes.map(note => spellStaffNote(note, keySignature, { chance, rng }));
+      const keys = staffNotes.map(note => itemKey(clef, note));
+      setPhrase({ id: String(Date.now()), clef, notes, keys });
+      setCursor(0);
+      showNote(notes[0], clef, keys[0], currentStreak);
+      return;
+    }
+
+    if (activeExercise === 'chord') {
+      const clef = config.clefs[Math.floor(rng() * config.clefs.length)];
+      const range = getPracticeRange(mode, clef, drillRange);
+      const positions = generateChord({
+        category: chordCategory,
+        minPosition: getStaffPosition(range.min),
+        maxPosition: getStaffPosition(range.max),
+        inversions: chordInversions,
+        rng,
+      });
+      setPhrase(null);
+      setCurrentChord(positions.map(pos => applyKey(staffPositionToNote(pos), keySignature)));
+      showNote(null, clef, null, currentStreak);
+      return;
+    }
+
+    if (activeExercise === 'rhythm') {
+      setPhrase(null);
+      setRhythm({ id: String(Date.now()), events: generateMeasure({ timeSignature, level: rhythmLevel, rng }), timeSignature, tempo, take: 0 });
+      setRhythmResult(null);
+      showNote(null, currentClef, null, currentStreak);
+      return;
+    }
+
+    if (activeExercise === 'lesson' && !level) return;
+
+    // Every staff position of every clef in the mode (or the level's notes, or the
+    // notes just missed); the key signature spells them later
+    const pool = mistakes ? mistakes : level ? getLevelPool(level) : config.clefs.flatMap(clef => {
+      const range = getPracticeRange(mode, clef, drillRange);
+      const items = [];
+      for (let pos = getStaffPosition(range.min); pos <= getStaffPosition(range.max); pos++) {
+        const note = staffPositionToNote(pos);
+        items.push({ key: itemKey(clef, note), clef, note });
+      }
+      return items;
+    });
+
+    const item = selectNext(pool, progress.noteStats, { strategy: selection, rng, previousKey: restart ? null : currentItemKey });
+    if (!item) return; // Safety
+
+    setPhrase(null);
+    // Levels stick to the notes they list, and missed notes come back spelled as they were
+    const spelled = mistakes ? item.target
+      : level ? applyKey(item.note, level.keySignature)
+      : spellStaffNote(item.note, keySignature, { chance, rng });
+    showNote(spelled, item.clef, item.key, currentStreak);
+  }, [mode, drillRange, keySignature, level, mistakePool, useAccidentals, selection, progress.noteStats, currentItemKey, streak,
+      exercise, phrase, piece, cursor, phraseLength, melodyMotion, maxInterval, chordCategory, chordInversions,
+      timeSignature, rhythmLevel, tempo, earRange, intervalSet, intervalStyle, referenceTone, currentNote, currentClef, volumeOn, showNote]);
 
-  const startGame = () => {
+  useEffect(() => {
+    saveProgress(progress);
+  }, [progress]);
+
+  useEffect(() => {
+    saveSettings({
+      locale, namingSystem, theme, instrument, answerSurface,
+      fretboard: { tuning, customTuning, frets: fretRange },
+      curriculum: customCurriculum,
+    });
+    document.documentElement.lang = locale;
+  }, [locale, namingSystem, theme, instrument, answerSurface, tuning, customTuning, fretRange, customCurriculum]);
+
+  // Everything needed to replay this drill (see ./drillConfig)
+  const exerciseSettings = {
+    phraseLength, motion: melodyMotion, maxInterval,
+    chordCategory, inversions: chordInversions, chordAnswer,
+    earRange, referenceTone, intervalSet, intervalStyle,
+  };
+  const getDrillConfig = (seed) => ({
+    version: DRILL_CONFIG_VERSION,
+    exercise,
+    clefMode: mode,
+    range: drillRange,
+    keySignature,
+    accidentals: useAccidentals,
+    instrument,
+    drill: drillType,
+    length: setLength,
+    selection,
+    seed,
+    ...Object.fromEntries(Object.keys(EXERCISE_SETTINGS[exercise] || {}).map(name => [name, exerciseSettings[name]])),
+  });
+
+  // `mistakes` stands in for the mistake pool state, which hasn't updated yet when retrying straight away
+  const startGame = ({ mistakes = mistakePool } = {}) => {
     AudioEngine.init();
+    const id = String(Date.now());
+    // Every session gets a seed so its report says exactly what was played
+    const seed = drillSeed ?? createDrillSeed();
+    rngRef.current = createRng(seed);
+    setProgress(p => startSession(p, {
+      id, startedAt: Date.now(), mode, keySignature, level: level ? getLevelKey(curriculum, level) : null,
+      config: { ...getDrillConfig(seed), ...(mistakes && { exercise: 'single' }) },
+    }));
+    setSessionId(id);
+    clearTimeout(nextNoteTimerRef.current);
+    drillRef.current?.stop();
+    drillRef.current = createDrill(drillType, {
+      setLength,
+      onTimeout: () => timeoutHandlerRef.current?.(),
+      onFinish: (result) => finishHandlerRef.current?.(result),
+    });
+    drillRef.current.start();
+    setDrillResult(null);
+    setLastReactionMs(null);
+    setRemainingMs(null);
     setStarted(true);
     setScore(0);
     setTotal(0);
     setStreak(0);
-    generateNote();
+    generateNote({ streak: 0, restart: true, mistakes });
   };
 
-  const handleKeyClick = (noteName) => {
-    if (!started || feedbackState) return;
+  const recordResult = (guess, isCorrect, responseMs) => {
+    const ear = !!EXERCISES[exercise].ear;
+    setProgress(p => {
+      const withAttempt = addAttempt(p, sessionId, {
+        target: exercise === 'chord' ? currentChord.join(' ') : exercise === 'earInterval' ? earPrompt.name : currentNote,
+        guess,
+        clef: ear ? null : currentClef,
+        correct: isCorrect,
+        timestamp: Date.now(),
+        responseMs,
+        skill: ear ? 'ear' : 'visual',
+        exercise,
+      });
+      if (!currentItemKey) return withAttempt;
+      return { ...withAttempt, noteStats: recordAttempt(p.noteStats, currentItemKey, { correct: isCorrect, responseMs }) };
+    });
+  };
 
-    const isCorrect = noteName === currentNote;
-    setLastGuessedNote(noteName);
+  const namingNotes = answerMode === 'name' && !!EXERCISES[exercise].namedAnswers;
 
-    if (volumeOn) {
-        if (FREQUENCIES[noteName]) AudioEngine.playTone(FREQUENCIES[noteName], 'triangle', 0.4);
-        if (isCorrect) setTimeout(() => AudioEngine.playSuccess(), 100);
-    }
+  // A piece brings its own key, which can change from one phrase to the next; a level has its own too
+  const staffKey = phrase?.keySignature || level?.keySignature || keySignature;
+
+  // Notes are read as written and played as they sound on the instrument
+  // (see ./instruments); ear exercises have no written part to transpose
+  const activeInstrument = EXERCISES[exercise].ear ? 'concert' : instrument;
+  const soundingNote = currentNote && getSoundingNote(currentNote, activeInstrument);
+  // A custom tuning that doesn't parse yet leaves the standard one on the board
+  const customStrings = parseTuning(customTuning);
+  const tuningStrings = tuning === 'custom' ? customStrings || TUNINGS.guitar.strings : TUNINGS[tuning].strings;
+  const offFretboard = answerSurface === 'fretboard' && !!soundingNote && !findPositions(soundingNote, tuningStrings, fretRange).length;
+  const toWritten = (played) => (isTransposing(activeInstrument) ? spellInKey(getWrittenPitch(played, activeInstrument), staffKey) : played);
+
+  // The next note once feedback has shown. Dropped when the drill ends
+  // first (see the effect on `started`).
+  const scheduleNextNote = (ms) => {
+    clearTimeout(nextNoteTimerRef.current);
+    // By the time this fires the stats have landed, so use the latest generator
+    nextNoteTimerRef.current = setTimeout(() => {
+      nextNoteTimerRef.current = null;
+      generateNoteRef.current();
+    }, ms);
+  };
+
+  // Scores an answer and moves on (or lets the player retry after a miss;
+  // Beat the Tempo counts the miss against a life and moves on)
+  const settleAnswer = (guess, isCorrect, { midPhrase = false } = {}) => {
+    const responseMs = drillRef.current?.answer(isCorrect) ?? null;
+    setLastReactionMs(responseMs);
+    recordResult(guess, isCorrect, responseMs);
+    if (isCorrect && level) checkLevelPassed(responseMs);
 
-    if (isCorrect) {
+    if (volumeOn && isCorrect && !midPhrase) AudioEngine.playSuccess(0.1);
+
+    if (isCorrect && midPhrase) {
+      // Keep reading: the cursor moves straight on to the next note
+      setScore(s => s + 1);
+      setStreak(s => s + 1);
+      generateNote({ streak: streak + 1 });
+    } else if (isCorrect) {
       setFeedbackState('correct');
       setScore(s => s + 1);
       setStreak(s => s + 1);
-      setTimeout(() => generateNote(), 1000);
+      scheduleNextNote(1000);
+    } else if (drillRef.current?.getState().type === 'tempo') {
+      setFeedbackState('wrong');
+      setStreak(0);
+      scheduleNextNote(1000);
     } else {
       setFeedbackState('wrong');
       setStreak(0);
-      setTimeout(() => {
+      feedbackTimerRef.current = setTimeout(() => {
          setFeedbackState(null);
          setLastGuessedNote(null);
+         chordPressesRef.current = [];
+         setChordPresses([]);
+         setChordResult(null);
+         setNameGuess(null);
+         setTypedName('');
       }, 1200);
     }
     setTotal(t => t + 1);
   };
 
+  // A lesson ends as soon as its level passes, so the level map can show what opened up
+  const checkLevelPassed = (responseMs) => {
+    const key = getLevelKey(curriculum, level);
+    if (progress.levels[key]) return;
+    const attempts = [...getLevelAttempts(progress.sessions, key), { correct: true, responseMs }];
+    if (!evaluateLevel(attempts, level.pass).passed) return;
+    setProgress(p => passLevel(p, key, Date.now()));
+    drillRef.current?.end('levelPassed');
+  };
+
+  const judgeChord = (presses) => {
+    clearTimeout(chordTimerRef.current);
+    chordTimerRef.current = null;
+    chordPressesRef.current = null;
+    const written = presses.map(toWritten);
+    const result = evaluateChordAnswer(currentChord, written);
+    setChordResult(result);
+    settleAnswer(written.join(' '), result.complete);
+  };
+
+  // Chord tones can come all at once or one at a time, within CHORD_WINDOW_MS
+  // of the first. The chord is judged once enough keys are down or time is up.
+  const handleChordKey = (noteName) => {
+    const presses = chordPressesRef.current;
+    if (!presses || presses.some(n => isEnharmonic(n, noteName))) return;
+    const next = [...presses, noteName];
+    chordPressesRef.current = next;
+    setChordPresses(next);
+    if (next.length >= currentChord.length) {
+      judgeChord(next);
+    } else if (!chordTimerRef.current) {
+      chordTimerRef.current = setTimeout(() => chordWindowHandlerRef.current?.(), CHORD_WINDOW_MS);
+    }
+  };
+
+  // Answers given by name: a chord quality or an interval heard by ear
+  const handleNameAnswer = (guess) => {
+    if (!started || feedbackState) return;
+    const expected = exercise === 'earInterval' ? earPrompt?.name : currentChord && identifyChord(currentChord)?.name;
+    if (!expected) return;
+    setNameGuess(guess);
+    if (volumeOn && exercise === 'chord') AudioEngine.playChord(currentChord.map(n => getSoundingNote(n, activeInstrument)));
+    settleAnswer(guess, guess === expected);
+  };
+
+  const handleKeyClick = (noteName) => {
+    if (!started || feedbackState) return;
+
+    // MIDI and microphone notes tap along like any other key
+    if (EXERCISES[exercise].rhythm) {
+      recordTap(performance.now());
+      return;
+    }
+
+    // While answering by name the piano is only there to try things out
+    if (exercise === 'chord' || exercise === 'earInterval' || namingNotes) {
+      if (volumeOn) AudioEngine.playNote(noteName, 0.4);
+      if (exercise === 'chord' && chordAnswer === 'keys' && currentChord) handleChordKey(noteName);
+      return;
+    }
+
+    const isCorrect = isEnharmonic(noteName, soundingNote);
+    setLastGuessedNote(noteName);
+    if (volumeOn) AudioEngine.playNote(noteName, 0.4);
+    settleAnswer(toWritten(noteName), isCorrect, { midPhrase: EXERCISES[exercise].phrase && phrase && cursor < phrase.notes.length - 1 });
+  };
+
+  // Letter-name answers compare pitch class, plus the octave when one is given
+  const handleNoteName = (name) => {
+    if (!started || feedbackState || !currentNote) return;
+    const isCorrect = matchesNoteName(name, currentNote);
+    setNameGuess(name);
+    setTypedName('');
+    setNameAccidental(0);
+    if (volumeOn && isCorrect) AudioEngine.playNote(soundingNote, 0.4);
+    settleAnswer(name, isCorrect, { midPhrase: EXERCISES[exercise].phrase && phrase && cursor < phrase.notes.length - 1 });
+  };
+
+  // --- Rhythm ---
+
+  // Each take is a bar of count-in and then the measure. Taps are timed on
+  // the clock key and pointer events are stamped with, and the count starts
+  // when the clicks are heard rather than when they are scheduled.
+  useEffect(() => {
+    if (!started || !rhythm) return;
+    AudioEngine.init();
+    const { beats } = TIME_SIGNATURES[rhythm.timeSignature];
+    const timing = getTakeTiming(rhythm.timeSignature, rhythm.tempo, { leadMs: 300, latencyMs: AudioEngine.getLatencyMs() });
+    rhythmTakeRef.current = { startAt: performance.now() + timing.startMs, beatMs: timing.beatMs, taps: [] };
+
+    const clicks = timing.clicksMs.slice(0, metronomeOn ? beats * 2 : beats).map(ms => ms / 1000);
+    if (volumeOn) AudioEngine.playClicks(clicks, clicks.map((_, i) => i % beats === 0));
+
+    const timers = timing.heardMs.map((ms, i) => setTimeout(() => setRhythmBeat({ countIn: i < beats, beat: i % beats }), ms));
+    timers.push(setTimeout(() => takeEndHandlerRef.current?.(), timing.endMs));
+
+    return () => {
+      timers.forEach(clearTimeout);
+      clearTimeout(retakeTimerRef.current);
+      retakeTimerRef.current = null;
+      AudioEngine.stopClicks();
+      rhythmTakeRef.current = null;
+    };
+  }, [started, rhythm, metronomeOn, volumeOn]);
+
+  // Taps while counting in are ignored until half a beat before the measure
+  const recordTap = (timeStamp) => {
+    const take = rhythmTakeRef.current;
+    if (!take) return;
+    const at = timeStamp - take.startAt;
+    if (at >= -take.beatMs / 2) take.taps.push(at);
+  };
+
+  // Every onset is an attempt, and so is every tap that matched none
+  const finishTake = () => {
+    const take = rhythmTakeRef.current;
+    if (!started || !take) return;
+    rhythmTakeRef.current = null;
+    setRhythmBeat(null);
+    const result = scoreTaps(getOnsets(rhythm.events, rhythm), take.taps, {
+      windowMs: TIMING_WINDOWS[timingWindow].ms,
+      beatMs: take.beatMs,
+    });
+    setRhythmResult(result);
+    drillRef.current?.answer(result.clean);
+
+    const timestamp = Date.now();
+    const attempts = [
+      ...result.onsets.map(o => ({
+        target: o.count,
+        guess: o.verdict === 'missed' ? null : o.verdict,
+        correct: o.verdict === 'onTime',
+        offsetMs: o.offsetMs,
+      })),
+      ...result.extras.map(() => ({ target: null, guess: 'extra', correct: false, offsetMs: null })),
+    ];
+    setProgress(p => attempts.reduce((next, attempt) => addAttempt(next, sessionId, {
+      ...attempt, clef: null, timestamp, responseMs: null, skill: 'rhythm', exercise,
+    }), p));
+
+    const onTime = attempts.filter(a => a.correct).length;
+    let trailing = 0;
+    for (let i = attempts.length - 1; i >= 0 && attempts[i].correct; i--) trailing++;
+    setScore(s => s + onTime);
+    setTotal(t => t + attempts.length);
+    setStreak(s => (result.clean ? s + attempts.length : trailing));
+
+    // A clean take moves on to a new measure; otherwise the same one comes round again
+    if (result.clean) {
+      setFeedbackState('correct');
+      if (volumeOn) AudioEngine.playSuccess(0.1);
+      scheduleNextNote(1500);
+    } else {
+      setFeedbackState('wrong');
+      retakeTimerRef.current = setTimeout(() => {
+        retakeTimerRef.current = null;
+        setFeedbackState(null);
+        setRhythmResult(null);
+        setRhythm(r => r && { ...r, take: r.take + 1 });
+      }, 2500);
+    }
+  };
+
+  // --- Computer Keyboard ---
+
+  const pianoRange = EXERCISES[exercise].ear ? EAR_RANGES[earRange] : getSoundingRange(
+    exercise === 'piece' && piece ? getPieceRange(piece.notes)
+    : level ? getOverallRange([CLEFS[level.clef].range, getLevelRange(level)])
+    : getModeRange(mode), activeInstrument);
+  const pianoMidi = { min: noteToMidi(pianoRange.min), max: noteToMidi(pianoRange.max) };
+  const keyboardOctave = clampQwertyOctave(
+    qwertyOctave ?? getDefaultQwertyOctave(pianoMidi.min, pianoMidi.max), pianoMidi.min, pianoMidi.max);
+
+  const handleComputerKey = (e) => {
+    if (!started || showSettings || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    // Any key taps, the spacebar included; Tab still moves focus
+    if (EXERCISES[exercise].rhythm) {
+      if (e.key === 'Tab') return;
+      e.preventDefault();
+      recordTap(e.timeStamp);
+      return;
+    }
+
+    if (namingNotes) {
+      const { buffer, submit } = typeNoteName(typedName, e.key, namingSystem);
+      if (submit) {
+        e.preventDefault();
+        const name = parseNoteNameIn(buffer, namingSystem);
+        if (name) handleNoteName(name);
+        else setTypedName('');
+      } else if (buffer !== typedName) {
+        setTypedName(buffer);
+      }
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === OCTAVE_DOWN_KEY || key === OCTAVE_UP_KEY) {
+      setQwertyOctave(clampQwertyOctave(keyboardOctave + (key === OCTAVE_UP_KEY ? 1 : -1), pianoMidi.min, pianoMidi.max));
+      return;
+    }
+    const midi = qwertyToMidi(key, keyboardOctave);
+    if (midi === null || midi < pianoMidi.min || midi > pianoMidi.max) return;
+    e.preventDefault();
+    handleKeyClick(midiToNote(midi));
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => computerKeyHandlerRef.current?.(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Beat the Tempo: the beat ran out before a correct answer
+  const handleTimeout = () => {
+    if (!started) return;
+    clearTimeout(chordTimerRef.current);
+    chordTimerRef.current = null;
+    chordPressesRef.current = null;
+    recordResult(null, false, null);
+    setFeedbackState('wrong');
+    setLastGuessedNote(null);
+    setStreak(0);
+    setTotal(t => t + 1);
+    scheduleNextNote(1000);
+  };
+
+  const finishDrill = (result) => {
+    setDrillResult(result);
+    setStarted(false);
+  };
+
+  useEffect(() => {
+    if (started) return;
+    drillRef.current?.stop();
+    clearTimeout(nextNoteTimerRef.current);
+    nextNoteTimerRef.current = null;
+    clearTimeout(retakeTimerRef.current);
+    retakeTimerRef.current = null;
+  }, [started]);
+
+  // Countdown display for drills that have a clock
+  useEffect(() => {
+    if (!started || (drillType !== 'sprint' && drillType !== 'tempo')) return;
+    const id = setInterval(() => setRemainingMs(drillRef.current?.getRemainingMs() ?? null), 100);
+    return () => clearInterval(id);
+  }, [started, drillType]);
+
+  const resetProgress = () => {
+    clearProgress();
+    setProgress(createEmptyProgress());
+    setSessionId(null);
+    setScore(0);
+    setTotal(0);
+    setStreak(0);
+    setStarted(false);
+    setConfirmingReset(false);
+    setShowSettings(false);
+  };
+
+  // --- MIDI Input ---
+
+  // MIDI callbacks outlive renders, so route them through a ref to the latest handler
+  useEffect(() => {
+    keyHandlerRef.current = handleKeyClick;
+    generateNoteRef.current = generateNote;
+    timeoutHandlerRef.current = handleTimeout;
+    computerKeyHandlerRef.current = handleComputerKey;
+    finishHandlerRef.current = finishDrill;
+    takeEndHandlerRef.current = finishTake;
+    chordWindowHandlerRef.current = () => {
+      if (started && chordPressesRef.current?.length) judgeChord(chordPressesRef.current);
+    };
+  });
+
+  useEffect(() => () => midiRef.current?.dispose(), []);
+
+  const connectMidi = async () => {
+    if (!isMidiSupported()) {
+      setMidiStatus('unsupported');
+      return;
+    }
+    setMidiStatus('pending');
+    try {
+      const access = await requestMidiAccess();
+      midiRef.current?.dispose();
+      midiRef.current = createMidiInput(access, {
+        onNote: (noteName) => keyHandlerRef.current?.(noteName),
+        onDevicesChange: setMidiDevices,
+      });
+      midiRef.current.selectDevice(midiDeviceId);
+      setMidiDevices(midiRef.current.getDevices());
+      setMidiStatus('ready');
+    } catch (e) {
+      reportError('MIDI Access', e);
+      setMidiStatus('error');
+    }
+  };
+
+  const selectMidiDevice = (id) => {
+    setMidiDeviceId(id);
+    midiRef.current?.selectDevice(id);
+  };
+
+  const midiDeviceMissing = midiDeviceId && !midiDevices.some(d => d.id === midiDeviceId);
+
+  // --- Microphone Input ---
+
+  useEffect(() => () => micRef.current?.stop(), []);
+
+  useEffect(() => { micRef.current?.setGain(micGain); }, [micGain]);
+  useEffect(() => { micRef.current?.setNoiseGate(noiseGateDb); }, [noiseGateDb]);
+  useEffect(() => {
+    AudioEngine.configure({ preset: soundPreset, volume: masterVolume, sustain: sustainOn, envelope });
+  }, [soundPreset, masterVolume, sustainOn, envelope]);
+
+  useEffect(() => {
+    AudioEngine.referencePitch = referencePitch;
+    micRef.current?.setA4(referencePitch);
+  }, [referencePitch]);
+
+  const toggleMicrophone = async () => {
+    if (micRef.current) {
+      micRef.current.stop();
+      micRef.current = null;
+      setPitchReading(null);
+      setMicStatus('off');
+      return;
+    }
+    setMicStatus('pending');
+    try {
+      AudioEngine.init();
+      micRef.current = await createMicrophoneInput(AudioEngine.ctx, {
+        gain: micGain,
+        noiseGateDb,
+        a4: referencePitch,
+        onPitch: setPitchReading,
+        onNote: (noteName) => keyHandlerRef.current?.(noteName),
+      });
+      setMicStatus('on');
+    } catch (e) {
+      reportError('Microphone', e);
+      setMicStatus('error');
+    }
+  };
+
+  // --- Score Import ---
+
+  const importScore = async (file) => {
+    if (!file) return;
+    try {
+      const imported = await readScoreFile(file);
+      setPiece(imported);
+      setImportError(null);
+      setExercise('piece');
+      setMistakePool(null);
+      setPhrase(null);
+      setStarted(false);
+    } catch (e) {
+      setImportError(e.code || 'format');
+    }
+  };
+
+  // --- Sharing & Reports ---
+
+  const shareDrill = async () => {
+    const seed = drillSeed ?? createDrillSeed();
+    setDrillSeed(seed);
+    setShowShareLink(true);
+    try {
+      await navigator.clipboard.writeText(getShareUrl(getDrillConfig(seed)));
+    } catch {
+      // The link is still shown to copy by hand
+    }
+  };
+
+  const exportReport = (format) => {
+    const session = progress.sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    const report = createReport(session, { result: drillResult });
+    const name = `sightreadpro-${report.startedAt.slice(0, 19).replace(/:/g, '-')}`;
+    if (format === 'csv') downloadFile(`${name}.csv`, reportToCsv(report), 'text/csv');
+    else downloadFile(`${name}.json`, reportToJson(report), 'application/json');
+  };
+
+  const finishedSession = drillResult ? progress.sessions.find(s => s.id === sessionId) : null;
+
+  // A shared link waits for a click to start its drill, since audio can only
+  // be switched on from a user gesture
+  const awaitingSharedStart = !!sharedDrill && !sessionId;
+
+  // A fresh session on only the notes missed in the one that just ended
+  const drillMistakes = () => {
+    const mistakes = getMissedNotes(finishedSession).map(({ clef, note }) => {
+      const staffNote = staffPositionToNote(getStaffPosition(note));
+      return { key: itemKey(clef, staffNote), clef, note: staffNote, target: note };
+    });
+    setMistakePool(mistakes);
+    setExercise('single');
+    setPhrase(null);
+    startGame({ mistakes });
+  };
+
+  // --- Curriculum ---
+
+  const loadCurriculum = async (file) => {
+    if (!file) return;
+    try {
+      setCustomCurriculum(parseCurriculum(await file.text()));
+      setCurriculumError(null);
+      setLevelId(null);
+      setStarted(false);
+    } catch (e) {
+      setCurriculumError(e.message);
+    }
+  };
+
+  const selectLevel = (id) => {
+    setLevelId(id);
+    setExercise('lesson');
+    setMistakePool(null);
+    setPhrase(null);
+    setStarted(false);
+    setShowLevels(false);
+  };
+
+  // --- Labels ---
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const noteLabel = (note) => formatNoteName(note, namingSystem);
+  const keyLabel = (keyId, template = 'key.label') => {
+    const { major, minor } = getKeyTonics(keyId);
+    return t(template, { major: formatNoteName(major, namingSystem), minor: formatNoteName(minor, namingSystem) });
+  };
+  const earRangeLabel = (id) => t(`earRange.${id}`, { min: noteLabel(EAR_RANGES[id].min), max: noteLabel(EAR_RANGES[id].max) });
+
+  // --- Chord Feedback ---
+
+  const chordInfo = exercise === 'chord' && currentChord ? identifyChord(currentChord) : null;
+  const chordLabel = chordInfo && (chordInfo.kind === 'interval'
+    ? translateName(locale, chordInfo.name)
+    : t('game.chordLabel', { name: translateName(locale, chordInfo.name, 'chord'), inversion: t(`inversion.${chordInfo.inversion}`) }));
+
+  // A transposing part names the note both ways
+  const transposedLabel = isTransposing(activeInstrument) && currentNote
+    ? t('game.transposed', { written: noteLabel(currentNote), sounding: noteLabel(soundingNote) })
+    : null;
+  const feedbackLabel = chordInfo ? chordLabel : exercise === 'earNote' ? noteLabel(currentNote) : transposedLabel;
+  const wrongLabel = isTransposing(activeInstrument) && lastGuessedNote
+    ? t('game.playedTransposed', { sounding: noteLabel(lastGuessedNote), written: noteLabel(toWritten(lastGuessedNote)) })
+    : null;
+
+  // --- Screen Reader Announcements ---
+  // Staff notes are described by where they sit, never by name, so reading
+  // them still takes reading. A miss doesn't give the answer away either.
+
+  const placeLabel = (note) => {
+    const place = getStaffPlace(note, currentClef);
+    if (!place) return '';
+    const where = !place.side ? t(`staffPlace.${place.kind}`, { number: place.number })
+      : place.kind === 'ledger' ? t(`staffPlace.ledger.${place.side}`, { number: place.number })
+      : place.number === 0 ? t(`staffPlace.space.${place.side}`)
+      : t(`staffPlace.spaceLedger.${place.side}`, { number: place.number });
+    const parsed = parseNote(note);
+    const sign = getAccidentalSign(parsed.letter, parsed.accidental, staffKey);
+    return sign ? t('a11y.withSign', { place: where, sign: t(`a11y.sign.${sign}`) }) : where;
+  };
+
+  const clefLabel = t('a11y.clef', { clef: t(`clef.${currentClef}`) });
+  const targetDescription =
+    EXERCISES[exercise].ear ? t('a11y.listen') :
+    EXERCISES[exercise].rhythm ? (rhythm ? t('a11y.measure', { timeSignature: rhythm.timeSignature }) : '') :
+    exercise === 'chord' ? (currentChord ? t('a11y.chord', { clef: clefLabel, places: currentChord.map(placeLabel).join('; ') }) : '') :
+    EXERCISES[exercise].phrase && phrase && currentNote ? t('a11y.phraseNote', { index: cursor + 1, count: phrase.notes.length, clef: clefLabel, place: placeLabel(currentNote) }) :
+    currentNote ? t('a11y.note', { clef: clefLabel, place: placeLabel(currentNote) }) : '';
+
+  const rhythmSummary = rhythmResult && t('rhythm.result', {
+    onTime: rhythmResult.onsets.filter(o => o.verdict === 'onTime').length,
+    total: rhythmResult.onsets.length,
+    early: rhythmResult.onsets.filter(o => o.verdict === 'early').length,
+    late: rhythmResult.onsets.filter(o => o.verdict === 'late').length,
+    missed: rhythmResult.onsets.filter(o => o.verdict === 'missed').length,
+    extra: rhythmResult.extras.length,
+  });
+
+  const answerLabel = feedbackLabel || (currentNote && !EXERCISES[exercise].ear && !EXERCISES[exercise].rhythm ? noteLabel(currentNote) : null);
+  const announcement = !started ? '' :
+    feedbackState === 'correct' ? [
+      answerLabel ? t('a11y.correct', { answer: answerLabel }) : t('game.correct'),
+      rhythmSummary,
+    ].filter(Boolean).join(' ') :
+    feedbackState === 'wrong' ? [
+      t('game.wrong'),
+      lastGuessedNote && (wrongLabel || t('a11y.played', { note: noteLabel(toWritten(lastGuessedNote)) })),
+      rhythmSummary,
+      t('a11y.tryAgain'),
+    ].filter(Boolean).join(' ') :
+    targetDescription;
+
+  const nameChoices = exercise === 'chord' && chordAnswer === 'name' ? NAME_CHOICES[chordCategory] :
+                      exercise === 'earInterval' ? INTERVAL_SETS[intervalSet].semitones.map(n => EAR_INTERVAL_NAMES[n]) : null;
+  const nameKind = exercise === 'chord' && chordCategory !== 'intervals' ? 'chord' : 'interval';
+
+  const chordKeyStates = exercise === 'chord' && currentChord
+    ? getChordKeyStates(currentChord, chordPresses, chordResult, feedbackState, INSTRUMENTS[activeInstrument].semitones)
+    : null;
+
   return (
-    <div className="min-h-screen bg-stone-50 text-stone-800 font-sans flex flex-col items-center">
+    <div className={`min-h-screen bg-stone-50 text-stone-800 font-sans flex flex-col items-center ${theme === 'highContrast' ? 'high-contrast' : ''}`}>
+      <p className="sr-only" role="status" aria-live="polite">{announcement}</p>
       
       {/* Header */}
       <header className="w-full p-4 bg-white shadow-sm flex justify-between items-center z-20 sticky top-0">
@@ -387,13 +1353,29 @@ export default function SightReadingApp() {
                 <Check size={16} className="text-green-500"/> {score}/{total}
              </div>
              <div className="flex items-center gap-1">
-                <Trophy size={16} className="text-amber-500"/> Streak: {streak}
+                <Trophy size={16} className="text-amber-500"/> {t('app.streak', { streak })}
              </div>
+             {lastReactionMs !== null && (
+               <div className="flex items-center gap-1 tabular-nums">
+                  <Zap size={16} className="text-indigo-500"/> {(lastReactionMs / 1000).toFixed(2)}s
+               </div>
+             )}
+             {started && remainingMs !== null && (
+               <div className={`flex items-center gap-1 tabular-nums ${remainingMs < 5000 && drillType === 'sprint' ? 'text-red-600' : ''}`}>
+                  <Timer size={16} className="text-stone-400"/> {drillType === 'sprint' ? Math.ceil(remainingMs / 1000) : (remainingMs / 1000).toFixed(1)}s
+               </div>
+             )}
           </div>
-          <button onClick={() => setVolumeOn(!volumeOn)} className="p-2 hover:bg-stone-100 rounded-full transition-colors">
+          <button onClick={() => { setShowLevels(!showLevels); setShowProgress(false); }} aria-label={t('levels.title')} aria-pressed={showLevels} className={`p-2 rounded-full transition-colors ${showLevels ? 'bg-indigo-50 text-indigo-600' : 'hover:bg-stone-100'}`}>
+            <GraduationCap size={20} />
+          </button>
+          <button onClick={() => { setShowProgress(!showProgress); setShowLevels(false); }} aria-label={t('a11y.progress')} aria-pressed={showProgress} className={`p-2 rounded-full transition-colors ${showProgress ? 'bg-indigo-50 text-indigo-600' : 'hover:bg-stone-100'}`}>
+            <BarChart3 size={20} />
+          </button>
+          <button onClick={() => setVolumeOn(!volumeOn)} aria-label={t('settings.sound')} aria-pressed={volumeOn} className="p-2 hover:bg-stone-100 rounded-full transition-colors">
             {volumeOn ? <Volume2 size={20} /> : <VolumeX size={20} />}
           </button>
-          <button onClick={() => setShowSettings(!showSettings)} className="p-2 hover:bg-stone-100 rounded-full transition-colors">
+          <button onClick={() => setShowSettings(!showSettings)} aria-label={t('settings.title')} aria-expanded={showSettings} className="p-2 hover:bg-stone-100 rounded-full transition-colors">
             <Settings size={20} />
           </button>
         </div>
@@ -405,31 +1387,633 @@ export default function SightReadingApp() {
         {/* Settings Modal */}
         {showSettings && (
           <div className="absolute top-16 right-4 bg-white shadow-xl border border-stone-200 rounded-xl p-4 z-30 w-64 animate-in fade-in slide-in-from-top-4">
-             <h3 className="font-bold mb-3 text-stone-700">Settings</h3>
+             <h2 className="font-bold mb-3 text-stone-700">{t('settings.title')}</h2>
              <div className="space-y-3">
                <div>
-                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">Clef Mode</label>
-                 <div className="flex gap-2 mt-2">
-                   <button 
-                     onClick={() => { setMode('TREBLE'); setStarted(false); setShowSettings(false); }}
-                     className={`flex-1 py-2 px-3 text-sm rounded-lg border ${mode === 'TREBLE' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                 <label htmlFor="settings-language" className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.language')}</label>
+                 <select
+                   id="settings-language"
+                   value={locale}
+                   onChange={(e) => setLocale(e.target.value)}
+                   className="w-full mt-2 py-2 px-2 text-sm rounded-lg border border-stone-300 bg-white"
+                 >
+                   {Object.entries(LOCALES).map(([id, language]) => <option key={id} value={id}>{language.name}</option>)}
+                 </select>
+                 <label className="mt-2 flex items-center justify-between gap-2 text-sm text-stone-600">
+                   {t('settings.naming')}
+                   <select
+                     value={namingSystem}
+                     onChange={(e) => { setNamingSystem(e.target.value); setTypedName(''); }}
+                     className="py-1 px-2 rounded border border-stone-300 bg-white"
+                   >
+                     {Object.keys(NAMING_SYSTEMS).map(id => <option key={id} value={id}>{t(`naming.${id}`)}</option>)}
+                   </select>
+                 </label>
+                 <label className="mt-2 flex items-center justify-between gap-2 text-sm text-stone-600">
+                   {t('settings.theme')}
+                   <select
+                     value={theme}
+                     onChange={(e) => setTheme(e.target.value)}
+                     className="py-1 px-2 rounded border border-stone-300 bg-white"
                    >
-                     Treble
+                     {THEMES.map(id => <option key={id} value={id}>{t(`theme.${id}`)}</option>)}
+                   </select>
+                 </label>
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.clefMode')}</label>
+                 <div className="grid grid-cols-3 gap-2 mt-2">
+                   {Object.entries(GAME_MODES).map(([id, config]) => (
+                     <button 
+                       key={id}
+                       onClick={() => { setMode(id); setDrillRange(null); setMistakePool(null); setCurrentClef(config.clefs[0]); setStarted(false); setShowSettings(false); }}
+                       aria-pressed={mode === id}
+                       className={`py-2 px-2 text-sm rounded-lg border ${mode === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`mode.${id}.label`)}
+                     </button>
+                   ))}
+                 </div>
+                 <RangeSelect
+                   range={getModeRange(mode)}
+                   value={drillRange}
+                   onChange={(range) => { setDrillRange(range); setStarted(false); }}
+                   naming={namingSystem}
+                   t={t}
+                 />
+               </div>
+               <div>
+                 <label className="flex items-center justify-between gap-2 text-xs font-semibold text-stone-500 uppercase tracking-wider">
+                   {t('settings.instrument')}
+                   <select
+                     value={instrument}
+                     onChange={(e) => { setInstrument(e.target.value); setStarted(false); }}
+                     className="py-1 px-2 rounded border border-stone-300 bg-white text-sm font-normal normal-case tracking-normal text-stone-700"
+                   >
+                     {Object.keys(INSTRUMENTS).map(id => <option key={id} value={id}>{t(`instrument.${id}`)}</option>)}
+                   </select>
+                 </label>
+                 {isTransposing(instrument) && (
+                   <p className="mt-1 text-xs text-stone-400">{t('settings.instrumentHint', { interval: t(`instrument.${instrument}.interval`) })}</p>
+                 )}
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.exercise')}</label>
+                 <div className="grid grid-cols-2 gap-2 mt-2">
+                   {Object.keys(EXERCISES).map(id => (
+                     <button
+                       key={id}
+                       onClick={() => {
+                         setExercise(id); setPhrase(null); setMistakePool(null); setStarted(false);
+                         if (EXERCISES[id].rhythm && drillType === 'tempo') setDrillType('free');
+                       }}
+                       aria-pressed={exercise === id}
+                       className={`py-2 px-2 text-sm rounded-lg border ${exercise === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`exercise.${id}.name`)}
+                     </button>
+                   ))}
+                 </div>
+                 {exercise === 'piece' && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between gap-2">
+                       {t('settings.pieceFile')}
+                       <input
+                         type="file"
+                         accept={SCORE_FILE_TYPES}
+                         onChange={(e) => { importScore(e.target.files[0]); e.target.value = ''; }}
+                         className="text-xs max-w-[12rem]"
+                       />
+                     </label>
+                     {importError && (
+                       <p className="text-xs text-red-700 bg-red-50 rounded-lg px-2 py-1">{t(`import.error.${importError}`)}</p>
+                     )}
+                     {piece && (
+                       <div className="text-xs text-stone-500">
+                         <p>{t('settings.pieceLoaded', { title: piece.title || t('import.untitled'), count: piece.notes.length })}</p>
+                         {piece.warnings.length > 0 && (
+                           <ul className="mt-1 list-disc pl-4 text-amber-700">
+                             {piece.warnings.map(({ code, count }) => <li key={code}>{t(`import.warning.${code}`, { count })}</li>)}
+                           </ul>
+                         )}
+                       </div>
+                     )}
+                   </div>
+                 )}
+                 {exercise === 'lesson' && (
+                   <button
+                     onClick={() => { setShowLevels(true); setShowProgress(false); setShowSettings(false); }}
+                     className="mt-2 w-full flex items-center justify-center gap-2 py-2 px-3 text-sm rounded-lg border bg-white border-stone-300 hover:bg-stone-50"
+                   >
+                     <GraduationCap size={14}/> {t('settings.levelMap')}
                    </button>
-                   <button 
-                     onClick={() => { setMode('BASS'); setStarted(false); setShowSettings(false); }}
-                     className={`flex-1 py-2 px-3 text-sm rounded-lg border ${mode === 'BASS' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                 )}
+                 {EXERCISES[exercise].phrase && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between">
+                       {t('settings.phraseLength')}
+                       <select
+                         value={phraseLength}
+                         onChange={(e) => { setPhraseLength(Number(e.target.value)); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {PHRASE_LENGTHS.map(n => <option key={n} value={n}>{t('settings.noteCount', { count: n })}</option>)}
+                       </select>
+                     </label>
+                   </div>
+                 )}
+                 {exercise === 'melody' && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between">
+                       {t('settings.motion')}
+                       <select
+                         value={melodyMotion}
+                         onChange={(e) => { setMelodyMotion(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(MELODY_MOTIONS).map(id => <option key={id} value={id}>{t(`motion.${id}`)}</option>)}
+                       </select>
+                     </label>
+                     <label className="flex items-center justify-between">
+                       {t('settings.largestInterval')}
+                       <select
+                         value={maxInterval}
+                         onChange={(e) => { setMaxInterval(Number(e.target.value)); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {INTERVAL_NAMES.slice(1).map((name, i) => <option key={name} value={i + 1}>{t(`step.${i + 1}`)}</option>)}
+                       </select>
+                     </label>
+                   </div>
+                 )}
+                 {exercise === 'chord' && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between">
+                       {t('settings.stack')}
+                       <select
+                         value={chordCategory}
+                         onChange={(e) => { setChordCategory(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(CHORD_CATEGORIES).map(id => <option key={id} value={id}>{t(`chordCategory.${id}`)}</option>)}
+                       </select>
+                     </label>
+                     <label className="flex items-center justify-between">
+                       {t('settings.answerBy')}
+                       <select
+                         value={chordAnswer}
+                         onChange={(e) => { setChordAnswer(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(CHORD_ANSWER_MODES).map(id => <option key={id} value={id}>{t(`chordAnswer.${id}`)}</option>)}
+                       </select>
+                     </label>
+                     {chordCategory !== 'intervals' && (
+                       <label className="flex items-center gap-2">
+                         <input
+                           type="checkbox"
+                           checked={chordInversions}
+                           onChange={(e) => { setChordInversions(e.target.checked); setStarted(false); }}
+                         />
+                         {t('settings.inversions')}
+                       </label>
+                     )}
+                   </div>
+                 )}
+                 {exercise === 'rhythm' && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between">
+                       {t('settings.timeSignature')}
+                       <select
+                         value={timeSignature}
+                         onChange={(e) => { setTimeSignature(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(TIME_SIGNATURES).map(id => <option key={id} value={id}>{id}</option>)}
+                       </select>
+                     </label>
+                     <label className="flex items-center justify-between">
+                       {t('settings.noteValues')}
+                       <select
+                         value={rhythmLevel}
+                         onChange={(e) => { setRhythmLevel(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(RHYTHM_LEVELS).map(id => <option key={id} value={id}>{t(`rhythmLevel.${id}`)}</option>)}
+                       </select>
+                     </label>
+                     <label className="block">
+                       {t('settings.tempo', { bpm: tempo })}
+                       <input type="range" min={TEMPO_RANGE.min} max={TEMPO_RANGE.max} step="4" value={tempo}
+                         onChange={(e) => { setTempo(Number(e.target.value)); setStarted(false); }} className="w-full" />
+                     </label>
+                     <label className="flex items-center justify-between">
+                       {t('settings.timingWindow')}
+                       <select
+                         value={timingWindow}
+                         onChange={(e) => setTimingWindow(e.target.value)}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.entries(TIMING_WINDOWS).map(([id, { ms }]) => <option key={id} value={id}>{t(`timingWindow.${id}`, { ms })}</option>)}
+                       </select>
+                     </label>
+                     <label className="flex items-center gap-2">
+                       <input type="checkbox" checked={metronomeOn} onChange={(e) => setMetronomeOn(e.target.checked)} />
+                       {t('settings.metronome')}
+                     </label>
+                   </div>
+                 )}
+                 {EXERCISES[exercise].ear && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between">
+                       {t('settings.range')}
+                       <select
+                         value={earRange}
+                         onChange={(e) => { setEarRange(e.target.value); setStarted(false); }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(EAR_RANGES).map(id => <option key={id} value={id}>{earRangeLabel(id)}</option>)}
+                       </select>
+                     </label>
+                     {exercise === 'earNote' && (
+                       <label className="flex items-center justify-between">
+                         {t('settings.referenceTone')}
+                         <select
+                           value={referenceTone}
+                           onChange={(e) => setReferenceTone(e.target.value)}
+                           className="py-1 px-2 rounded border border-stone-300 bg-white"
+                         >
+                           {REFERENCE_TONES.map(note => <option key={note} value={note}>{noteLabel(note)}</option>)}
+                         </select>
+                       </label>
+                     )}
+                     {exercise === 'earInterval' && (
+                       <>
+                         <label className="flex items-center justify-between">
+                           {t('settings.intervals')}
+                           <select
+                             value={intervalSet}
+                             onChange={(e) => { setIntervalSet(e.target.value); setStarted(false); }}
+                             className="py-1 px-2 rounded border border-stone-300 bg-white"
+                           >
+                             {Object.keys(INTERVAL_SETS).map(id => <option key={id} value={id}>{t(`intervalSet.${id}`)}</option>)}
+                           </select>
+                         </label>
+                         <label className="flex items-center justify-between">
+                           {t('settings.played')}
+                           <select
+                             value={intervalStyle}
+                             onChange={(e) => { setIntervalStyle(e.target.value); setStarted(false); }}
+                             className="py-1 px-2 rounded border border-stone-300 bg-white"
+                           >
+                             {Object.keys(INTERVAL_STYLES).map(id => <option key={id} value={id}>{t(`intervalStyle.${id}`)}</option>)}
+                           </select>
+                         </label>
+                       </>
+                     )}
+                   </div>
+                 )}
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.answerWith')}</label>
+                 <div className="flex gap-2 mt-2">
+                   {ANSWER_MODES.map(id => (
+                     <button
+                       key={id}
+                       onClick={() => setAnswerMode(id)}
+                       aria-pressed={answerMode === id}
+                       className={`flex-1 py-2 px-2 text-sm rounded-lg border ${answerMode === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`answerMode.${id}`)}
+                     </button>
+                   ))}
+                 </div>
+                 {answerMode === 'name' && !EXERCISES[exercise].namedAnswers && (
+                   <p className="mt-1 text-xs text-stone-400">{t('settings.ownAnswers')}</p>
+                 )}
+                 <div className="flex gap-2 mt-2">
+                   {ANSWER_SURFACES.map(id => (
+                     <button
+                       key={id}
+                       onClick={() => setAnswerSurface(id)}
+                       aria-pressed={answerSurface === id}
+                       className={`flex-1 py-2 px-2 text-sm rounded-lg border ${answerSurface === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`answerSurface.${id}`)}
+                     </button>
+                   ))}
+                 </div>
+                 {answerSurface === 'fretboard' && (
+                   <div className="mt-2 space-y-2 text-sm text-stone-600">
+                     <label className="flex items-center justify-between gap-2">
+                       {t('settings.tuning')}
+                       <select
+                         value={tuning}
+                         onChange={(e) => {
+                           // Start a custom tuning from the one on the board
+                           if (e.target.value === 'custom' && !customStrings) setCustomTuning(tuningStrings.join(' '));
+                           setTuning(e.target.value);
+                         }}
+                         className="py-1 px-2 rounded border border-stone-300 bg-white"
+                       >
+                         {Object.keys(TUNINGS).map(id => <option key={id} value={id}>{t(`tuning.${id}`)}</option>)}
+                         <option value="custom">{t('tuning.custom')}</option>
+                       </select>
+                     </label>
+                     {tuning === 'custom' && (
+                       <div>
+                         <input
+                           type="text"
+                           value={customTuning}
+                           onChange={(e) => setCustomTuning(e.target.value)}
+                           placeholder={TUNINGS.guitar.strings.join(' ')}
+                           spellCheck={false}
+                           className="w-full py-1 px-2 rounded border border-stone-300 bg-white font-mono"
+                         />
+                         <p className={`mt-1 text-xs ${customStrings ? 'text-stone-400' : 'text-red-600'}`}>
+                           {t(customStrings ? 'settings.customTuningHint' : 'settings.customTuningInvalid', STRING_COUNT)}
+                         </p>
+                       </div>
+                     )}
+                     <label className="flex items-center justify-between gap-2">
+                       {t('settings.frets')}
+                       <span className="flex items-center gap-1">
+                         <select
+                           value={fretRange.min}
+                           onChange={(e) => {
+                             const min = Number(e.target.value);
+                             setFretRange(r => ({ min, max: Math.max(r.max, min + 1) }));
+                           }}
+                           className="py-1 px-2 rounded border border-stone-300 bg-white"
+                         >
+                           {Array.from({ length: MAX_FRET }, (_, f) => <option key={f} value={f}>{f}</option>)}
+                         </select>
+                         –
+                         <select
+                           value={fretRange.max}
+                           onChange={(e) => {
+                             const max = Number(e.target.value);
+                             setFretRange(r => ({ ...r, max }));
+                           }}
+                           className="py-1 px-2 rounded border border-stone-300 bg-white"
+                         >
+                           {Array.from({ length: MAX_FRET - fretRange.min }, (_, i) => fretRange.min + i + 1).map(f => <option key={f} value={f}>{f}</option>)}
+                         </select>
+                       </span>
+                     </label>
+                   </div>
+                 )}
+                 <label className="mt-2 flex items-center gap-2 text-sm text-stone-600">
+                   <input type="checkbox" checked={showKeyHints} onChange={(e) => setShowKeyHints(e.target.checked)} />
+                   {t('settings.keyHints')}
+                 </label>
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.drill')}</label>
+                 <div className="grid grid-cols-2 gap-2 mt-2">
+                   {Object.keys(DRILL_TYPES).map(id => (
+                     <button
+                       key={id}
+                       onClick={() => { setDrillType(id); setStarted(false); }}
+                       disabled={id === 'tempo' && !!EXERCISES[exercise].rhythm}
+                       aria-pressed={drillType === id}
+                       className={`py-2 px-2 text-sm rounded-lg border disabled:opacity-40 ${drillType === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`drill.${id}.name`)}
+                     </button>
+                   ))}
+                 </div>
+                 {drillType === 'set' && (
+                   <label className="mt-2 flex items-center justify-between text-sm text-stone-600">
+                     {t('settings.setLength')}
+                     <select
+                       value={setLength}
+                       onChange={(e) => { setSetLength(Number(e.target.value)); setStarted(false); }}
+                       className="py-1 px-2 rounded border border-stone-300 bg-white"
+                     >
+                       {[...new Set([...DRILL_TYPES.set.lengths, setLength])].sort((a, b) => a - b).map(n => <option key={n} value={n}>{n}</option>)}
+                     </select>
+                   </label>
+                 )}
+                 {SHAREABLE_EXERCISES.includes(exercise) && (
+                   <div className="mt-2 space-y-2 text-sm">
+                     <button
+                       onClick={shareDrill}
+                       className="w-full flex items-center justify-center gap-2 py-2 px-3 rounded-lg border bg-white border-stone-300 hover:bg-stone-50"
+                     >
+                       <Share2 size={14}/> {t('settings.share')}
+                     </button>
+                     {showShareLink && drillSeed !== null && (
+                       <>
+                         <input
+                           readOnly
+                           value={getShareUrl(getDrillConfig(drillSeed))}
+                           onFocus={(e) => e.target.select()}
+                           className="w-full py-1 px-2 text-xs rounded border border-stone-300 bg-stone-50"
+                         />
+                         <p className="text-xs text-stone-400">{t('settings.shareHint')}</p>
+                       </>
+                     )}
+                     {drillSeed !== null && (
+                       <button
+                         onClick={() => { setDrillSeed(null); setShowShareLink(false); }}
+                         className="text-xs text-indigo-600 hover:underline"
+                       >
+                         {t('settings.shareRandom')}
+                       </button>
+                     )}
+                   </div>
+                 )}
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.selection')}</label>
+                 <div className="flex gap-2 mt-2">
+                   {Object.keys(SELECTION_STRATEGIES).map(id => (
+                     <button
+                       key={id}
+                       onClick={() => setSelectionStrategy(id)}
+                       disabled={drillSeed !== null}
+                       aria-pressed={selection === id}
+                       className={`flex-1 py-2 px-3 text-sm rounded-lg border disabled:opacity-50 ${selection === id ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {t(`strategy.${id}`)}
+                     </button>
+                   ))}
+                 </div>
+                 {drillSeed !== null ? (
+                   <p className="mt-1 text-xs text-stone-400">{t('settings.sharedSelectionHint')}</p>
+                 ) : selectionStrategy === 'adaptive' && (
+                   <p className="mt-1 text-xs text-stone-400">{t('settings.adaptiveHint')}</p>
+                 )}
+               </div>
+               <div>
+                 <label htmlFor="settings-key-signature" className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.keySignature')}</label>
+                 <select
+                   id="settings-key-signature"
+                   value={keySignature}
+                   onChange={(e) => { setKeySignature(e.target.value); setStarted(false); }}
+                   className="w-full mt-2 py-2 px-2 text-sm rounded-lg border border-stone-300 bg-white"
+                 >
+                   {Object.keys(KEY_SIGNATURES).map(id => (
+                     <option key={id} value={id}>{keyLabel(id)}</option>
+                   ))}
+                 </select>
+                 <label className="mt-2 flex items-center gap-2 text-sm text-stone-600">
+                   <input
+                     type="checkbox"
+                     checked={useAccidentals}
+                     onChange={(e) => { setUseAccidentals(e.target.checked); setStarted(false); }}
+                   />
+                   {t('settings.accidentals')}
+                 </label>
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.midi')}</label>
+                 {midiStatus === 'unsupported' && (
+                   <p className="mt-2 text-sm text-amber-700 bg-amber-50 rounded-lg p-2">
+                     {t('settings.midiUnsupported')}
+                   </p>
+                 )}
+                 {midiStatus === 'error' && (
+                   <p className="mt-2 text-sm text-red-700 bg-red-50 rounded-lg p-2">
+                     {t('settings.midiBlocked')}
+                   </p>
+                 )}
+                 {(midiStatus === 'idle' || midiStatus === 'pending' || midiStatus === 'error') && (
+                   <button
+                     onClick={connectMidi}
+                     disabled={midiStatus === 'pending'}
+                     className="w-full mt-2 flex items-center justify-center gap-2 py-2 text-sm rounded-lg border bg-white border-stone-300 hover:bg-stone-50 disabled:opacity-50"
                    >
-                     Bass
+                     <Keyboard size={14}/> {midiStatus === 'pending' ? t('settings.midiConnecting') : t('settings.midiConnect')}
                    </button>
+                 )}
+                 {midiStatus === 'ready' && (
+                   <>
+                     <select
+                       value={midiDeviceId}
+                       onChange={(e) => selectMidiDevice(e.target.value)}
+                       className="w-full mt-2 py-2 px-2 text-sm rounded-lg border border-stone-300 bg-white"
+                     >
+                       <option value="">{t('settings.midiAllDevices')}</option>
+                       {midiDevices.map(d => (
+                         <option key={d.id} value={d.id}>{d.name}</option>
+                       ))}
+                       {midiDeviceMissing && <option value={midiDeviceId}>{t('settings.midiMissingDevice')}</option>}
+                     </select>
+                     <p className="mt-1 text-xs text-stone-400">
+                       {midiDevices.length === 0 ? t('settings.midiNoDevices') :
+                        midiDeviceMissing ? t('settings.midiUnplugged') :
+                        t('settings.midiConnected', { count: midiDevices.length })}
+                     </p>
+                   </>
+                 )}
+               </div>
+               <div>
+                 <label className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.mic')}</label>
+                 {micStatus === 'unsupported' ? (
+                   <p className="mt-2 text-sm text-amber-700 bg-amber-50 rounded-lg p-2">
+                     {t('settings.micUnsupported')}
+                   </p>
+                 ) : (
+                   <>
+                     {micStatus === 'error' && (
+                       <p className="mt-2 text-sm text-red-700 bg-red-50 rounded-lg p-2">
+                         {t('settings.micBlocked')}
+                       </p>
+                     )}
+                     <button
+                       onClick={toggleMicrophone}
+                       disabled={micStatus === 'pending'}
+                       aria-pressed={micStatus === 'on'}
+                       className={`w-full mt-2 flex items-center justify-center gap-2 py-2 text-sm rounded-lg border disabled:opacity-50 ${micStatus === 'on' ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                     >
+                       {micStatus === 'on' ? <><MicOff size={14}/> {t('settings.micStop')}</> : <><Mic size={14}/> {micStatus === 'pending' ? t('settings.micStarting') : t('settings.micStart')}</>}
+                     </button>
+                     <div className="mt-2 space-y-2 text-xs text-stone-500">
+                       <label className="block">
+                         {t('settings.micGain', { gain: micGain.toFixed(1) })}
+                         <input type="range" min="0.5" max="4" step="0.1" value={micGain}
+                           onChange={(e) => setMicGain(Number(e.target.value))} className="w-full" />
+                       </label>
+                       <label className="block">
+                         {t('settings.noiseGate', { db: noiseGateDb })}
+                         <input type="range" min="-70" max="-20" step="1" value={noiseGateDb}
+                           onChange={(e) => setNoiseGateDb(Number(e.target.value))} className="w-full" />
+                       </label>
+                     </div>
+                   </>
+                 )}
+               </div>
+               <div>
+                 <label htmlFor="settings-sound" className="text-xs font-semibold text-stone-500 uppercase tracking-wider">{t('settings.sound')}</label>
+                 <select
+                   id="settings-sound"
+                   value={soundPreset}
+                   onChange={(e) => { setSoundPreset(e.target.value); setEnvelope(null); }}
+                   className="w-full mt-2 py-2 px-2 text-sm rounded-lg border border-stone-300 bg-white"
+                 >
+                   {Object.keys(SYNTH_PRESETS).map(id => <option key={id} value={id}>{t(`preset.${id}`)}</option>)}
+                 </select>
+                 <div className="mt-2 space-y-2 text-xs text-stone-500">
+                   <label className="block">
+                     {t('settings.volume', { percent: Math.round(masterVolume * 100) })}
+                     <input type="range" min="0" max="1" step="0.05" value={masterVolume}
+                       onChange={(e) => setMasterVolume(Number(e.target.value))} className="w-full" />
+                   </label>
+                   <label className="flex items-center gap-2 text-sm text-stone-600">
+                     <input type="checkbox" checked={sustainOn} onChange={(e) => setSustainOn(e.target.checked)} />
+                     {t('settings.sustain')}
+                   </label>
+                   <details>
+                     <summary className="cursor-pointer text-stone-600">{t('settings.envelope')}</summary>
+                     {ENVELOPE_CONTROLS.map(({ id, min, max, step }) => {
+                       const current = envelope || SYNTH_PRESETS[soundPreset].envelope;
+                       return (
+                         <label key={id} className="block mt-1">
+                           {t(`envelope.${id}`)}: {id === 'sustain' ? `${Math.round(current[id] * 100)}%` : `${Math.round(current[id] * 1000)} ms`}
+                           <input type="range" min={min} max={max} step={step} value={current[id]}
+                             onChange={(e) => setEnvelope({ ...current, [id]: Number(e.target.value) })} className="w-full" />
+                         </label>
+                       );
+                     })}
+                   </details>
                  </div>
                </div>
-               <button 
-                onClick={() => { setStarted(false); setShowSettings(false); }}
-                className="w-full flex items-center justify-center gap-2 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-               >
-                 <RefreshCw size={14}/> Reset Progress
-               </button>
+               <div>
+                 <label className="flex items-center justify-between gap-2 text-xs font-semibold text-stone-500 uppercase tracking-wider">
+                   {t('settings.referencePitch')}
+                   <input type="number" min="400" max="480" step="1" value={referencePitch}
+                     onChange={(e) => setReferencePitch(Number(e.target.value) || 440)}
+                     className="w-20 py-1 px-2 rounded border border-stone-300 text-sm font-normal normal-case tracking-normal text-stone-700" />
+                 </label>
+               </div>
+               {confirmingReset ? (
+                 <div className="p-2 bg-red-50 rounded-lg text-sm text-red-700">
+                   <p>{t('settings.resetConfirm')}</p>
+                   <div className="flex gap-2 mt-2">
+                     <button
+                       onClick={resetProgress}
+                       className="flex-1 py-1 rounded-lg bg-red-600 hover:bg-red-700 text-white font-bold"
+                     >
+                       {t('settings.delete')}
+                     </button>
+                     <button
+                       onClick={() => setConfirmingReset(false)}
+                       className="flex-1 py-1 rounded-lg border border-stone-300 bg-white text-stone-600 hover:bg-stone-50"
+                     >
+                       {t('settings.cancel')}
+                     </button>
+                   </div>
+                 </div>
+               ) : (
+                 <button 
+                  onClick={() => setConfirmingReset(true)}
+                  className="w-full flex items-center justify-center gap-2 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                 >
+                   <RefreshCw size={14}/> {t('settings.reset')}
+                 </button>
+               )}
              </div>
           </div>
         )}
@@ -440,62 +2024,266 @@ export default function SightReadingApp() {
                 <Check size={16} className="text-green-500"/> {score}/{total}
              </div>
              <div className="flex items-center gap-1">
-                <Trophy size={16} className="text-amber-500"/> Streak: {streak}
+                <Trophy size={16} className="text-amber-500"/> {t('app.streak', { streak })}
              </div>
+             {lastReactionMs !== null && (
+               <div className="flex items-center gap-1 tabular-nums">
+                  <Zap size={16} className="text-indigo-500"/> {(lastReactionMs / 1000).toFixed(2)}s
+               </div>
+             )}
+             {started && remainingMs !== null && (
+               <div className={`flex items-center gap-1 tabular-nums ${remainingMs < 5000 && drillType === 'sprint' ? 'text-red-600' : ''}`}>
+                  <Timer size={16} className="text-stone-400"/> {drillType === 'sprint' ? Math.ceil(remainingMs / 1000) : (remainingMs / 1000).toFixed(1)}s
+               </div>
+             )}
         </div>
 
         {/* Game Area */}
         <div className="w-full flex-1 flex flex-col items-center justify-start mt-4 min-h-[400px]">
            
-           {!started ? (
+           {showProgress ? (
+             <ProgressView progress={progress} modeClefs={GAME_MODES[mode].clefs} keySignature={keySignature} t={t} locale={locale} naming={namingSystem} />
+           ) : showLevels ? (
+             <LevelMap
+               curriculum={curriculum}
+               progress={progress}
+               levelId={level?.id}
+               custom={!!customCurriculum}
+               error={curriculumError}
+               onSelect={selectLevel}
+               onLoad={loadCurriculum}
+               onReset={() => { setCustomCurriculum(null); setCurriculumError(null); setLevelId(null); setStarted(false); }}
+               t={t}
+             />
+           ) : !started ? (
              <div className="text-center space-y-6 animate-in zoom-in-95 duration-300 mt-12">
                <div className="w-24 h-24 bg-indigo-100 rounded-full flex items-center justify-center mx-auto text-indigo-600">
                  <Music size={48} />
                </div>
                <div>
-                 <h2 className="text-2xl font-bold text-stone-800">Ready to Practice?</h2>
-                 <p className="text-stone-500 mt-2">Identify notes on the {GAME_MODES[mode].name}.</p>
+                 {drillResult ? (
+                   <>
+                     <h2 className="text-2xl font-bold text-stone-800">
+                       {t(`start.${drillResult.reason}`)}
+                     </h2>
+                     <p className="text-stone-500 mt-2">
+                       {t('start.result', { score, total, seconds: (drillResult.elapsedMs / 1000).toFixed(1) })}
+                     </p>
+                     {finishedSession?.attempts.length > 0 && (
+                       <div className="mt-4">
+                         <SessionSummary
+                           session={finishedSession}
+                           onDrillMistakes={drillMistakes}
+                           onExport={exportReport}
+                           t={t}
+                           naming={namingSystem}
+                         />
+                       </div>
+                     )}
+                   </>
+                 ) : (
+                   <h2 className="text-2xl font-bold text-stone-800">{t(awaitingSharedStart ? 'start.shared' : 'start.ready')}</h2>
+                 )}
+                 <p className="text-stone-500 mt-2">
+                   {t(`exercise.${exercise}.description`)} {EXERCISES[exercise].ear
+                     ? t('start.ear', { range: earRangeLabel(earRange) })
+                     : exercise === 'piece'
+                     ? (piece ? t('start.piece', { title: piece.title || t('import.untitled'), count: piece.notes.length }) : t('start.noPiece'))
+                     : exercise === 'lesson'
+                     ? (level ? t('start.level', { name: getLevelText(level, 'name', !customCurriculum, t), ...getPassParams(level.pass) }) : t('start.noLevel'))
+                     : exercise === 'rhythm'
+                     ? t('start.rhythm', { time: timeSignature, bpm: tempo, ms: TIMING_WINDOWS[timingWindow].ms })
+                     : t('start.reading', { mode: t(`mode.${mode}.name`), key: keyLabel(keySignature, 'key.major') })}
+                 </p>
+                 {isTransposing(activeInstrument) && exercise !== 'rhythm' && (
+                   <p className="text-indigo-600 text-sm mt-1">
+                     {t('start.instrument', { instrument: t(`instrument.${instrument}`), interval: t(`instrument.${instrument}.interval`) })}
+                   </p>
+                 )}
+                 {mistakePool && exercise === 'single' && (
+                   <p className="text-indigo-600 text-sm mt-1">
+                     {t('start.mistakes', { count: mistakePool.length })}{' '}
+                     <button onClick={() => setMistakePool(null)} className="underline hover:no-underline">{t('start.allNotes')}</button>
+                   </p>
+                 )}
+                 {drillSeed !== null && SHAREABLE_EXERCISES.includes(exercise) && (
+                   <p className="text-indigo-600 text-sm mt-1">{t('start.assigned')}</p>
+                 )}
+                 <p className="text-stone-400 text-sm mt-1">
+                   {t('start.drill', {
+                     drill: t(`drill.${drillType}.name`),
+                     description: drillType === 'set' ? t(exercise === 'rhythm' ? 'start.setMeasures' : 'start.setDescription', { count: setLength }) : t(`drill.${drillType}.description`),
+                   })}
+                 </p>
                </div>
                <button 
-                 onClick={startGame}
-                 className="px-8 py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-full shadow-lg hover:shadow-xl hover:-translate-y-1 transition-all"
+                 onClick={() => startGame()}
+                 disabled={(exercise === 'piece' && !piece) || (exercise === 'lesson' && !level)}
+                 className="px-8 py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-full shadow-lg hover:shadow-xl hover:-translate-y-1 transition-all disabled:opacity-50 disabled:pointer-events-none"
                >
-                 Start Practice
+                 {t(awaitingSharedStart ? 'start.sharedButton' : 'start.button')}
                </button>
              </div>
            ) : (
              <div className="w-full flex flex-col items-center gap-6 animate-in fade-in duration-500">
                 
                 {/* Feedback Indicator */}
-                <div className={`h-8 px-4 rounded-full flex items-center gap-2 font-bold text-sm transition-all duration-300 ${
+                <div aria-hidden="true" className={`h-8 px-4 rounded-full flex items-center gap-2 font-bold text-sm transition-all duration-300 ${
                   feedbackState === 'correct' ? 'bg-green-100 text-green-700 opacity-100 translate-y-0' : 
                   feedbackState === 'wrong' ? 'bg-red-100 text-red-700 opacity-100 translate-y-0' : 
                   'opacity-0 -translate-y-4'
                 }`}>
-                  {feedbackState === 'correct' ? <><Check size={16}/> Correct!</> : <><X size={16}/> Oops!</>}
+                  {feedbackState === 'correct' ? <><Check size={16}/> {t('game.correct')}{feedbackLabel && ` ${feedbackLabel}`}</> : <><X size={16}/> {t('game.wrong')}{wrongLabel && ` ${wrongLabel}`}</>}
                 </div>
 
-                <Staff 
-                    currentNote={currentNote} 
-                    guessedNote={lastGuessedNote}
+                {EXERCISES[exercise].ear ? (
+                  <div className="w-full max-w-sm flex flex-col items-center gap-4 py-8 bg-white rounded-xl shadow-inner border border-stone-200">
+                    <Ear size={48} className="text-indigo-300" />
+                    <p className="text-sm text-stone-500">
+                      {exercise === 'earNote'
+                        ? t('game.earNote', { note: noteLabel(referenceTone) })
+                        : t(`game.earInterval.${intervalStyle}`)}
+                    </p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => earPrompt && playEarPrompt(earPrompt)}
+                        className="flex items-center gap-2 py-2 px-4 text-sm rounded-lg border bg-white border-stone-300 hover:bg-stone-50"
+                      >
+                        <Repeat size={14}/> {t('game.replay')}
+                      </button>
+                      <button
+                        onClick={() => AudioEngine.playNote(referenceTone, 0.8)}
+                        className="flex items-center gap-2 py-2 px-4 text-sm rounded-lg border bg-white border-stone-300 hover:bg-stone-50"
+                      >
+                        <Music size={14}/> {t('game.reference', { note: noteLabel(referenceTone) })}
+                      </button>
+                    </div>
+                    {!volumeOn && (
+                      <p className="text-xs text-amber-700 bg-amber-50 rounded-lg px-2 py-1">{t('game.soundOff')}</p>
+                    )}
+                  </div>
+                ) : EXERCISES[exercise].rhythm ? (
+                  rhythm && (
+                    <div className="w-full flex flex-col items-center gap-3">
+                      <RhythmStaff events={rhythm.events} timeSignature={rhythm.timeSignature} tempo={rhythm.tempo} result={rhythmResult} />
+                      <div className="flex gap-2">
+                        {Array.from({ length: TIME_SIGNATURES[rhythm.timeSignature].beats }, (_, i) => (
+                          <span key={i} className={`w-3 h-3 rounded-full ${
+                            rhythmBeat?.beat !== i ? 'bg-stone-200' : rhythmBeat.countIn ? 'bg-amber-400' : 'bg-indigo-600'
+                          }`} />
+                        ))}
+                      </div>
+                      <p className="text-sm text-stone-500 tabular-nums">
+                        {rhythmSummary || (rhythmBeat?.countIn ? t('rhythm.countIn') : rhythmBeat ? t('rhythm.tap') : t('rhythm.listen'))}
+                      </p>
+                      {!volumeOn && (
+                        <p className="text-xs text-amber-700 bg-amber-50 rounded-lg px-2 py-1">{t('rhythm.soundOff')}</p>
+                      )}
+                    </div>
+                  )
+                ) : (
+                  <Staff
+                      currentNote={currentNote} 
+                      guessedNote={lastGuessedNote && spellInKey(getWrittenPitch(lastGuessedNote, activeInstrument), staffKey)}
+                      feedbackState={feedbackState}
+                      clef={currentClef} 
+                      grand={exercise !== 'piece' && !level && !!GAME_MODES[mode].grand}
+                      keySignature={staffKey}
+                      phrase={EXERCISES[exercise].phrase ? phrase?.notes : null}
+                      phraseId={phrase?.id}
+                      cursor={cursor}
+                      chord={exercise === 'chord' ? currentChord : null}
+                      chordResult={chordResult}
+                      naming={namingSystem}
+                      label={targetDescription}
+                  />
+                )}
+
+                {nameChoices && (
+                  <NameChoices
+                    choices={nameChoices}
+                    guess={nameGuess}
                     feedbackState={feedbackState}
-                    clef={GAME_MODES[mode].clefType} 
-                />
-                
-                {/* Responsive Piano Container */}
-                <div className="w-full">
-                  <Piano 
-                    minNote={GAME_MODES[mode].min}
-                    maxNote={GAME_MODES[mode].max}
-                    currentNote={currentNote}
-                    lastGuessedNote={lastGuessedNote}
+                    onAnswer={handleNameAnswer}
+                    formatChoice={(name) => translateName(locale, name, nameKind)}
+                  />
+                )}
+
+                {namingNotes && (
+                  <NoteNameInput
+                    typed={typedName}
+                    accidental={nameAccidental}
+                    onAccidental={setNameAccidental}
+                    onAnswer={handleNoteName}
+                    guess={nameGuess}
                     feedbackState={feedbackState}
-                    onPlay={handleKeyClick}
+                    naming={namingSystem}
                   />
-                  <p className="text-stone-400 text-sm mt-4 text-center">
-                    Tap the piano keys to identify the note.
-                  </p>
-                </div>
+                )}
+                
+                {micStatus === 'on' && <Tuner reading={pitchReading} t={t} naming={namingSystem} />}
+
+                {/* Responsive Piano Container */}
+                {EXERCISES[exercise].rhythm ? (
+                  <div className="w-full">
+                    <button
+                      onPointerDown={(e) => recordTap(e.timeStamp)}
+                      className="w-full max-w-sm mx-auto block py-10 rounded-2xl bg-indigo-600 active:bg-indigo-800 text-white text-xl font-bold shadow-lg select-none touch-none"
+                    >
+                      {t('rhythm.tapPad')}
+                    </button>
+                    <p className="text-stone-400 text-sm mt-4 text-center">{t('hint.tap')}</p>
+                  </div>
+                ) : (
+                  <div className="w-full">
+                    {answerSurface === 'fretboard' ? (
+                      <Fretboard
+                        strings={tuningStrings}
+                        frets={fretRange}
+                        currentNote={soundingNote}
+                        lastGuessedNote={lastGuessedNote}
+                        feedbackState={feedbackState}
+                        onPlay={handleKeyClick}
+                        keyStates={chordKeyStates}
+                        naming={namingSystem}
+                        t={t}
+                      />
+                    ) : (
+                      <Piano 
+                        minNote={pianoRange.min}
+                        maxNote={pianoRange.max}
+                        currentNote={soundingNote}
+                        lastGuessedNote={lastGuessedNote}
+                        feedbackState={feedbackState}
+                        onPlay={handleKeyClick}
+                        keyStates={chordKeyStates}
+                        keyHints={showKeyHints && !namingNotes ? getQwertyHints(keyboardOctave) : null}
+                        naming={namingSystem}
+                        t={t}
+                      />
+                    )}
+                    {offFretboard && (
+                      <p className="text-amber-600 text-sm mt-2 text-center">{t('fretboard.offBoard')}</p>
+                    )}
+                    <p className="text-stone-400 text-sm mt-4 text-center">
+                      {exercise === 'chord' ? (chordAnswer === 'name'
+                        ? t(chordCategory === 'intervals' ? 'hint.nameInterval' : 'hint.nameChord')
+                        : t('hint.playChord')) :
+                       exercise === 'earInterval' ? t('hint.earInterval') :
+                       namingNotes ? t('hint.typeName', { example: noteLabel('F#4') }) :
+                       micStatus === 'on' ? t('hint.mic') :
+                       midiStatus === 'ready' && midiDevices.length > 0 ? t('hint.midi') :
+                       answerSurface === 'fretboard' ? t('hint.fretboard') : t('hint.keys')}
+                    </p>
+                  </div>
+                )}
+
+                <button
+                  onClick={() => drillRef.current?.end('ended')}
+                  className="py-1 px-3 text-sm rounded-lg border bg-white border-stone-300 text-stone-500 hover:bg-stone-50"
+                >
+                  {t('game.endSession')}
+                </button>
 
              </div>
            )}
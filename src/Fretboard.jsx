@@ -0,0 +1,120 @@
+// --- Fretboard Surface ---
+// The other answer surface, for guitar and bass players. `strings` is a tuning
+// (see ./fretboard) and `frets` the { min, max } stretch of neck shown. Takes
+// the Piano's answer props, and colors every string and fret by pitch the same
+// way, so each spot that sounds the note lights up and any of them answers.
+// The thinnest string is drawn on top, as in tab.
+
+import { getFretNote } from './fretboard';
+import { formatNoteName } from './noteNames';
+import { KEY_STATE_COLORS, getAnswerState } from './answerStates';
+import { AnswerMark } from './AnswerMark.jsx';
+import { useRovingFocus } from './useRovingFocus';
+
+const FRET_INLAYS = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+
+export const Fretboard = ({ strings, frets, currentNote, lastGuessedNote, feedbackState, onPlay, keyStates, naming = 'english', t }) => {
+  const labelWidth = 32;
+  const openWidth = frets.min === 0 ? 40 : 0;
+  const fretWidth = 52;
+  const stringGap = 26;
+  const top = 14;
+  const firstFret = Math.max(frets.min, 1);
+  const fretCount = frets.max - firstFret + 1;
+  const nutX = labelWidth + openWidth;
+  const boardWidth = nutX + fretCount * fretWidth;
+  const boardHeight = top * 2 + (strings.length - 1) * stringGap;
+  const height = boardHeight + 18;
+
+  const rowY = (string) => top + (strings.length - 1 - string) * stringGap;
+  const fretCenter = (fret) => fret === 0 ? labelWidth + openWidth / 2 : nutX + (fret - firstFret + 0.5) * fretWidth;
+  const positions = strings.flatMap((open, string) => {
+    const list = [];
+    for (let fret = frets.min; fret <= frets.max; fret++) list.push({ id: `${string}-${fret}`, string, fret, note: getFretNote(open, fret) });
+    return list;
+  });
+
+  // Left and right move along a string, up and down across to the one drawn above or below
+  const getKeyProps = useRovingFocus(positions.map(p => p.id), (id, key) => {
+    const [string, fret] = id.split('-').map(Number);
+    const next =
+      key === 'Home' ? [string, frets.min] : key === 'End' ? [string, frets.max] :
+      key === 'ArrowLeft' ? [string, fret - 1] : key === 'ArrowRight' ? [string, fret + 1] :
+      key === 'ArrowUp' ? [string + 1, fret] : [string - 1, fret];
+    const found = positions.find(p => p.string === next[0] && p.fret === next[1]);
+    return found ? found.id : null;
+  });
+
+  return (
+    <div className="w-full max-w-full overflow-hidden rounded-lg shadow-xl bg-stone-900 p-1">
+      <svg viewBox={`0 0 ${boardWidth} ${height}`} role="group" aria-label={t('a11y.fretboard')} className="w-full h-auto block touch-manipulation select-none">
+        <rect x={nutX} y={0} width={boardWidth - nutX} height={boardHeight} fill="#44403c" />
+
+        {/* Inlay dots between the strings, doubled at the octave */}
+        {FRET_INLAYS.filter(f => f >= firstFret && f <= frets.max).map(f => {
+          const x = fretCenter(f);
+          const gaps = f % 12 === 0 ? (strings.length < 6 ? [0, strings.length - 2] : [1, strings.length - 3]) : [Math.floor((strings.length - 1) / 2)];
+          const ys = gaps.map(gap => top + (gap + 0.5) * stringGap);
+          return (
+            <g key={`inlay-${f}`} aria-hidden="true">
+              {ys.map(y => <circle key={y} cx={x} cy={y} r="5" fill="#78716c" />)}
+              <text x={x} y={height - 4} textAnchor="middle" fontSize="11" fill="#a8a29e" className="pointer-events-none select-none">{f}</text>
+            </g>
+          );
+        })}
+
+        {/* Frets, with a nut when the open strings are shown */}
+        {Array.from({ length: fretCount + 1 }, (_, i) => (
+          <line
+            key={`fret-${i}`}
+            x1={nutX + i * fretWidth} y1={0} x2={nutX + i * fretWidth} y2={boardHeight}
+            stroke={i === 0 && frets.min === 0 ? '#e7e5e4' : '#a8a29e'}
+            strokeWidth={i === 0 && frets.min === 0 ? 5 : 2}
+          />
+        ))}
+
+        {/* Strings, thicker toward the low end, labeled with their open note */}
+        {strings.map((open, string) => (
+          <g key={`string-${string}`} aria-hidden="true">
+            <line
+              x1={labelWidth} y1={rowY(string)} x2={boardWidth} y2={rowY(string)}
+              stroke="#d6d3d1" strokeWidth={1 + (strings.length - 1 - string) * 0.4}
+            />
+            <text x={labelWidth - 6} y={rowY(string) + 4} textAnchor="end" fontSize="11" fill="#a8a29e" className="pointer-events-none select-none">
+              {formatNoteName(open, naming)}
+            </text>
+          </g>
+        ))}
+
+        {/* Every string and fret: a dot and mark when it has a state, and a tap target.
+            Strings are numbered from the thinnest, the way players count them. */}
+        {positions.map(({ id, string, fret, note }) => {
+          const state = getAnswerState(note, { keyStates, currentNote, lastGuessedNote, feedbackState });
+          const x = fretCenter(fret);
+          const cellWidth = fret === 0 ? openWidth : fretWidth;
+          return (
+            <g key={id}>
+              {state && (
+                <>
+                  <circle cx={x} cy={rowY(string)} r="9" fill={KEY_STATE_COLORS[state]} stroke="#1c1917" strokeWidth="1" className="pointer-events-none" />
+                  <AnswerMark state={state} x={x} y={rowY(string)} size={5} />
+                </>
+              )}
+              <rect
+                x={x - cellWidth / 2} y={rowY(string) - stringGap / 2}
+                width={cellWidth} height={stringGap}
+                fill="transparent"
+                className="cursor-pointer hover:fill-white/10"
+                role="button"
+                aria-label={t('a11y.fretPosition', { note: formatNoteName(note, naming), string: strings.length - string, fret })}
+                {...getKeyProps(id, () => onPlay(note))}
+                onMouseDown={(e) => { e.preventDefault(); onPlay(note); }}
+                onTouchStart={(e) => { e.preventDefault(); onPlay(note); }}
+              />
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
@@ -0,0 +1,83 @@
+// --- Level Map ---
+// The curriculum's levels as cards to pick from (see ./curriculum).
+
+import { Check, Lock, GraduationCap, Upload } from 'lucide-react';
+import { getLevelKey, getLevelAttempts, evaluateLevel, getLevelStates, getLevelText, getPassParams } from './curriculum';
+
+const LevelCard = ({ level, state, result, current, builtIn, onSelect, t }) => (
+  <button
+    onClick={() => onSelect(level.id)}
+    disabled={state === 'locked'}
+    className={`w-full text-left p-3 rounded-xl border transition-colors ${
+      current ? 'bg-indigo-50 border-indigo-500' :
+      state === 'locked' ? 'bg-stone-50 border-stone-200 text-stone-400 cursor-not-allowed' :
+      'bg-white border-stone-300 hover:bg-stone-50'
+    }`}
+  >
+    <div className="flex items-center gap-2">
+      {state === 'passed' ? <Check size={16} className="text-green-600 shrink-0"/> :
+       state === 'locked' ? <Lock size={16} className="shrink-0"/> :
+       <GraduationCap size={16} className="text-indigo-500 shrink-0"/>}
+      <span className="font-bold text-sm">{getLevelText(level, 'name', builtIn, t)}</span>
+      <span className="ml-auto text-xs text-stone-400">{t(`clef.${level.clef}`)}</span>
+    </div>
+    <p className="text-xs text-stone-500 mt-1">{getLevelText(level, 'description', builtIn, t)}</p>
+    <p className="text-xs text-stone-400 mt-1">{t('levels.pass', getPassParams(level.pass))}</p>
+    {state !== 'locked' && result.attempts > 0 && (
+      <div className="flex items-center gap-2 mt-2 text-xs text-stone-500">
+        <div className="flex-1 h-2 bg-stone-100 rounded-full overflow-hidden">
+          <div className={`h-2 ${state === 'passed' ? 'bg-green-500' : 'bg-indigo-500'}`} style={{ width: `${Math.round(result.accuracy * 100)}%` }} />
+        </div>
+        <span className="tabular-nums">{t('levels.recent', { counted: result.counted, count: result.attempts })}</span>
+      </div>
+    )}
+  </button>
+);
+
+// Levels in curriculum order; a level opens once those it requires are passed
+export const LevelMap = ({ curriculum, progress, levelId, custom, error, onSelect, onLoad, onReset, t }) => {
+  const states = getLevelStates(curriculum, progress.levels);
+  const passedCount = Object.values(states).filter(state => state === 'passed').length;
+
+  return (
+    <div className="w-full max-w-xl flex flex-col gap-4">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-stone-800">{curriculum.name || t('levels.title')}</h2>
+        <p className="text-stone-500 text-sm mt-1">{t('levels.passed', { passed: passedCount, count: curriculum.levels.length })}</p>
+      </div>
+      <div className="grid sm:grid-cols-2 gap-2">
+        {curriculum.levels.map(level => (
+          <LevelCard
+            key={level.id}
+            level={level}
+            state={states[level.id]}
+            result={evaluateLevel(getLevelAttempts(progress.sessions, getLevelKey(curriculum, level)), level.pass)}
+            current={level.id === levelId}
+            builtIn={!custom}
+            onSelect={onSelect}
+            t={t}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center justify-center gap-2 text-sm">
+        <label className="flex items-center gap-2 py-2 px-3 rounded-lg border bg-white border-stone-300 hover:bg-stone-50 cursor-pointer">
+          <Upload size={14}/> {t('levels.load')}
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => { onLoad(e.target.files[0]); e.target.value = ''; }}
+            className="hidden"
+          />
+        </label>
+        {custom && (
+          <button onClick={onReset} className="py-2 px-3 rounded-lg border bg-white border-stone-300 hover:bg-stone-50">
+            {t('levels.builtIn')}
+          </button>
+        )}
+      </div>
+      {error && (
+        <p className="text-xs text-red-700 bg-red-50 rounded-lg px-2 py-1 text-center">{t('levels.error', { detail: error })}</p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,138 @@
+// --- Piano ---
+// A responsive SVG keyboard: the answer surface every exercise starts on.
+
+import { useMemo } from 'react';
+import { parseNote, noteToMidi, midiToNote } from './notes';
+import { formatNoteName } from './noteNames';
+import { KEY_STATE_COLORS, getAccuracyColor, getAnswerState } from './answerStates';
+import { AnswerMark } from './AnswerMark.jsx';
+import { useRovingFocus } from './useRovingFocus';
+
+// With `heatmap` ({ [midi]: { attempts, correct } }) keys are colored by accuracy instead of feedback
+// `keyStates` ({ [midi]: 'pressed' | 'correct' | 'wrong' | 'missing' }) replaces the
+// single-note feedback colors while a chord is being answered
+// `keyHints` ({ [midi]: label }) prints the computer key that plays each piano key
+// C keys are labeled in the `naming` system (see ./noteNames)
+export const Piano = ({ minNote, maxNote, currentNote, lastGuessedNote, feedbackState, onPlay, heatmap, keyStates, keyHints, naming = 'english', t }) => {
+  const { keys, viewBoxWidth } = useMemo(() => {
+    const white = [];
+    const black = [];
+    
+    // Safety check for inputs
+    const startMidi = noteToMidi(minNote);
+    const endMidi = noteToMidi(maxNote);
+    if (startMidi === null || endMidi === null) return { keys: { white, black }, viewBoxWidth: 100 };
+    
+    let whiteKeyIndex = 0;
+    
+    for (let midi = startMidi; midi <= endMidi; midi++) {
+        const note = midiToNote(midi);
+        if (parseNote(note).accidental === 0) {
+            white.push({ note, x: whiteKeyIndex, type: 'white' });
+            whiteKeyIndex++;
+        } else if (whiteKeyIndex > 0) {
+            // Black keys straddle the boundary after the previous white key
+            black.push({ note, x: whiteKeyIndex - 0.5, type: 'black' });
+        }
+    }
+
+    return { keys: { white, black }, viewBoxWidth: Math.max(100, whiteKeyIndex * 40) };
+  }, [minNote, maxNote]);
+
+  // Arrows walk the keys in pitch order, black ones included
+  const order = keys.white.concat(keys.black).map(k => k.note).sort((a, b) => noteToMidi(a) - noteToMidi(b));
+  const getKeyProps = useRovingFocus(order, (note, key) => {
+    const index = order.indexOf(note);
+    const next = key === 'Home' ? 0 : key === 'End' ? order.length - 1
+      : index + (key === 'ArrowRight' || key === 'ArrowUp' ? 1 : -1);
+    return order[next] ?? null;
+  });
+
+  const getKeyState = (note) => (heatmap ? null : getAnswerState(note, { keyStates, currentNote, lastGuessedNote, feedbackState }));
+
+  const getKeyColor = (note, type) => {
+    const heat = heatmap?.[noteToMidi(note)];
+    if (heat) return getAccuracyColor(heat);
+    return KEY_STATE_COLORS[getKeyState(note)] || (type === 'white' ? 'white' : '#1c1917');
+  };
+
+  // What a screen reader says for a key: its name, and its accuracy on a heatmap
+  const getKeyLabel = (note) => {
+    const heat = heatmap?.[noteToMidi(note)];
+    const name = formatNoteName(note, naming);
+    return heat ? t('a11y.keyAccuracy', { note: name, percent: Math.round((heat.correct / heat.attempts) * 100) }) : name;
+  };
+
+  const keyWidth = 40;
+  const keyHeight = 160;
+  const blackKeyWidth = 24;
+  const blackKeyHeight = 100;
+
+  const renderKey = (k) => (
+    <rect
+      key={k.note}
+      x={k.type === 'white' ? k.x * keyWidth : (k.x + 0.5) * keyWidth - (blackKeyWidth / 2)}
+      y={0}
+      width={k.type === 'white' ? keyWidth : blackKeyWidth}
+      height={k.type === 'white' ? keyHeight : blackKeyHeight}
+      fill={getKeyColor(k.note, k.type)}
+      stroke={k.type === 'white' ? '#d6d3d1' : undefined}
+      strokeWidth={k.type === 'white' ? '1' : undefined}
+      className={k.type === 'white'
+        ? 'cursor-pointer active:opacity-90 transition-colors duration-150'
+        : 'cursor-pointer hover:fill-stone-700 active:fill-stone-600 transition-colors duration-150'}
+      rx={k.type === 'white' ? '4' : '2'}
+      role="button"
+      aria-label={getKeyLabel(k.note)}
+      {...getKeyProps(k.note, () => onPlay(k.note))}
+      onMouseDown={(e) => { e.preventDefault(); onPlay(k.note); }}
+      onTouchStart={(e) => { e.preventDefault(); onPlay(k.note); }}
+    />
+  );
+
+  return (
+    <div className="w-full max-w-full overflow-hidden rounded-lg shadow-xl bg-stone-900 p-1">
+      <svg viewBox={`0 0 ${viewBoxWidth} ${keyHeight}`} role="group" aria-label={t('a11y.piano')} className="w-full h-auto block touch-manipulation select-none">
+        {/* Render White Keys */}
+        {keys.white.map(renderKey)}
+        {/* Render Labels on C keys */}
+        {keys.white.map((k) => k.note.startsWith('C') && (
+            <text key={`label-${k.note}`} x={k.x * keyWidth + keyWidth/2} y={keyHeight - 10} textAnchor="middle" fontSize="12" fill="#a8a29e" aria-hidden="true" className="pointer-events-none select-none">
+                {formatNoteName(k.note, naming)}
+            </text>
+        ))}
+
+        {/* Render Black Keys */}
+        {keys.black.map(renderKey)}
+
+        {/* Feedback shapes, so the colors aren't the only cue */}
+        {keys.white.concat(keys.black).map((k) => getKeyState(k.note) && (
+            <AnswerMark
+              key={`mark-${k.note}`}
+              state={getKeyState(k.note)}
+              x={(k.x + 0.5) * keyWidth}
+              y={k.type === 'white' ? keyHeight - 56 : blackKeyHeight - 34}
+              size={k.type === 'white' ? 8 : 6}
+            />
+        ))}
+
+        {/* Computer keyboard hints */}
+        {keyHints && keys.white.concat(keys.black).map((k) => keyHints[noteToMidi(k.note)] && (
+            <text
+              key={`hint-${k.note}`}
+              x={(k.x + 0.5) * keyWidth}
+              y={k.type === 'white' ? keyHeight - 32 : blackKeyHeight - 12}
+              textAnchor="middle"
+              fontSize="11"
+              fontWeight="bold"
+              fill={k.type === 'white' ? '#6366f1' : '#c7d2fe'}
+              aria-hidden="true"
+              className="pointer-events-none select-none"
+            >
+                {keyHints[noteToMidi(k.note)]}
+            </text>
+        ))}
+      </svg>
+    </div>
+  );
+};
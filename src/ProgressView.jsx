@@ -0,0 +1,129 @@
+// --- Progress View ---
+// Practice history: accuracy heatmaps on the staff and keyboard, and the
+// trend over recent sessions. `modeClefs` are shown until a clef has been practiced.
+
+import { useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { CLEFS, getOverallRange } from './clefs';
+import { accuracyByPitch, accuracyByPosition, accuracyByTarget, filterBySkill, getPracticedClefs, summarizeSessions } from './progress';
+import { EAR_RANGES, EAR_INTERVAL_NAMES } from './earTraining';
+import { translateName } from './i18n';
+import { getAccuracyColor } from './answerStates';
+import { Staff } from './Staff.jsx';
+import { Piano } from './Piano.jsx';
+
+const SKILLS = ['visual', 'ear'];
+
+export const ProgressView = ({ progress, modeClefs, keySignature, t, locale, naming }) => {
+  const [skill, setSkill] = useState('visual');
+  const skillSessions = filterBySkill(progress.sessions, skill);
+  const practicedClefs = getPracticedClefs(skillSessions);
+  const clefs = practicedClefs.length ? practicedClefs : modeClefs;
+  const [selectedClef, setSelectedClef] = useState(null);
+  const clef = clefs.includes(selectedClef) ? selectedClef : clefs[0];
+  const sessions = summarizeSessions(skillSessions).slice(-10);
+  const range = skill === 'ear'
+    ? getOverallRange(Object.values(EAR_RANGES))
+    : getOverallRange(clefs.map(c => CLEFS[c].range));
+  const intervalStats = accuracyByTarget(skillSessions, 'earInterval');
+
+  if (!summarizeSessions(progress.sessions).length) {
+    return (
+      <div className="text-center text-stone-500 mt-12">
+        <BarChart3 size={48} className="mx-auto text-stone-300" />
+        <p className="mt-4">{t('progress.empty')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full flex flex-col items-center gap-6">
+      <div className="flex gap-2">
+        {SKILLS.map(id => (
+          <button
+            key={id}
+            onClick={() => setSkill(id)}
+            className={`py-1 px-3 text-sm rounded-full border ${id === skill ? 'bg-indigo-600 border-indigo-600 text-white font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+          >
+            {t(`skill.${id}`)}
+          </button>
+        ))}
+      </div>
+
+      {!sessions.length ? (
+        <p className="text-stone-500 mt-8">{t(`progress.empty.${skill}`)}</p>
+      ) : (
+        <>
+          {skill === 'visual' && (
+            <>
+              <div className="flex gap-2">
+                {clefs.map(c => (
+                  <button
+                    key={c}
+                    onClick={() => setSelectedClef(c)}
+                    aria-pressed={c === clef}
+                    className={`py-1 px-3 text-sm rounded-lg border ${c === clef ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-bold' : 'bg-white border-stone-300 hover:bg-stone-50'}`}
+                  >
+                    {t(`clef.${c}`)}
+                  </button>
+                ))}
+              </div>
+
+              <Staff clef={clef} keySignature={keySignature} heatmap={accuracyByPosition(skillSessions, clef)} naming={naming} />
+            </>
+          )}
+
+          <div className="w-full">
+            <Piano
+              minNote={range.min}
+              maxNote={range.max}
+              heatmap={accuracyByPitch(skillSessions)}
+              onPlay={() => {}}
+              naming={naming}
+              t={t}
+            />
+            <p className="text-stone-400 text-sm mt-2 text-center">
+              {t(`progress.hint.${skill}`)}
+            </p>
+          </div>
+
+          {Object.keys(intervalStats).length > 0 && (
+            <div className="w-full max-w-sm bg-white rounded-xl border border-stone-200 p-4">
+              <h3 className="font-bold text-stone-700 mb-3">{t('progress.intervals')}</h3>
+              <div className="space-y-2">
+                {EAR_INTERVAL_NAMES.filter(name => intervalStats[name]).map(name => (
+                  <div key={name} className="flex items-center gap-2 text-xs text-stone-500">
+                    <span className="w-24 shrink-0 capitalize">{translateName(locale, name)}</span>
+                    <div className="flex-1 h-2 bg-stone-100 rounded-full overflow-hidden">
+                      <div className="h-2" style={{
+                        width: `${Math.round((intervalStats[name].correct / intervalStats[name].attempts) * 100)}%`,
+                        backgroundColor: getAccuracyColor(intervalStats[name]),
+                      }} />
+                    </div>
+                    <span className="w-14 text-right tabular-nums">{intervalStats[name].correct}/{intervalStats[name].attempts}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="w-full max-w-sm bg-white rounded-xl border border-stone-200 p-4">
+            <h3 className="font-bold text-stone-700 mb-3">{t('progress.recent')}</h3>
+            <div className="space-y-2">
+              {sessions.map(s => (
+                <div key={s.id} className="flex items-center gap-2 text-xs text-stone-500">
+                  <span className="w-20 shrink-0">{new Date(s.startedAt).toLocaleDateString(locale)}</span>
+                  <div className="flex-1 h-2 bg-stone-100 rounded-full overflow-hidden">
+                    <div className="h-2 bg-indigo-500" style={{ width: `${Math.round(s.accuracy * 100)}%` }} />
+                  </div>
+                  <span className="w-10 text-right tabular-nums">{Math.round(s.accuracy * 100)}%</span>
+                  <span className="w-14 text-right tabular-nums">{s.avgMs !== null ? `${(s.avgMs / 1000).toFixed(1)}s` : '--'}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
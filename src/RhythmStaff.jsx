@@ -0,0 +1,146 @@
+// --- Rhythm Staff ---
+// A measure to tap, drawn on a single line (see ./rhythm).
+
+import { TIME_SIGNATURES, NOTE_VALUES, getEventStarts, getSixteenthMs, splitDuration } from './rhythm';
+
+// Rests centred on x, drawn against the staff line at y
+const RestGlyph = ({ base, x, y, color }) => {
+  if (base === 16) return <rect x={x - 8} y={y} width="16" height="6" fill={color} />;
+  if (base === 8) return <rect x={x - 8} y={y - 6} width="16" height="6" fill={color} />;
+  if (base === 4) {
+    return (
+      <path d={`M${x - 3},${y - 22} l7,9 l-6,7 l7,9 c-6,-3 -10,0 -5,7`} fill="none" stroke={color} strokeWidth="3" strokeLinejoin="round" />
+    );
+  }
+  // Eighth and sixteenth rests: a hook per flag on a slanted stem
+  const hooks = NOTE_VALUES[base].flags;
+  return (
+    <g fill={color} stroke={color}>
+      <line x1={x + 5} y1={y - 12} x2={x - 3} y2={y + 8 + (hooks - 1) * 10} strokeWidth="2" />
+      {Array.from({ length: hooks }, (_, i) => (
+        <g key={i}>
+          <circle cx={x - 3 - i * 2} cy={y - 10 + i * 10} r="3" stroke="none" />
+          <path d={`M${x - 3 - i * 2},${y - 8 + i * 10} q5,2 ${8 - i * 2},-4`} fill="none" strokeWidth="1.5" />
+        </g>
+      ))}
+    </g>
+  );
+};
+
+const RHYTHM_VERDICT_COLORS = { onTime: '#22c55e', early: '#f59e0b', late: '#f59e0b', missed: '#ef4444' };
+
+// One measure on a single-line staff. Notes take room by length, flagged notes
+// in the same beat are beamed, and `result` (see rhythm.scoreTaps) colors each
+// note by how it was tapped, labels the offset in ms (with a check when on
+// time, a cross when missed) and marks every tap under the line.
+export const RhythmStaff = ({ events, timeSignature, tempo, result }) => {
+  const y = 90;
+  const stemLength = 50;
+  const firstX = 100;
+  const { beats, unit, group } = TIME_SIGNATURES[timeSignature];
+  const starts = getEventStarts(events);
+  const widths = events.map(e => 34 + 24 * Math.sqrt(e.sixteenths));
+  const xs = widths.map((_, i) => firstX + widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+  const endX = xs.at(-1) + widths.at(-1);
+  const width = endX + 20;
+
+  const glyphs = events.map((event, i) => ({ ...event, ...splitDuration(event.sixteenths), x: xs[i], start: starts[i] }));
+
+  // A tied note takes the color of the note it continues
+  const colors = [];
+  glyphs.forEach((g, i) => {
+    const scored = result?.onsets.find(o => o.index === i);
+    colors[i] = scored ? RHYTHM_VERDICT_COLORS[scored.verdict] : glyphs[i - 1]?.tied ? colors[i - 1] : 'black';
+  });
+
+  // Flagged notes sharing a beat group get beams instead of flags
+  const beams = [];
+  glyphs.forEach((g, i) => {
+    if (g.rest || g.base >= 4) return;
+    const last = beams.at(-1);
+    const previous = glyphs[i - 1];
+    if (last && previous && last.at(-1) === i - 1 && Math.floor(previous.start / group) === Math.floor(g.start / group)) last.push(i);
+    else beams.push([i]);
+  });
+  const beamed = new Set(beams.filter(b => b.length > 1).flat());
+
+  const stemX = (i) => xs[i] + 8;
+  const stemTop = y - stemLength;
+
+  // Where a tap lands along the measure
+  const sixteenthMs = getSixteenthMs(timeSignature, tempo);
+  const tapX = (ms) => {
+    const at = ms / sixteenthMs;
+    const i = Math.max(0, starts.findLastIndex(start => start <= at));
+    return xs[i] + ((at - starts[i]) / events[i].sixteenths) * widths[i];
+  };
+  const taps = result ? [
+    ...result.onsets.filter(o => o.tapMs !== null).map(o => ({ ms: o.tapMs, color: RHYTHM_VERDICT_COLORS[o.verdict] })),
+    ...result.extras.map(ms => ({ ms, color: RHYTHM_VERDICT_COLORS.missed })),
+  ] : [];
+
+  return (
+    <div className="flex justify-center items-center py-4 bg-white rounded-xl shadow-inner border border-stone-200 w-full mx-auto max-w-3xl">
+      <svg viewBox={`0 0 ${width} 160`} className="w-full h-auto overflow-visible">
+        <line x1="20" y1={y} x2={endX} y2={y} stroke="#333" strokeWidth="2" />
+        <line x1="20" y1={y - 20} x2="20" y2={y + 20} stroke="#333" strokeWidth="2" />
+        <line x1={endX} y1={y - 20} x2={endX} y2={y + 20} stroke="#333" strokeWidth="2" />
+        <g fontFamily="serif" fontWeight="bold" fontSize="32" textAnchor="middle">
+          <text x="55" y={y - 4}>{beats}</text>
+          <text x="55" y={y + 28}>{unit}</text>
+        </g>
+
+        {taps.map((tap, i) => (
+          <line key={`tap-${i}`} x1={tapX(tap.ms)} y1={y + 30} x2={tapX(tap.ms)} y2={y + 42} stroke={tap.color} strokeWidth="3" strokeLinecap="round" />
+        ))}
+
+        {glyphs.map((g, i) => {
+          const color = colors[i];
+          if (g.rest) {
+            return (
+              <g key={i}>
+                <RestGlyph base={g.base} x={g.x} y={y} color={color} />
+                {g.dotted && <circle cx={g.x + 14} cy={y - 5} r="2.5" fill={color} />}
+              </g>
+            );
+          }
+          const scored = result?.onsets.find(o => o.index === i);
+          const flags = beamed.has(i) ? 0 : NOTE_VALUES[g.base].flags;
+          return (
+            <g key={i}>
+              <ellipse cx="0" cy="0" rx="9" ry="6.5" transform={`translate(${g.x}, ${y}) rotate(-20)`}
+                       fill={g.base >= 8 ? 'white' : color} stroke={color} strokeWidth={g.base >= 8 ? 2.5 : 0} />
+              {g.base < 16 && <line x1={stemX(i)} y1={y - 2} x2={stemX(i)} y2={stemTop} stroke={color} strokeWidth="2" />}
+              {Array.from({ length: flags }, (_, f) => (
+                <path key={f} d={`M${stemX(i)},${stemTop + f * 10} c2,10 14,12 9,26`} fill="none" stroke={color} strokeWidth="2.5" />
+              ))}
+              {g.dotted && <circle cx={g.x + 16} cy={y - 5} r="2.5" fill={color} />}
+              {g.tied && (
+                <path d={`M${g.x + 4},${y + 10} Q${(g.x + xs[i + 1]) / 2},${y + 24} ${xs[i + 1] - 4},${y + 10}`} fill="none" stroke={color} strokeWidth="2" />
+              )}
+              {scored && (
+                <text x={g.x} y={stemTop - 10} fontSize="12" textAnchor="middle" fill={color} className="tabular-nums">
+                  {scored.offsetMs === null ? '×' : `${scored.verdict === 'onTime' ? '✓ ' : ''}${scored.offsetMs > 0 ? '+' : ''}${scored.offsetMs}`}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {beams.filter(b => b.length > 1).map(b => (
+          <g key={`beam-${b[0]}`} fill="black">
+            <rect x={stemX(b[0]) - 1} y={stemTop} width={stemX(b.at(-1)) - stemX(b[0]) + 2} height="5" />
+            {/* A second beam joins neighbouring sixteenths; a lone one gets a stub, pointing back when it follows a note */}
+            {b.filter(i => glyphs[i].base === 1).map(i => {
+              const next = b.includes(i + 1) && glyphs[i + 1].base === 1;
+              const previous = b.includes(i - 1) && glyphs[i - 1].base === 1;
+              if (previous && !next) return null;
+              const toX = next ? stemX(i + 1) : b.includes(i - 1) ? stemX(i) - 10 : stemX(i) + 10;
+              return <rect key={i} x={Math.min(stemX(i), toX) - 1} y={stemTop + 8} width={Math.abs(toX - stemX(i)) + 2} height="5" />;
+            })}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
@@ -0,0 +1,131 @@
+// --- Session Summary ---
+// Shown when a session ends: headline stats, what was confused with what,
+// and ways to drill the misses or export a report.
+
+import { Repeat, Download } from 'lucide-react';
+import { getSessionStats, getTimingStats, getConfusionMatrix, getTopMistakes, getMissedNotes } from './progress';
+import { formatNoteName } from './noteNames';
+
+const formatSeconds = (ms) => (ms === null ? '--' : `${(ms / 1000).toFixed(2)}s`);
+
+const formatOffset = (ms) => (ms === null ? '--' : `${ms > 0 ? '+' : ''}${ms} ms`);
+
+const SummaryStat = ({ label, value }) => (
+  <div className="bg-white rounded-xl border border-stone-200 p-3">
+    <div className="text-xs text-stone-400 uppercase tracking-wider">{label}</div>
+    <div className="text-xl font-bold text-stone-800 tabular-nums">{value}</div>
+  </div>
+);
+
+// Target notes down the side, guesses across the top. Right answers sit where
+// the names match; the most frequent mistakes are the darkest red cells.
+const ConfusionMatrix = ({ matrix, mistakes, t, naming }) => {
+  const top = new Set(mistakes.map(m => `${m.target}|${m.guess}`));
+  const label = (note) => (note ? formatNoteName(note, naming) : '—');
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="mx-auto text-xs tabular-nums border-collapse">
+        <thead>
+          <tr>
+            <th className="p-1 text-stone-400 font-normal text-left">{t('summary.targetGuess')}</th>
+            {matrix.guesses.map(guess => <th key={guess} className="p-1 font-semibold text-stone-600">{label(guess)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.targets.map(target => (
+            <tr key={target}>
+              <th className="p-1 font-semibold text-stone-600 text-left">{label(target)}</th>
+              {matrix.guesses.map(guess => {
+                const count = matrix.counts[target][guess];
+                const right = guess === target;
+                return (
+                  <td
+                    key={guess}
+                    className={`p-1 w-8 text-center border border-stone-100 ${
+                      !count ? 'text-stone-200' :
+                      right ? 'bg-green-50 text-green-700' :
+                      top.has(`${target}|${guess}`) ? 'bg-red-500 text-white font-bold' :
+                      'bg-red-50 text-red-700'
+                    }`}
+                  >
+                    {count || '·'}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export const SessionSummary = ({ session, onDrillMistakes, onExport, t, naming }) => {
+  const stats = getSessionStats(session);
+  const timing = getTimingStats(session);
+  const matrix = getConfusionMatrix(session);
+  const mistakes = getTopMistakes(session);
+  const label = (note) => formatNoteName(note, naming);
+
+  return (
+    <div className="w-full max-w-xl mx-auto flex flex-col gap-4 text-left">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        <SummaryStat label={t('summary.accuracy')} value={`${Math.round(stats.accuracy * 100)}%`} />
+        {timing.onsets > 0 ? (
+          <>
+            <SummaryStat label={t('summary.meanOffset')} value={formatOffset(timing.meanOffsetMs)} />
+            <SummaryStat label={t('summary.meanDistance')} value={timing.meanDistanceMs === null ? '--' : `${timing.meanDistanceMs} ms`} />
+          </>
+        ) : (
+          <>
+            <SummaryStat label={t('summary.median')} value={formatSeconds(stats.medianMs)} />
+            <SummaryStat label={t('summary.slowest')} value={formatSeconds(stats.slowestMs)} />
+          </>
+        )}
+        <SummaryStat label={t('summary.bestStreak')} value={stats.bestStreak} />
+      </div>
+
+      {timing.onsets > 0 && (
+        <p className="text-sm text-stone-600 text-center tabular-nums">{t('summary.timing', timing)}</p>
+      )}
+
+      {matrix.targets.length > 0 && (
+        <div className="bg-white rounded-xl border border-stone-200 p-4">
+          <h3 className="font-bold text-stone-700 mb-3">{t('summary.confusion')}</h3>
+          <ConfusionMatrix matrix={matrix} mistakes={mistakes} t={t} naming={naming} />
+          {mistakes.length > 0 ? (
+            <ul className="mt-3 space-y-1 text-sm text-stone-600">
+              {mistakes.map(m => (
+                <li key={`${m.target}|${m.guess}`}>
+                  {m.guess
+                    ? t('summary.mistake', { target: label(m.target), guess: label(m.guess), count: m.count })
+                    : t('summary.unanswered', { target: label(m.target), count: m.count })}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-3 text-sm text-green-700">{t('summary.noMistakes')}</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-2 text-sm">
+        {getMissedNotes(session).length > 0 && (
+          <button
+            onClick={onDrillMistakes}
+            className="flex items-center gap-2 py-1 px-3 rounded-lg border bg-indigo-600 border-indigo-600 text-white font-bold hover:bg-indigo-700"
+          >
+            <Repeat size={14}/> {t('summary.drillMistakes')}
+          </button>
+        )}
+        <button onClick={() => onExport('json')} className="flex items-center gap-2 py-1 px-3 rounded-lg border bg-white border-stone-300 hover:bg-stone-50">
+          <Download size={14}/> {t('start.export.json')}
+        </button>
+        <button onClick={() => onExport('csv')} className="flex items-center gap-2 py-1 px-3 rounded-lg border bg-white border-stone-300 hover:bg-stone-50">
+          <Download size={14}/> {t('start.export.csv')}
+        </button>
+      </div>
+    </div>
+  );
+};
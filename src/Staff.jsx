@@ -0,0 +1,295 @@
+// --- Staff ---
+// The five-line staff a note, phrase or chord is read from, with its clef and
+// key signature. Also shades positions by accuracy for the progress view.
+
+import { CLEFS, getTopLinePosition } from './clefs';
+import { getAccidentalSign, getSignatureGlyphs, spellInKey } from './keySignatures';
+import { parseNote, getStaffPosition, isEnharmonic } from './notes';
+import { formatNoteName } from './noteNames';
+import { KEY_STATE_COLORS, getAccuracyColor } from './answerStates';
+import { AnswerMark } from './AnswerMark.jsx';
+
+const FLAT_PATH = 'M-4,7 C4,2 9,-3 6,-7 C3,-10 -1,-6 -4,-3 L-4,-1 C-1,-4 2,-6 3,-4 C4,-1 0,3 -4,5 Z';
+
+// Accidental signs centred on (0, 0), sized for a 20px line spacing
+const AccidentalGlyph = ({ type, color }) => {
+  if (type === 'doubleSharp') {
+    return (
+      <g stroke={color} strokeWidth="2.5" strokeLinecap="square">
+        <line x1="-5" y1="-5" x2="5" y2="5" />
+        <line x1="-5" y1="5" x2="5" y2="-5" />
+      </g>
+    );
+  }
+  if (type === 'doubleFlat') {
+    // Two flats side by side, nudged in so the pair fits one accidental column
+    return (
+      <g>
+        {[-5, 4].map(dx => (
+          <g key={dx} transform={`translate(${dx}, 0)`}>
+            <line x1="-4" y1="-22" x2="-4" y2="7" stroke={color} strokeWidth="1.5" />
+            <path d={FLAT_PATH} fill={color} />
+          </g>
+        ))}
+      </g>
+    );
+  }
+  if (type === 'sharp') {
+    return (
+      <g stroke={color}>
+        <line x1="-3" y1="-13" x2="-3" y2="15" strokeWidth="1.5" />
+        <line x1="3" y1="-15" x2="3" y2="13" strokeWidth="1.5" />
+        <line x1="-7" y1="-3" x2="7" y2="-7" strokeWidth="3.5" />
+        <line x1="-7" y1="7" x2="7" y2="3" strokeWidth="3.5" />
+      </g>
+    );
+  }
+  if (type === 'flat') {
+    return (
+      <g>
+        <line x1="-4" y1="-22" x2="-4" y2="7" stroke={color} strokeWidth="1.5" />
+        <path d={FLAT_PATH} fill={color} />
+      </g>
+    );
+  }
+  return (
+    <g stroke={color}>
+      <line x1="-4" y1="-15" x2="-4" y2="7" strokeWidth="1.5" />
+      <line x1="4" y1="-7" x2="4" y2="15" strokeWidth="1.5" />
+      <line x1="-4" y1="-2" x2="4" y2="-5" strokeWidth="3.5" />
+      <line x1="-4" y1="5" x2="4" y2="2" strokeWidth="3.5" />
+    </g>
+  );
+};
+
+// Clef glyphs, drawn relative to the y of the clef's reference line
+const ClefGlyph = ({ clef, y }) => {
+  const glyph = CLEFS[clef]?.glyph;
+  if (glyph === 'G') {
+    return (
+      <g transform={`translate(60, ${y - 10}) scale(1.6)`}>
+        <path d="M15.9,34.9C16.6,37.3,18.8,38.5,21.5,38.5C25.4,38.5,28.7,35.6,28.7,30.3C28.7,24.4,24.3,21.1,19.9,21.1C16.9,21.1,15.1,22.6,15.1,22.6C15.1,22.6,15.3,21.7,15.5,21.1C17.6,13.7,25.9,8.7,25.9,4.4C25.9,2.6,24.8,0.7,22.2,0.7C18.6,0.7,17.2,4.8,16.5,8.8C16.1,11.3,15.8,12.7,15.8,12.7L14.7,18.6L14.4,20.3C14.4,20.3,10.6,18.6,8.2,18.6C4.1,18.6,0.7,21.9,0.7,26.4C0.7,31.4,4.9,35.1,9.8,35.1C13.4,35.1,15.4,33.1,15.4,33.1L14.8,36.5C14,40.9,12.1,43.2,9.8,43.2C8.6,43.2,7.7,42.5,7.7,42.5C7.7,42.5,7.5,43.4,7.5,43.7C7.5,45.6,9.5,46.7,11.9,46.7C17.3,46.7,20.6,41.9,21.5,37.6C21.7,36.9,21.8,36.1,21.9,35.7C21.9,35.7,16.8,35.7,15.9,34.9ZM21.3,31.8C19.6,31.8,18.5,30.5,18.5,28.8C18.5,27.1,19.7,25.4,21.6,25.4C23.3,25.4,24.4,26.8,24.4,28.5C24.4,30.4,23.1,31.8,21.3,31.8ZM13.8,30.7C13.8,30.7,11.9,32.3,10,32.3C7.4,32.3,5.4,30.2,5.4,26.9C5.4,23.9,7.6,21.5,10.6,21.5C11.9,21.5,14.2,22.3,14.2,22.3L13.8,30.7ZM21.7,3.5C22.6,3.5,23.1,4.2,23.1,5.1C23.1,8.3,17.3,13.8,16.2,18.4L16.7,15.6C17.5,11.3,19.2,3.5,21.7,3.5Z" 
+              fill="black" transform="translate(-15, -45)"/>
+      </g>
+    );
+  }
+  if (glyph === 'F') {
+    // The dots straddle the F line
+    return (
+      <g transform={`translate(60, ${y - 1.5}) scale(1.5)`}>
+        <path d="M12.6,0.6C8,0.6,3.4,3.2,1.5,7.6C0,11.1,0.6,15,3,17.9C4.9,20.3,8,21.7,11.1,21.7C16.9,21.7,21.6,17,21.6,11.2C21.6,5.4,17.6,0.6,12.6,0.6ZM11.1,18.6C9.1,18.6,7.1,17.7,5.9,16.1C4.3,14.1,4,11.4,5,9.1C6.2,6.3,9.2,4.6,12.2,4.6C15.9,4.6,17.9,8.3,17.9,11.1C17.9,15.3,14.8,18.6,11.1,18.6Z" fill="black" transform="translate(0, -11)" />
+        <circle cx="28" cy="-5" r="2.5" fill="black" />
+        <circle cx="28" cy="7" r="2.5" fill="black" />
+      </g>
+    );
+  }
+  if (glyph === 'C') {
+    // The two bulges meet on the C line
+    return (
+      <g transform={`translate(60, ${y})`}>
+        <rect x="-14" y="-40" width="7" height="80" fill="black" />
+        <rect x="-4" y="-40" width="2.5" height="80" fill="black" />
+        <path d="M-1,0 L4,-10 C8,-3 18,-8 18,-22 C18,-36 6,-42 0,-34" fill="none" stroke="black" strokeWidth="3.5" />
+        <path d="M-1,0 L4,10 C8,3 18,8 18,22 C18,36 6,42 0,34" fill="none" stroke="black" strokeWidth="3.5" />
+      </g>
+    );
+  }
+  return null;
+};
+
+// On a grand staff `clef` picks which stave the notes sit on
+// With `heatmap` ({ [note]: { attempts, correct } }) each staff position is shaded by accuracy
+// With `phrase` the notes are laid out left to right and `cursor` marks the one being read
+// With `chord` the notes share a stem; `chordResult` (see chords.evaluateChordAnswer)
+// colors the tones that were found or missed and adds the wrong ones beside it
+// `naming` is the note naming system (see ./noteNames) for the heatmap's labels
+// `label` is what a screen reader hears for the staff; without one it is skipped
+export const Staff = ({ currentNote, guessedNote, feedbackState, clef, grand = false, keySignature, heatmap, phrase, cursor = 0, phraseId, chord, chordResult, naming = 'english', label }) => {
+  const lineSpacing = 20;
+  const staveGap = 80;
+  const firstTopY = 80;
+  const staves = grand ? ['treble', 'bass'] : [clef];
+  const height = firstTopY * 2 + staves.length * 4 * lineSpacing + (staves.length - 1) * staveGap;
+  const noteStave = Math.max(0, staves.indexOf(clef));
+  const systemX = grand ? 32 : 20;
+  const signatureX = systemX + 92;
+  const signatureSpacing = 14;
+  const signatureCount = getSignatureGlyphs(keySignature, staves[0]).length;
+  const noteSpacing = 60;
+  const firstNoteX = signatureX + signatureCount * signatureSpacing + 44;
+  // Chords leave room on the left for a displaced notehead and stacked accidentals
+  const chordX = firstNoteX + 36;
+  const width = phrase ? Math.max(300, firstNoteX + (phrase.length - 1) * noteSpacing + 40) :
+                chord ? Math.max(300, chordX + 130) : 300;
+  // Push the note right when a long key signature would otherwise crowd it
+  const noteX = phrase ? firstNoteX + cursor * noteSpacing : chord ? chordX : Math.max(width / 2, firstNoteX);
+
+  const getStaveTopY = (index) => firstTopY + index * (4 * lineSpacing + staveGap);
+  
+  const getNoteY = (noteStr, staveIndex = noteStave) => {
+    const staffTopY = getStaveTopY(staveIndex);
+    const absIndex = getStaffPosition(noteStr);
+    if (absIndex === null) return staffTopY + 2 * lineSpacing;
+    
+    const stepsFromTopLine = getTopLinePosition(staves[staveIndex]) - absIndex;
+    return staffTopY + (stepsFromTopLine * (lineSpacing / 2));
+  };
+
+  // Noteheads sharing one stem. A single note is just a chord of one. Each
+  // note's answer state (see getAnswerState) colors it and marks it beside.
+  const renderChordVisuals = (notes, states, keySuffix, x = noteX) => {
+    const heads = notes
+      .map((note, i) => ({ note, state: states[i], color: KEY_STATE_COLORS[states[i]] || 'black', position: getStaffPosition(note), y: getNoteY(note) }))
+      .filter(head => head.position !== null)
+      .sort((a, b) => a.position - b.position);
+    if (!heads.length) return null;
+
+    const staffTopY = getStaveTopY(noteStave);
+    const staffBottomY = staffTopY + (4 * lineSpacing);
+    const staffMiddleY = staffTopY + (2 * lineSpacing);
+    const lowest = heads[0];
+    const highest = heads[heads.length - 1];
+    // The note furthest from the middle line decides the stem direction
+    const stemUp = lowest.y - staffMiddleY >= staffMiddleY - highest.y;
+
+    // Seconds can't share a column: working away from the notehead end of the
+    // stem, a note a step above/below an unmoved one crosses to the other side
+    const fromBase = stemUp ? heads : [...heads].reverse();
+    fromBase.forEach((head, i) => {
+      const prev = fromBase[i - 1];
+      head.displaced = !!prev && !prev.displaced && Math.abs(head.position - prev.position) === 1;
+      head.x = x + (head.displaced ? (stemUp ? 26 : -26) : 0);
+    });
+
+    // Accidentals stack leftwards in columns so close ones don't overlap
+    const leftX = Math.min(...heads.map(h => h.x));
+    const placed = [];
+    [...heads].reverse().forEach(head => {
+      const parsed = parseNote(head.note);
+      head.sign = parsed && getAccidentalSign(parsed.letter, parsed.accidental, keySignature);
+      if (!head.sign) return;
+      let column = 0;
+      while (placed.some(a => a.column === column && a.position - head.position < 6)) column++;
+      placed.push({ column, position: head.position });
+      head.accidentalX = leftX - 32 - column * 18;
+    });
+
+    const ledgers = [];
+    const addLedger = (ly, reach) => {
+      const xs = reach.map(h => h.x);
+      ledgers.push(
+        <line key={`l-${ly}-${keySuffix}`} x1={Math.min(...xs) - 20} y1={ly} x2={Math.max(...xs) + 20} y2={ly}
+              stroke={reach[0].color} strokeWidth="2" opacity="0.5" />
+      );
+    };
+    for (let ly = staffTopY - lineSpacing; ly >= highest.y; ly -= lineSpacing) {
+      addLedger(ly, heads.filter(h => h.y <= ly));
+    }
+    for (let ly = staffBottomY + lineSpacing; ly <= lowest.y; ly += lineSpacing) {
+      addLedger(ly, heads.filter(h => h.y >= ly));
+    }
+
+    const stemColor = heads.every(h => h.color === heads[0].color) ? heads[0].color : 'black';
+
+    return (
+      <g key={keySuffix}>
+        {ledgers}
+        {heads.filter(h => h.sign).map(head => (
+          <g key={`acc-${head.position}`} transform={`translate(${head.accidentalX}, ${head.y})`}>
+            <AccidentalGlyph type={head.sign} color={head.color} />
+          </g>
+        ))}
+        {heads.map(head => (
+          <ellipse key={`head-${head.position}`} cx="0" cy="0" rx="14" ry="10" fill={head.color}
+                   transform={`translate(${head.x}, ${head.y}) rotate(-15)`} />
+        ))}
+        {heads.filter(h => h.state).map(head => (
+          <AnswerMark key={`mark-${head.position}`} state={head.state} x={Math.max(...heads.map(h => h.x)) + 32} y={head.y} size={7} color={head.color} />
+        ))}
+        {stemUp ? (
+          <line x1={x + 13} y1={lowest.y - 2} x2={x + 13} y2={highest.y - 55} stroke={stemColor} strokeWidth="2" />
+        ) : (
+          <line x1={x - 13} y1={highest.y + 2} x2={x - 13} y2={lowest.y + 55} stroke={stemColor} strokeWidth="2" />
+        )}
+      </g>
+    );
+  };
+
+  const renderNoteVisuals = (noteStr, state, keySuffix, x = noteX) =>
+    noteStr ? renderChordVisuals([noteStr], [state], keySuffix, x) : null;
+
+  const systemTopY = getStaveTopY(0);
+  const systemBottomY = getStaveTopY(staves.length - 1) + 4 * lineSpacing;
+
+  return (
+    <div className={`flex justify-center items-center py-4 bg-white rounded-xl shadow-inner border border-stone-200 w-full mx-auto ${phrase ? 'max-w-3xl' : 'max-w-sm'}`}>
+      <svg viewBox={`0 0 ${width} ${height}`} role={label ? 'img' : undefined} aria-label={label || undefined} aria-hidden={!label && !heatmap ? true : undefined} className="w-full h-auto overflow-visible">
+        {heatmap && Object.entries(heatmap).map(([note, stat]) => (
+          <rect key={`heat-${note}`} x={systemX} y={getNoteY(note) - lineSpacing / 4} width={width - 20 - systemX} height={lineSpacing / 2}
+                fill={getAccuracyColor(stat)} opacity="0.6">
+            <title>{`${formatNoteName(note, naming)}: ${Math.round((stat.correct / stat.attempts) * 100)}% (${stat.correct}/${stat.attempts})`}</title>
+          </rect>
+        ))}
+
+        {staves.map((staveClef, index) => {
+          const topY = getStaveTopY(index);
+          return (
+            <g key={`stave-${index}`}>
+              <ClefGlyph clef={staveClef} y={getNoteY(CLEFS[staveClef].referenceNote, index)} />
+
+              {[0, 1, 2, 3, 4].map(i => {
+                 const y = topY + (i * lineSpacing);
+                 return <line key={i} x1={systemX} y1={y} x2={width - 20} y2={y} stroke="#333" strokeWidth="2" />;
+              })}
+
+              {getSignatureGlyphs(keySignature, staveClef).map((glyph, i) => (
+                <g key={`sig-${glyph.note}`} transform={`translate(${signatureX + i * signatureSpacing}, ${getNoteY(glyph.note, index)})`}>
+                  <AccidentalGlyph type={glyph.type} color="black" />
+                </g>
+              ))}
+            </g>
+          );
+        })}
+
+        {grand && (
+          <g>
+            <line x1={systemX} y1={systemTopY} x2={systemX} y2={systemBottomY} stroke="#333" strokeWidth="2" />
+            <path
+              d={`M${systemX - 6},${systemTopY} C${systemX - 22},${systemTopY + 20} ${systemX - 8},${(systemTopY + systemBottomY) / 2 - 20} ${systemX - 20},${(systemTopY + systemBottomY) / 2} C${systemX - 8},${(systemTopY + systemBottomY) / 2 + 20} ${systemX - 22},${systemBottomY - 20} ${systemX - 6},${systemBottomY}`}
+              fill="none" stroke="black" strokeWidth="4" strokeLinecap="round"
+            />
+          </g>
+        )}
+        
+        {phrase ? (
+          <>
+            <rect x={noteX - 24} y={systemTopY - 30} width="48" height={systemBottomY - systemTopY + 60} rx="8" fill="#6366f1" opacity="0.08" />
+            <g key={phraseId} className="phrase-scroll-in">
+              {phrase.map((note, i) => renderNoteVisuals(
+                note,
+                i < cursor || (i === cursor && feedbackState === 'correct') ? 'correct' : null,
+                `phrase-${i}`,
+                firstNoteX + i * noteSpacing,
+              ))}
+            </g>
+          </>
+        ) : chord ? (
+          <>
+            {renderChordVisuals(chord, chord.map(note =>
+              feedbackState === 'correct' || chordResult?.correct.some(n => isEnharmonic(n, note)) ? 'correct' :
+              chordResult?.missing.includes(note) ? 'missing' : null), 'chord')}
+            {chordResult?.wrong.length > 0 && renderChordVisuals(
+              chordResult.wrong.map(n => spellInKey(n, keySignature)),
+              chordResult.wrong.map(() => 'wrong'),
+              'chord-wrong',
+              noteX + 90,
+            )}
+          </>
+        ) : (
+          renderNoteVisuals(currentNote, feedbackState === 'correct' ? 'correct' : null, 'target')
+        )}
+        {feedbackState === 'wrong' && guessedNote && renderNoteVisuals(guessedNote, 'wrong', 'guess')}
+      </svg>
+    </div>
+  );
+};
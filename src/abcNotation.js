@@ -0,0 +1,233 @@
+// --- ABC Import ---
+// Reads the first tune in an ABC file, and its first voice. Lengths, chord
+// symbols, decorations and lyrics don't change which notes are read, so
+// they are skipped without a warning.
+
+import { formatNote, noteToMidi } from './notes';
+import { getKeyAlteration, getKeyByCount } from './keySignatures';
+import { createScoreBuilder } from './score';
+
+// Sharps (+) or flats (-) of each major key's tonic, and how far each mode shifts it
+const TONIC_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+const MODE_FIFTHS = {
+  '': 0, maj: 0, ion: 0, mix: -1, dor: -2, m: -3, min: -3, aeo: -3, phr: -4, loc: -5, lyd: 1,
+};
+
+const ABC_CLEFS = ['treble', 'bass', 'alto', 'tenor'];
+
+const ACCIDENTALS = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 };
+
+// 'K:' values: 'G', 'Bb', 'F#m', 'D dorian', 'Am clef=bass', 'none'.
+// Returns what the field sets ({ keySignature, clef }) and anything it couldn't use.
+export const parseAbcKey = (value) => {
+  const result = { keySignature: null, clef: null, problems: [] };
+  let rest = value.trim();
+
+  const tonic = /^([A-G])([#b]?)\s*([A-Za-z]*)/.exec(rest);
+  if (/^none\b/i.test(rest)) {
+    result.keySignature = 'C';
+    rest = rest.slice(4);
+  } else if (/^H[Pp]\b/.test(rest)) {
+    result.keySignature = 'C';
+    result.problems.push('key');
+    rest = rest.slice(2);
+  } else if (tonic) {
+    const [match, letter, sign, word] = tonic;
+    const mode = word.toLowerCase().slice(0, 3);
+    // A word that isn't a mode belongs to what follows ('G clef=bass')
+    const known = mode in MODE_FIFTHS;
+    const count = TONIC_FIFTHS[letter] + (sign === '#' ? 7 : sign === 'b' ? -7 : 0) + (known ? MODE_FIFTHS[mode] : 0);
+    result.keySignature = getKeyByCount(count);
+    if (!result.keySignature) {
+      result.keySignature = 'C';
+      result.problems.push('key');
+    }
+    rest = rest.slice(known ? match.length : match.length - word.length);
+  }
+
+  rest.split(/\s+/).filter(Boolean).forEach(token => {
+    const [name, setting] = token.includes('=') ? token.split('=') : [null, token];
+    if (name === null && /^[_^=]/.test(setting)) {
+      result.problems.push('key');
+    } else if (name === null || name === 'clef') {
+      const clef = /^([a-z]+)([+-]8)?$/.exec(setting);
+      if (clef && ABC_CLEFS.includes(clef[1])) {
+        result.clef = clef[1];
+        if (clef[2]) result.problems.push('clefOctave');
+      } else if (name === 'clef' || /^(bass|alto|tenor|treble|perc)/.test(setting)) {
+        result.clef = 'treble';
+        result.problems.push('clef');
+      }
+    } else if (name === 'octave' || name === 'transpose') {
+      result.problems.push('transpose');
+    }
+  });
+  return result;
+};
+
+export const parseAbc = (text) => {
+  const score = createScoreBuilder();
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/(^|[^\\])%.*$/, '$1'));
+
+  let title = null;
+  let keySignature = 'C';
+  let clef = 'treble';
+  let inTune = false;
+  let inBody = false;
+  let voice = null;
+  let inVoice = true;
+  let overlay = false;
+  // Explicit accidentals last to the end of the bar, per letter and octave
+  let barAccidentals = {};
+  let tiedMidi = null;
+  let tupletNotes = 0;
+
+  const applyKeyField = (value) => {
+    const key = parseAbcKey(value);
+    key.problems.forEach(code => score.warn(code));
+    if (!inVoice) return;
+    if (key.keySignature) keySignature = key.keySignature;
+    if (key.clef) clef = key.clef;
+  };
+
+  // In the header V: only declares a voice; in the tune it switches to one
+  const applyVoiceField = (value, { declare = false } = {}) => {
+    const [id, ...settings] = value.trim().split(/\s+/);
+    voice ??= id;
+    const wasInVoice = inVoice;
+    inVoice = id === voice;
+    if (settings.length) applyKeyField(settings.join(' '));
+    if (declare) inVoice = wasInVoice;
+  };
+
+  const applyField = (field, value) => {
+    if (field === 'K') applyKeyField(value);
+    else if (field === 'V') applyVoiceField(value);
+  };
+
+  const addNote = ({ letter, octave, accidental }, tie) => {
+    // Music before any V: line is voice 1, so a later V:2 is an extra voice
+    voice ??= '1';
+    if (!inVoice || overlay) {
+      score.warn('voices');
+      return;
+    }
+    const id = `${letter}${octave}`;
+    if (accidental !== null) barAccidentals[id] = accidental;
+    const note = formatNote({ letter, octave, accidental: barAccidentals[id] ?? getKeyAlteration(letter, keySignature) });
+    if (tupletNotes > 0) {
+      tupletNotes--;
+      score.warn('tuplets');
+    }
+    // The second half of a tie is the same note held on, not a new one to read
+    const midi = noteToMidi(note);
+    const continues = tiedMidi === midi;
+    tiedMidi = tie ? midi : null;
+    if (!continues) score.addNote(note, clef, keySignature);
+  };
+
+  // One note at `i`: accidental, letter, octave marks and length. Returns
+  // the parsed pitch and the index after it, or null if there is no note here.
+  const readNote = (line, i) => {
+    const match = /^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)([\d/]*)(-?)/.exec(line.slice(i));
+    if (!match) return null;
+    const [whole, sign, letter, marks, , tie] = match;
+    const octave = (letter === letter.toUpperCase() ? 4 : 5) +
+      [...marks].reduce((sum, mark) => sum + (mark === ',' ? -1 : 1), 0);
+    return {
+      letter: letter.toUpperCase(),
+      octave,
+      accidental: sign === undefined ? null : ACCIDENTALS[sign],
+      tie: tie === '-',
+      end: i + whole.length,
+    };
+  };
+
+  const readMusic = (line) => {
+    let i = 0;
+    while (i < line.length) {
+      const c = line[i];
+      const next = line[i + 1];
+
+      if (c === '"' || c === '!' || c === '+') {
+        // Chord symbols, annotations and decorations
+        const close = line.indexOf(c, i + 1);
+        i = close === -1 ? line.length : close + 1;
+      } else if (c === '{') {
+        const close = line.indexOf('}', i);
+        const grace = line.slice(i, close === -1 ? line.length : close);
+        score.warn('grace', (grace.match(/[A-Ga-g]/g) || []).length);
+        i = close === -1 ? line.length : close + 1;
+      } else if (c === '[' && /[A-Za-z]/.test(next) && line[i + 2] === ':') {
+        const close = line.indexOf(']', i);
+        applyField(next, line.slice(i + 3, close === -1 ? line.length : close));
+        i = close === -1 ? line.length : close + 1;
+      } else if (c === '[' && /[\^_=A-Ga-g]/.test(next)) {
+        // A chord: the first note written is read, the rest are skipped
+        const end = line.indexOf(']', i) === -1 ? line.length : line.indexOf(']', i);
+        const notes = [];
+        for (let j = i + 1; j < end;) {
+          const note = readNote(line, j);
+          if (note) notes.push(note);
+          j = note ? note.end : j + 1;
+        }
+        i = end + 1;
+        const tie = line[i] === '-';
+        if (tie) i++;
+        if (notes.length) addNote(notes[0], tie || notes[0].tie);
+        if (notes.length > 1) score.warn('chords', notes.length - 1);
+      } else if (c === '|' || c === ':' || (c === '[' && next === '|')) {
+        // A repeat ends at ':|' or '::'; the music is read once through
+        const repeatEnd = c === ':' && (next === '|' || next === ':');
+        if (repeatEnd) score.warn('repeats');
+        barAccidentals = {};
+        overlay = false;
+        i += repeatEnd ? 2 : 1;
+      } else if (c === '&') {
+        overlay = true;
+        i++;
+      } else if (c === '(' && /\d/.test(next)) {
+        // '(3', or '(p:q:r' where r notes make up the tuplet
+        const tuplet = /^\((\d+)(?::(\d*))?(?::(\d*))?/.exec(line.slice(i));
+        tupletNotes = Number(tuplet[3]) || Number(tuplet[1]);
+        i += tuplet[0].length;
+      } else if (/[zZxX]/.test(c)) {
+        const rest = /^[zZxX][\d/]*/.exec(line.slice(i));
+        i += rest[0].length;
+      } else {
+        const note = readNote(line, i);
+        if (note) addNote(note, note.tie);
+        i = note ? note.end : i + 1;
+      }
+    }
+  };
+
+  for (const line of lines) {
+    const field = /^([A-Za-z]):(.*)$/.exec(line);
+    if (field && field[1] === 'X') {
+      if (inTune) break;
+      inTune = true;
+      continue;
+    }
+    if (field && field[1] === 'T' && !inBody && title === null) {
+      title = field[2];
+    } else if (field && field[1] === 'K' && !inBody) {
+      applyKeyField(field[2]);
+      inBody = true;
+    } else if (field) {
+      if (inBody) applyField(field[1], field[2]);
+      else if (field[1] === 'V') applyVoiceField(field[2], { declare: true });
+    } else if (inBody && line.trim()) {
+      readMusic(line);
+    } else if (!inTune && line.trim() && !inBody) {
+      // A fragment with no header is read as music in C
+      inBody = true;
+      readMusic(line);
+    }
+  }
+  // Count the tunes left unread
+  const remaining = lines.filter(line => /^X:/.test(line)).length - 1;
+  if (remaining > 0) score.warn('tunes', remaining);
+
+  return score.build(title);
+};
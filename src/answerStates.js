@@ -0,0 +1,31 @@
+// --- Answer States ---
+// How the answer surfaces (./Piano, ./Fretboard) and the staff show an answer:
+// each pitch is 'pressed', 'correct', 'wrong' or 'missing' (a chord tone not
+// played), or plain. ./AnswerMark draws the shape that goes with each color.
+
+import { noteToMidi, isEnharmonic } from './notes';
+
+// Answer colors: a chord answer's key states (see Piano's `keyStates`), also
+// used for single notes on the staff and the answer surfaces
+export const KEY_STATE_COLORS = {
+  pressed: '#818cf8',
+  correct: '#22c55e',
+  wrong:   '#ef4444',
+  missing: '#f59e0b',
+};
+
+// Red at 0% through amber to green at 100%
+export const getAccuracyColor = (stat) => `hsl(${Math.round((stat.correct / stat.attempts) * 120)}, 70%, 55%)`;
+
+// How an answer surface (Piano, Fretboard) marks a pitch: its chord state
+// while a chord is answered, otherwise 'correct' for the right note and
+// 'wrong' for a wrong guess; null leaves it plain. Colors come from
+// KEY_STATE_COLORS and shapes from AnswerMark.
+export const getAnswerState = (note, { keyStates, currentNote, lastGuessedNote, feedbackState }) => {
+  if (keyStates) return keyStates[noteToMidi(note)] || null;
+  if (feedbackState === 'correct' && isEnharmonic(currentNote, note)) return 'correct';
+  if (feedbackState === 'wrong' && isEnharmonic(lastGuessedNote, note)) return 'wrong';
+  // After a wrong guess the right note shows too
+  if (feedbackState === 'wrong' && isEnharmonic(currentNote, note)) return 'correct';
+  return null;
+};
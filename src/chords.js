@@ -0,0 +1,133 @@
+// --- Intervals & Chords ---
+// Chords are generated as stacks of staff positions (thirds above a root,
+// then inverted) and spelled by the key, so their quality follows the key
+// the way it does in real music: in C, D-F-A comes out minor.
+
+import { LETTERS, parseNote, noteToMidi, isEnharmonic } from './notes';
+import { INTERVAL_NAMES } from './melody';
+
+export const CHORD_CATEGORIES = {
+  intervals: {},
+  triads:    {},
+  sevenths:  {},
+};
+
+export const CHORD_ANSWER_MODES = {
+  keys: {},
+  name: {},
+};
+
+// How long after the first key press the rest of the chord may arrive
+export const CHORD_WINDOW_MS = 2000;
+
+const TRIAD_QUALITIES = {
+  '4,7': 'major',
+  '3,7': 'minor',
+  '3,6': 'diminished',
+  '4,8': 'augmented',
+};
+
+const SEVENTH_QUALITIES = {
+  '4,7,11': 'major 7th',
+  '4,7,10': 'dominant 7th',
+  '3,7,10': 'minor 7th',
+  '3,6,10': 'half-diminished 7th',
+  '3,6,9':  'diminished 7th',
+  '3,7,11': 'minor-major 7th',
+  '4,8,11': 'augmented major 7th',
+};
+
+// Semitones in the major/perfect version of each interval number (index = steps)
+const INTERVAL_BASES = [0, 2, 4, 5, 7, 9, 11];
+const PERFECT_STEPS = [0, 3, 4];
+
+export const NAME_CHOICES = {
+  intervals: [
+    'minor 2nd', 'major 2nd', 'minor 3rd', 'major 3rd', 'perfect 4th', 'augmented 4th',
+    'diminished 5th', 'perfect 5th', 'minor 6th', 'major 6th', 'minor 7th', 'major 7th', 'perfect octave',
+  ],
+  triads: Object.values(TRIAD_QUALITIES),
+  sevenths: Object.values(SEVENTH_QUALITIES),
+};
+
+const mod = (n, m) => ((n % m) + m) % m;
+const letterIndex = (parsed) => LETTERS.indexOf(parsed.letter);
+
+// Staff positions, lowest first
+export const generateChord = ({ category, minPosition, maxPosition, inversions = true, rng = Math.random }) => {
+  if (category === 'intervals') {
+    const size = Math.min(7, maxPosition - minPosition, 1 + Math.floor(rng() * 7));
+    const low = minPosition + Math.floor(rng() * (maxPosition - minPosition - size + 1));
+    return [low, low + size];
+  }
+
+  const stack = category === 'sevenths' ? [0, 2, 4, 6] : [0, 2, 4];
+  const inversion = inversions ? Math.floor(rng() * stack.length) : 0;
+  // Invert by lifting the lowest members an octave
+  const shape = stack.map((step, i) => (i < inversion ? step + 7 : step)).sort((a, b) => a - b);
+  const height = shape[shape.length - 1] - shape[0];
+  const bass = minPosition + Math.floor(rng() * Math.max(1, maxPosition - minPosition - height + 1));
+  return shape.map(step => bass + step - shape[0]);
+};
+
+// 'minor 3rd', 'perfect 5th', 'augmented 4th', ... (compound intervals are reduced)
+export const nameInterval = (lowNote, highNote) => {
+  const low = parseNote(lowNote);
+  const high = parseNote(highNote);
+  if (!low || !high) return null;
+  const steps = (high.octave * 7 + letterIndex(high)) - (low.octave * 7 + letterIndex(low));
+  const semitones = noteToMidi(high) - noteToMidi(low);
+  if (steps === 7 && semitones === 12) return 'perfect octave';
+
+  const simple = mod(steps, 7);
+  const diff = mod(semitones, 12) - INTERVAL_BASES[simple];
+  const number = simple === 0 ? 'unison' : INTERVAL_NAMES[simple];
+  if (PERFECT_STEPS.includes(simple)) {
+    const quality = { '-1': 'diminished', '0': 'perfect', '1': 'augmented' }[diff];
+    return quality ? `${quality} ${number}` : null;
+  }
+  const quality = { '-2': 'diminished', '-1': 'minor', '0': 'major', '1': 'augmented' }[diff];
+  return quality ? `${quality} ${number}` : null;
+};
+
+// { kind, name, inversion } for an interval, triad or seventh chord stacked in thirds
+export const identifyChord = (notes) => {
+  const parsed = notes.map(parseNote).filter(Boolean)
+    .sort((a, b) => noteToMidi(a) - noteToMidi(b));
+  if (parsed.length !== notes.length || parsed.length < 2) return null;
+
+  if (parsed.length === 2) {
+    const [low, high] = notes.slice().sort((a, b) => noteToMidi(a) - noteToMidi(b));
+    return { kind: 'interval', name: nameInterval(low, high), inversion: 0 };
+  }
+
+  const degreesNeeded = parsed.length === 3 ? [0, 2, 4] : [0, 2, 4, 6];
+  for (const root of parsed) {
+    const degreeOf = (n) => mod(letterIndex(n) - letterIndex(root), 7);
+    const degrees = parsed.map(degreeOf);
+    if (!degreesNeeded.every(d => degrees.includes(d)) || new Set(degrees).size !== parsed.length) continue;
+
+    const semitonesAbove = (degree) => {
+      const member = parsed[degrees.indexOf(degree)];
+      return mod(noteToMidi(member) - noteToMidi(root), 12);
+    };
+    const signature = degreesNeeded.slice(1).map(semitonesAbove).join(',');
+    const quality = parsed.length === 3 ? TRIAD_QUALITIES[signature] : SEVENTH_QUALITIES[signature];
+    if (!quality) return null;
+    return {
+      kind: parsed.length === 3 ? 'triad' : 'seventh',
+      name: quality,
+      inversion: degreesNeeded.indexOf(degrees[0]),
+    };
+  }
+  return null;
+};
+
+// Compare pressed keys to the chord by pitch, octave included
+export const evaluateChordAnswer = (target, pressed) => {
+  const targetMidis = target.map(noteToMidi);
+  const correct = pressed.filter(n => targetMidis.includes(noteToMidi(n)));
+  const wrong = pressed.filter(n => !targetMidis.includes(noteToMidi(n)));
+  const missing = target.filter(n => !pressed.some(p => isEnharmonic(p, n)));
+  return { correct, wrong, missing, complete: wrong.length === 0 && missing.length === 0 };
+};
@@ -0,0 +1,90 @@
+// --- Clefs ---
+// Each clef names the line its glyph marks (counted 1-5 from the bottom) and
+// the note on it; everything else about placement is derived from that.
+
+import { getStaffPosition } from './notes';
+
+export const CLEFS = {
+  treble: {
+    glyph: 'G',
+    referenceNote: 'G4',
+    referenceLine: 2,
+    range: { min: 'C4', max: 'A5' },
+    signature: {
+      sharp: ['F5', 'C5', 'G5', 'D5', 'A4', 'E5', 'B4'],
+      flat:  ['B4', 'E5', 'A4', 'D5', 'G4', 'C5', 'F4'],
+    },
+  },
+  bass: {
+    glyph: 'F',
+    referenceNote: 'F3',
+    referenceLine: 4,
+    range: { min: 'E2', max: 'E4' },
+    signature: {
+      sharp: ['F3', 'C3', 'G3', 'D3', 'A2', 'E3', 'B2'],
+      flat:  ['B2', 'E3', 'A2', 'D3', 'G2', 'C3', 'F2'],
+    },
+  },
+  alto: {
+    glyph: 'C',
+    referenceNote: 'C4',
+    referenceLine: 3,
+    range: { min: 'D3', max: 'B4' },
+    signature: {
+      sharp: ['F4', 'C4', 'G4', 'D4', 'A3', 'E4', 'B3'],
+      flat:  ['B3', 'E4', 'A3', 'D4', 'G3', 'C4', 'F3'],
+    },
+  },
+  tenor: {
+    glyph: 'C',
+    referenceNote: 'C4',
+    referenceLine: 4,
+    range: { min: 'B2', max: 'G4' },
+    // Tenor sharps dip down at F and G to stay off ledger lines
+    signature: {
+      sharp: ['F3', 'C4', 'G3', 'D4', 'A3', 'E4', 'B3'],
+      flat:  ['B3', 'E4', 'A3', 'D4', 'G3', 'C4', 'F3'],
+    },
+  },
+};
+
+// Staff position (see notes.getStaffPosition) of the top line
+export const getTopLinePosition = (clefId) => {
+  const clef = CLEFS[clefId];
+  if (!clef) return null;
+  return getStaffPosition(clef.referenceNote) + (5 - clef.referenceLine) * 2;
+};
+
+// Where a note sits, the way a teacher would say it without naming it, e.g.
+// for screen readers. On the staff, lines count 1-5 and spaces 1-4 from the
+// bottom. Off it, `side` is 'above' or 'below' and `number` counts ledger
+// lines outward; a space gets the number of the ledger line it lies past
+// (0 for the one touching the staff).
+// ('E4', 'treble') -> { kind: 'line', number: 1, side: null }
+// ('B5', 'treble') -> { kind: 'space', number: 1, side: 'above' }
+export const getStaffPlace = (note, clefId) => {
+  const position = getStaffPosition(note);
+  const topLine = getTopLinePosition(clefId);
+  if (position === null || topLine === null) return null;
+  const step = position - (topLine - 8);
+  if (step >= 0 && step <= 8) {
+    return step % 2 === 0 ? { kind: 'line', number: step / 2 + 1, side: null } : { kind: 'space', number: (step + 1) / 2, side: null };
+  }
+  const side = step < 0 ? 'below' : 'above';
+  const distance = step < 0 ? -step : step - 8;
+  return distance % 2 === 0 ? { kind: 'ledger', number: distance / 2, side } : { kind: 'space', number: (distance - 1) / 2, side };
+};
+
+// Lowest and highest note across several { min, max } ranges, e.g. for sizing the piano
+export const getOverallRange = (ranges) => {
+  const byPosition = (a, b) => getStaffPosition(a) - getStaffPosition(b);
+  return {
+    min: ranges.map(r => r.min).sort(byPosition)[0],
+    max: ranges.map(r => r.max).sort(byPosition).at(-1),
+  };
+};
+
+// The clef whose glyph ('G', 'F' or 'C') sits on `line`, as files describe
+// clefs (MusicXML <sign>/<line>); null for ones we can't draw
+export const findClef = (glyph, line) =>
+  Object.keys(CLEFS).find(id => CLEFS[id].glyph === glyph && CLEFS[id].referenceLine === line) || null;
@@ -0,0 +1,173 @@
+// --- Curriculum ---
+// Lessons are plain data so teachers can write their own as JSON:
+//   { id, name?, levels: [{ id, name?, description?, clef, keySignature?,
+//                           notes | range (+ positions), pass?, requires? }] }
+// `notes` lists the staff notes to read ('C4', 'G4'). `range` ({ min, max })
+// takes every position between, and `positions: 'lines' | 'spaces'` keeps
+// only the ones on lines or in spaces. A level passes when, of its last
+// `pass.attempts` answers, at least `pass.accuracy` were right within
+// `pass.maxResponseMs`. `requires` lists the level ids that unlock it;
+// left out, a level waits for the one before it.
+
+import { parseNote, getStaffPosition, staffPositionToNote } from './notes';
+import { CLEFS, getTopLinePosition } from './clefs';
+import { KEY_SIGNATURES } from './keySignatures';
+import { itemKey } from './selection';
+
+export const DEFAULT_PASS = { attempts: 30, accuracy: 0.9, maxResponseMs: 2000 };
+
+const LEVEL_POSITIONS = ['all', 'lines', 'spaces'];
+
+const CORE_LEVELS = [
+  { id: 'treble-landmarks', clef: 'treble', notes: ['C4', 'G4', 'C5'], pass: { attempts: 20 } },
+  { id: 'treble-lines', clef: 'treble', range: { min: 'E4', max: 'F5' }, positions: 'lines' },
+  { id: 'treble-spaces', clef: 'treble', range: { min: 'F4', max: 'E5' }, positions: 'spaces' },
+  { id: 'treble-neighbors', clef: 'treble', notes: ['B3', 'C4', 'D4', 'F4', 'G4', 'A4', 'B4', 'C5', 'D5'] },
+  { id: 'treble-ledger', clef: 'treble', range: { min: 'A3', max: 'C6' } },
+  // The bass track opens alongside the treble one
+  { id: 'bass-landmarks', clef: 'bass', notes: ['C4', 'F3', 'C3'], pass: { attempts: 20 }, requires: [] },
+  { id: 'bass-lines', clef: 'bass', range: { min: 'G2', max: 'A3' }, positions: 'lines' },
+  { id: 'bass-spaces', clef: 'bass', range: { min: 'A2', max: 'G3' }, positions: 'spaces' },
+  { id: 'bass-neighbors', clef: 'bass', notes: ['B2', 'C3', 'D3', 'E3', 'F3', 'G3', 'B3', 'C4', 'D4'] },
+  { id: 'bass-ledger', clef: 'bass', range: { min: 'C2', max: 'E4' } },
+];
+
+const isStaffNote = (note) => {
+  const parsed = parseNote(note);
+  return !!parsed && parsed.accidental === 0;
+};
+
+// Checks a curriculum (e.g. parsed from a teacher's JSON file) and fills in
+// defaults. Throws an Error describing the first problem found.
+export const normalizeCurriculum = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.levels) || !data.levels.length) {
+    throw new Error('A curriculum needs a non-empty "levels" list.');
+  }
+  const ids = new Set();
+
+  const normalizePool = (level, where) => {
+    if (!CLEFS[level.clef]) throw new Error(`${where}: unknown clef "${level.clef}".`);
+    if (level.notes !== undefined) {
+      if (!Array.isArray(level.notes) || !level.notes.length || !level.notes.every(isStaffNote)) {
+        throw new Error(`${where}: "notes" must list natural notes like "C4".`);
+      }
+      return { clef: level.clef, notes: level.notes };
+    }
+    if (!level.range || !isStaffNote(level.range.min) || !isStaffNote(level.range.max) ||
+        getStaffPosition(level.range.min) > getStaffPosition(level.range.max)) {
+      throw new Error(`${where}: needs "notes" or a "range" from a lower "min" to a higher "max".`);
+    }
+    const positions = level.positions || 'all';
+    if (!LEVEL_POSITIONS.includes(positions)) {
+      throw new Error(`${where}: "positions" must be one of ${LEVEL_POSITIONS.join(', ')}.`);
+    }
+    return { clef: level.clef, range: level.range, positions };
+  };
+
+  const levels = data.levels.map((level, i) => {
+    const where = `Level ${i + 1}`;
+    if (!level || typeof level.id !== 'string' || !level.id) throw new Error(`${where}: needs an "id".`);
+    if (ids.has(level.id)) throw new Error(`${where}: the id "${level.id}" is used twice.`);
+    ids.add(level.id);
+    const keySignature = level.keySignature || 'C';
+    if (!KEY_SIGNATURES[keySignature]) throw new Error(`${where}: unknown key signature "${keySignature}".`);
+    const pass = { ...DEFAULT_PASS, ...level.pass };
+    if (!(pass.attempts >= 1) || !(pass.accuracy > 0 && pass.accuracy <= 1) || !(pass.maxResponseMs > 0)) {
+      throw new Error(`${where}: "pass" needs attempts of at least 1, an accuracy from 0 to 1 and a positive maxResponseMs.`);
+    }
+    if (level.requires !== undefined && !Array.isArray(level.requires)) {
+      throw new Error(`${where}: "requires" must be a list of level ids.`);
+    }
+    return {
+      ...normalizePool(level, where),
+      id: level.id,
+      name: level.name || null,
+      description: level.description || null,
+      keySignature,
+      pass,
+      requires: level.requires ?? (i > 0 ? [data.levels[i - 1].id] : []),
+    };
+  });
+
+  levels.forEach((level, i) => level.requires.forEach(id => {
+    if (!ids.has(id)) throw new Error(`Level ${i + 1}: requires unknown level "${id}".`);
+  }));
+
+  return { id: String(data.id || 'custom'), name: data.name || null, levels };
+};
+
+// Names and descriptions of these levels live in the locale catalogs
+// ('level.treble-landmarks.name'); teacher-written levels bring their own.
+export const DEFAULT_CURRICULUM = normalizeCurriculum({ id: 'core', levels: CORE_LEVELS });
+
+export const parseCurriculum = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  return normalizeCurriculum(data);
+};
+
+// Every note a level can show, in the { key, clef, note } form ./selection picks from
+export const getLevelPool = (level) => {
+  if (level.notes) return level.notes.map(note => ({ key: itemKey(level.clef, note), clef: level.clef, note }));
+  const topLine = getTopLinePosition(level.clef);
+  const items = [];
+  for (let pos = getStaffPosition(level.range.min); pos <= getStaffPosition(level.range.max); pos++) {
+    const onLine = (topLine - pos) % 2 === 0;
+    if (level.positions === 'lines' && !onLine) continue;
+    if (level.positions === 'spaces' && onLine) continue;
+    const note = staffPositionToNote(pos);
+    items.push({ key: itemKey(level.clef, note), clef: level.clef, note });
+  }
+  return items;
+};
+
+// Lowest and highest note a level shows, e.g. for sizing the piano
+export const getLevelRange = (level) => {
+  if (level.range) return level.range;
+  const sorted = [...level.notes].sort((a, b) => getStaffPosition(a) - getStaffPosition(b));
+  return { min: sorted[0], max: sorted.at(-1) };
+};
+
+// Progress keeps passed levels under '<curriculum id>/<level id>'
+export const getLevelKey = (curriculum, level) => `${curriculum.id}/${level.id}`;
+
+// Attempts from every session practicing this level, oldest first
+export const getLevelAttempts = (sessions, levelKey) =>
+  sessions.filter(s => s.level === levelKey).flatMap(s => s.attempts);
+
+// How the last `pass.attempts` answers measure up. An answer only counts
+// when it is right and fast enough.
+export const evaluateLevel = (attempts, pass) => {
+  const recent = attempts.slice(-pass.attempts);
+  const counted = recent.filter(a => a.correct && a.responseMs !== null && a.responseMs <= pass.maxResponseMs).length;
+  return {
+    attempts: recent.length,
+    counted,
+    accuracy: recent.length ? counted / recent.length : 0,
+    passed: recent.length >= pass.attempts && counted / recent.length >= pass.accuracy,
+  };
+};
+
+// 'passed', 'open' or 'locked' for each level id
+export const getLevelStates = (curriculum, passedLevels = {}) => {
+  const passed = new Set(curriculum.levels.filter(l => passedLevels[getLevelKey(curriculum, l)]).map(l => l.id));
+  return Object.fromEntries(curriculum.levels.map(level => [
+    level.id,
+    passed.has(level.id) ? 'passed' : level.requires.every(id => passed.has(id)) ? 'open' : 'locked',
+  ]));
+};
+
+// Percentages and seconds for a level's pass criteria, as the catalogs word them
+export const getPassParams = (pass) => ({
+  count: pass.attempts,
+  percent: Math.round(pass.accuracy * 100),
+  seconds: pass.maxResponseMs / 1000,
+});
+
+// Built-in levels are named in the catalogs; a teacher's levels name themselves or go by id
+export const getLevelText = (level, field, builtIn, t) =>
+  level[field] || (builtIn ? t(`level.${level.id}.${field}`) : field === 'name' ? level.id : '');
@@ -0,0 +1,128 @@
+// --- Shareable Drills ---
+// A drill configuration pins down everything a teacher needs to assign the
+// same practice to a class. It travels as a URL query string, e.g.
+//   ?drill=1&ex=single&clef=TREBLE&min=E4&max=F5&key=G&type=set&len=20&seed=42
+// `inst` (a transposing instrument, see ./instruments) is left out for concert pitch.
+// Melody, chord and ear exercises add their own settings (see EXERCISE_SETTINGS).
+// `drill` is the format version; bump DRILL_CONFIG_VERSION and teach
+// decodeDrillConfig the old layout if a parameter changes meaning.
+
+import { parseNote, getStaffPosition } from './notes';
+import { KEY_SIGNATURES } from './keySignatures';
+import { DRILL_TYPES } from './drills';
+import { SELECTION_STRATEGIES } from './selection';
+import { INSTRUMENTS } from './instruments';
+import { MELODY_MOTIONS, INTERVAL_NAMES, PHRASE_LENGTHS } from './melody';
+import { CHORD_CATEGORIES, CHORD_ANSWER_MODES } from './chords';
+import { EAR_RANGES, INTERVAL_SETS, INTERVAL_STYLES, REFERENCE_TONES } from './earTraining';
+
+export const DRILL_CONFIG_VERSION = 1;
+
+const MAX_DRILL_LENGTH = 1000;
+
+// The settings each exercise reads besides the ones every drill has, with
+// the values a link falls back to when it leaves one out
+export const EXERCISE_SETTINGS = {
+  melody:      { phraseLength: 8, motion: 'stepwise', maxInterval: 4 },
+  chord:       { chordCategory: 'triads', inversions: true, chordAnswer: 'keys' },
+  earNote:     { earRange: 'octave', referenceTone: REFERENCE_TONES[0] },
+  earInterval: { earRange: 'octave', intervalSet: 'basic', intervalStyle: 'ascending' },
+};
+
+// How each of those travels: its parameter, how it reads back and what it may be
+const SETTING_PARAMS = {
+  phraseLength:  { param: 'notes', label: 'phrase length', read: Number, valid: (n) => PHRASE_LENGTHS.includes(n) },
+  motion:        { param: 'motion', label: 'motion', valid: (id) => !!MELODY_MOTIONS[id] },
+  maxInterval:   { param: 'leap', label: 'largest interval', read: Number, valid: (n) => Number.isInteger(n) && n >= 1 && n < INTERVAL_NAMES.length },
+  chordCategory: { param: 'stack', label: 'chord stack', valid: (id) => !!CHORD_CATEGORIES[id] },
+  inversions:    { param: 'inv', label: 'inversions', read: (v) => ({ 0: false, 1: true })[v], write: (on) => (on ? '1' : '0'), valid: (on) => typeof on === 'boolean' },
+  chordAnswer:   { param: 'ans', label: 'chord answer', valid: (id) => !!CHORD_ANSWER_MODES[id] },
+  earRange:      { param: 'ear', label: 'ear range', valid: (id) => !!EAR_RANGES[id] },
+  referenceTone: { param: 'ref', label: 'reference tone', valid: (note) => REFERENCE_TONES.includes(note) },
+  intervalSet:   { param: 'ivl', label: 'interval set', valid: (id) => !!INTERVAL_SETS[id] },
+  intervalStyle: { param: 'play', label: 'interval style', valid: (id) => !!INTERVAL_STYLES[id] },
+};
+
+// { version, exercise, clefMode, range: { min, max } | null, keySignature,
+//   accidentals, instrument, drill, length, selection, seed }, plus the
+// exercise's own settings
+export const encodeDrillConfig = (config) => {
+  const params = new URLSearchParams({
+    drill: String(DRILL_CONFIG_VERSION),
+    ex: config.exercise,
+    clef: config.clefMode,
+  });
+  if (config.range) {
+    params.set('min', config.range.min);
+    params.set('max', config.range.max);
+  }
+  params.set('key', config.keySignature);
+  if (config.accidentals) params.set('acc', '1');
+  if (config.instrument && config.instrument !== 'concert') params.set('inst', config.instrument);
+  params.set('type', config.drill);
+  params.set('len', String(config.length));
+  params.set('sel', config.selection);
+  params.set('seed', String(config.seed));
+  Object.keys(EXERCISE_SETTINGS[config.exercise] || {}).forEach(name => {
+    const { param, write = String } = SETTING_PARAMS[name];
+    params.set(param, write(config[name]));
+  });
+  return params.toString();
+};
+
+const isStaffNote = (note) => parseNote(note)?.accidental === 0;
+
+// The drill in a query string, or null when there is none. `exercises` and
+// `clefModes` list the ids the app accepts. Throws an Error naming the first
+// parameter that doesn't check out.
+export const decodeDrillConfig = (query, { exercises, clefModes }) => {
+  const params = new URLSearchParams(query);
+  if (!params.has('drill')) return null;
+
+  const version = Number(params.get('drill'));
+  if (version !== DRILL_CONFIG_VERSION) throw new Error(`Unsupported drill version "${params.get('drill')}".`);
+
+  const config = {
+    version,
+    exercise: params.get('ex') || 'single',
+    clefMode: params.get('clef') || 'TREBLE',
+    range: null,
+    keySignature: params.get('key') || 'C',
+    accidentals: params.get('acc') === '1',
+    instrument: params.get('inst') || 'concert',
+    drill: params.get('type') || 'free',
+    length: Number(params.get('len') || DRILL_TYPES.set.lengths[1]),
+    selection: params.get('sel') || 'uniform',
+    seed: Number(params.get('seed')),
+  };
+
+  if (!exercises.includes(config.exercise)) throw new Error(`Unknown exercise "${config.exercise}".`);
+  if (!clefModes.includes(config.clefMode)) throw new Error(`Unknown clef "${config.clefMode}".`);
+  if (params.has('min') || params.has('max')) {
+    const range = { min: params.get('min'), max: params.get('max') };
+    if (!isStaffNote(range.min) || !isStaffNote(range.max) || getStaffPosition(range.min) > getStaffPosition(range.max)) {
+      throw new Error(`Bad range "${range.min}" to "${range.max}".`);
+    }
+    config.range = range;
+  }
+  if (!KEY_SIGNATURES[config.keySignature]) throw new Error(`Unknown key "${config.keySignature}".`);
+  if (!INSTRUMENTS[config.instrument]) throw new Error(`Unknown instrument "${config.instrument}".`);
+  if (!DRILL_TYPES[config.drill]) throw new Error(`Unknown drill "${config.drill}".`);
+  if (!Number.isInteger(config.length) || config.length < 1 || config.length > MAX_DRILL_LENGTH) {
+    throw new Error(`Bad length "${params.get('len')}".`);
+  }
+  if (!SELECTION_STRATEGIES[config.selection]) throw new Error(`Unknown selection "${config.selection}".`);
+  if (!params.has('seed') || !Number.isInteger(config.seed) || config.seed < 0 || config.seed > 0xffffffff) {
+    throw new Error(`Bad seed "${params.get('seed')}".`);
+  }
+  Object.entries(EXERCISE_SETTINGS[config.exercise] || {}).forEach(([name, fallback]) => {
+    const { param, label, read = (v) => v, valid } = SETTING_PARAMS[name];
+    const value = params.has(param) ? read(params.get(param)) : fallback;
+    if (!valid(value)) throw new Error(`Bad ${label} "${params.get(param)}".`);
+    config[name] = value;
+  });
+  return config;
+};
+
+// A fresh seed for a drill about to be shared
+export const createDrillSeed = (random = Math.random) => Math.floor(random() * 0x100000000);
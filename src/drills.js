@@ -0,0 +1,115 @@
+// --- Timed Drills ---
+// All timing goes through an injectable clock ({ now, setTimeout, clearTimeout })
+// so countdowns and beat timeouts can be driven by a fake clock in tests.
+
+// Names and descriptions live in the locale catalogs ('drill.sprint.name')
+export const DRILL_TYPES = {
+  free:   {},
+  sprint: { durationMs: 60000 },
+  set:    { lengths: [10, 20, 50] },
+  tempo:  { lives: 3 },
+};
+
+export const realClock = {
+  now: () => performance.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+const TEMPO = { startBpm: 30, bpmPerStreak: 3, maxBpm: 120 };
+
+// 30 bpm (2 s per note) to start, half a second at the fastest
+export const getBeatMs = (streak, { startBpm, bpmPerStreak, maxBpm } = TEMPO) =>
+  Math.round(60000 / Math.min(maxBpm, startBpm + streak * bpmPerStreak));
+
+export const createDrill = (type, { clock = realClock, setLength = 20, onTimeout, onFinish } = {}) => {
+  const config = DRILL_TYPES[type] || DRILL_TYPES.free;
+  let startedAt = null;
+  let shownAt = null;
+  let beatMs = null;
+  let beatTimer = null;
+  let endTimer = null;
+  let completed = 0;
+  let misses = 0;
+  let finished = false;
+
+  const clearTimers = () => {
+    if (beatTimer !== null) clock.clearTimeout(beatTimer);
+    if (endTimer !== null) clock.clearTimeout(endTimer);
+    beatTimer = null;
+    endTimer = null;
+  };
+
+  const finish = (reason) => {
+    if (finished) return;
+    finished = true;
+    clearTimers();
+    if (onFinish) onFinish({ type, reason, completed, misses, elapsedMs: Math.round(clock.now() - startedAt) });
+  };
+
+  return {
+    start() {
+      startedAt = clock.now();
+      if (type === 'sprint') {
+        endTimer = clock.setTimeout(() => finish('time'), config.durationMs);
+      }
+    },
+
+    // Starts the reaction clock, and in tempo mode the beat for this note
+    noteShown(streak = 0) {
+      if (finished) return;
+      shownAt = clock.now();
+      if (type !== 'tempo') return;
+      if (beatTimer !== null) clock.clearTimeout(beatTimer);
+      beatMs = getBeatMs(streak);
+      beatTimer = clock.setTimeout(() => {
+        beatTimer = null;
+        misses++;
+        if (onTimeout) onTimeout();
+        if (misses >= config.lives) finish('lives');
+      }, beatMs);
+    },
+
+    // Returns the reaction time in ms for this answer. In tempo mode any
+    // answer ends the beat, and a wrong one costs a life like a timeout.
+    answer(correct) {
+      if (finished || shownAt === null) return null;
+      const reactionMs = Math.round(clock.now() - shownAt);
+      if (correct || type === 'tempo') {
+        if (beatTimer !== null) clock.clearTimeout(beatTimer);
+        beatTimer = null;
+      }
+      if (correct) {
+        completed++;
+        if (type === 'set' && completed >= setLength) finish('complete');
+      } else if (type === 'tempo') {
+        misses++;
+        if (misses >= config.lives) finish('lives');
+      }
+      return reactionMs;
+    },
+
+    // Sprint: time left in the drill. Tempo: time left on the current beat.
+    getRemainingMs() {
+      if (type === 'sprint' && startedAt !== null) {
+        return Math.max(0, config.durationMs - (clock.now() - startedAt));
+      }
+      if (type === 'tempo' && beatTimer !== null) {
+        return Math.max(0, beatMs - (clock.now() - shownAt));
+      }
+      return null;
+    },
+
+    getState: () => ({ type, completed, misses, beatMs, finished }),
+
+    // Ends the drill early for a reason of the caller's, e.g. a lesson level passing
+    end(reason) {
+      finish(reason);
+    },
+
+    stop() {
+      finished = true;
+      clearTimers();
+    },
+  };
+};
@@ -0,0 +1,58 @@
+// --- Ear Training ---
+// Targets here are heard, not read, so they are picked by MIDI number and
+// intervals are counted in semitones rather than staff steps.
+
+import { noteToMidi, midiToNote } from './notes';
+
+export const EAR_RANGES = {
+  octave: { min: 'C4', max: 'C5' },
+  two:    { min: 'C3', max: 'C5' },
+  wide:   { min: 'C2', max: 'C6' },
+};
+
+// Index = semitones
+export const EAR_INTERVAL_NAMES = [
+  'unison', 'minor 2nd', 'major 2nd', 'minor 3rd', 'major 3rd', 'perfect 4th', 'tritone',
+  'perfect 5th', 'minor 6th', 'major 6th', 'minor 7th', 'major 7th', 'perfect octave',
+];
+
+export const INTERVAL_SETS = {
+  basic: { semitones: [3, 4, 7, 12] },
+  small: { semitones: [1, 2, 3, 4, 5, 7] },
+  all:   { semitones: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+};
+
+export const INTERVAL_STYLES = {
+  ascending:  {},
+  descending: {},
+  harmonic:   {},
+};
+
+export const REFERENCE_TONES = ['C4', 'A4'];
+
+// Any pitch in the range except the previous target, so a repeat never sounds like a glitch
+export const pickEarNote = ({ min, max, previous = null, rng = Math.random }) => {
+  const low = noteToMidi(min);
+  const high = noteToMidi(max);
+  const avoid = previous && noteToMidi(previous);
+  let midi;
+  do {
+    midi = low + Math.floor(rng() * (high - low + 1));
+  } while (midi === avoid && high > low);
+  return midiToNote(midi);
+};
+
+// { name, semitones, harmonic, notes } with the notes in the order they are played
+export const pickEarInterval = ({ min, max, semitones, style = 'ascending', rng = Math.random }) => {
+  const low = noteToMidi(min);
+  const high = noteToMidi(max);
+  const size = semitones[Math.floor(rng() * semitones.length)];
+  const bottom = low + Math.floor(rng() * Math.max(1, high - low - size + 1));
+  const notes = [midiToNote(bottom), midiToNote(bottom + size)];
+  return {
+    name: EAR_INTERVAL_NAMES[size],
+    semitones: size,
+    harmonic: style === 'harmonic',
+    notes: style === 'descending' ? notes.reverse() : notes,
+  };
+};
@@ -0,0 +1,14 @@
+// --- Error Reporting ---
+// Failures the app recovers from on its own (unreadable saved data, a device
+// the browser won't open) go to the console here. Each distinct one is logged
+// once, so storage that fails on every save doesn't flood it.
+
+const reported = new Set();
+
+// `scope` names what failed, e.g. 'Progress Save'
+export const reportError = (scope, error) => {
+  const id = `${scope}:${error?.message ?? error}`;
+  if (reported.has(id)) return;
+  reported.add(id);
+  console.error(`${scope} Error:`, error);
+};
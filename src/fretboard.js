@@ -0,0 +1,45 @@
+// --- Fretboard ---
+// A tuning lists the open strings from the lowest-numbered position on the
+// neck (the thickest string) across to the thinnest, written the usual way:
+// 'E2 A2 D3 G3 B3 E4'. Re-entrant tunings like the ukulele's simply aren't in
+// pitch order. Fret 0 is the open string; each fret raises it a semitone.
+
+import { parseNote, noteToMidi, midiToNote, formatNote } from './notes';
+
+export const TUNINGS = {
+  guitar:   { strings: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+  dropD:    { strings: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+  guitar7:  { strings: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+  bass4:    { strings: ['E1', 'A1', 'D2', 'G2'] },
+  bass5:    { strings: ['B0', 'E1', 'A1', 'D2', 'G2'] },
+  bass6:    { strings: ['B0', 'E1', 'A1', 'D2', 'G2', 'C3'] },
+  ukulele:  { strings: ['G4', 'C4', 'E4', 'A4'] },
+};
+
+export const STRING_COUNT = { min: 4, max: 7 };
+export const MAX_FRET = 24;
+export const DEFAULT_FRETS = { min: 0, max: 12 };
+
+// A typed tuning ('D2 A2 D3 G3 B3 E4', commas allowed) as a list of strings,
+// or null when it isn't 4 to 7 notes with octaves
+export const parseTuning = (text) => {
+  const strings = String(text).trim().split(/[\s,]+/).filter(Boolean);
+  if (strings.length < STRING_COUNT.min || strings.length > STRING_COUNT.max) return null;
+  const parsed = strings.map(parseNote);
+  if (parsed.some(note => !note)) return null;
+  return parsed.map(formatNote);
+};
+
+export const getFretNote = (openString, fret) => midiToNote(noteToMidi(openString) + fret);
+
+// Every { string, fret } that sounds a note (string numbered as in the
+// tuning list); empty when the note is off this stretch of the neck
+export const findPositions = (note, strings, frets) => {
+  const midi = noteToMidi(note);
+  if (midi === null) return [];
+  return strings.flatMap((open, string) => {
+    const fret = midi - noteToMidi(open);
+    return fret >= frets.min && fret <= frets.max ? [{ string, fret }] : [];
+  });
+};
+
@@ -0,0 +1,47 @@
+// --- UI Translations ---
+// Catalogs (./locales) are flat objects of dotted keys. A value is a string
+// with {placeholders}, or { one, other } when it depends on `count`.
+// Anything a catalog leaves out falls back to English, then to the key.
+
+import en from './locales/en';
+import es from './locales/es';
+import de from './locales/de';
+
+// `naming` is the note naming system students of that language usually read
+export const LOCALES = {
+  en: { name: 'English', catalog: en, naming: 'english' },
+  es: { name: 'Español', catalog: es, naming: 'solfege' },
+  de: { name: 'Deutsch', catalog: de, naming: 'german' },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// The browser's language if there is a catalog for it
+export const getDefaultLocale = (languages = globalThis.navigator?.languages || []) => {
+  const match = languages.map(lang => lang.slice(0, 2).toLowerCase()).find(code => LOCALES[code]);
+  return match || DEFAULT_LOCALE;
+};
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (token, name) => (name in params ? String(params[name]) : token));
+
+export const translate = (locale, key, params = {}) => {
+  const entry = LOCALES[locale]?.catalog[key] ?? LOCALES[DEFAULT_LOCALE].catalog[key];
+  if (entry === undefined) return key;
+  const text = typeof entry === 'string' ? entry : (params.count === 1 ? entry.one : entry.other);
+  return interpolate(text, params);
+};
+
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+// Interval and chord names as ./chords and ./earTraining spell them
+// ('minor 3rd', 'perfect octave', 'dominant 7th'). Interval names are built
+// from a quality and a number so every combination has a translation.
+export const translateName = (locale, name, kind = 'interval') => {
+  if (kind === 'chord') return translate(locale, `chord.${name}`);
+  if (name === 'tritone') return translate(locale, 'interval.tritone');
+  const [quality, number] = name.includes(' ') ? name.split(' ') : [null, name];
+  const numberName = translate(locale, `interval.number.${number}`);
+  if (!quality) return numberName;
+  return translate(locale, 'interval.format', { quality: translate(locale, `interval.quality.${quality}`), number: numberName });
+};
@@ -0,0 +1,49 @@
+// --- Transposing Instruments ---
+// A part for a transposing instrument is written some interval away from
+// where it sounds: a written D on a Bb clarinet sounds C. Each instrument
+// gives that interval, from written to sounding, in letter steps and
+// semitones, so a sounding note keeps its proper spelling (written F#5 on
+// alto sax sounds A4, not Bbb4). Guitar is the octave-displacement case.
+
+import { LETTERS, parseNote, noteToMidi, midiToNote, spellMidi } from './notes';
+
+export const INSTRUMENTS = {
+  concert:  { steps: 0,  semitones: 0 },
+  clarinet: { steps: -1, semitones: -2 },
+  trumpet:  { steps: -1, semitones: -2 },
+  altoSax:  { steps: -5, semitones: -9 },
+  tenorSax: { steps: -8, semitones: -14 },
+  horn:     { steps: -4, semitones: -7 },
+  guitar:   { steps: -7, semitones: -12 },
+};
+
+const getInterval = (instrument) => INSTRUMENTS[instrument] || INSTRUMENTS.concert;
+
+export const isTransposing = (instrument) => getInterval(instrument).semitones !== 0;
+
+// The note that sounds when a written note is played, e.g. ('D5', 'clarinet') -> 'C5'
+export const getSoundingNote = (written, instrument) => {
+  const parsed = parseNote(written);
+  const { steps, semitones } = getInterval(instrument);
+  if (!parsed || !semitones) return written;
+  const letter = LETTERS[(((LETTERS.indexOf(parsed.letter) + steps) % 7) + 7) % 7];
+  const midi = noteToMidi(parsed) + semitones;
+  return spellMidi(midi, letter) || midiToNote(midi);
+};
+
+// The written pitch for a sounding one, e.g. a piano key or a MIDI note.
+// Played notes carry no spelling worth keeping, so this one comes back
+// plainly spelled; respell it in the key (see ./keySignatures spellInKey).
+export const getWrittenPitch = (sounding, instrument) => {
+  const midi = noteToMidi(sounding);
+  const { semitones } = getInterval(instrument);
+  if (midi === null || !semitones) return sounding;
+  return midiToNote(midi - semitones);
+};
+
+// A written range as it sounds, e.g. for sizing the piano
+export const getSoundingRange = (range, instrument) => {
+  const { semitones } = getInterval(instrument);
+  if (!semitones) return range;
+  return { min: midiToNote(noteToMidi(range.min) + semitones), max: midiToNote(noteToMidi(range.max) + semitones) };
+};
@@ -0,0 +1,118 @@
+// --- Key Signatures ---
+// Accidentals are numbers throughout: 1 = sharp, -1 = flat, 0 = natural,
+// 2 and -2 for double sharp and double flat.
+
+import { LETTERS, LETTER_SEMITONES, parseNote, parseNoteName, formatNote, accidentalToString, noteToMidi, spellMidi } from './notes';
+import { CLEFS } from './clefs';
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// count > 0 is the number of sharps, count < 0 the number of flats
+export const KEY_SIGNATURES = {
+  'C':  { count: 0 },
+  'G':  { count: 1 },
+  'D':  { count: 2 },
+  'A':  { count: 3 },
+  'E':  { count: 4 },
+  'B':  { count: 5 },
+  'F#': { count: 6 },
+  'C#': { count: 7 },
+  'F':  { count: -1 },
+  'Bb': { count: -2 },
+  'Eb': { count: -3 },
+  'Ab': { count: -4 },
+  'Db': { count: -5 },
+  'Gb': { count: -6 },
+  'Cb': { count: -7 },
+};
+
+const getCount = (keyId) => KEY_SIGNATURES[keyId]?.count || 0;
+
+// The key with `count` sharps (or flats, when negative), as in MusicXML's <fifths>
+export const getKeyByCount = (count) =>
+  Object.keys(KEY_SIGNATURES).find(id => KEY_SIGNATURES[id].count === count) || null;
+
+// The accidental the key applies to a letter, e.g. ('F', 'G') -> 1
+export const getKeyAlteration = (letter, keyId) => {
+  const count = getCount(keyId);
+  if (count > 0) return SHARP_ORDER.slice(0, count).includes(letter) ? 1 : 0;
+  if (count < 0) return FLAT_ORDER.slice(0, -count).includes(letter) ? -1 : 0;
+  return 0;
+};
+
+// Which sign, if any, has to be written in front of a note in this key
+export const getAccidentalSign = (letter, accidental, keyId) => {
+  if (accidental === getKeyAlteration(letter, keyId)) return null;
+  if (accidental === 2) return 'doubleSharp';
+  if (accidental === 1) return 'sharp';
+  if (accidental === -1) return 'flat';
+  if (accidental === -2) return 'doubleFlat';
+  return 'natural';
+};
+
+// Spell a pitch class (0-11) the way this key would: diatonic if possible,
+// otherwise with the key's own kind of accidental
+export const spellPitchClass = (pitchClass, keyId) => {
+  const pc = ((pitchClass % 12) + 12) % 12;
+  const matches = (letter, accidental) =>
+    (LETTER_SEMITONES[letter] + accidental + 12) % 12 === pc;
+
+  const diatonic = LETTERS.find(l => matches(l, getKeyAlteration(l, keyId)));
+  if (diatonic) return { letter: diatonic, accidental: getKeyAlteration(diatonic, keyId) };
+
+  const natural = LETTERS.find(l => matches(l, 0));
+  if (natural) return { letter: natural, accidental: 0 };
+
+  const preferred = getCount(keyId) < 0 ? -1 : 1;
+  const letter = LETTERS.find(l => matches(l, preferred));
+  return { letter, accidental: preferred };
+};
+
+// The major tonic and its relative minor, e.g. 'Bb' -> { major: 'Bb', minor: 'G' }
+export const getKeyTonics = (keyId) => {
+  const major = parseNoteName(keyId);
+  if (!major) return null;
+  const minor = spellPitchClass(LETTER_SEMITONES[major.letter] + major.accidental + 9, keyId);
+  return { major: keyId, minor: `${minor.letter}${accidentalToString(minor.accidental)}` };
+};
+
+// Respell a note (e.g. a piano key's 'A#4') the way the key would write it
+export const spellInKey = (note, keyId) => {
+  const midi = noteToMidi(note);
+  if (midi === null) return note;
+  const { letter } = spellPitchClass(midi % 12, keyId);
+  return spellMidi(midi, letter);
+};
+
+// The note a bare staff position means in this key, e.g. ('F4', 'G') -> 'F#4'
+export const applyKey = (note, keyId) => {
+  const parsed = parseNote(note);
+  if (!parsed) return note;
+  return spellMidi(noteToMidi({ ...parsed, accidental: getKeyAlteration(parsed.letter, keyId) }), parsed.letter);
+};
+
+// Spell a bare staff position in the key, and with probability `chance`
+// alter it chromatically instead (never to E#, B#, Cb or Fb)
+export const spellStaffNote = (note, keyId, { chance = 0, rng = Math.random } = {}) => {
+  const parsed = parseNote(note);
+  if (!parsed) return note;
+  const { letter, octave } = parsed;
+  let accidental = getKeyAlteration(letter, keyId);
+  if (chance > 0 && rng() < chance) {
+    const options = [-1, 0, 1].filter(a => a !== accidental &&
+      !(a === 1 && (letter === 'E' || letter === 'B')) &&
+      !(a === -1 && (letter === 'C' || letter === 'F')));
+    if (options.length) accidental = options[Math.floor(rng() * options.length)];
+  }
+  return formatNote({ letter, accidental, octave });
+};
+
+// Glyphs to draw after the clef: [{ note: 'F5', type: 'sharp' }, ...]
+export const getSignatureGlyphs = (keyId, clef) => {
+  const count = getCount(keyId);
+  const positions = CLEFS[clef]?.signature;
+  if (!count || !positions) return [];
+  const type = count > 0 ? 'sharp' : 'flat';
+  return positions[type].slice(0, Math.abs(count)).map(note => ({ note, type }));
+};
@@ -0,0 +1,56 @@
+// --- Computer Keyboard Input ---
+// Musical typing like a DAW: the home row plays white keys and the row
+// above plays black keys, A = C up to ; = E an octave and a third higher.
+// Z and X shift the octave.
+
+export const QWERTY_KEYS = {
+  a: 0, w: 1, s: 2, e: 3, d: 4, f: 5, t: 6, g: 7, y: 8, h: 9, u: 10, j: 11,
+  k: 12, o: 13, l: 14, p: 15, ';': 16,
+};
+
+export const OCTAVE_DOWN_KEY = 'z';
+export const OCTAVE_UP_KEY = 'x';
+
+const QWERTY_SPAN = 16;
+
+const MAX_FREE_TYPING = 8;
+
+// `octave` is the octave of the C under the A key
+export const qwertyToMidi = (key, octave) => {
+  const offset = QWERTY_KEYS[key.toLowerCase()];
+  return offset === undefined ? null : (octave + 1) * 12 + offset;
+};
+
+// { [midi]: 'A' } for labelling piano keys
+export const getQwertyHints = (octave) => Object.fromEntries(
+  Object.entries(QWERTY_KEYS).map(([key, offset]) => [(octave + 1) * 12 + offset, key.toUpperCase()]));
+
+// The octave that centres the keys on a range
+export const getDefaultQwertyOctave = (minMidi, maxMidi) =>
+  Math.round(((minMidi + maxMidi) / 2 - QWERTY_SPAN / 2) / 12) - 1;
+
+// Octave shifts stop while at least one key still reaches the range
+export const clampQwertyOctave = (octave, minMidi, maxMidi) =>
+  Math.min(Math.floor(maxMidi / 12) - 1, Math.max(Math.ceil((minMidi - QWERTY_SPAN) / 12) - 1, octave));
+
+// Builds a typed note name one key at a time: a letter starts over, '#' and
+// a lowercase 'b' straight after the letter add accidentals, a digit sets the
+// octave. 'B' is always the note, so 'AB' types B rather than Ab.
+// Returns the new buffer, with `submit` set when Enter or Space sends it.
+// Other naming systems ('Fa#4', 'Fis4') are typed freely and read when sent
+// (see noteNames.parseNoteNameIn).
+export const typeNoteName = (buffer, key, system = 'english') => {
+  if (key === 'Enter' || key === ' ') return { buffer, submit: buffer.length > 0 };
+  if (key === 'Backspace') return { buffer: buffer.slice(0, -1) };
+  if (key === 'Escape') return { buffer: '' };
+
+  if (system !== 'english') {
+    return /^[a-z#\d]$/i.test(key) && buffer.length < MAX_FREE_TYPING ? { buffer: `${buffer}${key}` } : { buffer };
+  }
+
+  if (key === 'b' && /^[A-G]b?$/.test(buffer)) return { buffer: `${buffer}b` };
+  if (/^[a-g]$/i.test(key)) return { buffer: key.toUpperCase() };
+  if (key === '#' && /^[A-G]#?$/.test(buffer)) return { buffer: `${buffer}#` };
+  if (/^\d$/.test(key) && /^[A-G](#{1,2}|b{1,2})?$/.test(buffer)) return { buffer: `${buffer}${key}` };
+  return { buffer };
+};
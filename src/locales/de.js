@@ -0,0 +1,396 @@
+// --- Deutsch ---
+
+export default {
+  // Header and stats
+  'app.streak': 'Serie: {streak}',
+
+  // Settings
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache',
+  'settings.naming': 'Notennamen',
+  'settings.theme': 'Darstellung',
+  'settings.clefMode': 'Schlüssel',
+  'settings.instrument': 'Instrument',
+  'settings.instrumentHint': 'Die Noten klingen {interval} als notiert. Spiele, was klingt; benenne, was notiert ist.',
+  'settings.exercise': 'Übung',
+  'settings.phraseLength': 'Phrasenlänge',
+  'settings.noteCount': { one: '{count} Note', other: '{count} Noten' },
+  'settings.pieceFile': 'Notendatei',
+  'settings.pieceLoaded': { one: '{title}: {count} Note zum Lesen.', other: '{title}: {count} Noten zum Lesen.' },
+  'settings.levelMap': 'Levelübersicht öffnen',
+  'settings.motion': 'Bewegung',
+  'settings.largestInterval': 'Größtes Intervall',
+  'settings.stack': 'Art',
+  'settings.answerBy': 'Antworten durch',
+  'settings.inversions': 'Umkehrungen einbeziehen',
+  'settings.timeSignature': 'Taktart',
+  'settings.noteValues': 'Notenwerte',
+  'settings.tempo': 'Tempo: {bpm} BPM',
+  'settings.timingWindow': 'Zeitfenster',
+  'settings.metronome': 'Metronom während des Takts',
+  'settings.range': 'Tonumfang',
+  'settings.range.min': 'Tiefste',
+  'settings.range.max': 'Höchste',
+  'settings.referenceTone': 'Bezugston',
+  'settings.intervals': 'Intervalle',
+  'settings.played': 'Gespielt',
+  'settings.answerWith': 'Antworten mit',
+  'settings.ownAnswers': 'Diese Übung hat oben eigene Antwortmöglichkeiten.',
+  'settings.keyHints': 'Computertasten anzeigen',
+  'settings.tuning': 'Stimmung',
+  'settings.customTuningHint': 'Leere Saiten von der dicksten zur dünnsten, mit Oktave ({min} bis {max} Saiten).',
+  'settings.customTuningInvalid': 'Gib {min} bis {max} Töne mit Oktave ein, etwa E2 A2 D3 G3 B3 E4.',
+  'settings.frets': 'Bünde',
+  'settings.drill': 'Trainingsart',
+  'settings.setLength': 'Noten pro Runde',
+  'settings.share': 'Diese Übung teilen',
+  'settings.shareHint': 'Link kopiert. Er öffnet genau diese Übung, Note für Note.',
+  'settings.shareRandom': 'Zurück zu zufälligen Noten',
+  'settings.selection': 'Notenauswahl',
+  'settings.adaptiveHint': 'Noten, die du verfehlst oder langsam beantwortest, kommen öfter.',
+  'settings.sharedSelectionHint': 'Eine geteilte Übung wählt die Noten zufällig, damit alle dieselben bekommen.',
+  'settings.keySignature': 'Tonart',
+  'settings.accidentals': 'Vorzeichen einbeziehen',
+  'settings.midi': 'MIDI-Eingang',
+  'settings.midiUnsupported': 'Dieser Browser unterstützt kein Web MIDI. Versuche Chrome, Edge oder Firefox am Computer.',
+  'settings.midiBlocked': 'Der MIDI-Zugriff wurde blockiert. Erlaube ihn in den Website-Einstellungen des Browsers und versuche es erneut.',
+  'settings.midiConnecting': 'Verbinde…',
+  'settings.midiConnect': 'MIDI-Keyboard verbinden',
+  'settings.midiAllDevices': 'Alle Geräte',
+  'settings.midiMissingDevice': 'Getrenntes Gerät',
+  'settings.midiNoDevices': 'Keine MIDI-Geräte gefunden. Schließe eines an, um es zu nutzen.',
+  'settings.midiUnplugged': 'Das gewählte Gerät wurde getrennt.',
+  'settings.midiConnected': { one: '{count} Gerät verbunden.', other: '{count} Geräte verbunden.' },
+  'settings.mic': 'Mikrofon',
+  'settings.micUnsupported': 'Dieser Browser kann nicht über ein Mikrofon aufnehmen.',
+  'settings.micBlocked': 'Der Mikrofonzugriff wurde blockiert. Erlaube ihn in den Website-Einstellungen des Browsers und versuche es erneut.',
+  'settings.micStop': 'Zuhören beenden',
+  'settings.micStarting': 'Starte…',
+  'settings.micStart': 'Mit Mikrofon zuhören',
+  'settings.micGain': 'Eingangsverstärkung: {gain}×',
+  'settings.noiseGate': 'Noise Gate: {db} dB',
+  'settings.sound': 'Klang',
+  'settings.volume': 'Lautstärke: {percent}%',
+  'settings.sustain': 'Pedal (Töne klingen lassen)',
+  'settings.envelope': 'Hüllkurve',
+  'settings.referencePitch': 'Kammerton a1 (Hz)',
+  'settings.resetConfirm': 'Alle gespeicherten Sitzungen und Notenstatistiken löschen? Das kann nicht rückgängig gemacht werden.',
+  'settings.delete': 'Löschen',
+  'settings.cancel': 'Abbrechen',
+  'settings.reset': 'Fortschritt zurücksetzen',
+
+  // Start screen
+  'start.ready': 'Bereit zum Üben?',
+  'start.time': 'Zeit ist um!',
+  'start.lives': 'Keine Schläge mehr!',
+  'start.set': 'Runde geschafft!',
+  'start.levelPassed': 'Level geschafft!',
+  'start.ended': 'Sitzung beendet',
+  'start.result': '{score} richtig von {total} in {seconds} s.',
+  'start.reading': '{mode}, {key}.',
+  'start.piece': { one: '{title}, {count} Note.', other: '{title}, {count} Noten.' },
+  'start.noPiece': 'Lade in den Einstellungen eine MusicXML- oder ABC-Datei, um zu beginnen.',
+  'start.level': { one: '{name}: {percent} % deiner letzten {count} Note richtig, jede in unter {seconds} s.', other: '{name}: {percent} % deiner letzten {count} Noten richtig, jede in unter {seconds} s.' },
+  'start.noLevel': 'Wähle in der Levelübersicht ein Level, um zu beginnen.',
+  'start.rhythm': '{time} bei {bpm} BPM. Ein Tipp bis {ms} ms neben seiner Note ist pünktlich.',
+  'start.mistakes': { one: 'Übe die {count} Note, die du verfehlt hast.', other: 'Übe die {count} Noten, die du verfehlt hast.' },
+  'start.allNotes': 'Zurück zu allen Noten',
+  'start.instrument': 'Für {instrument}: Die Noten klingen {interval} als notiert.',
+  'start.ear': '{range}.',
+  'start.drill': '{drill}: {description}',
+  'start.assigned': 'Zugewiesene Übung: jedes Mal dieselben Noten.',
+  'start.export.json': 'JSON exportieren',
+  'start.export.csv': 'CSV exportieren',
+  'start.setDescription': 'Schaffe {count} Noten so schnell du kannst.',
+  'start.setMeasures': { one: 'Tippe {count} Takt fehlerfrei, so schnell du kannst.', other: 'Tippe {count} Takte fehlerfrei, so schnell du kannst.' },
+  'start.button': 'Üben starten',
+  'start.shared': 'Geteilte Übung bereit',
+  'start.sharedButton': 'Geteilte Übung starten',
+
+  // Practice
+  'game.correct': 'Richtig!',
+  'game.endSession': 'Sitzung beenden',
+  'game.wrong': 'Hoppla!',
+  'game.transposed': 'Notiert {written} · klingend {sounding}',
+  'game.playedTransposed': 'Gespielt: klingend {sounding} (notiert {written}).',
+  'game.chordLabel': '{name}, {inversion}',
+  'game.earNote': 'Zuerst {note}, dann der gesuchte Ton.',
+  'game.earInterval.ascending': 'Aufsteigendes Intervall.',
+  'game.earInterval.descending': 'Absteigendes Intervall.',
+  'game.earInterval.harmonic': 'Harmonisches Intervall.',
+  'game.replay': 'Wiederholen',
+  'game.reference': 'Bezugston ({note})',
+  'game.soundOff': 'Der Ton ist aus. Die Tasten oben spielen trotzdem.',
+  'rhythm.listen': 'Mach dich bereit…',
+  'rhythm.countIn': 'Einzählen…',
+  'rhythm.tap': 'Tippen!',
+  'rhythm.tapPad': 'Tippen',
+  'rhythm.result': '{onTime} von {total} pünktlich · {early} zu früh · {late} zu spät · {missed} verpasst · {extra} zu viel',
+  'rhythm.soundOff': 'Der Ton ist aus. Zähl mit den Punkten ein.',
+  'hint.nameInterval': 'Benenne das Intervall. Am Klavier kannst du es ausprobieren.',
+  'hint.nameChord': 'Benenne das Tongeschlecht des Akkords. Am Klavier kannst du es ausprobieren.',
+  'hint.playChord': 'Spiele alle Töne zusammen oder nacheinander innerhalb von zwei Sekunden.',
+  'hint.earInterval': 'Benenne das gehörte Intervall. Am Klavier kannst du es ausprobieren.',
+  'hint.typeName': 'Tippe auf einen Ton oder schreibe seinen Namen (etwa {example}, die Oktave ist optional) und drücke Enter.',
+  'hint.mic': 'Spiele den Ton auf deinem Instrument und halte ihn ruhig.',
+  'hint.midi': 'Spiele den Ton auf deinem MIDI-Keyboard oder tippe auf die Klaviertasten.',
+  'hint.keys': 'Tippe auf die Klaviertasten oder spiele sie mit der Computertastatur (Z und X wechseln die Oktave).',
+  'hint.fretboard': 'Tippe auf eine beliebige Saite und einen Bund, die den Ton ergeben, oder nutze die Computertastatur (Z und X wechseln die Oktave).',
+  'hint.tap': 'Tippe auf jede Note: eine beliebige Taste, die Leertaste, das Feld oder eine MIDI-Taste. Pausen bleiben still, gebundene Noten bekommen einen Tipp.',
+  'tuner.listening': 'Höre zu…',
+
+  // Session summary
+  'summary.accuracy': 'Genauigkeit',
+  'summary.median': 'Median',
+  'summary.slowest': 'Langsamste',
+  'summary.bestStreak': 'Beste Serie',
+  'summary.meanOffset': 'Mittlere Abweichung',
+  'summary.meanDistance': 'Mittlerer Abstand',
+  'summary.timing': '{onTime} von {onsets} pünktlich · {early} zu früh · {late} zu spät · {missed} verpasst · {extra} Tipps zu viel',
+  'summary.confusion': 'Gelesen und tatsächlich notiert',
+  'summary.targetGuess': 'Note ↓ Antwort →',
+  'summary.mistake': { one: '{target} als {guess} beantwortet ({count}-mal)', other: '{target} als {guess} beantwortet ({count}-mal)' },
+  'summary.unanswered': { one: '{target} unbeantwortet ({count}-mal)', other: '{target} unbeantwortet ({count}-mal)' },
+  'summary.noMistakes': 'Keine Fehler in dieser Sitzung.',
+  'summary.drillMistakes': 'Meine Fehler üben',
+
+  // Progress
+  'progress.empty': 'Noch kein Übungsverlauf. Spiele ein paar Noten und komm zurück.',
+  'progress.empty.visual': 'Noch kein Notenlesen geübt.',
+  'progress.empty.ear': 'Noch kein Gehörtraining geübt.',
+  'progress.hint.visual': 'Rote Tasten und Notenpositionen verfehlst du am häufigsten.',
+  'progress.hint.ear': 'Rote Tasten sind die Töne, die du nach Gehör am schwersten findest.',
+  'progress.intervals': 'Intervalle',
+  'progress.recent': 'Letzte Sitzungen',
+
+  // Level map
+  'levels.title': 'Levelübersicht',
+  'levels.passed': { one: '{passed} von {count} Level geschafft', other: '{passed} von {count} Levels geschafft' },
+  'levels.pass': { one: 'Zum Bestehen: {percent} % der letzten {count} Note, jede unter {seconds} s', other: 'Zum Bestehen: {percent} % der letzten {count} Noten, jede unter {seconds} s' },
+  'levels.recent': '{counted}/{count}',
+  'levels.load': 'Lektionen laden (JSON)',
+  'levels.builtIn': 'Eingebaute Lektionen verwenden',
+  'levels.error': 'Diese Lektionen konnten nicht geladen werden. {detail}',
+  'level.treble-landmarks.name': 'Orientierungsnoten im Violinschlüssel',
+  'level.treble-landmarks.description': 'Das eingestrichene c, das g des Schlüssels und das c darüber.',
+  'level.treble-lines.name': 'Linien im Violinschlüssel',
+  'level.treble-lines.description': 'Die fünf Linien des Violinsystems: e, g, h, d, f.',
+  'level.treble-spaces.name': 'Zwischenräume im Violinschlüssel',
+  'level.treble-spaces.description': 'Die vier Zwischenräume des Violinsystems: f, a, c, e.',
+  'level.treble-neighbors.name': 'Nachbarn im Violinschlüssel',
+  'level.treble-neighbors.description': 'Die Orientierungsnoten und die Töne einen Schritt daneben.',
+  'level.treble-ledger.name': 'Hilfslinien im Violinschlüssel',
+  'level.treble-ledger.description': 'Das ganze System bis zu den Hilfslinien oben und unten.',
+  'level.bass-landmarks.name': 'Orientierungsnoten im Bassschlüssel',
+  'level.bass-landmarks.description': 'Das eingestrichene c, das f des Schlüssels und das c darunter.',
+  'level.bass-lines.name': 'Linien im Bassschlüssel',
+  'level.bass-lines.description': 'Die fünf Linien des Basssystems: G, H, d, f, a.',
+  'level.bass-spaces.name': 'Zwischenräume im Bassschlüssel',
+  'level.bass-spaces.description': 'Die vier Zwischenräume des Basssystems: A, c, e, g.',
+  'level.bass-neighbors.name': 'Nachbarn im Bassschlüssel',
+  'level.bass-neighbors.description': 'Die Orientierungsnoten und die Töne einen Schritt daneben.',
+  'level.bass-ledger.name': 'Hilfslinien im Bassschlüssel',
+  'level.bass-ledger.description': 'Das ganze System bis zu den Hilfslinien oben und unten.',
+
+  // Score import
+  'import.untitled': 'Ohne Titel',
+  'import.error.format': 'Nur MusicXML- (.musicxml, .xml, .mxl) und ABC-Dateien (.abc) können importiert werden.',
+  'import.error.xml': 'Die Datei ist kein wohlgeformtes XML.',
+  'import.error.timewise': 'Timewise-MusicXML wird nicht unterstützt. Exportiere die Partitur als Partwise-MusicXML.',
+  'import.error.zip': 'Die .mxl-Datei ist beschädigt oder kein Zip-Archiv.',
+  'import.error.compressed': 'Dieser Browser kann die komprimierte .mxl-Datei nicht entpacken. Versuche einen unkomprimierten .musicxml-Export.',
+  'import.error.noScore': 'Das .mxl-Archiv enthält keine MusicXML-Partitur.',
+  'import.error.empty': 'Die Datei enthält keine Noten mit Tonhöhe.',
+  'import.warning.parts': { one: 'Nur das erste Instrument wird gelesen; {count} weiteres wurde übersprungen.', other: 'Nur das erste Instrument wird gelesen; {count} weitere wurden übersprungen.' },
+  'import.warning.staves': { one: '{count} Note in einem unteren System wurde übersprungen.', other: '{count} Noten in unteren Systemen wurden übersprungen.' },
+  'import.warning.voices': { one: '{count} Note einer anderen Stimme wurde übersprungen.', other: '{count} Noten anderer Stimmen wurden übersprungen.' },
+  'import.warning.chords': { one: '{count} Akkordton unter dem obersten wurde übersprungen.', other: '{count} Akkordtöne unter dem obersten wurden übersprungen.' },
+  'import.warning.tuplets': { one: '{count} Note einer Tole wird ohne ihren Rhythmus gelesen.', other: '{count} Noten von Tolen werden ohne ihren Rhythmus gelesen.' },
+  'import.warning.grace': { one: '{count} Vorschlagsnote wurde übersprungen.', other: '{count} Vorschlagsnoten wurden übersprungen.' },
+  'import.warning.unpitched': { one: '{count} Note ohne Tonhöhe (Schlagzeug) wurde übersprungen.', other: '{count} Noten ohne Tonhöhe (Schlagzeug) wurden übersprungen.' },
+  'import.warning.microtones': { one: '{count} Mikroton wurde auf den nächsten Halbton gerundet.', other: '{count} Mikrotöne wurden auf den nächsten Halbton gerundet.' },
+  'import.warning.clef': { one: 'Ein nicht unterstützter Schlüssel wird als Violinschlüssel gezeigt.', other: '{count} nicht unterstützte Schlüssel werden als Violinschlüssel gezeigt.' },
+  'import.warning.clefOctave': { one: 'Ein Oktavschlüssel wird ohne Oktavierung gezeigt, seine Noten sind angepasst.', other: '{count} Oktavschlüssel werden ohne Oktavierung gezeigt, ihre Noten sind angepasst.' },
+  'import.warning.transpose': { one: 'Die Transposition wird ignoriert; Noten werden wie notiert gelesen.', other: 'Die Transposition wird ignoriert ({count}-mal); Noten werden wie notiert gelesen.' },
+  'import.warning.octaveShift': { one: 'Eine 8va/8vb-Linie wird ignoriert; Noten stehen in klingender Höhe.', other: '{count} 8va/8vb-Linien werden ignoriert; Noten stehen in klingender Höhe.' },
+  'import.warning.key': { one: 'Eine nicht unterstützte Vorzeichnung wurde als nächste Standardtonart gelesen.', other: '{count} nicht unterstützte Vorzeichnungen wurden als nächste Standardtonart gelesen.' },
+  'import.warning.repeats': { one: 'Wiederholungen werden einmal durchgelesen.', other: 'Wiederholungen werden einmal durchgelesen ({count} Wiederholungen).' },
+  'import.warning.tunes': { one: 'Nur das erste Stück wird gelesen; {count} weiteres wurde übersprungen.', other: 'Nur das erste Stück wird gelesen; {count} weitere wurden übersprungen.' },
+
+  // Option names
+  'mode.TREBLE.name': 'Violinschlüssel',
+  'mode.TREBLE.label': 'Violin',
+  'mode.BASS.name': 'Bassschlüssel',
+  'mode.BASS.label': 'Bass',
+  'mode.ALTO.name': 'Altschlüssel',
+  'mode.ALTO.label': 'Alt',
+  'mode.TENOR.name': 'Tenorschlüssel',
+  'mode.TENOR.label': 'Tenor',
+  'mode.GRAND.name': 'Klaviersystem',
+  'mode.GRAND.label': 'Klavier',
+  'mode.MIXED.name': 'Gemischte Schlüssel',
+  'mode.MIXED.label': 'Gemischt',
+  'clef.treble': 'Violin',
+  'clef.bass': 'Bass',
+  'clef.alto': 'Alt',
+  'clef.tenor': 'Tenor',
+  'instrument.concert': 'Klingend notiert (C)',
+  'instrument.clarinet': 'Klarinette in B',
+  'instrument.trumpet': 'Trompete in B',
+  'instrument.altoSax': 'Altsaxophon in Es',
+  'instrument.tenorSax': 'Tenorsaxophon in B',
+  'instrument.horn': 'Horn in F',
+  'instrument.guitar': 'Gitarre',
+  'instrument.clarinet.interval': 'eine große Sekunde tiefer',
+  'instrument.trumpet.interval': 'eine große Sekunde tiefer',
+  'instrument.altoSax.interval': 'eine große Sexte tiefer',
+  'instrument.tenorSax.interval': 'eine Oktave und eine große Sekunde tiefer',
+  'instrument.horn.interval': 'eine reine Quinte tiefer',
+  'instrument.guitar.interval': 'eine Oktave tiefer',
+  'exercise.single.name': 'Einzelne Noten',
+  'exercise.single.description': 'Erkenne eine Note nach der anderen.',
+  'exercise.melody.name': 'Melodie',
+  'exercise.melody.description': 'Lies eine Phrase von links nach rechts, Note für Note.',
+  'exercise.piece.name': 'Stück',
+  'exercise.piece.description': 'Lies eine importierte Partitur Phrase für Phrase.',
+  'exercise.lesson.name': 'Lektionen',
+  'exercise.lesson.description': 'Arbeite dich Level für Level durch, eine Notengruppe nach der anderen.',
+  'exercise.chord.name': 'Akkorde',
+  'exercise.chord.description': 'Lies Intervalle und Akkorde an einem gemeinsamen Hals.',
+  'exercise.rhythm.name': 'Rhythmus',
+  'exercise.rhythm.description': 'Tippe einen Takt Rhythmus im Takt des Metronoms.',
+  'exercise.earNote.name': 'Nach Gehör finden',
+  'exercise.earNote.description': 'Höre einen Bezugston und finde den Ton, der danach kommt.',
+  'exercise.earInterval.name': 'Intervall nach Gehör',
+  'exercise.earInterval.description': 'Höre zwei Töne und benenne das Intervall dazwischen.',
+  'answerMode.piano': 'Gespielte Töne',
+  'answerMode.name': 'Notennamen',
+  'answerSurface.piano': 'Klavier',
+  'answerSurface.fretboard': 'Griffbrett',
+  'fretboard.offBoard': 'Dieser Ton liegt nicht auf den gezeigten Bünden. Erweitere den Bundbereich in den Einstellungen.',
+  'tuning.guitar': 'Gitarre (Standard)',
+  'tuning.dropD': 'Gitarre (Drop D)',
+  'tuning.guitar7': '7-saitige Gitarre',
+  'tuning.bass4': 'Bass (4 Saiten)',
+  'tuning.bass5': 'Bass (5 Saiten)',
+  'tuning.bass6': 'Bass (6 Saiten)',
+  'tuning.ukulele': 'Ukulele',
+  'tuning.custom': 'Eigene…',
+  'theme.standard': 'Standard',
+  'theme.highContrast': 'Hoher Kontrast',
+  'a11y.piano': 'Klaviertasten',
+  'a11y.fretboard': 'Griffbrett',
+  'a11y.progress': 'Fortschritt',
+  'a11y.fretPosition': '{note}, Saite {string}, Bund {fret}',
+  'a11y.keyAccuracy': '{note}: {percent} % richtig',
+  'a11y.clef': '{clef}schlüssel',
+  'a11y.note': '{clef}, {place}',
+  'a11y.phraseNote': 'Note {index} von {count}: {clef}, {place}',
+  'a11y.chord': 'Akkord im {clef}: {places}',
+  'a11y.measure': 'Ein Takt im {timeSignature}-Takt. Tippe nach dem Einzählen mit.',
+  'a11y.listen': 'Hör zu und antworte.',
+  'a11y.withSign': '{place}, mit {sign}',
+  'a11y.sign.sharp': 'Kreuz',
+  'a11y.sign.flat': 'B',
+  'a11y.sign.natural': 'Auflösungszeichen',
+  'a11y.sign.doubleSharp': 'Doppelkreuz',
+  'a11y.sign.doubleFlat': 'Doppel-B',
+  'a11y.correct': 'Richtig: {answer}.',
+  'a11y.played': 'Du hast {note} gespielt.',
+  'a11y.tryAgain': 'Versuch es noch einmal.',
+  'staffPlace.line': 'Linie {number}',
+  'staffPlace.space': 'Zwischenraum {number}',
+  'staffPlace.ledger.above': 'Hilfslinie {number} über dem System',
+  'staffPlace.ledger.below': 'Hilfslinie {number} unter dem System',
+  'staffPlace.space.above': 'der Zwischenraum direkt über dem System',
+  'staffPlace.space.below': 'der Zwischenraum direkt unter dem System',
+  'staffPlace.spaceLedger.above': 'der Zwischenraum über Hilfslinie {number}',
+  'staffPlace.spaceLedger.below': 'der Zwischenraum unter Hilfslinie {number}',
+  'skill.visual': 'Lesen',
+  'skill.ear': 'Gehörbildung',
+  'naming.english': 'Englisch (C D E)',
+  'naming.solfege': 'Solmisation (Do Re Mi)',
+  'naming.german': 'Deutsch (C D E … H)',
+  'key.label': '{major}-Dur / {minor}-Moll',
+  'key.major': '{major}-Dur',
+  'drill.free.name': 'Freies Üben',
+  'drill.free.description': 'Ohne Uhr. Übe in deinem eigenen Tempo.',
+  'drill.sprint.name': '60-s-Sprint',
+  'drill.sprint.description': 'Beantworte in 60 Sekunden so viele Noten wie möglich.',
+  'drill.set.name': 'Notenrunde',
+  'drill.set.description': 'Schaffe eine feste Anzahl Noten so schnell du kannst.',
+  'drill.tempo.name': 'Schlag das Tempo',
+  'drill.tempo.description': 'Beantworte jede Note innerhalb des Schlags. Das Tempo steigt mit deiner Serie; nach drei Fehlern ist Schluss.',
+  'strategy.uniform': 'Zufällig',
+  'strategy.adaptive': 'Adaptiv',
+  'motion.stepwise': 'Schrittweise',
+  'motion.mixed': 'Gemischt',
+  'motion.leaps': 'Sprünge',
+  'step.1': 'Sekunde',
+  'step.2': 'Terz',
+  'step.3': 'Quarte',
+  'step.4': 'Quinte',
+  'step.5': 'Sexte',
+  'step.6': 'Septime',
+  'step.7': 'Oktave',
+  'chordCategory.intervals': 'Intervalle',
+  'chordCategory.triads': 'Dreiklänge',
+  'chordCategory.sevenths': 'Septakkorde',
+  'chordAnswer.keys': 'Töne spielen',
+  'chordAnswer.name': 'Benennen',
+  'rhythmLevel.basic': 'Ganze, Halbe und Viertel',
+  'rhythmLevel.eighths': 'Achtel und Punktierungen',
+  'rhythmLevel.sixteenths': 'Sechzehntel',
+  'timingWindow.tight': 'Eng (±{ms} ms)',
+  'timingWindow.normal': 'Normal (±{ms} ms)',
+  'timingWindow.relaxed': 'Locker (±{ms} ms)',
+  'inversion.0': 'Grundstellung',
+  'inversion.1': '1. Umkehrung',
+  'inversion.2': '2. Umkehrung',
+  'inversion.3': '3. Umkehrung',
+  'earRange.octave': 'Eine Oktave ({min}–{max})',
+  'earRange.two': 'Zwei Oktaven ({min}–{max})',
+  'earRange.wide': 'Vier Oktaven ({min}–{max})',
+  'intervalSet.basic': 'Terzen, Quinten & Oktaven',
+  'intervalSet.small': 'Sekunden bis Quinten',
+  'intervalSet.all': 'Alle Intervalle',
+  'intervalStyle.ascending': 'Aufsteigend',
+  'intervalStyle.descending': 'Absteigend',
+  'intervalStyle.harmonic': 'Harmonisch',
+  'preset.piano': 'Klavier',
+  'preset.electric': 'E-Piano',
+  'preset.organ': 'Orgel',
+  'preset.pluck': 'Gezupfte Saite',
+  'envelope.attack': 'Attack',
+  'envelope.decay': 'Decay',
+  'envelope.sustain': 'Sustain',
+  'envelope.release': 'Release',
+
+  // Interval and chord names
+  'interval.format': '{quality} {number}',
+  'interval.tritone': 'Tritonus',
+  'interval.quality.perfect': 'reine',
+  'interval.quality.major': 'große',
+  'interval.quality.minor': 'kleine',
+  'interval.quality.augmented': 'übermäßige',
+  'interval.quality.diminished': 'verminderte',
+  'interval.number.unison': 'Prime',
+  'interval.number.2nd': 'Sekunde',
+  'interval.number.3rd': 'Terz',
+  'interval.number.4th': 'Quarte',
+  'interval.number.5th': 'Quinte',
+  'interval.number.6th': 'Sexte',
+  'interval.number.7th': 'Septime',
+  'interval.number.octave': 'Oktave',
+  'chord.major': 'Dur',
+  'chord.minor': 'Moll',
+  'chord.diminished': 'vermindert',
+  'chord.augmented': 'übermäßig',
+  'chord.major 7th': 'großer Septakkord',
+  'chord.dominant 7th': 'Dominantseptakkord',
+  'chord.minor 7th': 'Moll-Septakkord',
+  'chord.half-diminished 7th': 'halbverminderter Septakkord',
+  'chord.diminished 7th': 'verminderter Septakkord',
+  'chord.minor-major 7th': 'Moll-Dur-Septakkord',
+  'chord.augmented major 7th': 'übermäßiger großer Septakkord',
+};
@@ -0,0 +1,397 @@
+// --- English ---
+// The reference catalog: every key the app uses is here (see ../i18n)
+
+export default {
+  // Header and stats
+  'app.streak': 'Streak: {streak}',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.naming': 'Note Names',
+  'settings.theme': 'Display',
+  'settings.clefMode': 'Clef Mode',
+  'settings.instrument': 'Instrument',
+  'settings.instrumentHint': 'Notes sound {interval} than written. Play what sounds; name what is written.',
+  'settings.exercise': 'Exercise',
+  'settings.phraseLength': 'Phrase length',
+  'settings.noteCount': { one: '{count} note', other: '{count} notes' },
+  'settings.pieceFile': 'Score file',
+  'settings.pieceLoaded': { one: '{title}: {count} note to read.', other: '{title}: {count} notes to read.' },
+  'settings.levelMap': 'Open the Level Map',
+  'settings.motion': 'Motion',
+  'settings.largestInterval': 'Largest interval',
+  'settings.stack': 'Stack',
+  'settings.answerBy': 'Answer by',
+  'settings.inversions': 'Include inversions',
+  'settings.timeSignature': 'Time signature',
+  'settings.noteValues': 'Note values',
+  'settings.tempo': 'Tempo: {bpm} bpm',
+  'settings.timingWindow': 'Timing window',
+  'settings.metronome': 'Metronome during the measure',
+  'settings.range': 'Range',
+  'settings.range.min': 'Lowest',
+  'settings.range.max': 'Highest',
+  'settings.referenceTone': 'Reference tone',
+  'settings.intervals': 'Intervals',
+  'settings.played': 'Played',
+  'settings.answerWith': 'Answer With',
+  'settings.ownAnswers': 'This exercise has its own answer options above.',
+  'settings.keyHints': 'Show computer keyboard keys',
+  'settings.tuning': 'Tuning',
+  'settings.customTuningHint': 'Open strings from the thickest to the thinnest, with octaves ({min} to {max} strings).',
+  'settings.customTuningInvalid': 'Enter {min} to {max} notes with octaves, like E2 A2 D3 G3 B3 E4.',
+  'settings.frets': 'Frets',
+  'settings.drill': 'Drill',
+  'settings.setLength': 'Notes per set',
+  'settings.share': 'Share This Drill',
+  'settings.shareHint': 'Link copied. Opening it sets up this exact drill, note for note.',
+  'settings.shareRandom': 'Go back to random notes',
+  'settings.selection': 'Note Selection',
+  'settings.adaptiveHint': 'Notes you miss or answer slowly come up more often.',
+  'settings.sharedSelectionHint': 'A shared drill picks notes at random, so everyone gets the same ones.',
+  'settings.keySignature': 'Key Signature',
+  'settings.accidentals': 'Include accidentals',
+  'settings.midi': 'MIDI Input',
+  'settings.midiUnsupported': 'This browser has no Web MIDI support. Try Chrome, Edge or Firefox on desktop.',
+  'settings.midiBlocked': "MIDI access was blocked. Allow it in the browser's site settings and try again.",
+  'settings.midiConnecting': 'Connecting…',
+  'settings.midiConnect': 'Connect MIDI Keyboard',
+  'settings.midiAllDevices': 'All devices',
+  'settings.midiMissingDevice': 'Disconnected device',
+  'settings.midiNoDevices': 'No MIDI devices found. Plug one in to use it.',
+  'settings.midiUnplugged': 'Selected device was unplugged.',
+  'settings.midiConnected': { one: '{count} device connected.', other: '{count} devices connected.' },
+  'settings.mic': 'Microphone Input',
+  'settings.micUnsupported': 'This browser cannot record from a microphone.',
+  'settings.micBlocked': "Microphone access was blocked. Allow it in the browser's site settings and try again.",
+  'settings.micStop': 'Stop Listening',
+  'settings.micStarting': 'Starting…',
+  'settings.micStart': 'Listen with Microphone',
+  'settings.micGain': 'Input gain: {gain}×',
+  'settings.noiseGate': 'Noise gate: {db} dB',
+  'settings.sound': 'Sound',
+  'settings.volume': 'Volume: {percent}%',
+  'settings.sustain': 'Sustain (let notes ring)',
+  'settings.envelope': 'Envelope',
+  'settings.referencePitch': 'A4 Reference (Hz)',
+  'settings.resetConfirm': 'Delete all saved sessions and note statistics? This cannot be undone.',
+  'settings.delete': 'Delete',
+  'settings.cancel': 'Cancel',
+  'settings.reset': 'Reset Progress',
+
+  // Start screen
+  'start.ready': 'Ready to Practice?',
+  'start.time': "Time's Up!",
+  'start.lives': 'Out of Beats!',
+  'start.set': 'Set Complete!',
+  'start.levelPassed': 'Level Passed!',
+  'start.ended': 'Session Ended',
+  'start.result': '{score} correct of {total} in {seconds}s.',
+  'start.reading': '{mode}, {key}.',
+  'start.piece': { one: '{title}, {count} note.', other: '{title}, {count} notes.' },
+  'start.noPiece': 'Load a MusicXML or ABC file in Settings to begin.',
+  'start.level': { one: '{name}: get {percent}% of your last {count} note right, each in under {seconds}s.', other: '{name}: get {percent}% of your last {count} notes right, each in under {seconds}s.' },
+  'start.noLevel': 'Pick a level on the level map to begin.',
+  'start.rhythm': '{time} at {bpm} bpm. A tap within {ms} ms of its note is on time.',
+  'start.mistakes': { one: 'Drilling the {count} note you missed.', other: 'Drilling the {count} notes you missed.' },
+  'start.allNotes': 'Back to all notes',
+  'start.instrument': '{instrument} part: notes sound {interval} than written.',
+  'start.ear': '{range}.',
+  'start.drill': '{drill}: {description}',
+  'start.assigned': 'Assigned drill: the same notes every time.',
+  'start.export.json': 'Export JSON',
+  'start.export.csv': 'Export CSV',
+  'start.setDescription': 'Get through {count} notes as fast as you can.',
+  'start.setMeasures': { one: 'Tap {count} measure cleanly, as fast as you can.', other: 'Tap {count} measures cleanly, as fast as you can.' },
+  'start.button': 'Start Practice',
+  'start.shared': 'Shared Drill Ready',
+  'start.sharedButton': 'Start Shared Drill',
+
+  // Practice
+  'game.correct': 'Correct!',
+  'game.endSession': 'End Session',
+  'game.wrong': 'Oops!',
+  'game.transposed': 'Written {written} · Concert {sounding}',
+  'game.playedTransposed': 'You played concert {sounding} (written {written}).',
+  'game.chordLabel': '{name}, {inversion}',
+  'game.earNote': 'First {note}, then the note to find.',
+  'game.earInterval.ascending': 'Ascending interval.',
+  'game.earInterval.descending': 'Descending interval.',
+  'game.earInterval.harmonic': 'Harmonic interval.',
+  'game.replay': 'Replay',
+  'game.reference': 'Reference ({note})',
+  'game.soundOff': 'Sound is off. The buttons above still play.',
+  'rhythm.listen': 'Get ready…',
+  'rhythm.countIn': 'Count in…',
+  'rhythm.tap': 'Tap!',
+  'rhythm.tapPad': 'Tap',
+  'rhythm.result': '{onTime} of {total} on time · {early} early · {late} late · {missed} missed · {extra} extra',
+  'rhythm.soundOff': 'Sound is off. Follow the dots for the count-in.',
+  'hint.nameInterval': 'Name the interval. The piano is there to try it out.',
+  'hint.nameChord': 'Name the chord quality. The piano is there to try it out.',
+  'hint.playChord': 'Play all the notes together, or one after another within two seconds.',
+  'hint.earInterval': 'Name the interval you heard. The piano is there to try it out.',
+  'hint.typeName': 'Tap a note, or type its name (like {example}, the octave is optional) and press Enter.',
+  'hint.mic': 'Play the note on your instrument and hold it steady.',
+  'hint.midi': 'Play the note on your MIDI keyboard or tap the piano keys.',
+  'hint.keys': 'Tap the piano keys, or play them from your computer keyboard (Z and X shift the octave).',
+  'hint.fretboard': 'Tap any string and fret that plays the note, or use your computer keyboard (Z and X shift the octave).',
+  'hint.tap': 'Tap on every note: any key, the spacebar, the pad or a MIDI key. Rests stay silent and tied notes get one tap.',
+  'tuner.listening': 'Listening…',
+
+  // Session summary
+  'summary.accuracy': 'Accuracy',
+  'summary.median': 'Median',
+  'summary.slowest': 'Slowest',
+  'summary.bestStreak': 'Best Streak',
+  'summary.meanOffset': 'Average Timing',
+  'summary.meanDistance': 'Average Distance',
+  'summary.timing': '{onTime} of {onsets} on time · {early} early · {late} late · {missed} missed · {extra} extra taps',
+  'summary.confusion': 'What You Read vs. What Was There',
+  'summary.targetGuess': 'Note ↓ Answer →',
+  'summary.mistake': { one: '{target} answered as {guess} ({count} time)', other: '{target} answered as {guess} ({count} times)' },
+  'summary.unanswered': { one: '{target} left unanswered ({count} time)', other: '{target} left unanswered ({count} times)' },
+  'summary.noMistakes': 'No mistakes this session.',
+  'summary.drillMistakes': 'Drill My Mistakes',
+
+  // Progress
+  'progress.empty': 'No practice history yet. Finish a few notes and come back.',
+  'progress.empty.visual': 'No reading practice yet.',
+  'progress.empty.ear': 'No ear training practice yet.',
+  'progress.hint.visual': 'Red keys and staff positions are the ones you miss most.',
+  'progress.hint.ear': 'Red keys are the notes you find hardest by ear.',
+  'progress.intervals': 'Intervals',
+  'progress.recent': 'Recent Sessions',
+
+  // Level map
+  'levels.title': 'Level Map',
+  'levels.passed': { one: '{passed} of {count} level passed', other: '{passed} of {count} levels passed' },
+  'levels.pass': { one: 'Pass: {percent}% of the last {count} note, each under {seconds}s', other: 'Pass: {percent}% of the last {count} notes, each under {seconds}s' },
+  'levels.recent': '{counted}/{count}',
+  'levels.load': 'Load Lessons (JSON)',
+  'levels.builtIn': 'Use Built-in Lessons',
+  'levels.error': 'Could not load these lessons. {detail}',
+  'level.treble-landmarks.name': 'Treble Landmarks',
+  'level.treble-landmarks.description': 'Middle C, treble G and the C above it.',
+  'level.treble-lines.name': 'Treble Lines',
+  'level.treble-lines.description': 'The five lines of the treble staff: E, G, B, D, F.',
+  'level.treble-spaces.name': 'Treble Spaces',
+  'level.treble-spaces.description': 'The four spaces of the treble staff: F, A, C, E.',
+  'level.treble-neighbors.name': 'Treble Neighbors',
+  'level.treble-neighbors.description': 'The landmarks and the notes a step either side of them.',
+  'level.treble-ledger.name': 'Treble Ledger Lines',
+  'level.treble-ledger.description': 'The whole staff, out to the ledger lines above and below.',
+  'level.bass-landmarks.name': 'Bass Landmarks',
+  'level.bass-landmarks.description': 'Middle C, bass F and the C below it.',
+  'level.bass-lines.name': 'Bass Lines',
+  'level.bass-lines.description': 'The five lines of the bass staff: G, B, D, F, A.',
+  'level.bass-spaces.name': 'Bass Spaces',
+  'level.bass-spaces.description': 'The four spaces of the bass staff: A, C, E, G.',
+  'level.bass-neighbors.name': 'Bass Neighbors',
+  'level.bass-neighbors.description': 'The landmarks and the notes a step either side of them.',
+  'level.bass-ledger.name': 'Bass Ledger Lines',
+  'level.bass-ledger.description': 'The whole staff, out to the ledger lines above and below.',
+
+  // Score import
+  'import.untitled': 'Untitled',
+  'import.error.format': 'Only MusicXML (.musicxml, .xml, .mxl) and ABC (.abc) files can be imported.',
+  'import.error.xml': 'The file is not well-formed XML.',
+  'import.error.timewise': 'Timewise MusicXML is not supported. Export the score as partwise MusicXML.',
+  'import.error.zip': 'The .mxl file is damaged or not a zip archive.',
+  'import.error.compressed': 'This browser cannot unpack the compressed .mxl file. Try an uncompressed .musicxml export.',
+  'import.error.noScore': 'The .mxl archive has no MusicXML score in it.',
+  'import.error.empty': 'The file has no pitched notes to read.',
+  'import.warning.parts': { one: 'Only the first part is read; {count} other part was skipped.', other: 'Only the first part is read; {count} other parts were skipped.' },
+  'import.warning.staves': { one: '{count} note on a lower staff was skipped.', other: '{count} notes on lower staves were skipped.' },
+  'import.warning.voices': { one: '{count} note in another voice was skipped.', other: '{count} notes in other voices were skipped.' },
+  'import.warning.chords': { one: '{count} chord note below the top was skipped.', other: '{count} chord notes below the top were skipped.' },
+  'import.warning.tuplets': { one: '{count} tuplet note is read without its rhythm.', other: '{count} tuplet notes are read without their rhythm.' },
+  'import.warning.grace': { one: '{count} grace note was skipped.', other: '{count} grace notes were skipped.' },
+  'import.warning.unpitched': { one: '{count} unpitched (percussion) note was skipped.', other: '{count} unpitched (percussion) notes were skipped.' },
+  'import.warning.microtones': { one: '{count} microtone was rounded to the nearest semitone.', other: '{count} microtones were rounded to the nearest semitone.' },
+  'import.warning.clef': { one: 'An unsupported clef is shown as treble.', other: '{count} unsupported clefs are shown as treble.' },
+  'import.warning.clefOctave': { one: 'An octave clef is shown as a plain clef, with its notes moved to match.', other: '{count} octave clefs are shown as plain clefs, with their notes moved to match.' },
+  'import.warning.transpose': { one: 'Transposition is ignored; notes are read as written.', other: 'Transposition is ignored ({count} times); notes are read as written.' },
+  'import.warning.octaveShift': { one: 'An 8va/8vb line is ignored; notes are shown at sounding pitch.', other: '{count} 8va/8vb lines are ignored; notes are shown at sounding pitch.' },
+  'import.warning.key': { one: 'An unsupported key signature was read as the nearest standard key.', other: '{count} unsupported key signatures were read as the nearest standard key.' },
+  'import.warning.repeats': { one: 'Repeats are read once through.', other: 'Repeats are read once through ({count} repeats).' },
+  'import.warning.tunes': { one: 'Only the first tune is read; {count} other tune was skipped.', other: 'Only the first tune is read; {count} other tunes were skipped.' },
+
+  // Option names
+  'mode.TREBLE.name': 'Treble Clef',
+  'mode.TREBLE.label': 'Treble',
+  'mode.BASS.name': 'Bass Clef',
+  'mode.BASS.label': 'Bass',
+  'mode.ALTO.name': 'Alto Clef',
+  'mode.ALTO.label': 'Alto',
+  'mode.TENOR.name': 'Tenor Clef',
+  'mode.TENOR.label': 'Tenor',
+  'mode.GRAND.name': 'Grand Staff',
+  'mode.GRAND.label': 'Grand',
+  'mode.MIXED.name': 'Mixed Clefs',
+  'mode.MIXED.label': 'Mixed',
+  'clef.treble': 'Treble',
+  'clef.bass': 'Bass',
+  'clef.alto': 'Alto',
+  'clef.tenor': 'Tenor',
+  'instrument.concert': 'Concert Pitch (C)',
+  'instrument.clarinet': 'B♭ Clarinet',
+  'instrument.trumpet': 'B♭ Trumpet',
+  'instrument.altoSax': 'E♭ Alto Sax',
+  'instrument.tenorSax': 'B♭ Tenor Sax',
+  'instrument.horn': 'F Horn',
+  'instrument.guitar': 'Guitar',
+  'instrument.clarinet.interval': 'a major 2nd lower',
+  'instrument.trumpet.interval': 'a major 2nd lower',
+  'instrument.altoSax.interval': 'a major 6th lower',
+  'instrument.tenorSax.interval': 'an octave and a major 2nd lower',
+  'instrument.horn.interval': 'a perfect 5th lower',
+  'instrument.guitar.interval': 'an octave lower',
+  'exercise.single.name': 'Single Notes',
+  'exercise.single.description': 'Identify one note at a time.',
+  'exercise.melody.name': 'Melody',
+  'exercise.melody.description': 'Read a phrase left to right, one note after another.',
+  'exercise.piece.name': 'Piece',
+  'exercise.piece.description': 'Read an imported score phrase by phrase.',
+  'exercise.lesson.name': 'Lessons',
+  'exercise.lesson.description': 'Work through the levels one note group at a time.',
+  'exercise.chord.name': 'Chords',
+  'exercise.chord.description': 'Read intervals and chords stacked on one stem.',
+  'exercise.rhythm.name': 'Rhythm',
+  'exercise.rhythm.description': 'Tap a measure of rhythm in time with the metronome.',
+  'exercise.earNote.name': 'Find by Ear',
+  'exercise.earNote.description': 'Hear a reference tone, then find the note that follows it.',
+  'exercise.earInterval.name': 'Interval by Ear',
+  'exercise.earInterval.description': 'Hear two notes and name the interval between them.',
+  'answerMode.piano': 'Played Notes',
+  'answerMode.name': 'Note Names',
+  'answerSurface.piano': 'Piano',
+  'answerSurface.fretboard': 'Fretboard',
+  'fretboard.offBoard': 'This note is not on the frets shown. Widen the fret range in Settings.',
+  'tuning.guitar': 'Guitar (Standard)',
+  'tuning.dropD': 'Guitar (Drop D)',
+  'tuning.guitar7': '7-String Guitar',
+  'tuning.bass4': 'Bass (4 Strings)',
+  'tuning.bass5': 'Bass (5 Strings)',
+  'tuning.bass6': 'Bass (6 Strings)',
+  'tuning.ukulele': 'Ukulele',
+  'tuning.custom': 'Custom…',
+  'theme.standard': 'Standard',
+  'theme.highContrast': 'High contrast',
+  'a11y.piano': 'Piano keys',
+  'a11y.fretboard': 'Fretboard',
+  'a11y.progress': 'Progress',
+  'a11y.fretPosition': '{note}, string {string}, fret {fret}',
+  'a11y.keyAccuracy': '{note}: {percent}% right',
+  'a11y.clef': '{clef} clef',
+  'a11y.note': '{clef}, {place}',
+  'a11y.phraseNote': 'Note {index} of {count}: {clef}, {place}',
+  'a11y.chord': 'Chord on the {clef}: {places}',
+  'a11y.measure': 'A measure in {timeSignature}. Tap along after the count-in.',
+  'a11y.listen': 'Listen, then answer.',
+  'a11y.withSign': '{place}, with a {sign}',
+  'a11y.sign.sharp': 'sharp',
+  'a11y.sign.flat': 'flat',
+  'a11y.sign.natural': 'natural',
+  'a11y.sign.doubleSharp': 'double sharp',
+  'a11y.sign.doubleFlat': 'double flat',
+  'a11y.correct': 'Correct: {answer}.',
+  'a11y.played': 'You played {note}.',
+  'a11y.tryAgain': 'Try again.',
+  'staffPlace.line': 'line {number}',
+  'staffPlace.space': 'space {number}',
+  'staffPlace.ledger.above': 'ledger line {number} above the staff',
+  'staffPlace.ledger.below': 'ledger line {number} below the staff',
+  'staffPlace.space.above': 'the space just above the staff',
+  'staffPlace.space.below': 'the space just below the staff',
+  'staffPlace.spaceLedger.above': 'the space above ledger line {number}',
+  'staffPlace.spaceLedger.below': 'the space below ledger line {number}',
+  'skill.visual': 'Reading',
+  'skill.ear': 'Ear Training',
+  'naming.english': 'English (C D E)',
+  'naming.solfege': 'Solfège (Do Re Mi)',
+  'naming.german': 'German (C D E … H)',
+  'key.label': '{major} major / {minor} minor',
+  'key.major': '{major} major',
+  'drill.free.name': 'Free Practice',
+  'drill.free.description': 'No clock. Practice at your own pace.',
+  'drill.sprint.name': '60s Sprint',
+  'drill.sprint.description': 'Answer as many notes as you can in 60 seconds.',
+  'drill.set.name': 'Note Set',
+  'drill.set.description': 'Get through a fixed number of notes as fast as you can.',
+  'drill.tempo.name': 'Beat the Tempo',
+  'drill.tempo.description': 'Answer each note within the beat. The tempo rises with your streak; three misses and you are out.',
+  'strategy.uniform': 'Random',
+  'strategy.adaptive': 'Adaptive',
+  'motion.stepwise': 'Stepwise',
+  'motion.mixed': 'Mixed',
+  'motion.leaps': 'Leaps',
+  'step.1': '2nd',
+  'step.2': '3rd',
+  'step.3': '4th',
+  'step.4': '5th',
+  'step.5': '6th',
+  'step.6': '7th',
+  'step.7': 'Octave',
+  'chordCategory.intervals': 'Intervals',
+  'chordCategory.triads': 'Triads',
+  'chordCategory.sevenths': 'Seventh Chords',
+  'chordAnswer.keys': 'Play the Notes',
+  'chordAnswer.name': 'Name It',
+  'rhythmLevel.basic': 'Whole, Half & Quarter',
+  'rhythmLevel.eighths': 'Eighths & Dots',
+  'rhythmLevel.sixteenths': 'Sixteenths',
+  'timingWindow.tight': 'Tight (±{ms} ms)',
+  'timingWindow.normal': 'Normal (±{ms} ms)',
+  'timingWindow.relaxed': 'Relaxed (±{ms} ms)',
+  'inversion.0': 'root position',
+  'inversion.1': '1st inversion',
+  'inversion.2': '2nd inversion',
+  'inversion.3': '3rd inversion',
+  'earRange.octave': 'One Octave ({min}–{max})',
+  'earRange.two': 'Two Octaves ({min}–{max})',
+  'earRange.wide': 'Four Octaves ({min}–{max})',
+  'intervalSet.basic': '3rds, 5ths & Octaves',
+  'intervalSet.small': '2nds to 5ths',
+  'intervalSet.all': 'All Intervals',
+  'intervalStyle.ascending': 'Ascending',
+  'intervalStyle.descending': 'Descending',
+  'intervalStyle.harmonic': 'Harmonic',
+  'preset.piano': 'Piano',
+  'preset.electric': 'Electric Piano',
+  'preset.organ': 'Organ',
+  'preset.pluck': 'Plucked String',
+  'envelope.attack': 'Attack',
+  'envelope.decay': 'Decay',
+  'envelope.sustain': 'Sustain',
+  'envelope.release': 'Release',
+
+  // Interval and chord names (see ../i18n translateName)
+  'interval.format': '{quality} {number}',
+  'interval.tritone': 'tritone',
+  'interval.quality.perfect': 'perfect',
+  'interval.quality.major': 'major',
+  'interval.quality.minor': 'minor',
+  'interval.quality.augmented': 'augmented',
+  'interval.quality.diminished': 'diminished',
+  'interval.number.unison': 'unison',
+  'interval.number.2nd': '2nd',
+  'interval.number.3rd': '3rd',
+  'interval.number.4th': '4th',
+  'interval.number.5th': '5th',
+  'interval.number.6th': '6th',
+  'interval.number.7th': '7th',
+  'interval.number.octave': 'octave',
+  'chord.major': 'major',
+  'chord.minor': 'minor',
+  'chord.diminished': 'diminished',
+  'chord.augmented': 'augmented',
+  'chord.major 7th': 'major 7th',
+  'chord.dominant 7th': 'dominant 7th',
+  'chord.minor 7th': 'minor 7th',
+  'chord.half-diminished 7th': 'half-diminished 7th',
+  'chord.diminished 7th': 'diminished 7th',
+  'chord.minor-major 7th': 'minor-major 7th',
+  'chord.augmented major 7th': 'augmented major 7th',
+};
@@ -0,0 +1,396 @@
+// --- Español ---
+
+export default {
+  // Header and stats
+  'app.streak': 'Racha: {streak}',
+
+  // Settings
+  'settings.title': 'Ajustes',
+  'settings.language': 'Idioma',
+  'settings.naming': 'Nombres de notas',
+  'settings.theme': 'Pantalla',
+  'settings.clefMode': 'Clave',
+  'settings.instrument': 'Instrumento',
+  'settings.instrumentHint': 'Las notas suenan {interval} que lo escrito. Toca lo que suena; nombra lo escrito.',
+  'settings.exercise': 'Ejercicio',
+  'settings.phraseLength': 'Longitud de la frase',
+  'settings.noteCount': { one: '{count} nota', other: '{count} notas' },
+  'settings.pieceFile': 'Archivo de partitura',
+  'settings.pieceLoaded': { one: '{title}: {count} nota para leer.', other: '{title}: {count} notas para leer.' },
+  'settings.levelMap': 'Abrir el mapa de niveles',
+  'settings.motion': 'Movimiento',
+  'settings.largestInterval': 'Intervalo máximo',
+  'settings.stack': 'Tipo',
+  'settings.answerBy': 'Responder',
+  'settings.inversions': 'Incluir inversiones',
+  'settings.timeSignature': 'Compás',
+  'settings.noteValues': 'Figuras',
+  'settings.tempo': 'Tempo: {bpm} ppm',
+  'settings.timingWindow': 'Margen de tiempo',
+  'settings.metronome': 'Metrónomo durante el compás',
+  'settings.range': 'Registro',
+  'settings.range.min': 'Más grave',
+  'settings.range.max': 'Más aguda',
+  'settings.referenceTone': 'Nota de referencia',
+  'settings.intervals': 'Intervalos',
+  'settings.played': 'Forma',
+  'settings.answerWith': 'Responder con',
+  'settings.ownAnswers': 'Este ejercicio tiene sus propias opciones de respuesta arriba.',
+  'settings.keyHints': 'Mostrar las teclas del ordenador',
+  'settings.tuning': 'Afinación',
+  'settings.customTuningHint': 'Cuerdas al aire de la más gruesa a la más fina, con octava (de {min} a {max} cuerdas).',
+  'settings.customTuningInvalid': 'Escribe de {min} a {max} notas con octava, como E2 A2 D3 G3 B3 E4.',
+  'settings.frets': 'Trastes',
+  'settings.drill': 'Modalidad',
+  'settings.setLength': 'Notas por serie',
+  'settings.share': 'Compartir este ejercicio',
+  'settings.shareHint': 'Enlace copiado. Al abrirlo se prepara este mismo ejercicio, nota por nota.',
+  'settings.shareRandom': 'Volver a notas al azar',
+  'settings.selection': 'Selección de notas',
+  'settings.adaptiveHint': 'Las notas que fallas o respondes despacio salen más a menudo.',
+  'settings.sharedSelectionHint': 'Un ejercicio compartido elige las notas al azar, para que todos reciban las mismas.',
+  'settings.keySignature': 'Armadura',
+  'settings.accidentals': 'Incluir alteraciones',
+  'settings.midi': 'Entrada MIDI',
+  'settings.midiUnsupported': 'Este navegador no admite Web MIDI. Prueba con Chrome, Edge o Firefox en un ordenador.',
+  'settings.midiBlocked': 'Se bloqueó el acceso MIDI. Permítelo en los ajustes del sitio del navegador y vuelve a intentarlo.',
+  'settings.midiConnecting': 'Conectando…',
+  'settings.midiConnect': 'Conectar teclado MIDI',
+  'settings.midiAllDevices': 'Todos los dispositivos',
+  'settings.midiMissingDevice': 'Dispositivo desconectado',
+  'settings.midiNoDevices': 'No se encontró ningún dispositivo MIDI. Conecta uno para usarlo.',
+  'settings.midiUnplugged': 'El dispositivo elegido se ha desconectado.',
+  'settings.midiConnected': { one: '{count} dispositivo conectado.', other: '{count} dispositivos conectados.' },
+  'settings.mic': 'Micrófono',
+  'settings.micUnsupported': 'Este navegador no puede grabar desde un micrófono.',
+  'settings.micBlocked': 'Se bloqueó el acceso al micrófono. Permítelo en los ajustes del sitio del navegador y vuelve a intentarlo.',
+  'settings.micStop': 'Dejar de escuchar',
+  'settings.micStarting': 'Iniciando…',
+  'settings.micStart': 'Escuchar con el micrófono',
+  'settings.micGain': 'Ganancia: {gain}×',
+  'settings.noiseGate': 'Puerta de ruido: {db} dB',
+  'settings.sound': 'Sonido',
+  'settings.volume': 'Volumen: {percent}%',
+  'settings.sustain': 'Pedal (dejar sonar las notas)',
+  'settings.envelope': 'Envolvente',
+  'settings.referencePitch': 'La4 de referencia (Hz)',
+  'settings.resetConfirm': '¿Borrar todas las sesiones y estadísticas guardadas? No se puede deshacer.',
+  'settings.delete': 'Borrar',
+  'settings.cancel': 'Cancelar',
+  'settings.reset': 'Reiniciar progreso',
+
+  // Start screen
+  'start.ready': '¿Listo para practicar?',
+  'start.time': '¡Se acabó el tiempo!',
+  'start.lives': '¡Sin pulsos!',
+  'start.set': '¡Serie completada!',
+  'start.levelPassed': '¡Nivel superado!',
+  'start.ended': 'Sesión terminada',
+  'start.result': '{score} aciertos de {total} en {seconds} s.',
+  'start.reading': '{mode}, {key}.',
+  'start.piece': { one: '{title}, {count} nota.', other: '{title}, {count} notas.' },
+  'start.noPiece': 'Carga un archivo MusicXML o ABC en Ajustes para empezar.',
+  'start.level': { one: '{name}: acierta el {percent}% de tu última {count} nota, cada una en menos de {seconds} s.', other: '{name}: acierta el {percent}% de tus últimas {count} notas, cada una en menos de {seconds} s.' },
+  'start.noLevel': 'Elige un nivel en el mapa de niveles para empezar.',
+  'start.rhythm': '{time} a {bpm} ppm. Un toque a menos de {ms} ms de su nota va a tiempo.',
+  'start.mistakes': { one: 'Practicando la {count} nota que fallaste.', other: 'Practicando las {count} notas que fallaste.' },
+  'start.allNotes': 'Volver a todas las notas',
+  'start.instrument': 'Parte de {instrument}: las notas suenan {interval} que lo escrito.',
+  'start.ear': '{range}.',
+  'start.drill': '{drill}: {description}',
+  'start.assigned': 'Ejercicio asignado: siempre las mismas notas.',
+  'start.export.json': 'Exportar JSON',
+  'start.export.csv': 'Exportar CSV',
+  'start.setDescription': 'Completa {count} notas lo más rápido que puedas.',
+  'start.setMeasures': { one: 'Toca {count} compás sin fallos lo más rápido que puedas.', other: 'Toca {count} compases sin fallos lo más rápido que puedas.' },
+  'start.button': 'Empezar',
+  'start.shared': 'Ejercicio compartido listo',
+  'start.sharedButton': 'Empezar ejercicio compartido',
+
+  // Practice
+  'game.correct': '¡Correcto!',
+  'game.endSession': 'Terminar sesión',
+  'game.wrong': '¡Uy!',
+  'game.transposed': 'Escrita {written} · Real {sounding}',
+  'game.playedTransposed': 'Tocaste {sounding} real (escrita {written}).',
+  'game.chordLabel': '{name}, {inversion}',
+  'game.earNote': 'Primero {note}, luego la nota que hay que encontrar.',
+  'game.earInterval.ascending': 'Intervalo ascendente.',
+  'game.earInterval.descending': 'Intervalo descendente.',
+  'game.earInterval.harmonic': 'Intervalo armónico.',
+  'game.replay': 'Repetir',
+  'game.reference': 'Referencia ({note})',
+  'game.soundOff': 'El sonido está apagado. Los botones de arriba siguen sonando.',
+  'rhythm.listen': 'Prepárate…',
+  'rhythm.countIn': 'Cuenta de entrada…',
+  'rhythm.tap': '¡Toca!',
+  'rhythm.tapPad': 'Tocar',
+  'rhythm.result': '{onTime} de {total} a tiempo · {early} antes · {late} tarde · {missed} sin tocar · {extra} de más',
+  'rhythm.soundOff': 'El sonido está apagado. Sigue los puntos para la cuenta de entrada.',
+  'hint.nameInterval': 'Nombra el intervalo. Puedes probarlo en el piano.',
+  'hint.nameChord': 'Nombra el tipo de acorde. Puedes probarlo en el piano.',
+  'hint.playChord': 'Toca todas las notas juntas, o una tras otra en menos de dos segundos.',
+  'hint.earInterval': 'Nombra el intervalo que has oído. Puedes probarlo en el piano.',
+  'hint.typeName': 'Pulsa una nota o escribe su nombre (por ejemplo {example}, la octava es opcional) y pulsa Intro.',
+  'hint.mic': 'Toca la nota con tu instrumento y mantenla estable.',
+  'hint.midi': 'Toca la nota en tu teclado MIDI o pulsa las teclas del piano.',
+  'hint.keys': 'Pulsa las teclas del piano o tócalas con el teclado del ordenador (Z y X cambian de octava).',
+  'hint.fretboard': 'Pulsa cualquier cuerda y traste que dé la nota o usa el teclado del ordenador (Z y X cambian de octava).',
+  'hint.tap': 'Toca en cada nota: cualquier tecla, la barra espaciadora, el botón o una tecla MIDI. Los silencios no se tocan y las notas ligadas llevan un solo toque.',
+  'tuner.listening': 'Escuchando…',
+
+  // Session summary
+  'summary.accuracy': 'Precisión',
+  'summary.median': 'Mediana',
+  'summary.slowest': 'Más lenta',
+  'summary.bestStreak': 'Mejor racha',
+  'summary.meanOffset': 'Desfase medio',
+  'summary.meanDistance': 'Distancia media',
+  'summary.timing': '{onTime} de {onsets} a tiempo · {early} antes · {late} tarde · {missed} sin tocar · {extra} toques de más',
+  'summary.confusion': 'Lo que leíste frente a lo que había',
+  'summary.targetGuess': 'Nota ↓ Respuesta →',
+  'summary.mistake': { one: '{target} respondida como {guess} ({count} vez)', other: '{target} respondida como {guess} ({count} veces)' },
+  'summary.unanswered': { one: '{target} sin responder ({count} vez)', other: '{target} sin responder ({count} veces)' },
+  'summary.noMistakes': 'Ningún error en esta sesión.',
+  'summary.drillMistakes': 'Practicar mis errores',
+
+  // Progress
+  'progress.empty': 'Aún no hay historial. Practica unas cuantas notas y vuelve.',
+  'progress.empty.visual': 'Aún no has practicado lectura.',
+  'progress.empty.ear': 'Aún no has practicado el oído.',
+  'progress.hint.visual': 'Las teclas y posiciones en rojo son las que más fallas.',
+  'progress.hint.ear': 'Las teclas en rojo son las notas que más te cuesta reconocer de oído.',
+  'progress.intervals': 'Intervalos',
+  'progress.recent': 'Sesiones recientes',
+
+  // Level map
+  'levels.title': 'Mapa de niveles',
+  'levels.passed': { one: '{passed} de {count} nivel superado', other: '{passed} de {count} niveles superados' },
+  'levels.pass': { one: 'Para superarlo: {percent}% de la última {count} nota, cada una en menos de {seconds} s', other: 'Para superarlo: {percent}% de las últimas {count} notas, cada una en menos de {seconds} s' },
+  'levels.recent': '{counted}/{count}',
+  'levels.load': 'Cargar lecciones (JSON)',
+  'levels.builtIn': 'Usar las lecciones incluidas',
+  'levels.error': 'No se pudieron cargar estas lecciones. {detail}',
+  'level.treble-landmarks.name': 'Referencias en clave de sol',
+  'level.treble-landmarks.description': 'El do central, el sol de la clave y el do de arriba.',
+  'level.treble-lines.name': 'Líneas en clave de sol',
+  'level.treble-lines.description': 'Las cinco líneas del pentagrama en clave de sol: mi, sol, si, re, fa.',
+  'level.treble-spaces.name': 'Espacios en clave de sol',
+  'level.treble-spaces.description': 'Los cuatro espacios del pentagrama en clave de sol: fa, la, do, mi.',
+  'level.treble-neighbors.name': 'Vecinas en clave de sol',
+  'level.treble-neighbors.description': 'Las referencias y las notas a un paso de ellas.',
+  'level.treble-ledger.name': 'Líneas adicionales en clave de sol',
+  'level.treble-ledger.description': 'Todo el pentagrama, hasta las líneas adicionales de arriba y de abajo.',
+  'level.bass-landmarks.name': 'Referencias en clave de fa',
+  'level.bass-landmarks.description': 'El do central, el fa de la clave y el do de abajo.',
+  'level.bass-lines.name': 'Líneas en clave de fa',
+  'level.bass-lines.description': 'Las cinco líneas del pentagrama en clave de fa: sol, si, re, fa, la.',
+  'level.bass-spaces.name': 'Espacios en clave de fa',
+  'level.bass-spaces.description': 'Los cuatro espacios del pentagrama en clave de fa: la, do, mi, sol.',
+  'level.bass-neighbors.name': 'Vecinas en clave de fa',
+  'level.bass-neighbors.description': 'Las referencias y las notas a un paso de ellas.',
+  'level.bass-ledger.name': 'Líneas adicionales en clave de fa',
+  'level.bass-ledger.description': 'Todo el pentagrama, hasta las líneas adicionales de arriba y de abajo.',
+
+  // Score import
+  'import.untitled': 'Sin título',
+  'import.error.format': 'Solo se pueden importar archivos MusicXML (.musicxml, .xml, .mxl) y ABC (.abc).',
+  'import.error.xml': 'El archivo no es XML bien formado.',
+  'import.error.timewise': 'No se admite MusicXML timewise. Exporta la partitura como MusicXML partwise.',
+  'import.error.zip': 'El archivo .mxl está dañado o no es un archivo zip.',
+  'import.error.compressed': 'Este navegador no puede descomprimir el archivo .mxl. Prueba a exportar un .musicxml sin comprimir.',
+  'import.error.noScore': 'El archivo .mxl no contiene ninguna partitura MusicXML.',
+  'import.error.empty': 'El archivo no tiene notas con altura que leer.',
+  'import.warning.parts': { one: 'Solo se lee la primera parte; se omitió {count} parte más.', other: 'Solo se lee la primera parte; se omitieron {count} partes más.' },
+  'import.warning.staves': { one: 'Se omitió {count} nota de un pentagrama inferior.', other: 'Se omitieron {count} notas de pentagramas inferiores.' },
+  'import.warning.voices': { one: 'Se omitió {count} nota de otra voz.', other: 'Se omitieron {count} notas de otras voces.' },
+  'import.warning.chords': { one: 'Se omitió {count} nota de acorde bajo la superior.', other: 'Se omitieron {count} notas de acorde bajo la superior.' },
+  'import.warning.tuplets': { one: '{count} nota de grupo irregular se lee sin su ritmo.', other: '{count} notas de grupos irregulares se leen sin su ritmo.' },
+  'import.warning.grace': { one: 'Se omitió {count} nota de adorno.', other: 'Se omitieron {count} notas de adorno.' },
+  'import.warning.unpitched': { one: 'Se omitió {count} nota sin altura (percusión).', other: 'Se omitieron {count} notas sin altura (percusión).' },
+  'import.warning.microtones': { one: 'Se redondeó {count} microtono al semitono más cercano.', other: 'Se redondearon {count} microtonos al semitono más cercano.' },
+  'import.warning.clef': { one: 'Una clave no admitida se muestra como clave de sol.', other: '{count} claves no admitidas se muestran como clave de sol.' },
+  'import.warning.clefOctave': { one: 'Una clave octavada se muestra sin octavar, con sus notas desplazadas.', other: '{count} claves octavadas se muestran sin octavar, con sus notas desplazadas.' },
+  'import.warning.transpose': { one: 'Se ignora la transposición; las notas se leen como están escritas.', other: 'Se ignora la transposición ({count} veces); las notas se leen como están escritas.' },
+  'import.warning.octaveShift': { one: 'Se ignora una línea de 8va/8vb; las notas se muestran a su altura real.', other: 'Se ignoran {count} líneas de 8va/8vb; las notas se muestran a su altura real.' },
+  'import.warning.key': { one: 'Una armadura no admitida se leyó como la tonalidad estándar más cercana.', other: '{count} armaduras no admitidas se leyeron como la tonalidad estándar más cercana.' },
+  'import.warning.repeats': { one: 'Las repeticiones se leen una sola vez.', other: 'Las repeticiones se leen una sola vez ({count} repeticiones).' },
+  'import.warning.tunes': { one: 'Solo se lee la primera pieza; se omitió {count} más.', other: 'Solo se lee la primera pieza; se omitieron {count} más.' },
+
+  // Option names
+  'mode.TREBLE.name': 'Clave de sol',
+  'mode.TREBLE.label': 'Sol',
+  'mode.BASS.name': 'Clave de fa',
+  'mode.BASS.label': 'Fa',
+  'mode.ALTO.name': 'Clave de do en 3.ª',
+  'mode.ALTO.label': 'Do 3.ª',
+  'mode.TENOR.name': 'Clave de do en 4.ª',
+  'mode.TENOR.label': 'Do 4.ª',
+  'mode.GRAND.name': 'Sistema de piano',
+  'mode.GRAND.label': 'Piano',
+  'mode.MIXED.name': 'Claves mezcladas',
+  'mode.MIXED.label': 'Mezcla',
+  'clef.treble': 'Sol',
+  'clef.bass': 'Fa',
+  'clef.alto': 'Do 3.ª',
+  'clef.tenor': 'Do 4.ª',
+  'instrument.concert': 'Tono de concierto (C)',
+  'instrument.clarinet': 'Clarinete en Si♭',
+  'instrument.trumpet': 'Trompeta en Si♭',
+  'instrument.altoSax': 'Saxofón alto en Mi♭',
+  'instrument.tenorSax': 'Saxofón tenor en Si♭',
+  'instrument.horn': 'Trompa en Fa',
+  'instrument.guitar': 'Guitarra',
+  'instrument.clarinet.interval': 'una segunda mayor más grave',
+  'instrument.trumpet.interval': 'una segunda mayor más grave',
+  'instrument.altoSax.interval': 'una sexta mayor más grave',
+  'instrument.tenorSax.interval': 'una octava y una segunda mayor más grave',
+  'instrument.horn.interval': 'una quinta justa más grave',
+  'instrument.guitar.interval': 'una octava más grave',
+  'exercise.single.name': 'Notas sueltas',
+  'exercise.single.description': 'Identifica una nota cada vez.',
+  'exercise.melody.name': 'Melodía',
+  'exercise.melody.description': 'Lee una frase de izquierda a derecha, nota tras nota.',
+  'exercise.piece.name': 'Obra',
+  'exercise.piece.description': 'Lee una partitura importada frase a frase.',
+  'exercise.lesson.name': 'Lecciones',
+  'exercise.lesson.description': 'Avanza por los niveles, un grupo de notas cada vez.',
+  'exercise.chord.name': 'Acordes',
+  'exercise.chord.description': 'Lee intervalos y acordes sobre una misma plica.',
+  'exercise.rhythm.name': 'Ritmo',
+  'exercise.rhythm.description': 'Toca un compás de ritmo a tiempo con el metrónomo.',
+  'exercise.earNote.name': 'Buscar de oído',
+  'exercise.earNote.description': 'Escucha una nota de referencia y encuentra la que la sigue.',
+  'exercise.earInterval.name': 'Intervalo de oído',
+  'exercise.earInterval.description': 'Escucha dos notas y nombra el intervalo entre ellas.',
+  'answerMode.piano': 'Notas tocadas',
+  'answerMode.name': 'Nombres de notas',
+  'answerSurface.piano': 'Piano',
+  'answerSurface.fretboard': 'Diapasón',
+  'fretboard.offBoard': 'Esta nota no está en los trastes mostrados. Amplía el rango de trastes en Ajustes.',
+  'tuning.guitar': 'Guitarra (estándar)',
+  'tuning.dropD': 'Guitarra (Drop D)',
+  'tuning.guitar7': 'Guitarra de 7 cuerdas',
+  'tuning.bass4': 'Bajo (4 cuerdas)',
+  'tuning.bass5': 'Bajo (5 cuerdas)',
+  'tuning.bass6': 'Bajo (6 cuerdas)',
+  'tuning.ukulele': 'Ukelele',
+  'tuning.custom': 'Personalizada…',
+  'theme.standard': 'Estándar',
+  'theme.highContrast': 'Alto contraste',
+  'a11y.piano': 'Teclas del piano',
+  'a11y.fretboard': 'Diapasón',
+  'a11y.progress': 'Progreso',
+  'a11y.fretPosition': '{note}, cuerda {string}, traste {fret}',
+  'a11y.keyAccuracy': '{note}: {percent}% de aciertos',
+  'a11y.clef': 'Clave de {clef}',
+  'a11y.note': '{clef}, {place}',
+  'a11y.phraseNote': 'Nota {index} de {count}: {clef}, {place}',
+  'a11y.chord': 'Acorde en {clef}: {places}',
+  'a11y.measure': 'Un compás de {timeSignature}. Marca el ritmo tras la cuenta previa.',
+  'a11y.listen': 'Escucha y responde.',
+  'a11y.withSign': '{place}, con {sign}',
+  'a11y.sign.sharp': 'sostenido',
+  'a11y.sign.flat': 'bemol',
+  'a11y.sign.natural': 'becuadro',
+  'a11y.sign.doubleSharp': 'doble sostenido',
+  'a11y.sign.doubleFlat': 'doble bemol',
+  'a11y.correct': 'Correcto: {answer}.',
+  'a11y.played': 'Has tocado {note}.',
+  'a11y.tryAgain': 'Inténtalo de nuevo.',
+  'staffPlace.line': 'línea {number}',
+  'staffPlace.space': 'espacio {number}',
+  'staffPlace.ledger.above': 'línea adicional {number} por encima del pentagrama',
+  'staffPlace.ledger.below': 'línea adicional {number} por debajo del pentagrama',
+  'staffPlace.space.above': 'el espacio justo encima del pentagrama',
+  'staffPlace.space.below': 'el espacio justo debajo del pentagrama',
+  'staffPlace.spaceLedger.above': 'el espacio encima de la línea adicional {number}',
+  'staffPlace.spaceLedger.below': 'el espacio debajo de la línea adicional {number}',
+  'skill.visual': 'Lectura',
+  'skill.ear': 'Oído',
+  'naming.english': 'Inglés (C D E)',
+  'naming.solfege': 'Solfeo (Do Re Mi)',
+  'naming.german': 'Alemán (C D E … H)',
+  'key.label': '{major} mayor / {minor} menor',
+  'key.major': '{major} mayor',
+  'drill.free.name': 'Práctica libre',
+  'drill.free.description': 'Sin reloj. Practica a tu ritmo.',
+  'drill.sprint.name': 'Sprint de 60 s',
+  'drill.sprint.description': 'Responde tantas notas como puedas en 60 segundos.',
+  'drill.set.name': 'Serie de notas',
+  'drill.set.description': 'Completa un número fijo de notas lo más rápido que puedas.',
+  'drill.tempo.name': 'Gana al tempo',
+  'drill.tempo.description': 'Responde cada nota dentro del pulso. El tempo sube con tu racha; tres fallos y quedas fuera.',
+  'strategy.uniform': 'Aleatoria',
+  'strategy.adaptive': 'Adaptativa',
+  'motion.stepwise': 'Por grados',
+  'motion.mixed': 'Mixto',
+  'motion.leaps': 'Saltos',
+  'step.1': 'Segunda',
+  'step.2': 'Tercera',
+  'step.3': 'Cuarta',
+  'step.4': 'Quinta',
+  'step.5': 'Sexta',
+  'step.6': 'Séptima',
+  'step.7': 'Octava',
+  'chordCategory.intervals': 'Intervalos',
+  'chordCategory.triads': 'Tríadas',
+  'chordCategory.sevenths': 'Acordes de séptima',
+  'chordAnswer.keys': 'Tocar las notas',
+  'chordAnswer.name': 'Nombrarlo',
+  'rhythmLevel.basic': 'Redondas, blancas y negras',
+  'rhythmLevel.eighths': 'Corcheas y puntillos',
+  'rhythmLevel.sixteenths': 'Semicorcheas',
+  'timingWindow.tight': 'Estricto (±{ms} ms)',
+  'timingWindow.normal': 'Normal (±{ms} ms)',
+  'timingWindow.relaxed': 'Amplio (±{ms} ms)',
+  'inversion.0': 'estado fundamental',
+  'inversion.1': '1.ª inversión',
+  'inversion.2': '2.ª inversión',
+  'inversion.3': '3.ª inversión',
+  'earRange.octave': 'Una octava ({min}–{max})',
+  'earRange.two': 'Dos octavas ({min}–{max})',
+  'earRange.wide': 'Cuatro octavas ({min}–{max})',
+  'intervalSet.basic': 'Terceras, quintas y octavas',
+  'intervalSet.small': 'De segundas a quintas',
+  'intervalSet.all': 'Todos los intervalos',
+  'intervalStyle.ascending': 'Ascendente',
+  'intervalStyle.descending': 'Descendente',
+  'intervalStyle.harmonic': 'Armónico',
+  'preset.piano': 'Piano',
+  'preset.electric': 'Piano eléctrico',
+  'preset.organ': 'Órgano',
+  'preset.pluck': 'Cuerda pulsada',
+  'envelope.attack': 'Ataque',
+  'envelope.decay': 'Caída',
+  'envelope.sustain': 'Sostenido',
+  'envelope.release': 'Liberación',
+
+  // Interval and chord names
+  'interval.format': '{number} {quality}',
+  'interval.tritone': 'tritono',
+  'interval.quality.perfect': 'justa',
+  'interval.quality.major': 'mayor',
+  'interval.quality.minor': 'menor',
+  'interval.quality.augmented': 'aumentada',
+  'interval.quality.diminished': 'disminuida',
+  'interval.number.unison': 'unísono',
+  'interval.number.2nd': 'segunda',
+  'interval.number.3rd': 'tercera',
+  'interval.number.4th': 'cuarta',
+  'interval.number.5th': 'quinta',
+  'interval.number.6th': 'sexta',
+  'interval.number.7th': 'séptima',
+  'interval.number.octave': 'octava',
+  'chord.major': 'mayor',
+  'chord.minor': 'menor',
+  'chord.diminished': 'disminuido',
+  'chord.augmented': 'aumentado',
+  'chord.major 7th': 'séptima mayor',
+  'chord.dominant 7th': 'séptima de dominante',
+  'chord.minor 7th': 'séptima menor',
+  'chord.half-diminished 7th': 'semidisminuido',
+  'chord.diminished 7th': 'séptima disminuida',
+  'chord.minor-major 7th': 'menor con séptima mayor',
+  'chord.augmented major 7th': 'aumentado con séptima mayor',
+};
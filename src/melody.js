@@ -0,0 +1,52 @@
+// --- Melody Phrases ---
+// Phrases are generated as staff positions (see notes.getStaffPosition) so
+// interval sizes are counted the way they are read: in lines and spaces.
+
+import { pickWeighted } from './selection';
+
+// Weight of each interval size in staff steps: [repeat, 2nd, 3rd, 4th, 5th, 6th, 7th, octave]
+export const MELODY_MOTIONS = {
+  stepwise: { weights: [0.5, 8, 3, 1, 0.6, 0.3, 0.1, 0.2] },
+  mixed:    { weights: [0.5, 4, 3, 2, 2, 1, 0.5, 0.8] },
+  leaps:    { weights: [0.3, 1, 3, 3, 3, 2, 1, 1.5] },
+};
+
+export const INTERVAL_NAMES = ['Unison', '2nd', '3rd', '4th', '5th', '6th', '7th', 'Octave'];
+
+export const PHRASE_LENGTHS = [4, 8, 12, 16];
+
+export const generatePhrase = ({
+  minPosition,
+  maxPosition,
+  length = 8,
+  motion = 'stepwise',
+  maxInterval = 4,
+  rng = Math.random,
+}) => {
+  const span = Math.max(0, maxPosition - minPosition);
+  const weights = (MELODY_MOTIONS[motion] || MELODY_MOTIONS.stepwise).weights;
+  const sizes = [];
+  for (let size = 0; size <= Math.min(maxInterval, span, weights.length - 1); size++) sizes.push(size);
+
+  // Start somewhere in the middle half of the range
+  let current = minPosition + Math.round(span / 4 + rng() * span / 2);
+  let lastMove = 0;
+  const positions = [current];
+
+  while (positions.length < length) {
+    const size = pickWeighted(sizes, sizes.map(s => weights[s]), rng);
+
+    // Drift back toward the middle near the edges, and follow a leap with
+    // motion the other way the way real melodies fill in the gap
+    let upChance = span ? (maxPosition - current) / span : 0.5;
+    if (Math.abs(lastMove) >= 3) upChance = lastMove > 0 ? 0.2 : 0.8;
+    let next = current + (rng() < upChance ? size : -size);
+    if (next > maxPosition || next < minPosition) next = current - (next - current);
+    next = Math.min(maxPosition, Math.max(minPosition, next));
+
+    lastMove = next - current;
+    current = next;
+    positions.push(current);
+  }
+  return positions;
+};
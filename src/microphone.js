@@ -0,0 +1,78 @@
+// --- Microphone Input ---
+// Streams the mic through a gain stage into an analyser on the shared
+// AudioContext and feeds each frame to the pure detector in ./pitch.
+
+import { detectPitch, frequencyToNote, createPitchStabilizer } from './pitch';
+
+export const isMicrophoneSupported = () =>
+  typeof navigator !== 'undefined' && typeof navigator.mediaDevices?.getUserMedia === 'function';
+
+// Noise gate settings are in dBFS, the detector works on linear RMS
+export const dbToLinear = (db) => Math.pow(10, db / 20);
+
+export const createMicrophoneInput = async (ctx, {
+  gain = 1,
+  noiseGateDb = -45,
+  a4 = 440,
+  holdMs = 120,
+  onPitch,
+  onNote,
+} = {}) => {
+  if (!isMicrophoneSupported()) {
+    throw new Error('Microphone input is not supported in this browser.');
+  }
+
+  // Processing meant for speech smears sustained pitches, so turn it off
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+
+  const source = ctx.createMediaStreamSource(stream);
+  const gainNode = ctx.createGain();
+  const analyser = ctx.createAnalyser();
+  gainNode.gain.value = gain;
+  analyser.fftSize = 2048;
+  source.connect(gainNode);
+  gainNode.connect(analyser);
+
+  const buffer = new Float32Array(analyser.fftSize);
+  const stabilizer = createPitchStabilizer({ holdMs });
+  const settings = { noiseGate: dbToLinear(noiseGateDb), a4 };
+  let frame = null;
+
+  const tick = () => {
+    analyser.getFloatTimeDomainData(buffer);
+    const pitch = detectPitch(buffer, ctx.sampleRate, { noiseGate: settings.noiseGate });
+    const snapped = pitch && frequencyToNote(pitch.frequency, settings.a4);
+    const reading = snapped ? { ...pitch, ...snapped } : null;
+
+    if (onPitch) onPitch(reading);
+    const note = stabilizer.push(reading, performance.now());
+    if (note && onNote) onNote(note);
+
+    frame = requestAnimationFrame(tick);
+  };
+  frame = requestAnimationFrame(tick);
+
+  return {
+    setGain(value) {
+      gainNode.gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+    },
+    setNoiseGate(db) {
+      settings.noiseGate = dbToLinear(db);
+    },
+    setA4(value) {
+      settings.a4 = value;
+    },
+    // Forget the held note so the same pitch can be submitted again
+    reset() {
+      stabilizer.reset();
+    },
+    stop() {
+      cancelAnimationFrame(frame);
+      source.disconnect();
+      gainNode.disconnect();
+      stream.getTracks().forEach(track => track.stop());
+    },
+  };
+};
@@ -0,0 +1,88 @@
+// --- Web MIDI Input ---
+// Kept free of React so it can be driven by a fake MIDIAccess object.
+
+import { midiToNote } from './notes';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+
+export const isMidiSupported = () =>
+  typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+
+// MIDI 60 -> 'C4', 66 -> 'F#4'
+export const midiToNoteName = (midi) => {
+  if (!Number.isInteger(midi) || midi < 0 || midi > 127) return null;
+  return midiToNote(midi);
+};
+
+export const parseMidiMessage = (data) => {
+  if (!data || data.length < 3) return null;
+  const [status, note, velocity] = data;
+  const command = status & 0xf0;
+
+  // A note-on with velocity 0 is the running-status way of saying note-off
+  if (command === NOTE_ON && velocity > 0) return { type: 'noteon', note, velocity };
+  if (command === NOTE_OFF || command === NOTE_ON) return { type: 'noteoff', note, velocity: 0 };
+  return null;
+};
+
+export const listInputs = (access) => {
+  if (!access?.inputs) return [];
+  return Array.from(access.inputs.values())
+    .filter(input => input.state !== 'disconnected')
+    .map(input => ({
+      id: input.id,
+      name: input.name || 'Unknown device',
+      manufacturer: input.manufacturer || '',
+    }));
+};
+
+export const requestMidiAccess = async () => {
+  if (!isMidiSupported()) {
+    throw new Error('Web MIDI is not supported in this browser.');
+  }
+  return navigator.requestMIDIAccess();
+};
+
+// Wires note-on events from the selected input (or every input when
+// deviceId is null) to onNote, and re-wires on hot-plug.
+export const createMidiInput = (access, { onNote, onDevicesChange } = {}) => {
+  let deviceId = null;
+
+  const handleMessage = (event) => {
+    const message = parseMidiMessage(event.data);
+    if (message?.type !== 'noteon') return;
+    const noteName = midiToNoteName(message.note);
+    if (noteName && onNote) onNote(noteName, message);
+  };
+
+  const attach = () => {
+    for (const input of access.inputs.values()) {
+      const listening = deviceId === null || input.id === deviceId;
+      input.onmidimessage = listening ? handleMessage : null;
+    }
+  };
+
+  const handleStateChange = () => {
+    attach();
+    if (onDevicesChange) onDevicesChange(listInputs(access));
+  };
+
+  access.onstatechange = handleStateChange;
+  attach();
+
+  return {
+    getDevices: () => listInputs(access),
+    getDeviceId: () => deviceId,
+    selectDevice(id) {
+      deviceId = id || null;
+      attach();
+    },
+    dispose() {
+      access.onstatechange = null;
+      for (const input of access.inputs.values()) {
+        input.onmidimessage = null;
+      }
+    },
+  };
+};
@@ -0,0 +1,114 @@
+// --- MusicXML Import ---
+// Reads the top line of a partwise MusicXML score: the first part, its top
+// staff and its first voice. Rhythm is not needed for pitch reading, so
+// durations are ignored and tied notes are read once.
+
+import { formatNote } from './notes';
+import { findClef } from './clefs';
+import { getKeyByCount } from './keySignatures';
+import { createImportError, createScoreBuilder } from './score';
+
+// Direct child elements, optionally by tag name
+const childElements = (node, tag) => Array.from(node?.childNodes || [])
+  .filter(child => child.nodeType === 1 && (!tag || child.nodeName === tag));
+
+const child = (node, tag) => childElements(node, tag)[0] || null;
+
+const childText = (node, tag) => child(node, tag)?.textContent.trim() ?? null;
+
+// The DOMParser is passed in where there is no browser one (e.g. @xmldom/xmldom)
+export const parseMusicXml = (text, { parser = new DOMParser() } = {}) => {
+  let doc = null;
+  try {
+    doc = parser.parseFromString(text, 'application/xml');
+  } catch {
+    // Some parsers throw instead of returning a <parsererror> document
+  }
+  const root = doc?.documentElement;
+  if (!root || root.nodeName === 'parsererror' || doc.getElementsByTagName('parsererror').length) {
+    throw createImportError('xml', 'The file is not well-formed XML.');
+  }
+  if (root.nodeName === 'score-timewise') {
+    throw createImportError('timewise', 'Timewise MusicXML is not supported; export a partwise score.');
+  }
+  if (root.nodeName !== 'score-partwise') {
+    throw createImportError('format', 'The file is not a MusicXML score.');
+  }
+
+  const score = createScoreBuilder();
+  const parts = childElements(root, 'part');
+  if (parts.length > 1) score.warn('parts', parts.length - 1);
+
+  let clef = 'treble';
+  let clefOctave = 0;
+  let keySignature = 'C';
+  let voice = null;
+  let tied = false;
+
+  const readAttributes = (attributes) => {
+    childElements(attributes, 'key').forEach(key => {
+      if (key.getAttribute('number') && key.getAttribute('number') !== '1') return;
+      const fifths = childText(key, 'fifths');
+      const found = fifths !== null && getKeyByCount(Number(fifths));
+      if (found) keySignature = found;
+      else score.warn('key');
+    });
+
+    childElements(attributes, 'clef').forEach(element => {
+      if (element.getAttribute('number') && element.getAttribute('number') !== '1') return;
+      const found = findClef(childText(element, 'sign'), Number(childText(element, 'line')));
+      clef = found || 'treble';
+      if (!found) score.warn('clef');
+      clefOctave = Number(childText(element, 'clef-octave-change')) || 0;
+      if (clefOctave) score.warn('clefOctave');
+    });
+
+    if (child(attributes, 'transpose')) score.warn('transpose');
+  };
+
+  const readNote = (note) => {
+    if (child(note, 'grace')) return score.warn('grace');
+    if (child(note, 'rest')) return;
+    if (child(note, 'unpitched')) return score.warn('unpitched');
+    const staff = childText(note, 'staff');
+    if (staff && staff !== '1') return score.warn('staves');
+    const noteVoice = childText(note, 'voice') || '1';
+    voice ??= noteVoice;
+    if (noteVoice !== voice) return score.warn('voices');
+    if (child(note, 'chord')) return score.warn('chords');
+
+    const ties = childElements(note, 'tie').map(tie => tie.getAttribute('type'));
+    const continues = tied && ties.includes('stop');
+    tied = ties.includes('start');
+    if (continues) return;
+
+    if (child(note, 'time-modification')) score.warn('tuplets');
+    const pitch = child(note, 'pitch');
+    if (!pitch) return;
+    const alter = Number(childText(pitch, 'alter')) || 0;
+    if (!Number.isInteger(alter)) score.warn('microtones');
+    // Octave clefs (treble 8vb) are drawn plain, so notes move to where the score shows them
+    score.addNote(formatNote({
+      letter: childText(pitch, 'step'),
+      accidental: Math.max(-2, Math.min(2, Math.round(alter))),
+      octave: Number(childText(pitch, 'octave')) - clefOctave,
+    }), clef, keySignature);
+  };
+
+  childElements(parts[0], 'measure').forEach(measure => {
+    childElements(measure).forEach(element => {
+      if (element.nodeName === 'attributes') readAttributes(element);
+      else if (element.nodeName === 'note') readNote(element);
+      else if (element.nodeName === 'direction' && element.getElementsByTagName('octave-shift').length) {
+        const shift = element.getElementsByTagName('octave-shift')[0];
+        if (shift.getAttribute('type') !== 'stop') score.warn('octaveShift');
+      } else if (element.nodeName === 'barline') {
+        const repeat = child(element, 'repeat');
+        if (repeat?.getAttribute('direction') === 'backward') score.warn('repeats');
+      }
+    });
+  });
+
+  const title = childText(child(root, 'work'), 'work-title') || childText(root, 'movement-title');
+  return score.build(title);
+};
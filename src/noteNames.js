@@ -0,0 +1,84 @@
+// --- Note Naming Systems ---
+// Notes are spelled in English internally ('F#4', see ./notes). These turn
+// a spelling into what the student reads, and what they type back into a
+// spelling. Octave numbers stay scientific in every system.
+
+import { parseNoteName, accidentalToString } from './notes';
+
+export const NAMING_SYSTEMS = {
+  english: {},
+  solfege: {},
+  german:  {},
+};
+
+// Printed signs for buttons and labels, where typed text uses '#' and 'b'
+const ACCIDENTAL_SYMBOLS = { '-2': '𝄫', '-1': '♭', 0: '', 1: '♯', 2: '𝄪' };
+
+const SOLFEGE_SYLLABLES = { C: 'Do', D: 'Re', E: 'Mi', F: 'Fa', G: 'Sol', A: 'La', B: 'Si' };
+
+// German: B natural is H, and flats/sharps are suffixes (Fis, Des) with a
+// few contractions: Es, As and B (for B flat)
+const GERMAN_FLATS = { E: 'Es', A: 'As', B: 'B' };
+const GERMAN_DOUBLE_FLATS = { E: 'Eses', A: 'Ases', B: 'Heses' };
+
+const formatGerman = (letter, accidental) => {
+  const base = letter === 'B' ? 'H' : letter;
+  if (accidental > 0) return base + 'is'.repeat(accidental);
+  if (accidental === -1) return GERMAN_FLATS[letter] || `${base}es`;
+  if (accidental === -2) return GERMAN_DOUBLE_FLATS[letter] || `${base}eses`;
+  return base;
+};
+
+// 'F#4' -> 'F#4', 'Fa#4' or 'Fis4'; { octave: false } leaves the number off
+// and { symbols: true } prints 'F♯4'
+export const formatNoteName = (note, system = 'english', { octave = true, symbols = false } = {}) => {
+  const parsed = typeof note === 'string' ? parseNoteName(note) : note;
+  if (!parsed) return note ?? '';
+  const { letter, accidental = 0 } = parsed;
+  const sign = symbols ? ACCIDENTAL_SYMBOLS[accidental] ?? '' : accidentalToString(accidental);
+  const name =
+    system === 'solfege' ? `${SOLFEGE_SYLLABLES[letter]}${sign}` :
+    system === 'german' ? formatGerman(letter, accidental) :
+    `${letter}${sign}`;
+  return octave && Number.isInteger(parsed.octave) ? `${name}${parsed.octave}` : name;
+};
+
+const SOLFEGE_PATTERN = /^(do|re|mi|fa|sol|so|la|si|ti)(##|#|x|bb|b)?(-?\d+)?$/i;
+const SOLFEGE_LETTERS = { do: 'C', re: 'D', mi: 'E', fa: 'F', sol: 'G', so: 'G', la: 'A', si: 'B', ti: 'B' };
+
+const GERMAN_PATTERN = /^(h|b|[a-g])(isis|is|eses|es|ses|s)?(-?\d+)?$/i;
+
+const parseGerman = (match) => {
+  const [, base, suffix = '', octave = ''] = match;
+  const lower = base.toLowerCase();
+  const suffixLower = suffix.toLowerCase();
+  // Plain 'B' is B flat; 'Heses' is B double flat
+  if (lower === 'b') return suffixLower ? null : `Bb${octave}`;
+  const letter = lower === 'h' ? 'B' : lower.toUpperCase();
+  // 'As', 'Es' (and 'Ases', 'Eses') contract the 'e' of 'es'
+  const flats =
+    suffixLower === 'es' || (suffixLower === 's' && (letter === 'A' || letter === 'E')) ? 1 :
+    suffixLower === 'eses' || (suffixLower === 'ses' && (letter === 'A' || letter === 'E')) ? 2 : 0;
+  const sharps = suffixLower === 'is' ? 1 : suffixLower === 'isis' ? 2 : 0;
+  if (suffixLower && !flats && !sharps) return null;
+  return `${letter}${accidentalToString(sharps - flats)}${octave}`;
+};
+
+// What the student typed, in their system, as an English spelling ('fis4'
+// -> 'F#4', 'Sol' -> 'G'), or null if it isn't a note name
+export const parseNoteNameIn = (input, system = 'english') => {
+  if (typeof input !== 'string') return null;
+  const text = input.trim().replace(/♯/g, '#').replace(/♭/g, 'b');
+
+  if (system === 'solfege') {
+    const match = SOLFEGE_PATTERN.exec(text);
+    if (!match) return null;
+    return `${SOLFEGE_LETTERS[match[1].toLowerCase()]}${match[2] || ''}${match[3] || ''}`;
+  }
+  if (system === 'german') {
+    const match = GERMAN_PATTERN.exec(text);
+    return match ? parseGerman(match) : null;
+  }
+  const parsed = parseNoteName(text);
+  return parsed ? `${parsed.letter}${accidentalToString(parsed.accidental)}${parsed.octave ?? ''}` : null;
+};
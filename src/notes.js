@@ -0,0 +1,142 @@
+// --- Note Model ---
+// A note is a spelling: letter + accidental + octave, written like 'C4',
+// 'Bb3', 'Cx4' (double sharp) or 'Ebb5' (double flat). Pitch questions go
+// through MIDI numbers (C4 = 60) so enharmonic spellings compare equal.
+
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+export const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const ACCIDENTAL_VALUES = { '': 0, '#': 1, '♯': 1, 'x': 2, '##': 2, 'b': -1, '♭': -1, 'bb': -2 };
+const ACCIDENTAL_STRINGS = { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': 'x' };
+const NOTE_PATTERN = /^([A-Ga-g])(##|#|♯|x|bb|b|♭)?(-?\d+)$/;
+const NAME_PATTERN = /^([A-Ga-g])(##|#|♯|x|bb|b|♭)?(-?\d+)?$/;
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+// 'Bb3' -> { letter: 'B', accidental: -1, octave: 3 }, or null if it isn't a note
+export const parseNote = (input) => {
+  if (typeof input !== 'string') return null;
+  const match = NOTE_PATTERN.exec(input.trim());
+  if (!match) return null;
+  return {
+    letter: match[1].toUpperCase(),
+    accidental: ACCIDENTAL_VALUES[match[2] || ''],
+    octave: Number(match[3]),
+  };
+};
+
+// Like parseNote, but the octave may be left off: 'F#' -> { letter: 'F', accidental: 1, octave: null }
+export const parseNoteName = (input) => {
+  if (typeof input !== 'string') return null;
+  const match = NAME_PATTERN.exec(input.trim());
+  if (!match) return null;
+  return {
+    letter: match[1].toUpperCase(),
+    accidental: ACCIDENTAL_VALUES[match[2] || ''],
+    octave: match[3] === undefined ? null : Number(match[3]),
+  };
+};
+
+export const accidentalToString = (accidental) => ACCIDENTAL_STRINGS[accidental] ?? '';
+
+export const formatNote = ({ letter, accidental = 0, octave }) =>
+  `${letter}${accidentalToString(accidental)}${octave}`;
+
+// Accept either a spelling or an already-parsed note
+const toParsed = (note) => (typeof note === 'string' ? parseNote(note) : note) || null;
+
+export const noteToMidi = (note) => {
+  const parsed = toParsed(note);
+  if (!parsed) return null;
+  return (parsed.octave + 1) * 12 + LETTER_SEMITONES[parsed.letter] + parsed.accidental;
+};
+
+// Spell a MIDI number using only naturals and one kind of single accidental
+export const midiToNote = (midi, { preferFlats = false } = {}) => {
+  if (!Number.isInteger(midi)) return null;
+  const pitchClass = mod(midi, 12);
+  const octave = Math.floor(midi / 12) - 1;
+  const natural = LETTERS.find(l => LETTER_SEMITONES[l] === pitchClass);
+  if (natural) return formatNote({ letter: natural, accidental: 0, octave });
+
+  const accidental = preferFlats ? -1 : 1;
+  const letter = LETTERS.find(l => LETTER_SEMITONES[l] === pitchClass - accidental);
+  return formatNote({ letter, accidental, octave });
+};
+
+// Spell a MIDI number on a given letter, e.g. (61, 'D') -> 'Db4'. Null if that
+// would take more than a double accidental.
+export const spellMidi = (midi, letter) => {
+  if (!Number.isInteger(midi) || !(letter in LETTER_SEMITONES)) return null;
+  const octave = Math.round((midi - LETTER_SEMITONES[letter]) / 12) - 1;
+  const accidental = midi - ((octave + 1) * 12 + LETTER_SEMITONES[letter]);
+  if (Math.abs(accidental) > 2) return null;
+  return formatNote({ letter, accidental, octave });
+};
+
+// --- Frequency (equal temperament) ---
+
+export const midiToFrequency = (midi, a4 = 440) => a4 * Math.pow(2, (midi - 69) / 12);
+
+// Fractional MIDI number, so callers can read off cents
+export const frequencyToMidi = (frequency, a4 = 440) => {
+  if (!(frequency > 0) || !(a4 > 0)) return null;
+  return 69 + 12 * Math.log2(frequency / a4);
+};
+
+export const noteToFrequency = (note, a4 = 440) => {
+  const midi = noteToMidi(note);
+  return midi === null ? null : midiToFrequency(midi, a4);
+};
+
+// --- Staff position ---
+// Diatonic steps from C0, ignoring accidentals: C4 = 28, D4 = 29, Cb4 = 28
+
+export const getStaffPosition = (note) => {
+  const parsed = toParsed(note);
+  if (!parsed) return null;
+  return parsed.octave * 7 + LETTERS.indexOf(parsed.letter);
+};
+
+export const staffPositionToNote = (position, accidental = 0) =>
+  formatNote({ letter: LETTERS[mod(position, 7)], accidental, octave: Math.floor(position / 7) });
+
+// --- Enharmonics ---
+
+export const isEnharmonic = (a, b) => {
+  const midi = noteToMidi(a);
+  return midi !== null && midi === noteToMidi(b);
+};
+
+export const isSameSpelling = (a, b) => {
+  const x = toParsed(a);
+  const y = toParsed(b);
+  return !!x && !!y && x.letter === y.letter && x.accidental === y.accidental && x.octave === y.octave;
+};
+
+// Every spelling of the same pitch, at most a double accidental away: 'C4' -> ['B#3', 'C4', 'Dbb4']
+export const getEnharmonics = (note) => {
+  const midi = noteToMidi(note);
+  if (midi === null) return [];
+  return LETTERS.map(l => spellMidi(midi, l)).filter(Boolean)
+    .sort((a, b) => getStaffPosition(a) - getStaffPosition(b));
+};
+
+// --- Pitch classes ---
+
+// 0 (C) to 11 (B), with or without an octave: 'Gb' and 'F#4' are both 6
+export const getPitchClass = (note) => {
+  const parsed = typeof note === 'string' ? parseNoteName(note) : note;
+  if (!parsed) return null;
+  return mod(LETTER_SEMITONES[parsed.letter] + parsed.accidental, 12);
+};
+
+// A named answer like 'F#' or 'Gb4' against a target note: the pitch class
+// has to match, and the octave too if one was given
+export const matchesNoteName = (answer, target) => {
+  const parsed = parseNoteName(answer);
+  const targetParsed = toParsed(target);
+  if (!parsed || !targetParsed || getPitchClass(parsed) !== getPitchClass(targetParsed)) return false;
+  if (parsed.octave === null) return true;
+  return noteToMidi(parsed) === noteToMidi(targetParsed);
+};
@@ -0,0 +1,114 @@
+// --- Pitch Detection ---
+// Pure functions: everything here works on plain Float32Arrays so it can be
+// exercised with synthesized buffers, no AudioContext required.
+
+import { frequencyToMidi, midiToNote } from './notes';
+
+export const rms = (buffer) => {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+  return Math.sqrt(sum / (buffer.length || 1));
+};
+
+// YIN (de Cheveigné & Kawahara, 2002). Returns null for silence or
+// unpitched input, otherwise the fundamental and how clear it was (0..1).
+export const detectPitch = (buffer, sampleRate, {
+  threshold = 0.15,
+  minFrequency = 60,
+  maxFrequency = 1500,
+  noiseGate = 0.01,
+} = {}) => {
+  if (!buffer || !sampleRate) return null;
+
+  const level = rms(buffer);
+  if (level < noiseGate) return null;
+
+  const maxTau = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(buffer.length / 2));
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const windowSize = buffer.length - maxTau;
+  if (maxTau <= minTau) return null;
+
+  // Difference function + cumulative mean normalization in one pass
+  const cmnd = new Float32Array(maxTau + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let diff = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = buffer[i] - buffer[i + tau];
+      diff += delta * delta;
+    }
+    runningSum += diff;
+    cmnd[tau] = runningSum === 0 ? 1 : (diff * tau) / runningSum;
+  }
+
+  // First dip under the threshold, then walk down to its local minimum
+  let tau = -1;
+  for (let t = minTau; t < maxTau; t++) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 < maxTau && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return null;
+
+  // Parabolic interpolation for sub-sample accuracy
+  let betterTau = tau;
+  if (tau > 0 && tau < maxTau) {
+    const s0 = cmnd[tau - 1];
+    const s1 = cmnd[tau];
+    const s2 = cmnd[tau + 1];
+    const denom = 2 * (2 * s1 - s2 - s0);
+    if (denom !== 0) betterTau = tau + (s2 - s0) / denom;
+  }
+
+  return {
+    frequency: sampleRate / betterTau,
+    clarity: 1 - cmnd[tau],
+    rms: level,
+  };
+};
+
+// Snap a frequency to the nearest equal-tempered note
+export const frequencyToNote = (frequency, a4 = 440) => {
+  const exact = frequencyToMidi(frequency, a4);
+  if (exact === null) return null;
+  const midi = Math.round(exact);
+  return { note: midiToNote(midi), midi, cents: Math.round((exact - midi) * 100) };
+};
+
+// Emits a note once it has been held (within maxCents of centre) for holdMs.
+// The same note is not emitted again until the pitch changes or drops out.
+export const createPitchStabilizer = ({ holdMs = 120, maxCents = 40 } = {}) => {
+  let candidate = null;
+  let since = 0;
+  let emitted = null;
+
+  return {
+    push(reading, now) {
+      if (!reading) {
+        candidate = null;
+        emitted = null;
+        return null;
+      }
+      if (Math.abs(reading.cents) > maxCents) {
+        candidate = null;
+        return null;
+      }
+      if (reading.note !== candidate) {
+        candidate = reading.note;
+        since = now;
+      }
+      if (now - since >= holdMs && candidate !== emitted) {
+        emitted = candidate;
+        return candidate;
+      }
+      return null;
+    },
+    reset() {
+      candidate = null;
+      emitted = null;
+    },
+  };
+};
@@ -0,0 +1,192 @@
+// --- Progress History ---
+// Pure helpers over the stored progress document (see ./storage). Each
+// attempt is { target, guess, clef, correct, timestamp, responseMs, skill, exercise }.
+// Rhythm attempts (skill 'rhythm') add offsetMs: how far the tap landed from
+// its onset, negative when early and null when there was no tap.
+
+import { noteToMidi, getStaffPosition, staffPositionToNote } from './notes';
+
+const MAX_SESSIONS = 100;
+
+export const startSession = (progress, session) => ({
+  ...progress,
+  sessions: [...progress.sessions, { ...session, attempts: [] }].slice(-MAX_SESSIONS),
+});
+
+export const addAttempt = (progress, sessionId, attempt) => ({
+  ...progress,
+  sessions: progress.sessions.map(s =>
+    s.id === sessionId ? { ...s, attempts: [...s.attempts, attempt] } : s),
+});
+
+// Passed curriculum levels are kept apart from sessions, which get trimmed
+export const passLevel = (progress, levelKey, passedAt) => ({
+  ...progress,
+  levels: { ...progress.levels, [levelKey]: { passedAt } },
+});
+
+// Score, total and the streak still running at the end of the session
+export const getSessionTotals = (session) => {
+  const attempts = session?.attempts || [];
+  let streak = 0;
+  for (let i = attempts.length - 1; i >= 0 && attempts[i].correct; i--) streak++;
+  return {
+    score: attempts.filter(a => a.correct).length,
+    total: attempts.length,
+    streak,
+  };
+};
+
+// Attempts saved before ear training existed were all reading
+export const getAttemptSkill = (attempt) => attempt.skill || 'visual';
+
+// The same sessions holding only the attempts for one skill ('visual' or 'ear')
+export const filterBySkill = (sessions, skill) =>
+  sessions.map(s => ({ ...s, attempts: s.attempts.filter(a => getAttemptSkill(a) === skill) }));
+
+const tally = (map, key, correct) => {
+  const entry = map[key] || { attempts: 0, correct: 0 };
+  map[key] = { attempts: entry.attempts + 1, correct: entry.correct + (correct ? 1 : 0) };
+};
+
+// { [midi]: { attempts, correct } } keyed by the target's sounding pitch
+export const accuracyByPitch = (sessions) => {
+  const result = {};
+  sessions.forEach(s => s.attempts.forEach(a => {
+    const midi = noteToMidi(a.target);
+    if (midi !== null) tally(result, midi, a.correct);
+  }));
+  return result;
+};
+
+// { [note]: { attempts, correct } } keyed by staff position ('F4' covers F4, F#4, Fb4)
+export const accuracyByPosition = (sessions, clef) => {
+  const result = {};
+  sessions.forEach(s => s.attempts.forEach(a => {
+    if (a.clef !== clef) return;
+    const position = getStaffPosition(a.target);
+    if (position !== null) tally(result, staffPositionToNote(position), a.correct);
+  }));
+  return result;
+};
+
+// { [target]: { attempts, correct } } for one exercise, e.g. intervals by ear
+export const accuracyByTarget = (sessions, exercise) => {
+  const result = {};
+  sessions.forEach(s => s.attempts.forEach(a => {
+    if (a.exercise === exercise && a.target) tally(result, a.target, a.correct);
+  }));
+  return result;
+};
+
+export const getPracticedClefs = (sessions) =>
+  [...new Set(sessions.flatMap(s => s.attempts.map(a => a.clef)).filter(Boolean))];
+
+// One row per session that has at least one attempt, oldest first
+export const summarizeSessions = (sessions) => sessions
+  .filter(s => s.attempts.length > 0)
+  .map(s => {
+    const { score, total } = getSessionTotals(s);
+    const times = s.attempts.map(a => a.responseMs).filter(ms => typeof ms === 'number');
+    return {
+      id: s.id,
+      startedAt: s.startedAt,
+      mode: s.mode,
+      total,
+      accuracy: score / total,
+      avgMs: times.length ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null,
+    };
+  });
+
+// --- Session Summary ---
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+export const getSessionStats = (session) => {
+  const { score, total } = getSessionTotals(session);
+  const times = session.attempts.map(a => a.responseMs).filter(ms => typeof ms === 'number');
+  let bestStreak = 0;
+  let run = 0;
+  session.attempts.forEach(a => {
+    run = a.correct ? run + 1 : 0;
+    bestStreak = Math.max(bestStreak, run);
+  });
+  return {
+    attempts: total,
+    correct: score,
+    accuracy: total ? score / total : 0,
+    averageMs: times.length ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null,
+    medianMs: median(times),
+    fastestMs: times.length ? Math.min(...times) : null,
+    slowestMs: times.length ? Math.max(...times) : null,
+    bestStreak,
+  };
+};
+
+// Taps in a rhythm session: how many landed on time, early, late or not at
+// all, plus extra taps, and the mean offset (signed, so a player who rushes
+// shows up negative) and mean distance from the beat
+export const getTimingStats = (session) => {
+  const rhythm = session.attempts.filter(a => a.skill === 'rhythm');
+  const offsets = rhythm.map(a => a.offsetMs).filter(ms => typeof ms === 'number');
+  const mean = (values) => (values.length ? Math.round(values.reduce((sum, ms) => sum + ms, 0) / values.length) : null);
+  return {
+    onsets: rhythm.filter(a => a.target !== null).length,
+    onTime: rhythm.filter(a => a.guess === 'onTime').length,
+    early: rhythm.filter(a => a.guess === 'early').length,
+    late: rhythm.filter(a => a.guess === 'late').length,
+    missed: rhythm.filter(a => a.target !== null && a.guess === null).length,
+    extra: rhythm.filter(a => a.guess === 'extra').length,
+    meanOffsetMs: mean(offsets),
+    meanDistanceMs: mean(offsets.map(Math.abs)),
+  };
+};
+
+// Attempts at single written notes; chords, intervals and ear answers have no staff note to mistake
+const getNoteAttempts = (session) =>
+  session.attempts.filter(a => a.clef && getStaffPosition(a.target) !== null);
+
+// Target note against guessed note. A right answer counts under its target
+// even when spelled differently (A#4 for Bb4); '' stands for no answer.
+// Rows and columns run low to high, with letter-only guesses last.
+export const getConfusionMatrix = (session) => {
+  const counts = {};
+  const guesses = new Set();
+  getNoteAttempts(session).forEach(a => {
+    const guess = a.correct ? a.target : (a.guess ?? '');
+    counts[a.target] = counts[a.target] || {};
+    counts[a.target][guess] = (counts[a.target][guess] || 0) + 1;
+    guesses.add(guess);
+  });
+  const byPitch = (a, b) => (noteToMidi(a) ?? Infinity) - (noteToMidi(b) ?? Infinity) || a.localeCompare(b);
+  return {
+    targets: Object.keys(counts).sort(byPitch),
+    guesses: [...guesses].sort(byPitch),
+    counts,
+  };
+};
+
+// Wrong answers grouped by target and guess, most frequent first
+export const getTopMistakes = (session, limit = 3) => {
+  const mistakes = {};
+  getNoteAttempts(session).filter(a => !a.correct).forEach(a => {
+    const id = `${a.target}|${a.guess ?? ''}`;
+    mistakes[id] = mistakes[id] || { target: a.target, guess: a.guess ?? '', count: 0 };
+    mistakes[id].count++;
+  });
+  return Object.values(mistakes).sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+// Each note missed at least once, with the clef it was read in
+export const getMissedNotes = (session) => {
+  const missed = new Map();
+  getNoteAttempts(session).filter(a => !a.correct).forEach(a => {
+    missed.set(`${a.clef}:${a.target}`, { clef: a.clef, note: a.target });
+  });
+  return [...missed.values()];
+};
@@ -0,0 +1,63 @@
+// --- Result Reports ---
+// What a student hands in after a drill: every attempt plus summary stats,
+// as JSON or CSV. REPORT_VERSION covers both; bump it when a field or
+// column changes so a teacher's tools can tell the layouts apart.
+
+import { getSessionStats } from './progress';
+
+export const REPORT_VERSION = 2;
+
+// offset_ms is a rhythm tap's distance from its onset (added in version 2)
+const CSV_COLUMNS = ['index', 'target', 'guess', 'correct', 'response_ms', 'offset_ms', 'clef', 'exercise', 'timestamp'];
+
+// `session` is a stored session (see ./progress); `result` is what the drill
+// finished with ({ type, reason, elapsedMs }), if it ran to an end.
+export const createReport = (session, { result = null, createdAt = Date.now() } = {}) => ({
+  format: 'sightreadpro-report',
+  version: REPORT_VERSION,
+  createdAt: new Date(createdAt).toISOString(),
+  startedAt: new Date(session.startedAt).toISOString(),
+  drill: session.config || null,
+  result: result && { reason: result.reason, elapsedMs: result.elapsedMs },
+  summary: getSessionStats(session),
+  attempts: session.attempts.map(a => ({
+    target: a.target,
+    guess: a.guess,
+    correct: a.correct,
+    responseMs: a.responseMs,
+    offsetMs: a.offsetMs ?? null,
+    clef: a.clef,
+    exercise: a.exercise || null,
+    timestamp: new Date(a.timestamp).toISOString(),
+  })),
+});
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+// Summary lines go first as '#' comments, then one row per attempt
+export const reportToCsv = (report) => {
+  const { summary } = report;
+  const lines = [
+    `# sightreadpro-report v${report.version}`,
+    `# started,${report.startedAt}`,
+    `# attempts,${summary.attempts}`,
+    `# correct,${summary.correct}`,
+    `# accuracy,${summary.accuracy.toFixed(3)}`,
+    `# average_ms,${summary.averageMs ?? ''}`,
+    `# median_ms,${summary.medianMs ?? ''}`,
+    `# fastest_ms,${summary.fastestMs ?? ''}`,
+    `# slowest_ms,${summary.slowestMs ?? ''}`,
+    `# best_streak,${summary.bestStreak}`,
+    csvRow(CSV_COLUMNS),
+    ...report.attempts.map((a, i) => csvRow([i + 1, a.target, a.guess, a.correct, a.responseMs, a.offsetMs, a.clef, a.exercise, a.timestamp])),
+  ];
+  return lines.join('\r\n') + '\r\n';
+};
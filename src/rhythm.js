@@ -0,0 +1,164 @@
+// --- Rhythm Reading ---
+// Durations are counted in sixteenths so every value down to a sixteenth
+// note is a whole number. A measure is a list of events
+// { sixteenths, rest, tied } filling one bar of a time signature; `tied`
+// joins a note to the next, which then has no onset of its own.
+// Tempo is in beats per minute of the signature's beat unit (quarters in
+// 4/4, eighths in 6/8).
+
+import { pickWeighted } from './selection';
+
+// `group` is the beat grouping in sixteenths: short values are kept inside
+// one group and longer ones start on a group (and in compound time fill
+// whole groups), so measures read the usual way
+export const TIME_SIGNATURES = {
+  '2/4': { beats: 2, unit: 4, group: 4 },
+  '3/4': { beats: 3, unit: 4, group: 4 },
+  '4/4': { beats: 4, unit: 4, group: 4 },
+  '6/8': { beats: 6, unit: 8, group: 6, compound: true },
+};
+
+// Plain values by sixteenths, with the number of flags or beams each takes
+export const NOTE_VALUES = {
+  16: { name: 'whole', flags: 0 },
+  8:  { name: 'half', flags: 0 },
+  4:  { name: 'quarter', flags: 0 },
+  2:  { name: 'eighth', flags: 1 },
+  1:  { name: 'sixteenth', flags: 2 },
+};
+
+// Which durations each level writes, with their weights
+export const RHYTHM_LEVELS = {
+  basic:      { weights: { 16: 1, 8: 2, 4: 4, 2: 1 }, ties: false },
+  eighths:    { weights: { 16: 0.5, 12: 1, 8: 1.5, 6: 1.5, 4: 4, 2: 4 }, ties: true },
+  sixteenths: { weights: { 8: 1, 6: 1, 4: 3, 3: 1.5, 2: 4, 1: 3 }, ties: true },
+};
+
+// How far (ms) a tap may land from its onset and still count as on time
+export const TIMING_WINDOWS = {
+  tight:   { ms: 40 },
+  normal:  { ms: 80 },
+  relaxed: { ms: 130 },
+};
+
+export const TEMPO_RANGE = { min: 40, max: 160, default: 80 };
+
+const REST_CHANCE = 0.15;
+const TIE_CHANCE = 0.15;
+
+export const getMeasureSixteenths = (timeSignature) => {
+  const { beats, unit } = TIME_SIGNATURES[timeSignature];
+  return beats * (16 / unit);
+};
+
+// Plain value and whether it is dotted, e.g. 6 -> { base: 4, dotted: true }
+export const splitDuration = (sixteenths) =>
+  NOTE_VALUES[sixteenths] ? { base: sixteenths, dotted: false } : { base: (sixteenths * 2) / 3, dotted: true };
+
+// The largest plain value that fits, for when nothing on the level's list does
+const largestFit = (space) => Number(Object.keys(NOTE_VALUES).filter(d => d <= space).sort((a, b) => b - a)[0]);
+
+export const generateMeasure = ({ timeSignature = '4/4', level = 'basic', rng = Math.random } = {}) => {
+  const { group, compound } = TIME_SIGNATURES[timeSignature];
+  const length = getMeasureSixteenths(timeSignature);
+  const { weights, ties } = RHYTHM_LEVELS[level] || RHYTHM_LEVELS.basic;
+  const events = [];
+
+  for (let at = 0; at < length;) {
+    const groupEnd = (Math.floor(at / group) + 1) * group;
+    const fits = Object.keys(weights).map(Number).filter(d => at + d <= length &&
+      (d >= group ? at % group === 0 && (!compound || d % group === 0) : at + d <= groupEnd));
+    const sixteenths = fits.length
+      ? pickWeighted(fits, fits.map(d => weights[d]), rng)
+      : largestFit(groupEnd - at);
+    events.push({ sixteenths, rest: rng() < REST_CHANCE, tied: false });
+    at += sixteenths;
+  }
+
+  // A measure of nothing but rests gives nothing to tap
+  if (events.every(e => e.rest)) events[0].rest = false;
+  if (ties) {
+    events.forEach((event, i) => {
+      const next = events[i + 1];
+      if (next && !event.rest && !next.rest && rng() < TIE_CHANCE) event.tied = true;
+    });
+  }
+  return events;
+};
+
+// Where each event starts, in sixteenths from the barline
+export const getEventStarts = (events) => {
+  let at = 0;
+  return events.map(e => {
+    const start = at;
+    at += e.sixteenths;
+    return start;
+  });
+};
+
+export const getSixteenthMs = (timeSignature, tempo) => (60000 / tempo) * (TIME_SIGNATURES[timeSignature].unit / 16);
+
+// The count a player would say on an onset: '1', '1e', '1&', '1a' in quarter
+// time, '1', '1&' in eighth time
+export const getCountLabel = (start, timeSignature) => {
+  const perBeat = 16 / TIME_SIGNATURES[timeSignature].unit;
+  const beat = Math.floor(start / perBeat) + 1;
+  const syllables = perBeat === 4 ? ['', 'e', '&', 'a'] : ['', '&'];
+  return `${beat}${syllables[start % perBeat]}`;
+};
+
+// When a take's clicks sound, in ms from when it is scheduled: `leadMs` of
+// silence, a bar of count-in and then the measure. `clicksMs` is when each
+// click is scheduled; `heardMs`, `startMs` (the measure's first beat) and
+// `endMs` (half a beat after its last, the latest a tap still counts) come
+// `latencyMs` later, when the player actually hears them.
+export const getTakeTiming = (timeSignature, tempo, { leadMs = 0, latencyMs = 0 } = {}) => {
+  const { beats } = TIME_SIGNATURES[timeSignature];
+  const beatMs = 60000 / tempo;
+  const clicksMs = Array.from({ length: beats * 2 }, (_, i) => leadMs + i * beatMs);
+  return {
+    beatMs,
+    clicksMs,
+    heardMs: clicksMs.map(ms => ms + latencyMs),
+    startMs: leadMs + latencyMs + beats * beatMs,
+    endMs: leadMs + latencyMs + (beats * 2 + 0.5) * beatMs,
+  };
+};
+
+// Every note that has to be tapped: [{ index, atMs, count }], with atMs
+// counted from the first beat of the measure
+export const getOnsets = (events, { timeSignature, tempo }) => {
+  const sixteenthMs = getSixteenthMs(timeSignature, tempo);
+  const starts = getEventStarts(events);
+  return events.flatMap((event, index) => {
+    if (event.rest || events[index - 1]?.tied) return [];
+    return [{ index, atMs: Math.round(starts[index] * sixteenthMs), count: getCountLabel(starts[index], timeSignature) }];
+  });
+};
+
+// Matches taps (ms from the first beat) to onsets. Each onset takes the
+// closest tap between the midpoints to its neighbours, with half a beat of
+// slack before the first and after the last; any other tap is an extra.
+// Offsets are negative when early. Returns
+// { onsets: [{ ...onset, tapMs, offsetMs, verdict }], extras: [ms], clean }
+// where verdict is 'onTime', 'early', 'late' or 'missed'.
+export const scoreTaps = (onsets, taps, { windowMs, beatMs }) => {
+  const used = new Set();
+  const scored = onsets.map((onset, i) => {
+    const from = i > 0 ? (onsets[i - 1].atMs + onset.atMs) / 2 : onset.atMs - beatMs / 2;
+    const to = i < onsets.length - 1 ? (onset.atMs + onsets[i + 1].atMs) / 2 : onset.atMs + beatMs / 2;
+    let best = null;
+    taps.forEach((tap, t) => {
+      if (used.has(t) || tap < from || tap >= to) return;
+      if (best === null || Math.abs(tap - onset.atMs) < Math.abs(taps[best] - onset.atMs)) best = t;
+    });
+    if (best === null) return { ...onset, tapMs: null, offsetMs: null, verdict: 'missed' };
+    used.add(best);
+    const offsetMs = Math.round(taps[best] - onset.atMs);
+    const verdict = Math.abs(offsetMs) <= windowMs ? 'onTime' : offsetMs < 0 ? 'early' : 'late';
+    return { ...onset, tapMs: Math.round(taps[best]), offsetMs, verdict };
+  });
+  const extras = taps.filter((_, t) => !used.has(t)).map(Math.round);
+  return { onsets: scored, extras, clean: !extras.length && scored.every(o => o.verdict === 'onTime') };
+};
+
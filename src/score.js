@@ -0,0 +1,54 @@
+// --- Imported Scores ---
+// A score is the line of a piece the student reads, one pitched note at a time:
+// { title, notes: [{ note, clef, keySignature }], warnings: [{ code, count }] }.
+// Parsers (./musicXml, ./abcNotation) skip what can't be practiced here, like
+// rests and extra voices, and count each kind of thing skipped as a warning.
+
+import { noteToMidi, midiToNote } from './notes';
+
+// `code` names the problem for the UI ('import.error.<code>' in the catalogs)
+export const createImportError = (code, message) => Object.assign(new Error(message), { code });
+
+export const createScoreBuilder = () => {
+  const notes = [];
+  const warnings = new Map();
+
+  return {
+    warn(code, count = 1) {
+      warnings.set(code, (warnings.get(code) || 0) + count);
+    },
+
+    addNote(note, clef, keySignature) {
+      notes.push({ note, clef, keySignature });
+    },
+
+    build(title) {
+      if (!notes.length) throw createImportError('empty', 'The file has no pitched notes to read.');
+      return {
+        title: title?.trim() || null,
+        notes,
+        warnings: [...warnings].map(([code, count]) => ({ code, count })),
+      };
+    },
+  };
+};
+
+// Up to `length` notes from `start` that share a clef and key, so a phrase
+// never changes either halfway through. `end` is where the next one starts.
+export const getPiecePhrase = (notes, start, length) => {
+  const first = notes[start];
+  const phrase = [];
+  for (let i = start; i < notes.length && phrase.length < length; i++) {
+    if (notes[i].clef !== first.clef || notes[i].keySignature !== first.keySignature) break;
+    phrase.push(notes[i].note);
+  }
+  return { clef: first.clef, keySignature: first.keySignature, notes: phrase, end: start + phrase.length };
+};
+
+// Whole octaves from the C at or below the lowest note to the C above the highest
+export const getPieceRange = (notes) => {
+  const midis = notes.map(n => noteToMidi(n.note));
+  const low = Math.min(...midis);
+  const high = Math.max(...midis);
+  return { min: midiToNote(low - (low % 12)), max: midiToNote(high - (high % 12) + 12) };
+};
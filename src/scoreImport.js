@@ -0,0 +1,89 @@
+// --- Score Files ---
+// Picks the parser for an uploaded file (MusicXML, compressed .mxl or ABC)
+// and unpacks .mxl archives. Both parsers return a score (see ./score).
+
+import { parseMusicXml } from './musicXml';
+import { parseAbc } from './abcNotation';
+import { createImportError } from './score';
+
+export const SCORE_FILE_TYPES = '.musicxml,.xml,.mxl,.abc';
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// { [name]: { method, offset, size } } from a zip's central directory
+const readZipDirectory = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY) end--;
+  if (end < 0) throw createImportError('zip', 'The .mxl file is not a readable zip archive.');
+
+  const entries = {};
+  let at = view.getUint32(end + 16, true);
+  for (let i = view.getUint16(end + 10, true); i > 0; i--) {
+    if (view.getUint32(at, true) !== ZIP_DIRECTORY_ENTRY) throw createImportError('zip', 'The .mxl archive is damaged.');
+    const nameLength = view.getUint16(at + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    entries[name] = {
+      method: view.getUint16(at + 10, true),
+      size: view.getUint32(at + 20, true),
+      offset: view.getUint32(at + 42, true),
+    };
+    at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+  }
+  return { view, entries };
+};
+
+// Stored entries are copied out; deflated ones need the browser's DecompressionStream
+const readZipEntry = async (bytes, view, entry) => {
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.size);
+  if (entry.method === ZIP_STORED) return new TextDecoder().decode(data);
+  if (entry.method !== ZIP_DEFLATED || typeof DecompressionStream === 'undefined') {
+    throw createImportError('compressed', 'This browser cannot unpack the compressed .mxl file.');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+// The score named by META-INF/container.xml, or the first XML file outside META-INF
+export const readMxl = async (bytes) => {
+  const { view, entries } = readZipDirectory(bytes);
+  const container = entries['META-INF/container.xml'];
+  const rootPath = container && /full-path="([^"]+)"/.exec(await readZipEntry(bytes, view, container))?.[1];
+  const path = rootPath || Object.keys(entries).find(name => /\.(xml|musicxml)$/i.test(name) && !name.startsWith('META-INF/'));
+  if (!path || !entries[path]) throw createImportError('noScore', 'The .mxl archive has no MusicXML score in it.');
+  return readZipEntry(bytes, view, entries[path]);
+};
+
+// From the extension, or the first bytes when the extension says nothing
+const detectFormat = (name, bytes) => {
+  const extension = name.toLowerCase().split('.').pop();
+  if (extension === 'mxl') return 'mxl';
+  if (extension === 'musicxml' || extension === 'xml') return 'musicxml';
+  if (extension === 'abc') return 'abc';
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return 'mxl';
+  const head = new TextDecoder().decode(bytes.subarray(0, 200)).trimStart();
+  if (head.startsWith('<')) return 'musicxml';
+  if (/^(%|[A-Za-z]:)/m.test(head)) return 'abc';
+  return null;
+};
+
+// UTF-16 MusicXML starts with a byte order mark
+const decodeText = (bytes) => {
+  const utf16 = (bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff);
+  const encoding = !utf16 ? 'utf-8' : bytes[0] === 0xff ? 'utf-16le' : 'utf-16be';
+  return new TextDecoder(encoding).decode(bytes);
+};
+
+// `file` is a File (or anything with `name` and `arrayBuffer()`)
+export const readScoreFile = async (file, options = {}) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const format = detectFormat(file.name || '', bytes);
+  if (format === 'mxl') return parseMusicXml(await readMxl(bytes), options);
+  if (format === 'musicxml') return parseMusicXml(decodeText(bytes), options);
+  if (format === 'abc') return parseAbc(decodeText(bytes));
+  throw createImportError('format', 'Only MusicXML (.musicxml, .xml, .mxl) and ABC (.abc) files can be imported.');
+};
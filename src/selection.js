@@ -0,0 +1,80 @@
+// --- Note Selection ---
+// Pure and seedable: pass in an rng from createRng() and the same stats will
+// always produce the same sequence.
+//
+// Items are { key, ... } objects; stats map item keys to Leitner boxes.
+// A miss drops a note back to box 1, a quick correct answer moves it up one
+// box, and lower boxes are drawn more often.
+
+export const SELECTION_STRATEGIES = {
+  uniform:  {},
+  adaptive: {},
+};
+
+const MAX_BOX = 5;
+const BOX_WEIGHTS = [0, 16, 8, 4, 2, 1];
+const SLOW_MS = 2000;
+const SLOW_FACTOR = 1.5;
+
+// mulberry32: small, fast and good enough for drilling notes
+export const createRng = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const itemKey = (clef, note) => `${clef}:${note}`;
+
+export const recordAttempt = (stats, key, { correct, responseMs = null, slowMs = SLOW_MS }) => {
+  const prev = stats[key] || { attempts: 0, correct: 0, box: 1, avgMs: null };
+  const avgMs = responseMs === null ? prev.avgMs
+    : prev.avgMs === null ? responseMs
+    : Math.round(prev.avgMs * 0.7 + responseMs * 0.3);
+
+  let box = prev.box;
+  if (!correct) box = 1;
+  else if (responseMs === null || responseMs <= slowMs) box = Math.min(MAX_BOX, box + 1);
+
+  return {
+    ...stats,
+    [key]: {
+      attempts: prev.attempts + 1,
+      correct: prev.correct + (correct ? 1 : 0),
+      box,
+      avgMs,
+    },
+  };
+};
+
+// Unseen notes count as box 1 so new material comes up early
+export const getItemWeight = (stat, { slowMs = SLOW_MS } = {}) => {
+  if (!stat) return BOX_WEIGHTS[1];
+  const weight = BOX_WEIGHTS[stat.box] ?? BOX_WEIGHTS[1];
+  return stat.avgMs !== null && stat.avgMs > slowMs ? weight * SLOW_FACTOR : weight;
+};
+
+export const pickWeighted = (items, weights, rng = Math.random) => {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return items[Math.floor(rng() * items.length)];
+  let r = rng() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items[items.length - 1];
+};
+
+// Never repeats `previousKey` unless it is the only item
+export const selectNext = (items, stats, { strategy = 'uniform', rng = Math.random, previousKey = null } = {}) => {
+  if (!items.length) return null;
+  const candidates = items.length > 1 ? items.filter(i => i.key !== previousKey) : items;
+  if (strategy !== 'adaptive') {
+    return candidates[Math.floor(rng() * candidates.length)];
+  }
+  return pickWeighted(candidates, candidates.map(i => getItemWeight(stats[i.key])), rng);
+};
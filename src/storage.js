@@ -0,0 +1,93 @@
+// --- Local Storage Persistence ---
+// Progress is stored as one versioned JSON document. When the shape changes,
+// bump SCHEMA_VERSION and add a MIGRATIONS entry that upgrades the previous
+// version; old data is walked forward one version at a time on load.
+
+import { reportError } from './errors';
+
+export const STORAGE_KEY = 'sightreadpro.progress';
+export const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] takes version n - 1 data and returns version n data
+const MIGRATIONS = {
+  // Version 2 records the curriculum levels passed (see ./curriculum)
+  2: (data) => ({ ...data, levels: {} }),
+};
+
+export const createEmptyProgress = () => ({ version: SCHEMA_VERSION, sessions: [], noteStats: {}, levels: {} });
+
+export const migrateProgress = (data, migrations = MIGRATIONS, targetVersion = SCHEMA_VERSION) => {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) return createEmptyProgress();
+  if (data.version > targetVersion) {
+    reportError('Progress Load', new Error(`Stored progress is from a newer version (${data.version}); starting fresh.`));
+    return createEmptyProgress();
+  }
+
+  let migrated = data;
+  for (let version = data.version + 1; version <= targetVersion; version++) {
+    const migrate = migrations[version];
+    if (!migrate) return createEmptyProgress();
+    migrated = { ...migrate(migrated), version };
+  }
+  return migrated;
+};
+
+// Private browsing modes can throw on any localStorage access
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+};
+
+export const loadProgress = (storage = getStorage()) => {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return createEmptyProgress();
+    return migrateProgress(JSON.parse(raw));
+  } catch (e) {
+    reportError('Progress Load', e);
+    return createEmptyProgress();
+  }
+};
+
+export const saveProgress = (progress, storage = getStorage()) => {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch (e) {
+    reportError('Progress Save', e);
+  }
+};
+
+export const clearProgress = (storage = getStorage()) => {
+  try {
+    storage?.removeItem(STORAGE_KEY);
+  } catch (e) {
+    reportError('Progress Clear', e);
+  }
+};
+
+// --- Settings ---
+// Preferences live apart from progress so resetting progress keeps them.
+// Unknown values are dropped by the caller, so there is no schema version.
+
+export const SETTINGS_KEY = 'sightreadpro.settings';
+
+export const loadSettings = (storage = getStorage()) => {
+  try {
+    const data = JSON.parse(storage?.getItem(SETTINGS_KEY) || 'null');
+    return data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    reportError('Settings Load', e);
+    return {};
+  }
+};
+
+export const saveSettings = (settings, storage = getStorage()) => {
+  try {
+    storage?.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    reportError('Settings Save', e);
+  }
+};
@@ -0,0 +1,230 @@
+// --- Synth ---
+// A small polyphonic synth on the Web Audio API. Everything is scheduled on
+// the AudioContext clock, and the context is passed in, so an
+// OfflineAudioContext (or a mock with the same node methods) can render it.
+// The envelope and voice allocation maths are plain functions below.
+
+// Partials are [frequency ratio, relative gain]; `filter` sweeps a lowpass
+// from `from` to `to` times the note frequency over `time` seconds
+export const SYNTH_PRESETS = {
+  piano: {
+    wave: 'sine',
+    partials: [[1, 1], [2, 0.5], [3, 0.3], [4, 0.15], [5, 0.08], [6, 0.04]],
+    filter: { from: 10, to: 3, time: 0.8 },
+    envelope: { attack: 0.005, decay: 1.6, sustain: 0.1, release: 0.35 },
+    gain: 0.3,
+  },
+  electric: {
+    fm: { ratio: 1, index: 3, decay: 0.8 },
+    envelope: { attack: 0.005, decay: 1.8, sustain: 0.25, release: 0.4 },
+    gain: 0.3,
+  },
+  organ: {
+    wave: 'sine',
+    partials: [[0.5, 0.5], [1, 1], [2, 0.7], [3, 0.4], [4, 0.3], [8, 0.15]],
+    envelope: { attack: 0.02, decay: 0.1, sustain: 0.85, release: 0.08 },
+    gain: 0.2,
+  },
+  pluck: {
+    wave: 'sawtooth',
+    partials: [[1, 1]],
+    filter: { from: 14, to: 1.5, time: 0.25 },
+    envelope: { attack: 0.002, decay: 0.9, sustain: 0, release: 0.15 },
+    gain: 0.3,
+  },
+};
+
+export const DEFAULT_MAX_VOICES = 12;
+
+// With sustain on, a note rings this long after its key is let go
+export const SUSTAIN_SECONDS = 3;
+
+// --- Envelope ---
+
+// Level (0..1) of an ADSR envelope `t` seconds after note-on when the gate
+// closes at `gate` seconds. Attack, decay and release are linear.
+export const envelopeLevel = ({ attack, decay, sustain, release }, t, gate = Infinity) => {
+  const held = (time) => {
+    if (time <= 0) return 0;
+    if (time < attack) return time / attack;
+    if (time < attack + decay) return 1 - (1 - sustain) * ((time - attack) / decay);
+    return sustain;
+  };
+  if (t < gate) return held(t);
+  if (release <= 0 || t >= gate + release) return 0;
+  return held(gate) * (1 - (t - gate) / release);
+};
+
+// [time, level] breakpoints for the envelope, ending in silence
+export const getEnvelopePoints = (envelope, gate) => {
+  const { attack, decay, sustain, release } = envelope;
+  const points = [[0, 0]];
+  if (gate > attack) points.push([attack, 1]);
+  if (gate > attack + decay) points.push([attack + decay, sustain]);
+  points.push([gate, envelopeLevel(envelope, gate)]);
+  points.push([gate + release, 0]);
+  return points;
+};
+
+// Writes the envelope onto an AudioParam and returns when it falls silent
+export const scheduleEnvelope = (param, envelope, { start, gate, peak = 1 }) => {
+  const points = getEnvelopePoints(envelope, gate);
+  param.cancelScheduledValues(start);
+  points.forEach(([time, level], i) => {
+    if (i === 0) param.setValueAtTime(level * peak, start + time);
+    else param.linearRampToValueAtTime(level * peak, start + time);
+  });
+  return start + points[points.length - 1][0];
+};
+
+// --- Voice Allocation ---
+
+// Tracks sounding voices by when they fall silent. When every voice is busy
+// the one closest to silence is stolen.
+export const createVoiceAllocator = (maxVoices = DEFAULT_MAX_VOICES) => {
+  let voices = [];
+
+  return {
+    // Returns the ids of voices that must be cut for a note from `start` to `end`
+    allocate(id, start, end) {
+      voices = voices.filter(v => v.end > start);
+      const stolen = [];
+      while (voices.length >= maxVoices) {
+        const victim = voices.reduce((a, b) => (b.end < a.end ? b : a));
+        voices = voices.filter(v => v !== victim);
+        stolen.push(victim.id);
+      }
+      voices.push({ id, start, end });
+      return stolen;
+    },
+
+    getActive: (time) => voices.filter(v => v.start <= time && v.end > time).map(v => v.id),
+
+    clear() {
+      voices = [];
+    },
+  };
+};
+
+// --- Synth ---
+
+export const createSynth = (ctx, {
+  preset = 'piano',
+  volume = 0.8,
+  sustain = false,
+  envelope = null,
+  maxVoices = DEFAULT_MAX_VOICES,
+  destination = ctx.destination,
+} = {}) => {
+  const settings = { preset, sustain, envelope };
+  const allocator = createVoiceAllocator(maxVoices);
+  const voices = new Map();
+  let nextId = 0;
+
+  // Master volume, then a compressor so stacked chords don't clip
+  const output = ctx.createGain();
+  output.gain.value = volume;
+  const compressor = ctx.createDynamicsCompressor();
+  output.connect(compressor);
+  compressor.connect(destination);
+
+  const buildVoice = (config, freq, start) => {
+    const amp = ctx.createGain();
+    amp.gain.value = 0;
+    amp.connect(output);
+    const sources = [];
+
+    if (config.fm) {
+      const carrier = ctx.createOscillator();
+      const modulator = ctx.createOscillator();
+      const depth = ctx.createGain();
+      carrier.frequency.value = freq;
+      modulator.frequency.value = freq * config.fm.ratio;
+      // Brightness fades as the modulation index decays
+      depth.gain.setValueAtTime(freq * config.fm.index, start);
+      depth.gain.linearRampToValueAtTime(freq * config.fm.index * 0.1, start + config.fm.decay);
+      modulator.connect(depth);
+      depth.connect(carrier.frequency);
+      carrier.connect(amp);
+      sources.push(carrier, modulator);
+      return { amp, sources };
+    }
+
+    let input = amp;
+    if (config.filter) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.setValueAtTime(Math.min(20000, freq * config.filter.from), start);
+      filter.frequency.exponentialRampToValueAtTime(Math.min(20000, freq * config.filter.to), start + config.filter.time);
+      filter.connect(amp);
+      input = filter;
+    }
+    const total = config.partials.reduce((sum, [, gain]) => sum + gain, 0);
+    config.partials.forEach(([ratio, gain]) => {
+      const osc = ctx.createOscillator();
+      const level = ctx.createGain();
+      osc.type = config.wave;
+      osc.frequency.value = freq * ratio;
+      level.gain.value = gain / total;
+      osc.connect(level);
+      level.connect(input);
+      sources.push(osc);
+    });
+    return { amp, sources };
+  };
+
+  // Quick fade rather than a click when a voice is stolen or stopped
+  const cutVoice = (id, at) => {
+    const voice = voices.get(id);
+    if (!voice) return;
+    voices.delete(id);
+    const { gain } = voice.amp;
+    if (gain.cancelAndHoldAtTime) gain.cancelAndHoldAtTime(at);
+    else gain.cancelScheduledValues(at);
+    gain.setTargetAtTime(0, at, 0.01);
+    voice.sources.forEach(source => {
+      try {
+        source.stop(at + 0.05);
+      } catch {
+        // Already stopped
+      }
+    });
+  };
+
+  return {
+    output,
+
+    // Plays `freq` Hz from `when` (context time) with the key held for `duration` seconds
+    noteOn(freq, { when = ctx.currentTime, duration = 0.5, velocity = 1 } = {}) {
+      if (!freq) return null;
+      const config = SYNTH_PRESETS[settings.preset] || SYNTH_PRESETS.piano;
+      const env = settings.envelope || config.envelope;
+      const gate = settings.sustain ? Math.max(duration, SUSTAIN_SECONDS) : duration;
+      const start = Math.max(when, ctx.currentTime);
+      const id = nextId++;
+
+      allocator.allocate(id, start, start + gate + env.release).forEach(stolen => cutVoice(stolen, start));
+      const voice = buildVoice(config, freq, start);
+      const end = scheduleEnvelope(voice.amp.gain, env, { start, gate, peak: velocity * config.gain });
+      voice.sources.forEach(source => {
+        source.start(start);
+        source.stop(end + 0.05);
+      });
+      voices.set(id, voice);
+      voice.sources[0].onended = () => voices.delete(id);
+      return id;
+    },
+
+    configure(next) {
+      if ('volume' in next) output.gain.setTargetAtTime(next.volume, ctx.currentTime, 0.02);
+      ['preset', 'sustain', 'envelope'].forEach(key => {
+        if (key in next) settings[key] = next[key];
+      });
+    },
+
+    stopAll() {
+      [...voices.keys()].forEach(id => cutVoice(id, ctx.currentTime));
+      allocator.clear();
+    },
+  };
+};
@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import axe from 'axe-core';
+import { render, click } from './render';
+import App from '../App.jsx';
+
+// jsdom has no Web Audio; anything the engine touches answers with another stub
+const stub = () => new Proxy(function () {}, {
+  get: (target, key) => (key === 'then' ? undefined : key === 'currentTime' ? 0 : key === 'state' ? 'running' : stub()),
+  apply: () => stub(),
+  construct: () => stub(),
+});
+
+// Contrast needs a canvas to measure, which jsdom doesn't have
+const findViolations = async (container) => {
+  const { violations } = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`);
+};
+
+const button = (container, label) => [...container.querySelectorAll('button')]
+  .find(b => (b.getAttribute('aria-label') || b.textContent).trim() === label);
+
+describe('app accessibility', () => {
+  let view;
+  beforeAll(() => {
+    window.AudioContext = stub();
+  });
+  afterEach(() => {
+    view.unmount();
+    localStorage.clear();
+  });
+
+  it('has no violations on the start screen', async () => {
+    view = await render(<App />);
+    expect(await findViolations(view.container)).toEqual([]);
+  });
+
+  it('has no violations with settings open', async () => {
+    view = await render(<App />);
+    await click(button(view.container, 'Settings'));
+    expect(view.container.querySelector('select#settings-language')).not.toBeNull();
+    expect(await findViolations(view.container)).toEqual([]);
+  });
+
+  it('has no violations in a session', async () => {
+    view = await render(<App />);
+    await click(button(view.container, 'Start Practice'));
+    expect(view.container.querySelector('[role="group"][aria-label="Piano keys"]')).not.toBeNull();
+    expect(await findViolations(view.container)).toEqual([]);
+  });
+
+  it('has no violations on the progress view and level map', async () => {
+    view = await render(<App />);
+    await click(button(view.container, 'Progress'));
+    expect(await findViolations(view.container)).toEqual([]);
+    await click(button(view.container, 'Level Map'));
+    expect(await findViolations(view.container)).toEqual([]);
+  });
+});
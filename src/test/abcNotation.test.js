@@ -0,0 +1,63 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { parseAbc, parseAbcKey } from '../abcNotation';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const warningsOf = (score) => Object.fromEntries(score.warnings.map(({ code, count }) => [code, count]));
+
+describe('parseAbcKey', () => {
+  it('reads tonics, modes and clefs', () => {
+    expect(parseAbcKey('G')).toEqual({ keySignature: 'G', clef: null, problems: [] });
+    expect(parseAbcKey('Am clef=bass')).toEqual({ keySignature: 'C', clef: 'bass', problems: [] });
+    expect(parseAbcKey('D dorian')).toEqual({ keySignature: 'C', clef: null, problems: [] });
+    expect(parseAbcKey('Bb alto')).toEqual({ keySignature: 'Bb', clef: 'alto', problems: [] });
+  });
+
+  it('reports what it cannot use', () => {
+    expect(parseAbcKey('G treble-8').problems).toEqual(['clefOctave']);
+    expect(parseAbcKey('C clef=perc')).toEqual({ keySignature: 'C', clef: 'treble', problems: ['clef'] });
+    expect(parseAbcKey('HP').problems).toEqual(['key']);
+    expect(parseAbcKey('D transpose=-2').problems).toEqual(['transpose']);
+  });
+});
+
+describe('parseAbc', () => {
+  const score = parseAbc(fixture('reel.abc'));
+
+  it('reads the first tune with its key, bar accidentals and clef change', () => {
+    expect(score.title).toBe('Fixture Reel');
+    expect(score.notes.map(n => n.note)).toEqual([
+      'D5', 'F#5', 'A5', 'D5', 'A4', 'E5', 'F#5', 'G5', 'C#5', 'C#5', 'A3', 'B3', 'C4',
+    ]);
+    expect(score.notes[0]).toEqual({ note: 'D5', clef: 'treble', keySignature: 'D' });
+    expect(score.notes.at(-1)).toEqual({ note: 'C4', clef: 'bass', keySignature: 'C' });
+  });
+
+  it('counts the chords, tuplets, repeats and tunes it skips', () => {
+    expect(warningsOf(score)).toEqual({ chords: 1, tuplets: 3, repeats: 1, tunes: 1 });
+  });
+
+  it('reads only the first voice', () => {
+    const result = parseAbc('X:1\nV:1\nV:2 clef=bass\nK:C\nV:1\nC D|\nV:2\nE, F,|\nV:1\nG A|');
+    expect(result.notes.map(n => n.note)).toEqual(['C4', 'D4', 'G4', 'A4']);
+    expect(result.notes.every(n => n.clef === 'treble')).toBe(true);
+    expect(warningsOf(result)).toEqual({ voices: 2 });
+  });
+
+  it('counts music before any V: line as voice 1', () => {
+    const result = parseAbc('X:1\nK:G\nF G A B|\nV:2\nC D|\nV:1\nc|');
+    expect(result.notes.map(n => n.note)).toEqual(['F#4', 'G4', 'A4', 'B4', 'C5']);
+    expect(warningsOf(result)).toEqual({ voices: 2 });
+  });
+
+  it('skips notes overlaid with &', () => {
+    const result = parseAbc('X:1\nK:C\nC D & E F|G|');
+    expect(result.notes.map(n => n.note)).toEqual(['C4', 'D4', 'G4']);
+    expect(warningsOf(result)).toEqual({ voices: 2 });
+  });
+
+  it('reads a headerless fragment in C', () => {
+    expect(parseAbc('c2 ^f _B,').notes.map(n => n.note)).toEqual(['C5', 'F#5', 'Bb3']);
+  });
+});
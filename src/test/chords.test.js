@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { NAME_CHOICES, generateChord, identifyChord, nameInterval, evaluateChordAnswer } from '../chords';
+import { staffPositionToNote } from '../notes';
+import { createRng } from '../selection';
+
+describe('identifyChord', () => {
+  it('names root-position triads', () => {
+    expect(identifyChord(['C4', 'E4', 'G4'])).toEqual({ kind: 'triad', name: 'major', inversion: 0 });
+    expect(identifyChord(['D4', 'F4', 'A4'])).toEqual({ kind: 'triad', name: 'minor', inversion: 0 });
+    expect(identifyChord(['B3', 'D4', 'F4'])).toEqual({ kind: 'triad', name: 'diminished', inversion: 0 });
+    expect(identifyChord(['C4', 'E4', 'G#4'])).toEqual({ kind: 'triad', name: 'augmented', inversion: 0 });
+  });
+
+  it('finds the root of an inverted triad from the bass', () => {
+    expect(identifyChord(['E4', 'G4', 'C5'])).toEqual({ kind: 'triad', name: 'major', inversion: 1 });
+    expect(identifyChord(['G3', 'C4', 'E4'])).toEqual({ kind: 'triad', name: 'major', inversion: 2 });
+    expect(identifyChord(['G4', 'C4', 'E4'])).toEqual({ kind: 'triad', name: 'major', inversion: 0 });
+  });
+
+  it('names every seventh quality and its inversions', () => {
+    expect(identifyChord(['C4', 'E4', 'G4', 'B4']).name).toBe('major 7th');
+    expect(identifyChord(['G3', 'B3', 'D4', 'F4']).name).toBe('dominant 7th');
+    expect(identifyChord(['D4', 'F4', 'A4', 'C5']).name).toBe('minor 7th');
+    expect(identifyChord(['B3', 'D4', 'F4', 'A4']).name).toBe('half-diminished 7th');
+    expect(identifyChord(['B3', 'D4', 'F4', 'Ab4']).name).toBe('diminished 7th');
+    expect(identifyChord(['A3', 'C4', 'E4', 'G#4']).name).toBe('minor-major 7th');
+    expect(identifyChord(['C4', 'E4', 'G#4', 'B4']).name).toBe('augmented major 7th');
+    expect(identifyChord(['F4', 'G4', 'B4', 'D5'])).toEqual({ kind: 'seventh', name: 'dominant 7th', inversion: 3 });
+    expect(identifyChord(['B3', 'D4', 'G4', 'F5'])).toEqual({ kind: 'seventh', name: 'dominant 7th', inversion: 1 });
+  });
+
+  it('goes by spelling, not sound', () => {
+    expect(identifyChord(['C4', 'E4', 'G#4'])).toEqual({ kind: 'triad', name: 'augmented', inversion: 0 });
+    expect(identifyChord(['C4', 'E4', 'Ab4'])).toEqual({ kind: 'triad', name: 'augmented', inversion: 1 });
+    expect(identifyChord(['C4', 'Fb4', 'G4'])).toBeNull();
+  });
+
+  it('names two notes as an interval', () => {
+    expect(identifyChord(['G4', 'C4'])).toEqual({ kind: 'interval', name: 'perfect 5th', inversion: 0 });
+  });
+
+  it('rejects stacks that are not in thirds', () => {
+    expect(identifyChord(['C4', 'D4', 'G4'])).toBeNull();
+    expect(identifyChord(['C4', 'E4', 'G4', 'C5'])).toBeNull();
+    expect(identifyChord(['C4'])).toBeNull();
+    expect(identifyChord(['C4', 'nope', 'G4'])).toBeNull();
+  });
+
+  it('only produces seventh names the answer buttons offer', () => {
+    const chords = [['C4', 'E4', 'G4', 'B4'], ['A3', 'C4', 'E4', 'G#4'], ['C4', 'E4', 'G#4', 'B4'], ['B3', 'D4', 'F4', 'Ab4']];
+    chords.forEach(notes => expect(NAME_CHOICES.sevenths).toContain(identifyChord(notes).name));
+  });
+});
+
+describe('nameInterval', () => {
+  it('reads quality from spelling and reduces compound intervals', () => {
+    expect(nameInterval('C4', 'Eb4')).toBe('minor 3rd');
+    expect(nameInterval('C4', 'D#4')).toBe('augmented 2nd');
+    expect(nameInterval('F4', 'B4')).toBe('augmented 4th');
+    expect(nameInterval('B3', 'F4')).toBe('diminished 5th');
+    expect(nameInterval('C4', 'C5')).toBe('perfect octave');
+    expect(nameInterval('C4', 'E5')).toBe('major 3rd');
+  });
+});
+
+describe('generateChord', () => {
+  const RANGE = { minPosition: 24, maxPosition: 38 };
+  const toNotes = (positions) => positions.map(p => staffPositionToNote(p));
+
+  it('stacks thirds and only inverts when asked', () => {
+    const rng = createRng(5);
+    for (let n = 0; n < 100; n++) {
+      const positions = generateChord({ category: 'triads', ...RANGE, inversions: false, rng });
+      expect(positions.map(p => p - positions[0])).toEqual([0, 2, 4]);
+      expect(identifyChord(toNotes(positions)).inversion).toBe(0);
+    }
+  });
+
+  it.each([['triads', 3], ['sevenths', 4]])('reaches every inversion of %s within range', (category, size) => {
+    const rng = createRng(8);
+    const seen = new Set();
+    for (let n = 0; n < 200; n++) {
+      const positions = generateChord({ category, ...RANGE, rng });
+      expect(positions).toHaveLength(size);
+      expect(positions[0]).toBeGreaterThanOrEqual(RANGE.minPosition);
+      expect(positions[size - 1]).toBeLessThanOrEqual(RANGE.maxPosition);
+      const chord = identifyChord(toNotes(positions));
+      expect(chord.kind).toBe(size === 3 ? 'triad' : 'seventh');
+      seen.add(chord.inversion);
+    }
+    expect([...seen].sort()).toEqual([0, 1, 2, 3].slice(0, size));
+  });
+
+  it('keeps intervals inside an octave and inside the range', () => {
+    const rng = createRng(13);
+    for (let n = 0; n < 100; n++) {
+      const [low, high] = generateChord({ category: 'intervals', ...RANGE, rng });
+      expect(high - low).toBeGreaterThanOrEqual(1);
+      expect(high - low).toBeLessThanOrEqual(7);
+      expect(low).toBeGreaterThanOrEqual(RANGE.minPosition);
+      expect(high).toBeLessThanOrEqual(RANGE.maxPosition);
+    }
+  });
+
+  it('repeats a chord for a seed', () => {
+    const make = (seed) => generateChord({ category: 'sevenths', ...RANGE, rng: createRng(seed) });
+    expect(make(21)).toEqual(make(21));
+  });
+});
+
+describe('evaluateChordAnswer', () => {
+  it('accepts enharmonic keys and reports wrong and missing ones', () => {
+    const target = ['C4', 'E4', 'G#4'];
+    expect(evaluateChordAnswer(target, ['C4', 'E4', 'Ab4']).complete).toBe(true);
+    expect(evaluateChordAnswer(target, ['C4', 'F4'])).toEqual({
+      correct: ['C4'], wrong: ['F4'], missing: ['E4', 'G#4'], complete: false,
+    });
+  });
+});
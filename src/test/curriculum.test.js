@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PASS, DEFAULT_CURRICULUM, normalizeCurriculum, parseCurriculum, getLevelPool, getLevelRange, getLevelKey, evaluateLevel, getLevelStates } from '../curriculum';
+
+const LESSON = {
+  id: 'studio',
+  name: 'Studio',
+  levels: [
+    { id: 'first', clef: 'treble', notes: ['C4', 'E4', 'G4'] },
+    { id: 'second', clef: 'treble', range: { min: 'E4', max: 'F5' }, positions: 'lines', pass: { attempts: 10 } },
+    { id: 'bass', clef: 'bass', range: { min: 'C3', max: 'C4' }, requires: [] },
+    { id: 'both', clef: 'alto', notes: ['C4'], requires: ['second', 'bass'], keySignature: 'D' },
+  ],
+};
+
+// A lesson with one level changed, for the validation cases
+const withLevel = (index, changes) => ({
+  ...LESSON,
+  levels: LESSON.levels.map((level, i) => (i === index ? { ...level, ...changes } : level)),
+});
+
+describe('parseCurriculum', () => {
+  it('fills in defaults', () => {
+    const curriculum = parseCurriculum(JSON.stringify(LESSON));
+    expect(curriculum.id).toBe('studio');
+    expect(curriculum.levels[0]).toEqual({
+      clef: 'treble', notes: ['C4', 'E4', 'G4'], id: 'first', name: null, description: null,
+      keySignature: 'C', pass: DEFAULT_PASS, requires: [],
+    });
+    expect(curriculum.levels[1].pass).toEqual({ ...DEFAULT_PASS, attempts: 10 });
+    expect(curriculum.levels[2].positions).toBe('all');
+    expect(curriculum.levels[3].keySignature).toBe('D');
+  });
+
+  it('makes each level wait for the one before unless it says otherwise', () => {
+    const curriculum = normalizeCurriculum(LESSON);
+    expect(curriculum.levels.map(l => l.requires)).toEqual([[], ['first'], [], ['second', 'bass']]);
+  });
+
+  it('names a curriculum without an id "custom"', () => {
+    expect(normalizeCurriculum({ levels: [LESSON.levels[0]] }).id).toBe('custom');
+  });
+
+  it('rejects text that is not JSON', () => {
+    expect(() => parseCurriculum('{ levels: ')).toThrow('The file is not valid JSON.');
+  });
+});
+
+describe('normalizeCurriculum', () => {
+  it.each([
+    ['no levels', { id: 'x', levels: [] }, 'A curriculum needs a non-empty "levels" list.'],
+    ['no curriculum', null, 'A curriculum needs a non-empty "levels" list.'],
+    ['a level without an id', withLevel(1, { id: '' }), 'Level 2: needs an "id".'],
+    ['a repeated id', withLevel(1, { id: 'first' }), 'Level 2: the id "first" is used twice.'],
+    ['an unknown clef', withLevel(0, { clef: 'soprano' }), 'Level 1: unknown clef "soprano".'],
+    ['an unknown key', withLevel(0, { keySignature: 'H' }), 'Level 1: unknown key signature "H".'],
+    ['sharps in notes', withLevel(0, { notes: ['C#4'] }), 'Level 1: "notes" must list natural notes like "C4".'],
+    ['empty notes', withLevel(0, { notes: [] }), 'Level 1: "notes" must list natural notes like "C4".'],
+    ['an upside-down range', withLevel(2, { range: { min: 'C4', max: 'C3' } }), 'Level 3: needs "notes" or a "range" from a lower "min" to a higher "max".'],
+    ['neither notes nor range', withLevel(2, { range: undefined }), 'Level 3: needs "notes" or a "range"'],
+    ['unknown positions', withLevel(1, { positions: 'ledgers' }), 'Level 2: "positions" must be one of all, lines, spaces.'],
+    ['a zero accuracy', withLevel(0, { pass: { accuracy: 0 } }), 'Level 1: "pass" needs attempts of at least 1'],
+    ['requires that is not a list', withLevel(3, { requires: 'second' }), 'Level 4: "requires" must be a list of level ids.'],
+    ['requires that is null', withLevel(3, { requires: null }), 'Level 4: "requires" must be a list of level ids.'],
+    ['an unknown required level', withLevel(3, { requires: ['third'] }), 'Level 4: requires unknown level "third".'],
+  ])('rejects %s', (_, data, message) => {
+    expect(() => normalizeCurriculum(data)).toThrow(message);
+  });
+
+  it('accepts the built-in curriculum', () => {
+    expect(DEFAULT_CURRICULUM.id).toBe('core');
+    expect(DEFAULT_CURRICULUM.levels.filter(l => !l.requires.length).map(l => l.id))
+      .toEqual(['treble-landmarks', 'bass-landmarks']);
+  });
+});
+
+describe('level pools', () => {
+  const [first, second, bass] = normalizeCurriculum(LESSON).levels;
+
+  it('lists the notes a level names', () => {
+    expect(getLevelPool(first).map(item => item.note)).toEqual(['C4', 'E4', 'G4']);
+    expect(getLevelRange(first)).toEqual({ min: 'C4', max: 'G4' });
+  });
+
+  it('keeps only lines or spaces from a range', () => {
+    expect(getLevelPool(second).map(item => item.note)).toEqual(['E4', 'G4', 'B4', 'D5', 'F5']);
+    expect(getLevelPool(bass)).toHaveLength(8);
+  });
+});
+
+describe('evaluateLevel', () => {
+  const pass = { attempts: 4, accuracy: 0.75, maxResponseMs: 2000 };
+  const answer = (correct, responseMs = 1000) => ({ correct, responseMs });
+
+  it('passes on the most recent answers that were right and fast enough', () => {
+    const attempts = [answer(false), answer(false), answer(true), answer(true), answer(true), answer(false)];
+    expect(evaluateLevel(attempts, pass)).toEqual({ attempts: 4, counted: 3, accuracy: 0.75, passed: true });
+  });
+
+  it('does not count slow or timed-out answers', () => {
+    const attempts = [answer(true), answer(true, 2500), answer(true, null), answer(true)];
+    expect(evaluateLevel(attempts, pass)).toMatchObject({ counted: 2, passed: false });
+  });
+
+  it('waits for enough answers', () => {
+    expect(evaluateLevel([answer(true), answer(true)], pass)).toMatchObject({ attempts: 2, passed: false });
+    expect(evaluateLevel([], pass)).toEqual({ attempts: 0, counted: 0, accuracy: 0, passed: false });
+  });
+});
+
+describe('getLevelStates', () => {
+  const curriculum = normalizeCurriculum(LESSON);
+  const passed = (...ids) => Object.fromEntries(ids.map(id => [getLevelKey(curriculum, { id }), { passedAt: 1 }]));
+
+  it('opens levels with nothing to wait for', () => {
+    expect(getLevelStates(curriculum)).toEqual({ first: 'open', second: 'locked', bass: 'open', both: 'locked' });
+  });
+
+  it('unlocks a level once the one before is passed', () => {
+    expect(getLevelStates(curriculum, passed('first'))).toEqual({ first: 'passed', second: 'open', bass: 'open', both: 'locked' });
+  });
+
+  it('waits for every required level', () => {
+    expect(getLevelStates(curriculum, passed('first', 'second')).both).toBe('locked');
+    expect(getLevelStates(curriculum, passed('first', 'second', 'bass')).both).toBe('open');
+  });
+
+  it('only counts passes from the same curriculum', () => {
+    expect(getLevelStates(curriculum, { 'core/first': { passedAt: 1 } }).second).toBe('locked');
+    expect(getLevelKey(curriculum, curriculum.levels[0])).toBe('studio/first');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { DRILL_CONFIG_VERSION, EXERCISE_SETTINGS, encodeDrillConfig, decodeDrillConfig, createDrillSeed } from '../drillConfig';
+
+const ACCEPTED = { exercises: ['single', 'melody', 'chord', 'earNote', 'earInterval'], clefModes: ['TREBLE', 'BASS', 'GRAND'] };
+
+// What every drill has
+const COMMON = {
+  version: DRILL_CONFIG_VERSION,
+  exercise: 'melody',
+  clefMode: 'BASS',
+  range: { min: 'E2', max: 'C4' },
+  keySignature: 'Eb',
+  accidentals: true,
+  instrument: 'clarinet',
+  drill: 'set',
+  length: 50,
+  selection: 'uniform',
+  seed: 4294967295,
+};
+
+const CONFIG = { ...COMMON, phraseLength: 12, motion: 'leaps', maxInterval: 7 };
+
+// Each exercise's own settings, none of them at their defaults
+const EXERCISE_CONFIGS = {
+  single: {},
+  chord: { chordCategory: 'sevenths', inversions: false, chordAnswer: 'name' },
+  earNote: { earRange: 'wide', referenceTone: 'A4' },
+  earInterval: { earRange: 'two', intervalSet: 'all', intervalStyle: 'harmonic' },
+};
+
+const decode = (query) => decodeDrillConfig(query, ACCEPTED);
+
+// A valid query with one parameter swapped out (or dropped, for null)
+const withParam = (name, value) => {
+  const params = new URLSearchParams(encodeDrillConfig(CONFIG));
+  if (value === null) params.delete(name);
+  else params.set(name, value);
+  return params.toString();
+};
+
+describe('drill config links', () => {
+  it('decodes what it encodes', () => {
+    expect(decode(encodeDrillConfig(CONFIG))).toEqual(CONFIG);
+  });
+
+  it('round-trips the defaults that are left out of the link', () => {
+    const config = { ...CONFIG, range: null, accidentals: false, instrument: 'concert' };
+    const query = encodeDrillConfig(config);
+    expect(query).not.toMatch(/min=|acc=|inst=/);
+    expect(decode(`?${query}`)).toEqual(config);
+  });
+
+  it.each(Object.entries(EXERCISE_CONFIGS))('carries the %s settings', (exercise, settings) => {
+    const config = { ...COMMON, exercise, ...settings };
+    expect(Object.keys(settings)).toEqual(Object.keys(EXERCISE_SETTINGS[exercise] || {}));
+    expect(decode(encodeDrillConfig(config))).toEqual(config);
+  });
+
+  it('leaves out settings the exercise does not read', () => {
+    const query = encodeDrillConfig({ ...CONFIG, exercise: 'single', chordCategory: 'sevenths' });
+    expect(query).not.toMatch(/notes=|motion=|leap=|stack=/);
+    expect(decode(query)).toEqual({ ...COMMON, exercise: 'single' });
+  });
+
+  it('falls back to the defaults for settings a link leaves out', () => {
+    const params = new URLSearchParams(encodeDrillConfig({ ...COMMON, exercise: 'chord', ...EXERCISE_CONFIGS.chord }));
+    ['stack', 'inv', 'ans'].forEach(name => params.delete(name));
+    expect(decode(params.toString())).toEqual({ ...COMMON, exercise: 'chord', ...EXERCISE_SETTINGS.chord });
+  });
+
+  it('ignores pages opened without a drill', () => {
+    expect(decode('')).toBe(null);
+    expect(decode('?utm_source=mail')).toBe(null);
+  });
+
+  it.each([
+    ['drill', '2', /version/],
+    ['ex', 'piece', /exercise/],
+    ['clef', 'SOPRANO', /clef/],
+    ['min', 'F#3', /range/],
+    ['max', 'D2', /range/],
+    ['key', 'H', /key/],
+    ['inst', 'kazoo', /instrument/],
+    ['type', 'marathon', /drill/],
+    ['len', '0', /length/],
+    ['len', '1001', /length/],
+    ['len', '2.5', /length/],
+    ['sel', 'hardest', /selection/],
+    ['seed', null, /seed/],
+    ['seed', '-1', /seed/],
+    ['seed', '4294967296', /seed/],
+    ['seed', 'abc', /seed/],
+    ['notes', '5', /phrase length/],
+    ['motion', 'wander', /motion/],
+    ['leap', '0', /largest interval/],
+    ['leap', '8', /largest interval/],
+  ])('rejects %s=%s', (name, value, message) => {
+    expect(() => decode(withParam(name, value))).toThrow(message);
+  });
+
+  it.each([
+    ['chord', 'stack', 'ninths', /chord stack/],
+    ['chord', 'inv', 'yes', /inversions/],
+    ['chord', 'ans', 'sing', /chord answer/],
+    ['earNote', 'ear', 'huge', /ear range/],
+    ['earNote', 'ref', 'G4', /reference tone/],
+    ['earInterval', 'ivl', 'tritones', /interval set/],
+    ['earInterval', 'play', 'sideways', /interval style/],
+  ])('rejects a %s link with %s=%s', (exercise, name, value, message) => {
+    const params = new URLSearchParams(encodeDrillConfig({ ...COMMON, exercise, ...EXERCISE_CONFIGS[exercise] }));
+    params.set(name, value);
+    expect(() => decode(params.toString())).toThrow(message);
+  });
+
+  it('makes seeds that fit in a link', () => {
+    expect(createDrillSeed(() => 0)).toBe(0);
+    expect(createDrillSeed(() => 0.999999999999)).toBe(4294967295);
+    expect(decode(withParam('seed', String(createDrillSeed())))).not.toBe(null);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createDrill, getBeatMs } from '../drills';
+
+// A clock that only moves when told to, firing whatever falls due
+const createFakeClock = () => {
+  let time = 0;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => time,
+    setTimeout: (fn, ms) => {
+      timers.set(nextId, { fn, at: time + ms });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance(ms) {
+      const end = time + ms;
+      for (;;) {
+        const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        time = due[1].at;
+        due[1].fn();
+      }
+      time = end;
+    },
+    pending: () => timers.size,
+  };
+};
+
+describe('getBeatMs', () => {
+  it('speeds up with the streak, down to half a second', () => {
+    expect(getBeatMs(0)).toBe(2000);
+    expect(getBeatMs(10)).toBe(1000);
+    expect(getBeatMs(100)).toBe(500);
+  });
+});
+
+describe('createDrill', () => {
+  it('times answers from when the note was shown', () => {
+    const clock = createFakeClock();
+    const drill = createDrill('free', { clock });
+    drill.start();
+    clock.advance(300);
+    drill.noteShown();
+    clock.advance(850);
+    expect(drill.answer(true)).toBe(850);
+  });
+
+  it('ends a sprint when its time runs out', () => {
+    const clock = createFakeClock();
+    const onFinish = vi.fn();
+    const drill = createDrill('sprint', { clock, onFinish });
+    drill.start();
+    drill.noteShown();
+    drill.answer(true);
+    clock.advance(45000);
+    expect(drill.getRemainingMs()).toBe(15000);
+    clock.advance(15000);
+    expect(onFinish).toHaveBeenCalledWith({ type: 'sprint', reason: 'time', completed: 1, misses: 0, elapsedMs: 60000 });
+    expect(drill.answer(true)).toBe(null);
+  });
+
+  it('completes a note set after its last correct answer', () => {
+    const clock = createFakeClock();
+    const onFinish = vi.fn();
+    const drill = createDrill('set', { clock, setLength: 3, onFinish });
+    drill.start();
+    for (const correct of [true, false, true, true]) {
+      drill.noteShown();
+      clock.advance(1000);
+      drill.answer(correct);
+    }
+    expect(onFinish).toHaveBeenCalledTimes(1);
+    expect(onFinish.mock.calls[0][0]).toMatchObject({ reason: 'complete', completed: 3, misses: 0, elapsedMs: 4000 });
+  });
+
+  it('counts a miss each time the beat runs out', () => {
+    const clock = createFakeClock();
+    const onTimeout = vi.fn();
+    const drill = createDrill('tempo', { clock, onTimeout });
+    drill.start();
+    drill.noteShown(0);
+    clock.advance(1500);
+    expect(drill.getRemainingMs()).toBe(500);
+    clock.advance(500);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(drill.getState()).toMatchObject({ misses: 1, finished: false });
+  });
+
+  it('stops the beat on a correct answer', () => {
+    const clock = createFakeClock();
+    const onTimeout = vi.fn();
+    const drill = createDrill('tempo', { clock, onTimeout });
+    drill.start();
+    drill.noteShown(10);
+    clock.advance(900);
+    drill.answer(true);
+    clock.advance(5000);
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(clock.pending()).toBe(0);
+  });
+
+  it('ends after three lives, lost to wrong answers or timeouts', () => {
+    const clock = createFakeClock();
+    const onTimeout = vi.fn();
+    const onFinish = vi.fn();
+    const drill = createDrill('tempo', { clock, onTimeout, onFinish });
+    drill.start();
+    drill.noteShown(0);
+    drill.answer(false);
+    // The wrong answer ended that beat, so it can't also time out
+    clock.advance(5000);
+    expect(onTimeout).not.toHaveBeenCalled();
+    drill.noteShown(0);
+    clock.advance(2000);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+    expect(onFinish).not.toHaveBeenCalled();
+    drill.noteShown(0);
+    drill.answer(true);
+    drill.noteShown(1);
+    drill.answer(false);
+    expect(onFinish).toHaveBeenCalledWith(expect.objectContaining({ reason: 'lives', completed: 1, misses: 3 }));
+    expect(drill.getState().finished).toBe(true);
+  });
+
+  it('leaves no timers behind once stopped', () => {
+    const clock = createFakeClock();
+    const onFinish = vi.fn();
+    const drill = createDrill('tempo', { clock, onFinish });
+    drill.start();
+    drill.noteShown(0);
+    drill.stop();
+    expect(clock.pending()).toBe(0);
+    drill.noteShown(0);
+    expect(clock.pending()).toBe(0);
+    expect(onFinish).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { EAR_RANGES, EAR_INTERVAL_NAMES, INTERVAL_SETS, pickEarNote, pickEarInterval } from '../earTraining';
+import { noteToMidi } from '../notes';
+import { createRng } from '../selection';
+
+const midis = (notes) => notes.map(noteToMidi);
+
+describe('pickEarNote', () => {
+  it.each(Object.keys(EAR_RANGES))('stays inside the %s range and never repeats', (rangeId) => {
+    const { min, max } = EAR_RANGES[rangeId];
+    const rng = createRng(3);
+    let previous = null;
+    for (let n = 0; n < 200; n++) {
+      const note = pickEarNote({ min, max, previous, rng });
+      expect(noteToMidi(note)).toBeGreaterThanOrEqual(noteToMidi(min));
+      expect(noteToMidi(note)).toBeLessThanOrEqual(noteToMidi(max));
+      expect(note).not.toBe(previous);
+      previous = note;
+    }
+  });
+
+  it('repeats when the range has only one note', () => {
+    expect(pickEarNote({ min: 'A4', max: 'A4', previous: 'A4', rng: createRng(1) })).toBe('A4');
+  });
+});
+
+describe('pickEarInterval', () => {
+  it.each(Object.keys(INTERVAL_SETS))('only plays sizes from the %s set, inside the range', (setId) => {
+    const { semitones } = INTERVAL_SETS[setId];
+    const { min, max } = EAR_RANGES.octave;
+    const rng = createRng(9);
+    const seen = new Set();
+    for (let n = 0; n < 300; n++) {
+      const interval = pickEarInterval({ min, max, semitones, rng });
+      const [first, second] = midis(interval.notes);
+      expect(semitones).toContain(interval.semitones);
+      expect(second - first).toBe(interval.semitones);
+      expect(interval.name).toBe(EAR_INTERVAL_NAMES[interval.semitones]);
+      expect(first).toBeGreaterThanOrEqual(noteToMidi(min));
+      expect(second).toBeLessThanOrEqual(noteToMidi(max));
+      seen.add(interval.semitones);
+    }
+    expect([...seen].sort((a, b) => a - b)).toEqual(semitones);
+  });
+
+  it('plays descending intervals top note first', () => {
+    const rng = createRng(5);
+    for (let n = 0; n < 50; n++) {
+      const interval = pickEarInterval({ ...EAR_RANGES.two, semitones: [7], style: 'descending', rng });
+      const [first, second] = midis(interval.notes);
+      expect(first - second).toBe(7);
+      expect(interval.harmonic).toBe(false);
+    }
+  });
+
+  it('marks harmonic intervals and keeps them low note first', () => {
+    const interval = pickEarInterval({ ...EAR_RANGES.two, semitones: [4], style: 'harmonic', rng: createRng(2) });
+    expect(interval.harmonic).toBe(true);
+    expect(interval.name).toBe('major 3rd');
+    expect(noteToMidi(interval.notes[1]) - noteToMidi(interval.notes[0])).toBe(4);
+  });
+
+  it('repeats an interval for a seed', () => {
+    const make = () => pickEarInterval({ ...EAR_RANGES.wide, semitones: INTERVAL_SETS.all.semitones, rng: createRng(44) });
+    expect(make()).toEqual(make());
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { TUNINGS, MAX_FRET, parseTuning, getFretNote, findPositions } from '../fretboard';
+import { noteToMidi } from '../notes';
+
+describe('getFretNote', () => {
+  it('raises the open string a semitone per fret', () => {
+    const [low, a, d, g, b, high] = TUNINGS.guitar.strings;
+    expect(getFretNote(low, 0)).toBe('E2');
+    expect(getFretNote(low, 5)).toBe('A2');
+    expect(getFretNote(a, 3)).toBe('C3');
+    expect(getFretNote(d, 4)).toBe('F#3');
+    expect(getFretNote(g, 4)).toBe('B3');
+    expect(getFretNote(b, 1)).toBe('C4');
+    expect(getFretNote(high, 12)).toBe('E5');
+    expect(getFretNote(high, MAX_FRET)).toBe('E6');
+  });
+
+  it('follows each tuning', () => {
+    expect(getFretNote(TUNINGS.dropD.strings[0], 2)).toBe('E2');
+    expect(getFretNote(TUNINGS.guitar7.strings[0], 1)).toBe('C2');
+    expect(getFretNote(TUNINGS.bass4.strings[0], 3)).toBe('G1');
+    expect(getFretNote(TUNINGS.bass5.strings[0], 5)).toBe('E1');
+    expect(getFretNote(TUNINGS.bass6.strings[5], 2)).toBe('D3');
+    expect(getFretNote(TUNINGS.ukulele.strings[0], 2)).toBe('A4');
+  });
+
+  it('works from any spelling of a custom open string', () => {
+    const [low, , , , , high] = parseTuning('Eb2 Ab2 Db3 Gb3 Bb3 Eb4');
+    expect(getFretNote(low, 0)).toBe('D#2');
+    expect(getFretNote(high, 3)).toBe('F#4');
+    expect(getFretNote(parseTuning('C2, G2, D3, A3')[0], 12)).toBe('C3');
+  });
+});
+
+describe('findPositions', () => {
+  const FRETS = { min: 0, max: 12 };
+
+  it('finds every place a note sounds on the neck', () => {
+    expect(findPositions('E4', TUNINGS.guitar.strings, { min: 0, max: MAX_FRET })).toHaveLength(6);
+    expect(findPositions('E4', TUNINGS.guitar.strings, FRETS)).toEqual([
+      { string: 3, fret: 9 },
+      { string: 4, fret: 5 },
+      { string: 5, fret: 0 },
+    ]);
+  });
+
+  it('matches pitch, not spelling, and keeps to the fret range', () => {
+    const strings = TUNINGS.guitar.strings;
+    expect(findPositions('Gb3', strings, FRETS)).toEqual(findPositions('F#3', strings, FRETS));
+    expect(findPositions('E4', strings, { min: 5, max: 9 })).toEqual([
+      { string: 3, fret: 9 },
+      { string: 4, fret: 5 },
+    ]);
+    expect(findPositions('D2', strings, FRETS)).toEqual([]);
+    expect(findPositions('nope', strings, FRETS)).toEqual([]);
+  });
+
+  it('handles re-entrant and custom tunings', () => {
+    expect(findPositions('A4', TUNINGS.ukulele.strings, FRETS)).toEqual([
+      { string: 0, fret: 2 },
+      { string: 1, fret: 9 },
+      { string: 2, fret: 5 },
+      { string: 3, fret: 0 },
+    ]);
+    expect(findPositions('D2', parseTuning('D2 A2 D3 G3 B3 E4'), FRETS)).toEqual([{ string: 0, fret: 0 }]);
+  });
+
+  it('gives back a note that sounds the asked-for pitch', () => {
+    const strings = TUNINGS.bass5.strings;
+    findPositions('C2', strings, { min: 0, max: MAX_FRET }).forEach(({ string, fret }) =>
+      expect(noteToMidi(getFretNote(strings[string], fret))).toBe(noteToMidi('C2')));
+  });
+});
+
+describe('parseTuning', () => {
+  it('reads spaces or commas and normalises spelling', () => {
+    expect(parseTuning(' d2, a2 d3  g3 b3 e4 ')).toEqual(['D2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+    expect(parseTuning('C##2 A2 D3 G3')).toEqual(['Cx2', 'A2', 'D3', 'G3']);
+  });
+
+  it('rejects too few or too many strings and notes without octaves', () => {
+    expect(parseTuning('E2 A2 D3')).toBeNull();
+    expect(parseTuning('B1 E2 A2 D3 G3 B3 E4 A4')).toBeNull();
+    expect(parseTuning('E A D G')).toBeNull();
+    expect(parseTuning('')).toBeNull();
+  });
+});
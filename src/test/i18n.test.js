@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { LOCALES, getDefaultLocale, translate, createTranslator, translateName } from '../i18n';
+import { DRILL_TYPES } from '../drills';
+import { SELECTION_STRATEGIES } from '../selection';
+import { MELODY_MOTIONS } from '../melody';
+import { CHORD_CATEGORIES, CHORD_ANSWER_MODES, NAME_CHOICES } from '../chords';
+import { EAR_RANGES, EAR_INTERVAL_NAMES, INTERVAL_SETS, INTERVAL_STYLES } from '../earTraining';
+import { TUNINGS } from '../fretboard';
+import { INSTRUMENTS } from '../instruments';
+import { RHYTHM_LEVELS, TIMING_WINDOWS } from '../rhythm';
+import { SYNTH_PRESETS } from '../synth';
+import { NAMING_SYSTEMS } from '../noteNames';
+import { CLEFS } from '../clefs';
+
+describe('translate', () => {
+  const t = createTranslator('de');
+
+  it('fills placeholders and picks the plural form by count', () => {
+    expect(translate('en', 'start.result', { score: 3, total: 4, seconds: '9.5' })).toBe('3 correct of 4 in 9.5s.');
+    expect(translate('en', 'start.mistakes', { count: 1 })).toBe('Drilling the 1 note you missed.');
+    expect(translate('en', 'start.mistakes', { count: 2 })).toBe('Drilling the 2 notes you missed.');
+  });
+
+  it('leaves placeholders without a value in place', () => {
+    expect(translate('en', 'start.result', { score: 3 })).toBe('3 correct of {total} in {seconds}s.');
+  });
+
+  it('falls back to English for an unknown locale, then to the key', () => {
+    expect(t('start.ready')).toBe('Bereit zum Üben?');
+    expect(translate('fr', 'start.ready')).toBe('Ready to Practice?');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('picks the browser language when there is a catalog for it', () => {
+    expect(getDefaultLocale(['de-AT', 'en'])).toBe('de');
+    expect(getDefaultLocale(['fr-FR', 'es'])).toBe('es');
+    expect(getDefaultLocale(['fr-FR'])).toBe('en');
+  });
+});
+
+describe('catalogs', () => {
+  const keys = (locale) => Object.keys(LOCALES[locale].catalog).sort();
+
+  it.each(['es', 'de'])('has every English key in %s', (locale) => {
+    expect(keys(locale)).toEqual(keys('en'));
+  });
+
+  // The data tables carry no labels of their own, so every id needs one here
+  it.each([
+    ['drill', DRILL_TYPES, ['.name', '.description']],
+    ['strategy', SELECTION_STRATEGIES, ['']],
+    ['motion', MELODY_MOTIONS, ['']],
+    ['chordCategory', CHORD_CATEGORIES, ['']],
+    ['chordAnswer', CHORD_ANSWER_MODES, ['']],
+    ['earRange', EAR_RANGES, ['']],
+    ['intervalSet', INTERVAL_SETS, ['']],
+    ['intervalStyle', INTERVAL_STYLES, ['']],
+    ['tuning', TUNINGS, ['']],
+    ['instrument', INSTRUMENTS, ['', '.interval']],
+    ['rhythmLevel', RHYTHM_LEVELS, ['']],
+    ['timingWindow', TIMING_WINDOWS, ['']],
+    ['preset', SYNTH_PRESETS, ['']],
+    ['naming', NAMING_SYSTEMS, ['']],
+    ['clef', CLEFS, ['']],
+  ])('labels every %s', (prefix, table, suffixes) => {
+    Object.keys(LOCALES).forEach(locale => Object.keys(table).forEach(id => suffixes.forEach(suffix => {
+      const key = `${prefix}.${id}${suffix}`;
+      // Concert pitch sounds as written, so it has no interval to describe
+      if (suffix === '.interval' && !INSTRUMENTS[id].semitones) return;
+      expect(LOCALES[locale].catalog[key], `${locale} ${key}`).toBeTypeOf('string');
+    })));
+  });
+});
+
+describe('translateName', () => {
+  it('builds interval names from a quality and a number', () => {
+    expect(translateName('en', 'minor 3rd')).toBe('minor 3rd');
+    expect(translateName('es', 'perfect 5th')).not.toBe('perfect 5th');
+    expect(translateName('de', 'tritone')).toBe(translate('de', 'interval.tritone'));
+  });
+
+  it('has a translation for every name an answer can take', () => {
+    const names = [...NAME_CHOICES.intervals, ...EAR_INTERVAL_NAMES];
+    ['es', 'de'].forEach(locale => {
+      names.forEach(name => expect(translateName(locale, name)).not.toMatch(/interval\./));
+      [...NAME_CHOICES.triads, ...NAME_CHOICES.sevenths].forEach(name =>
+        expect(translateName(locale, name, 'chord')).not.toMatch(/^chord\./));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { INSTRUMENTS, isTransposing, getSoundingNote, getWrittenPitch, getSoundingRange } from '../instruments';
+import { noteToMidi } from '../notes';
+
+describe('getSoundingNote', () => {
+  it('moves each written note down by its instrument interval', () => {
+    expect(getSoundingNote('D5', 'clarinet')).toBe('C5');
+    expect(getSoundingNote('D5', 'trumpet')).toBe('C5');
+    expect(getSoundingNote('A4', 'altoSax')).toBe('C4');
+    expect(getSoundingNote('D5', 'tenorSax')).toBe('C4');
+    expect(getSoundingNote('G4', 'horn')).toBe('C4');
+    expect(getSoundingNote('E4', 'guitar')).toBe('E3');
+  });
+
+  it('keeps the sounding note spelled a proper interval away', () => {
+    expect(getSoundingNote('F#5', 'altoSax')).toBe('A4');
+    expect(getSoundingNote('C5', 'clarinet')).toBe('Bb4');
+    expect(getSoundingNote('F#4', 'clarinet')).toBe('E4');
+    expect(getSoundingNote('Db5', 'horn')).toBe('Gb4');
+  });
+
+  it('crosses the octave with the letter, not the pitch', () => {
+    expect(getSoundingNote('C4', 'clarinet')).toBe('Bb3');
+    expect(getSoundingNote('Cb5', 'clarinet')).toBe('Bbb4');
+  });
+
+  it.each(Object.keys(INSTRUMENTS))('sounds %s at its interval in semitones', (instrument) => {
+    ['C4', 'F#4', 'Bb4', 'E5'].forEach(written =>
+      expect(noteToMidi(getSoundingNote(written, instrument)) - noteToMidi(written)).toBe(INSTRUMENTS[instrument].semitones));
+  });
+
+  it('leaves concert pitch, unknown instruments and bad notes alone', () => {
+    expect(getSoundingNote('Cx4', 'concert')).toBe('Cx4');
+    expect(getSoundingNote('D5', 'kazoo')).toBe('D5');
+    expect(getSoundingNote('nope', 'clarinet')).toBe('nope');
+  });
+});
+
+describe('getWrittenPitch', () => {
+  it('undoes the transposition for a played pitch', () => {
+    expect(getWrittenPitch('C5', 'clarinet')).toBe('D5');
+    expect(getWrittenPitch('C4', 'altoSax')).toBe('A4');
+    expect(getWrittenPitch('C4', 'tenorSax')).toBe('D5');
+    expect(getWrittenPitch('E3', 'guitar')).toBe('E4');
+  });
+
+  it('round-trips with getSoundingNote by pitch', () => {
+    Object.keys(INSTRUMENTS).forEach(instrument => {
+      ['C4', 'G#4', 'Eb5'].forEach(written =>
+        expect(noteToMidi(getWrittenPitch(getSoundingNote(written, instrument), instrument))).toBe(noteToMidi(written)));
+    });
+  });
+
+  it('leaves concert pitch alone', () => {
+    expect(getWrittenPitch('Db4', 'concert')).toBe('Db4');
+  });
+});
+
+describe('getSoundingRange', () => {
+  it('shifts both ends of a written range', () => {
+    expect(getSoundingRange({ min: 'E3', max: 'C6' }, 'clarinet')).toEqual({ min: 'D3', max: 'A#5' });
+    expect(getSoundingRange({ min: 'E3', max: 'E5' }, 'guitar')).toEqual({ min: 'E2', max: 'E4' });
+  });
+
+  it('returns the same range for concert pitch', () => {
+    const range = { min: 'C4', max: 'C5' };
+    expect(getSoundingRange(range, 'concert')).toBe(range);
+  });
+});
+
+describe('isTransposing', () => {
+  it('is false only for concert pitch', () => {
+    expect(isTransposing('concert')).toBe(false);
+    expect(isTransposing('horn')).toBe(true);
+    expect(isTransposing('guitar')).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { typeNoteName, qwertyToMidi, clampQwertyOctave } from '../keyboard';
+
+const type = (keys, system) => keys.reduce((typed, key) => typeNoteName(typed.buffer, key, system), { buffer: '' });
+
+describe('typeNoteName', () => {
+  it('builds a name with accidentals and an octave', () => {
+    expect(type(['e', 'b', '4']).buffer).toBe('Eb4');
+    expect(type(['F', '#', '#', '5']).buffer).toBe('F##5');
+    expect(type(['a', 'b', 'b']).buffer).toBe('Abb');
+  });
+
+  it('reads only a lowercase b as a flat', () => {
+    expect(type(['A', 'B']).buffer).toBe('B');
+    expect(type(['a', 'B']).buffer).toBe('B');
+    expect(type(['C', 'b']).buffer).toBe('Cb');
+  });
+
+  it('starts over at any other letter', () => {
+    expect(type(['C', '#', 'd']).buffer).toBe('D');
+    expect(type(['B', 'b', 'B']).buffer).toBe('B');
+  });
+
+  it('ignores keys that cannot come next', () => {
+    expect(type(['4']).buffer).toBe('');
+    expect(type(['C', '4', '#']).buffer).toBe('C4');
+    expect(type(['C', '4', '5']).buffer).toBe('C4');
+  });
+
+  it('submits on Enter or Space only with something typed', () => {
+    expect(typeNoteName('G4', 'Enter')).toEqual({ buffer: 'G4', submit: true });
+    expect(typeNoteName('', ' ')).toEqual({ buffer: '', submit: false });
+    expect(typeNoteName('G4', 'Backspace')).toEqual({ buffer: 'G' });
+    expect(typeNoteName('G4', 'Escape')).toEqual({ buffer: '' });
+  });
+
+  it('types other naming systems freely', () => {
+    expect(type(['F', 'a', '#', '4'], 'solfege').buffer).toBe('Fa#4');
+  });
+});
+
+describe('qwerty keys', () => {
+  it('maps the home row from C of the given octave', () => {
+    expect(qwertyToMidi('a', 4)).toBe(60);
+    expect(qwertyToMidi('W', 4)).toBe(61);
+    expect(qwertyToMidi(';', 4)).toBe(76);
+    expect(qwertyToMidi('q', 4)).toBe(null);
+  });
+
+  it('keeps at least one key in range', () => {
+    expect(clampQwertyOctave(9, 48, 72)).toBe(5);
+    expect(clampQwertyOctave(0, 48, 72)).toBe(2);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { PHRASE_LENGTHS, generatePhrase } from '../melody';
+import { createRng } from '../selection';
+
+const RANGE = { minPosition: 24, maxPosition: 38 };
+const moves = (positions) => positions.slice(1).map((p, i) => Math.abs(p - positions[i]));
+
+// Moves of each size over many phrases, for comparing motions
+const countMoves = (motion, seed) => {
+  const rng = createRng(seed);
+  const counts = new Array(8).fill(0);
+  for (let n = 0; n < 200; n++) {
+    moves(generatePhrase({ ...RANGE, length: 16, motion, maxInterval: 7, rng })).forEach(size => counts[size]++);
+  }
+  return counts;
+};
+
+describe('generatePhrase', () => {
+  it.each(PHRASE_LENGTHS)('writes %i notes inside the range', (length) => {
+    const rng = createRng(length);
+    for (let n = 0; n < 50; n++) {
+      const positions = generatePhrase({ ...RANGE, length, rng });
+      expect(positions).toHaveLength(length);
+      positions.forEach(p => {
+        expect(p).toBeGreaterThanOrEqual(RANGE.minPosition);
+        expect(p).toBeLessThanOrEqual(RANGE.maxPosition);
+      });
+    }
+  });
+
+  it.each([1, 2, 4, 7])('never moves further than a max interval of %i steps', (maxInterval) => {
+    const rng = createRng(maxInterval * 10);
+    for (let n = 0; n < 100; n++) {
+      const positions = generatePhrase({ ...RANGE, length: 16, motion: 'leaps', maxInterval, rng });
+      expect(Math.max(...moves(positions))).toBeLessThanOrEqual(maxInterval);
+    }
+  });
+
+  it('keeps to the range when it is narrower than the max interval', () => {
+    const rng = createRng(4);
+    for (let n = 0; n < 50; n++) {
+      const positions = generatePhrase({ minPosition: 30, maxPosition: 32, length: 12, maxInterval: 7, rng });
+      expect(Math.min(...positions)).toBeGreaterThanOrEqual(30);
+      expect(Math.max(...positions)).toBeLessThanOrEqual(32);
+    }
+  });
+
+  it('moves mostly by step when stepwise and mostly by leap when leaping', () => {
+    const stepwise = countMoves('stepwise', 1);
+    const leaps = countMoves('leaps', 1);
+    const share = (counts, sizes) => sizes.reduce((sum, s) => sum + counts[s], 0) / counts.reduce((a, b) => a + b, 0);
+    expect(share(stepwise, [1])).toBeGreaterThan(0.5);
+    expect(share(leaps, [1])).toBeLessThan(0.15);
+    expect(share(leaps, [3, 4, 5, 6, 7])).toBeGreaterThan(share(stepwise, [3, 4, 5, 6, 7]) * 2);
+  });
+
+  it('falls back to stepwise motion for an unknown motion', () => {
+    const make = (motion) => generatePhrase({ ...RANGE, length: 12, motion, rng: createRng(17) });
+    expect(make('wobbly')).toEqual(make('stepwise'));
+  });
+
+  it('repeats a phrase for a seed', () => {
+    const make = (seed) => generatePhrase({ ...RANGE, length: 16, motion: 'mixed', maxInterval: 5, rng: createRng(seed) });
+    expect(make(31)).toEqual(make(31));
+    expect(make(31)).not.toEqual(make(32));
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseMidiMessage, midiToNoteName, listInputs, createMidiInput } from '../midi';
+
+// Just enough of MIDIAccess: a Map of inputs and a way to plug devices in and out
+const createFakeAccess = (inputs) => {
+  const access = {
+    inputs: new Map(inputs.map(input => [input.id, { state: 'connected', onmidimessage: null, ...input }])),
+    onstatechange: null,
+    plug(input) {
+      access.inputs.set(input.id, { state: 'connected', onmidimessage: null, ...input });
+      access.onstatechange?.({ port: input });
+    },
+    unplug(id) {
+      access.inputs.get(id).state = 'disconnected';
+      access.onstatechange?.({ port: access.inputs.get(id) });
+    },
+    send(id, data) {
+      access.inputs.get(id).onmidimessage?.({ data: Uint8Array.from(data) });
+    },
+  };
+  return access;
+};
+
+describe('parseMidiMessage', () => {
+  it('reads note-on on any channel', () => {
+    expect(parseMidiMessage([0x90, 60, 100])).toEqual({ type: 'noteon', note: 60, velocity: 100 });
+    expect(parseMidiMessage([0x9f, 61, 1])).toEqual({ type: 'noteon', note: 61, velocity: 1 });
+  });
+
+  it('treats note-on with velocity 0 as note-off', () => {
+    expect(parseMidiMessage([0x90, 60, 0])).toEqual({ type: 'noteoff', note: 60, velocity: 0 });
+    expect(parseMidiMessage([0x80, 60, 64])).toEqual({ type: 'noteoff', note: 60, velocity: 0 });
+  });
+
+  it('ignores other messages', () => {
+    expect(parseMidiMessage([0xb0, 64, 127])).toBe(null);
+    expect(parseMidiMessage([0xf8])).toBe(null);
+    expect(parseMidiMessage(null)).toBe(null);
+  });
+});
+
+describe('midiToNoteName', () => {
+  it('names notes in range only', () => {
+    expect(midiToNoteName(60)).toBe('C4');
+    expect(midiToNoteName(66)).toBe('F#4');
+    expect(midiToNoteName(128)).toBe(null);
+    expect(midiToNoteName(1.5)).toBe(null);
+  });
+});
+
+describe('createMidiInput', () => {
+  it('lists connected devices', () => {
+    const access = createFakeAccess([{ id: 'a', name: 'Keystation', manufacturer: 'M-Audio' }, { id: 'b' }]);
+    expect(listInputs(access)).toEqual([
+      { id: 'a', name: 'Keystation', manufacturer: 'M-Audio' },
+      { id: 'b', name: 'Unknown device', manufacturer: '' },
+    ]);
+    access.unplug('b');
+    expect(listInputs(access).map(d => d.id)).toEqual(['a']);
+  });
+
+  it('passes note-ons from every input until one is picked', () => {
+    const access = createFakeAccess([{ id: 'a' }, { id: 'b' }]);
+    const onNote = vi.fn();
+    const input = createMidiInput(access, { onNote });
+    access.send('a', [0x90, 60, 90]);
+    access.send('b', [0x90, 62, 90]);
+    access.send('b', [0x80, 62, 0]);
+    expect(onNote.mock.calls.map(([name]) => name)).toEqual(['C4', 'D4']);
+
+    input.selectDevice('b');
+    expect(input.getDeviceId()).toBe('b');
+    access.send('a', [0x90, 64, 90]);
+    access.send('b', [0x90, 65, 90]);
+    expect(onNote.mock.calls.map(([name]) => name)).toEqual(['C4', 'D4', 'F4']);
+  });
+
+  it('wires up devices plugged in later', () => {
+    const access = createFakeAccess([{ id: 'a' }]);
+    const onNote = vi.fn();
+    const onDevicesChange = vi.fn();
+    createMidiInput(access, { onNote, onDevicesChange });
+    access.plug({ id: 'c', name: 'Pads' });
+    expect(onDevicesChange).toHaveBeenLastCalledWith([
+      { id: 'a', name: 'Unknown device', manufacturer: '' },
+      { id: 'c', name: 'Pads', manufacturer: '' },
+    ]);
+    access.send('c', [0x90, 69, 90]);
+    expect(onNote).toHaveBeenCalledWith('A4', { type: 'noteon', note: 69, velocity: 90 });
+  });
+
+  it('lets go of every input when disposed', () => {
+    const access = createFakeAccess([{ id: 'a' }, { id: 'b' }]);
+    const onNote = vi.fn();
+    createMidiInput(access, { onNote }).dispose();
+    access.send('a', [0x90, 60, 90]);
+    expect(onNote).not.toHaveBeenCalled();
+    expect(access.onstatechange).toBe(null);
+  });
+});
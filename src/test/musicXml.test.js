@@ -0,0 +1,80 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { JSDOM } from 'jsdom';
+import { parseMusicXml } from '../musicXml';
+import { readScoreFile } from '../scoreImport';
+
+const { DOMParser } = new JSDOM('').window;
+const parser = new DOMParser();
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+// Enough of a File for readScoreFile
+const asFile = (name) => {
+  const bytes = fixture(name);
+  return { name, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) };
+};
+
+const MINUET_NOTES = [
+  { note: 'D5', clef: 'treble', keySignature: 'G' },
+  { note: 'G4', clef: 'treble', keySignature: 'G' },
+  { note: 'A4', clef: 'treble', keySignature: 'G' },
+  { note: 'Bb2', clef: 'bass', keySignature: 'Bb' },
+  { note: 'F3', clef: 'bass', keySignature: 'Bb' },
+];
+
+const warningsOf = (score) => Object.fromEntries(score.warnings.map(({ code, count }) => [code, count]));
+
+describe('parseMusicXml', () => {
+  const score = parseMusicXml(fixture('minuet.musicxml').toString('utf8'), { parser });
+
+  it('reads the first voice of the first part, with its clef and key', () => {
+    expect(score.title).toBe('Fixture Minuet');
+    expect(score.notes).toEqual(MINUET_NOTES);
+  });
+
+  it('counts the parts, voices, chords, tuplets and repeats it skips', () => {
+    expect(warningsOf(score)).toEqual({ parts: 1, chords: 1, tuplets: 1, voices: 1, repeats: 1 });
+  });
+
+  it('moves notes under an octave clef to where the score shows them', () => {
+    const xml = `<score-partwise><part id="P1"><measure>
+      <attributes><clef><sign>G</sign><line>2</line><clef-octave-change>-1</clef-octave-change></clef></attributes>
+      <note><pitch><step>E</step><octave>3</octave></pitch></note>
+    </measure></part></score-partwise>`;
+    const result = parseMusicXml(xml, { parser });
+    expect(result.notes).toEqual([{ note: 'E4', clef: 'treble', keySignature: 'C' }]);
+    expect(warningsOf(result)).toEqual({ clefOctave: 1 });
+  });
+
+  it('falls back to treble for clefs it cannot draw', () => {
+    const xml = `<score-partwise><part id="P1"><measure>
+      <attributes><clef><sign>percussion</sign></clef><key><fifths>9</fifths></key></attributes>
+      <note><pitch><step>C</step><octave>5</octave></pitch></note>
+    </measure></part></score-partwise>`;
+    const result = parseMusicXml(xml, { parser });
+    expect(result.notes).toEqual([{ note: 'C5', clef: 'treble', keySignature: 'C' }]);
+    expect(warningsOf(result)).toEqual({ clef: 1, key: 1 });
+  });
+
+  it('rejects files that are not partwise scores', () => {
+    expect(() => parseMusicXml('<score-partwise>', { parser })).toThrow(expect.objectContaining({ code: 'xml' }));
+    expect(() => parseMusicXml('<score-timewise/>', { parser })).toThrow(expect.objectContaining({ code: 'timewise' }));
+    expect(() => parseMusicXml('<html/>', { parser })).toThrow(expect.objectContaining({ code: 'format' }));
+    expect(() => parseMusicXml('<score-partwise><part id="P1"/></score-partwise>', { parser }))
+      .toThrow(expect.objectContaining({ code: 'empty' }));
+  });
+});
+
+describe('readScoreFile', () => {
+  it('reads a compressed .mxl through its container', async () => {
+    const score = await readScoreFile(asFile('minuet.mxl'), { parser });
+    expect(score.notes).toEqual(MINUET_NOTES);
+    expect(warningsOf(score)).toEqual({ parts: 1, chords: 1, tuplets: 1, voices: 1, repeats: 1 });
+  });
+
+  it('picks the parser by extension', async () => {
+    const score = await readScoreFile(asFile('reel.abc'));
+    expect(score.title).toBe('Fixture Reel');
+  });
+});
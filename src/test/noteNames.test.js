@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { formatNoteName, parseNoteNameIn } from '../noteNames';
+
+describe('formatNoteName', () => {
+  it('writes English names as spelled', () => {
+    expect(formatNoteName('F#4')).toBe('F#4');
+    expect(formatNoteName('Bb3', 'english', { symbols: true })).toBe('B♭3');
+    expect(formatNoteName('Cx4', 'english', { symbols: true, octave: false })).toBe('C𝄪');
+  });
+
+  it('writes solfège syllables with the accidental after them', () => {
+    expect(formatNoteName('C4', 'solfege')).toBe('Do4');
+    expect(formatNoteName('G#5', 'solfege')).toBe('Sol#5');
+    expect(formatNoteName('Bb3', 'solfege', { symbols: true })).toBe('Si♭3');
+    expect(formatNoteName('E', 'solfege')).toBe('Mi');
+  });
+
+  it('writes German names with H for B and suffixes for accidentals', () => {
+    expect(formatNoteName('B4', 'german')).toBe('H4');
+    expect(formatNoteName('Bb4', 'german')).toBe('B4');
+    expect(formatNoteName('Bbb4', 'german')).toBe('Heses4');
+    expect(formatNoteName('B#3', 'german')).toBe('His3');
+    expect(formatNoteName('Cb4', 'german')).toBe('Ces4');
+    expect(formatNoteName('F#4', 'german')).toBe('Fis4');
+    expect(formatNoteName('Fx4', 'german')).toBe('Fisis4');
+    expect(formatNoteName('Eb4', 'german')).toBe('Es4');
+    expect(formatNoteName('Ab4', 'german', { octave: false })).toBe('As');
+    expect(formatNoteName('Ebb4', 'german')).toBe('Eses4');
+    expect(formatNoteName('Dbb4', 'german')).toBe('Deses4');
+  });
+
+  it('passes anything that is not a note straight through', () => {
+    expect(formatNoteName('tritone', 'german')).toBe('tritone');
+    expect(formatNoteName(null)).toBe('');
+  });
+});
+
+describe('parseNoteNameIn', () => {
+  it('reads solfège, with Sol/So and Si/Ti', () => {
+    expect(parseNoteNameIn('do4', 'solfege')).toBe('C4');
+    expect(parseNoteNameIn('Sol#', 'solfege')).toBe('G#');
+    expect(parseNoteNameIn('so', 'solfege')).toBe('G');
+    expect(parseNoteNameIn('Ti♭3', 'solfege')).toBe('Bb3');
+    expect(parseNoteNameIn('C4', 'solfege')).toBeNull();
+  });
+
+  it('reads German H and B the German way', () => {
+    expect(parseNoteNameIn('h', 'german')).toBe('B');
+    expect(parseNoteNameIn('B3', 'german')).toBe('Bb3');
+    expect(parseNoteNameIn('Heses', 'german')).toBe('Bbb');
+    expect(parseNoteNameIn('His3', 'german')).toBe('B#3');
+    expect(parseNoteNameIn('Bes', 'german')).toBeNull();
+  });
+
+  it('reads German suffixes and their contractions', () => {
+    expect(parseNoteNameIn('Ces4', 'german')).toBe('Cb4');
+    expect(parseNoteNameIn('fis', 'german')).toBe('F#');
+    expect(parseNoteNameIn('Cisis5', 'german')).toBe('Cx5');
+    expect(parseNoteNameIn('Es', 'german')).toBe('Eb');
+    expect(parseNoteNameIn('As4', 'german')).toBe('Ab4');
+    expect(parseNoteNameIn('Ases', 'german')).toBe('Abb');
+    expect(parseNoteNameIn('Ds', 'german')).toBeNull();
+  });
+
+  it('round-trips what formatNoteName writes', () => {
+    ['C4', 'Cb4', 'B#3', 'Bb4', 'Bbb2', 'F#5', 'Fx4', 'Eb4', 'Ab3', 'Gbb4'].forEach(note => {
+      ['english', 'solfege', 'german'].forEach(system =>
+        expect(parseNoteNameIn(formatNoteName(note, system), system)).toBe(note));
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { parseNote, parseNoteName, formatNote, noteToMidi, midiToNote, spellMidi, getEnharmonics, getStaffPosition, getPitchClass, matchesNoteName } from '../notes';
+import { getAccidentalSign } from '../keySignatures';
+
+describe('parseNote', () => {
+  it('reads letter, accidental and octave', () => {
+    expect(parseNote('C4')).toEqual({ letter: 'C', accidental: 0, octave: 4 });
+    expect(parseNote('Bb3')).toEqual({ letter: 'B', accidental: -1, octave: 3 });
+    expect(parseNote(' f#5 ')).toEqual({ letter: 'F', accidental: 1, octave: 5 });
+    expect(parseNote('G♭2')).toEqual({ letter: 'G', accidental: -1, octave: 2 });
+    expect(parseNote('A-1')).toEqual({ letter: 'A', accidental: 0, octave: -1 });
+  });
+
+  it('reads double sharps and double flats', () => {
+    expect(parseNote('Cx4')).toEqual({ letter: 'C', accidental: 2, octave: 4 });
+    expect(parseNote('C##4')).toEqual({ letter: 'C', accidental: 2, octave: 4 });
+    expect(parseNote('Ebb5')).toEqual({ letter: 'E', accidental: -2, octave: 5 });
+  });
+
+  it('rejects anything that is not a note', () => {
+    ['', 'H4', 'C', 'C#b4', 'Cbbb4', 'C4.5', 'x4'].forEach(input => expect(parseNote(input)).toBeNull());
+    expect(parseNote(60)).toBeNull();
+    expect(parseNote(null)).toBeNull();
+  });
+
+  it('takes names without an octave only through parseNoteName', () => {
+    expect(parseNote('F#')).toBeNull();
+    expect(parseNoteName('F#')).toEqual({ letter: 'F', accidental: 1, octave: null });
+    expect(parseNoteName('Dbb3')).toEqual({ letter: 'D', accidental: -2, octave: 3 });
+  });
+});
+
+describe('formatNote', () => {
+  it('writes the canonical spelling', () => {
+    expect(formatNote({ letter: 'C', octave: 4 })).toBe('C4');
+    expect(formatNote({ letter: 'B', accidental: -1, octave: 3 })).toBe('Bb3');
+    expect(formatNote({ letter: 'F', accidental: 2, octave: 4 })).toBe('Fx4');
+    expect(formatNote({ letter: 'A', accidental: -2, octave: 2 })).toBe('Abb2');
+  });
+
+  it('round-trips every spelling it writes', () => {
+    ['C4', 'C#4', 'Cx4', 'Cb4', 'Cbb4', 'B#3', 'E-1'].forEach(note =>
+      expect(formatNote(parseNote(note))).toBe(note));
+    expect(formatNote(parseNote('C##4'))).toBe('Cx4');
+  });
+});
+
+describe('noteToMidi', () => {
+  it('puts C4 at 60 and A4 at 69', () => {
+    expect(noteToMidi('C4')).toBe(60);
+    expect(noteToMidi('A4')).toBe(69);
+    expect(noteToMidi('C-1')).toBe(0);
+    expect(noteToMidi({ letter: 'G', accidental: 1, octave: 9 })).toBe(128);
+  });
+
+  it('counts double accidentals as two semitones', () => {
+    expect(noteToMidi('Cx4')).toBe(62);
+    expect(noteToMidi('Dbb4')).toBe(60);
+    expect(noteToMidi('Fx4')).toBe(noteToMidi('G4'));
+  });
+
+  it('keeps the written octave across the B/C boundary', () => {
+    expect(noteToMidi('Cb4')).toBe(59);
+    expect(noteToMidi('B3')).toBe(59);
+    expect(noteToMidi('B#3')).toBe(60);
+    expect(noteToMidi('Bx3')).toBe(61);
+    expect(noteToMidi('Cbb4')).toBe(58);
+  });
+
+  it('is null for a bad note', () => {
+    expect(noteToMidi('nope')).toBeNull();
+  });
+});
+
+describe('spelling MIDI numbers', () => {
+  it('uses naturals and single accidentals in midiToNote', () => {
+    expect(midiToNote(60)).toBe('C4');
+    expect(midiToNote(61)).toBe('C#4');
+    expect(midiToNote(61, { preferFlats: true })).toBe('Db4');
+    expect(midiToNote(59)).toBe('B3');
+    expect(midiToNote(60.5)).toBeNull();
+  });
+
+  it('spells on a given letter, moving the octave when it has to', () => {
+    expect(spellMidi(59, 'C')).toBe('Cb4');
+    expect(spellMidi(60, 'B')).toBe('B#3');
+    expect(spellMidi(62, 'C')).toBe('Cx4');
+    expect(spellMidi(58, 'C')).toBe('Cbb4');
+    expect(spellMidi(63, 'C')).toBeNull();
+    expect(spellMidi(60, 'H')).toBeNull();
+  });
+
+  it('lists every enharmonic spelling from the lowest letter up', () => {
+    expect(getEnharmonics('C4')).toEqual(['B#3', 'C4', 'Dbb4']);
+    expect(getEnharmonics('G#4')).toEqual(['G#4', 'Ab4']);
+  });
+});
+
+describe('staff position and pitch class', () => {
+  it('ignores accidentals on the staff but not in the pitch class', () => {
+    expect(getStaffPosition('C4')).toBe(28);
+    expect(getStaffPosition('Cb4')).toBe(28);
+    expect(getStaffPosition('B#3')).toBe(27);
+    expect(getPitchClass('Cb')).toBe(11);
+    expect(getPitchClass('B#3')).toBe(0);
+    expect(getPitchClass('Bx')).toBe(1);
+  });
+
+  it('matches named answers by pitch class, and octave when given', () => {
+    expect(matchesNoteName('Gb', 'F#4')).toBe(true);
+    expect(matchesNoteName('B#3', 'C4')).toBe(true);
+    expect(matchesNoteName('B#4', 'C4')).toBe(false);
+    expect(matchesNoteName('Cx', 'D5')).toBe(true);
+  });
+});
+
+describe('getAccidentalSign', () => {
+  it('writes only what the key does not already say', () => {
+    expect(getAccidentalSign('F', 1, 'G')).toBeNull();
+    expect(getAccidentalSign('F', 0, 'G')).toBe('natural');
+    expect(getAccidentalSign('C', 1, 'C')).toBe('sharp');
+    expect(getAccidentalSign('B', -1, 'C')).toBe('flat');
+  });
+
+  it('names double sharps and double flats', () => {
+    expect(getAccidentalSign('F', 2, 'G')).toBe('doubleSharp');
+    expect(getAccidentalSign('C', 2, 'C')).toBe('doubleSharp');
+    expect(getAccidentalSign('B', -2, 'F')).toBe('doubleFlat');
+    expect(getAccidentalSign('E', -2, 'C')).toBe('doubleFlat');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { rms, detectPitch, frequencyToNote, createPitchStabilizer } from '../pitch';
+
+const SAMPLE_RATE = 44100;
+
+// `harmonics` are relative amplitudes from the fundamental up, like a real instrument's
+const tone = (frequency, { amplitude = 0.5, harmonics = [1], length = 2048 } = {}) => {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    buffer[i] = harmonics.reduce((sum, level, h) =>
+      sum + level * Math.sin(2 * Math.PI * frequency * (h + 1) * i / SAMPLE_RATE), 0) * amplitude;
+  }
+  return buffer;
+};
+
+// A fixed-seed LCG so the noise is the same every run
+const noise = (length = 2048, amplitude = 0.5) => {
+  let state = 1;
+  return Float32Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return (state / 0x100000000 * 2 - 1) * amplitude;
+  });
+};
+
+const cents = (a, b) => 1200 * Math.log2(a / b);
+
+describe('detectPitch', () => {
+  it.each([82.41, 196, 261.63, 440, 987.77])('finds a %f Hz sine', (frequency) => {
+    const reading = detectPitch(tone(frequency), SAMPLE_RATE);
+    expect(Math.abs(cents(reading.frequency, frequency))).toBeLessThan(5);
+    expect(reading.clarity).toBeGreaterThan(0.9);
+  });
+
+  it('finds the fundamental under strong overtones', () => {
+    const reading = detectPitch(tone(220, { harmonics: [1, 0.8, 0.6, 0.4] }), SAMPLE_RATE);
+    expect(Math.abs(cents(reading.frequency, 220))).toBeLessThan(5);
+  });
+
+  it('stays quiet for silence, signals under the gate and noise', () => {
+    expect(detectPitch(new Float32Array(2048), SAMPLE_RATE)).toBe(null);
+    expect(detectPitch(tone(440, { amplitude: 0.005 }), SAMPLE_RATE)).toBe(null);
+    expect(detectPitch(tone(440, { amplitude: 0.005 }), SAMPLE_RATE, { noiseGate: 0.001 })).not.toBe(null);
+    expect(detectPitch(noise(), SAMPLE_RATE)).toBe(null);
+  });
+
+  it('reports the level it heard', () => {
+    expect(rms(tone(440, { amplitude: 1, length: 4410 }))).toBeCloseTo(Math.SQRT1_2, 2);
+    expect(detectPitch(tone(440), SAMPLE_RATE).rms).toBeCloseTo(0.5 * Math.SQRT1_2, 2);
+  });
+});
+
+describe('frequencyToNote', () => {
+  it('snaps to the nearest note with the cents left over', () => {
+    expect(frequencyToNote(440)).toEqual({ note: 'A4', midi: 69, cents: 0 });
+    expect(frequencyToNote(452)).toEqual({ note: 'A4', midi: 69, cents: 47 });
+    expect(frequencyToNote(432, 432)).toEqual({ note: 'A4', midi: 69, cents: 0 });
+  });
+
+  it('reads a synthesized note end to end', () => {
+    expect(frequencyToNote(detectPitch(tone(329.63), SAMPLE_RATE).frequency).note).toBe('E4');
+  });
+});
+
+describe('createPitchStabilizer', () => {
+  const reading = (note, cents = 0) => ({ note, cents });
+
+  it('emits a note once it has been held', () => {
+    const stabilizer = createPitchStabilizer({ holdMs: 100 });
+    expect(stabilizer.push(reading('C4'), 0)).toBe(null);
+    expect(stabilizer.push(reading('C4'), 50)).toBe(null);
+    expect(stabilizer.push(reading('C4'), 100)).toBe('C4');
+    expect(stabilizer.push(reading('C4'), 500)).toBe(null);
+  });
+
+  it('starts over when the pitch wanders or drops out', () => {
+    const stabilizer = createPitchStabilizer({ holdMs: 100, maxCents: 30 });
+    stabilizer.push(reading('C4'), 0);
+    expect(stabilizer.push(reading('C4', 45), 60)).toBe(null);
+    expect(stabilizer.push(reading('C4'), 120)).toBe(null);
+    expect(stabilizer.push(reading('C4'), 220)).toBe('C4');
+    expect(stabilizer.push(null, 240)).toBe(null);
+    stabilizer.push(reading('C4'), 260);
+    expect(stabilizer.push(reading('C4'), 360)).toBe('C4');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { getConfusionMatrix, getTopMistakes, getMissedNotes } from '../progress';
+
+const attempt = (target, guess, extra = {}) => ({
+  target, guess, clef: 'treble', correct: guess === target, responseMs: 900, skill: 'visual', ...extra,
+});
+
+const SESSION = {
+  attempts: [
+    attempt('E4', 'E4'),
+    attempt('E4', 'F4'),
+    attempt('E4', 'F4'),
+    attempt('G4', null),
+    attempt('Bb4', 'A#4', { correct: true }),
+    attempt('C5', 'D5'),
+    attempt('C5', 'F'),
+    attempt('G4', undefined),
+    attempt('E4', 'G4'),
+    // Chords and ear answers have no staff note to confuse
+    attempt('C4 E4 G4', 'minor'),
+    attempt('A4', 'B4', { clef: null, skill: 'ear' }),
+  ],
+};
+
+describe('getConfusionMatrix', () => {
+  const matrix = getConfusionMatrix(SESSION);
+
+  it('counts each target against what was answered', () => {
+    expect(matrix.counts.E4).toEqual({ E4: 1, F4: 2, G4: 1 });
+    expect(matrix.counts.C5).toEqual({ D5: 1, F: 1 });
+  });
+
+  it('files right answers under their target, whatever the spelling', () => {
+    expect(matrix.counts.Bb4).toEqual({ Bb4: 1 });
+    expect(matrix.guesses).not.toContain('A#4');
+  });
+
+  it('keeps unanswered attempts in their own column', () => {
+    expect(matrix.counts.G4).toEqual({ '': 2 });
+    expect(matrix.guesses).toContain('');
+  });
+
+  it('orders rows and columns by pitch, with letter-only and empty guesses last', () => {
+    expect(matrix.targets).toEqual(['E4', 'G4', 'Bb4', 'C5']);
+    expect(matrix.guesses).toEqual(['E4', 'F4', 'G4', 'Bb4', 'D5', '', 'F']);
+  });
+
+  it('leaves out attempts without a staff note', () => {
+    expect(matrix.targets).not.toContain('A4');
+    expect(Object.keys(matrix.counts)).toHaveLength(4);
+  });
+
+  it('is empty for a session with no note attempts', () => {
+    expect(getConfusionMatrix({ attempts: [] })).toEqual({ targets: [], guesses: [], counts: {} });
+  });
+});
+
+describe('getTopMistakes', () => {
+  it('groups wrong answers by target and guess, most frequent first', () => {
+    const mistakes = getTopMistakes(SESSION, 10);
+    expect(mistakes[0]).toEqual({ target: 'E4', guess: 'F4', count: 2 });
+    expect(mistakes[1]).toEqual({ target: 'G4', guess: '', count: 2 });
+    expect(mistakes.slice(2)).toEqual(expect.arrayContaining([
+      { target: 'C5', guess: 'D5', count: 1 },
+      { target: 'C5', guess: 'F', count: 1 },
+      { target: 'E4', guess: 'G4', count: 1 },
+    ]));
+    expect(mistakes).toHaveLength(5);
+  });
+
+  it('stops at the limit', () => {
+    expect(getTopMistakes(SESSION)).toHaveLength(3);
+    expect(getTopMistakes(SESSION, 1)).toEqual([{ target: 'E4', guess: 'F4', count: 2 }]);
+  });
+
+  it('is empty when every answer was right', () => {
+    expect(getTopMistakes({ attempts: [attempt('C4', 'C4')] })).toEqual([]);
+  });
+});
+
+describe('getMissedNotes', () => {
+  it('lists each missed note once per clef', () => {
+    const session = { attempts: [...SESSION.attempts, attempt('E4', 'D4', { clef: 'bass' })] };
+    expect(getMissedNotes(session)).toEqual([
+      { clef: 'treble', note: 'E4' },
+      { clef: 'treble', note: 'G4' },
+      { clef: 'treble', note: 'C5' },
+      { clef: 'bass', note: 'E4' },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+// Renders into jsdom for the component tests (which opt in with
+// `@vitest-environment jsdom`), with every update wrapped in act()
+
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+export const render = async (element) => {
+  const container = document.createElement('div');
+  document.body.append(container);
+  const root = createRoot(container);
+  await act(async () => root.render(element));
+  return {
+    container,
+    rerender: (next) => act(async () => root.render(next)),
+    unmount: () => {
+      act(() => root.unmount());
+      container.remove();
+    },
+  };
+};
+
+export const press = (element, key) => act(() => {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+});
+
+export const focus = (element) => act(() => element.focus());
+
+export const click = (element) => act(async () => element.click());
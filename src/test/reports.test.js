@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { REPORT_VERSION, createReport, reportToJson, reportToCsv } from '../reports';
+
+const T0 = Date.UTC(2026, 2, 1, 9, 0, 0);
+
+const SESSION = {
+  id: '1',
+  startedAt: T0,
+  config: { exercise: 'chord', seed: 7 },
+  attempts: [
+    { target: 'C4', guess: 'C4', correct: true, responseMs: 800, clef: 'treble', timestamp: T0 + 1000, exercise: 'single' },
+    { target: 'C4 E4 G4', guess: 'C4 Eb4, "G4"', correct: false, responseMs: 1600, clef: 'treble', timestamp: T0 + 3000, exercise: 'chord' },
+    { target: 'line\nbreak', guess: null, correct: false, responseMs: null, clef: null, timestamp: T0 + 5000 },
+  ],
+};
+
+const report = createReport(SESSION, { result: { type: 'set', reason: 'complete', elapsedMs: 5000 }, createdAt: T0 + 6000 });
+
+describe('createReport', () => {
+  it('lists the drill, its result, a summary and every attempt', () => {
+    expect(report).toMatchObject({
+      format: 'sightreadpro-report',
+      version: REPORT_VERSION,
+      createdAt: '2026-03-01T09:00:06.000Z',
+      startedAt: '2026-03-01T09:00:00.000Z',
+      drill: { exercise: 'chord', seed: 7 },
+      result: { reason: 'complete', elapsedMs: 5000 },
+      summary: { attempts: 3, correct: 1, fastestMs: 800, slowestMs: 1600, bestStreak: 1 },
+    });
+    expect(report.attempts[2]).toEqual({
+      target: 'line\nbreak', guess: null, correct: false, responseMs: null, offsetMs: null,
+      clef: null, exercise: null, timestamp: '2026-03-01T09:00:05.000Z',
+    });
+  });
+
+  it('survives JSON', () => {
+    expect(JSON.parse(reportToJson(report))).toEqual(report);
+  });
+});
+
+describe('reportToCsv', () => {
+  const csv = reportToCsv(report);
+
+  it('puts the summary in comments above a header row', () => {
+    const lines = csv.split('\r\n');
+    expect(lines[0]).toBe(`# sightreadpro-report v${REPORT_VERSION}`);
+    expect(lines.slice(2, 5)).toEqual(['# attempts,3', '# correct,1', '# accuracy,0.333']);
+    expect(lines[10]).toBe('index,target,guess,correct,response_ms,offset_ms,clef,exercise,timestamp');
+    expect(lines[11]).toBe('1,C4,C4,true,800,,treble,single,2026-03-01T09:00:01.000Z');
+    expect(csv.endsWith('\r\n')).toBe(true);
+  });
+
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(csv).toContain('2,C4 E4 G4,"C4 Eb4, ""G4""",false,1600,,treble,chord,');
+    expect(csv).toContain('3,"line\nbreak",,false,,,,,2026-03-01T09:00:05.000Z\r\n');
+  });
+});
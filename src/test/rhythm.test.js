@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { TIME_SIGNATURES, RHYTHM_LEVELS, generateMeasure, getMeasureSixteenths, getEventStarts, getOnsets, getTakeTiming, scoreTaps } from '../rhythm';
+import { createRng } from '../selection';
+
+// Quarter notes at 120 bpm: onsets every 500 ms
+const ONSETS = [0, 500, 1000].map((atMs, index) => ({ index, atMs, count: String(index + 1) }));
+const score = (taps, windowMs = 80) => scoreTaps(ONSETS, taps, { windowMs, beatMs: 500 });
+const verdicts = (result) => result.onsets.map(o => o.verdict);
+
+describe('scoreTaps', () => {
+  it('counts taps inside the window as on time, either side of the onset', () => {
+    const result = score([10, 420, 1080]);
+    expect(verdicts(result)).toEqual(['onTime', 'onTime', 'onTime']);
+    expect(result.onsets.map(o => o.offsetMs)).toEqual([10, -80, 80]);
+    expect(result.clean).toBe(true);
+  });
+
+  it('calls taps outside the window early or late', () => {
+    const result = score([-100, 581, 1000]);
+    expect(verdicts(result)).toEqual(['early', 'late', 'onTime']);
+    expect(result.onsets[0]).toMatchObject({ tapMs: -100, offsetMs: -100 });
+    expect(result.clean).toBe(false);
+  });
+
+  it('widens and narrows with the timing window', () => {
+    expect(verdicts(score([0, 600, 1000], 130))).toEqual(['onTime', 'onTime', 'onTime']);
+    expect(verdicts(score([0, 541, 1000], 40))).toEqual(['onTime', 'late', 'onTime']);
+  });
+
+  it('marks onsets nobody tapped as missed', () => {
+    const result = score([0, 1000]);
+    expect(verdicts(result)).toEqual(['onTime', 'missed', 'onTime']);
+    expect(result.onsets[1]).toMatchObject({ tapMs: null, offsetMs: null });
+    expect(result.clean).toBe(false);
+  });
+
+  it('gives each onset its closest tap and leaves the rest as extras', () => {
+    const result = score([40, 5, 500, 1000]);
+    expect(result.onsets[0].tapMs).toBe(5);
+    expect(result.extras).toEqual([40]);
+    expect(result.clean).toBe(false);
+  });
+
+  it('splits taps between neighbours at the midpoint', () => {
+    const result = score([249, 250, 1000]);
+    expect(result.onsets.map(o => o.tapMs)).toEqual([249, 250, 1000]);
+    expect(verdicts(result)).toEqual(['late', 'early', 'onTime']);
+  });
+
+  it('allows half a beat of slack before the first onset and after the last', () => {
+    expect(score([-250, 500, 1249]).extras).toEqual([]);
+    expect(score([-251, 0, 500, 1000, 1250]).extras).toEqual([-251, 1250]);
+  });
+});
+
+describe('getTakeTiming', () => {
+  it('schedules a bar of count-in and then the measure', () => {
+    const timing = getTakeTiming('4/4', 120, { leadMs: 300 });
+    expect(timing.beatMs).toBe(500);
+    expect(timing.clicksMs).toEqual([300, 800, 1300, 1800, 2300, 2800, 3300, 3800]);
+    expect(timing.startMs).toBe(2300);
+    expect(timing.endMs).toBe(4550);
+  });
+
+  it('counts beats in the signature unit', () => {
+    const timing = getTakeTiming('6/8', 120);
+    expect(timing.clicksMs).toHaveLength(12);
+    expect(timing.startMs).toBe(3000);
+  });
+
+  it('starts the count when the clicks are heard, not when they are scheduled', () => {
+    const timing = getTakeTiming('3/4', 60, { leadMs: 300, latencyMs: 45 });
+    expect(timing.clicksMs[0]).toBe(300);
+    expect(timing.heardMs[0]).toBe(345);
+    expect(timing.startMs).toBe(timing.heardMs[3]);
+    expect(timing.endMs).toBe(300 + 45 + 6.5 * 1000);
+  });
+
+  it('scores a tap on the heard downbeat as exactly on time', () => {
+    const timing = getTakeTiming('4/4', 120, { leadMs: 300, latencyMs: 120 });
+    const onsets = getOnsets([{ sixteenths: 16, rest: false, tied: false }], { timeSignature: '4/4', tempo: 120 });
+    const tapMs = timing.heardMs[4] - timing.startMs;
+    const result = scoreTaps(onsets, [tapMs], { windowMs: 40, beatMs: timing.beatMs });
+    expect(result.onsets[0]).toMatchObject({ offsetMs: 0, verdict: 'onTime' });
+  });
+});
+
+describe('getOnsets', () => {
+  it('skips rests and notes tied over from the one before', () => {
+    const events = [
+      { sixteenths: 4, rest: false, tied: true },
+      { sixteenths: 4, rest: false, tied: false },
+      { sixteenths: 2, rest: true, tied: false },
+      { sixteenths: 6, rest: false, tied: false },
+    ];
+    expect(getOnsets(events, { timeSignature: '4/4', tempo: 60 })).toEqual([
+      { index: 0, atMs: 0, count: '1' },
+      { index: 3, atMs: 2500, count: '3&' },
+    ]);
+  });
+});
+
+describe('generateMeasure', () => {
+  const cases = Object.keys(TIME_SIGNATURES).flatMap(timeSignature =>
+    Object.keys(RHYTHM_LEVELS).map(level => [timeSignature, level]));
+
+  it.each(cases)('fills a bar of %s exactly at the %s level', (timeSignature, level) => {
+    const rng = createRng(7);
+    for (let n = 0; n < 200; n++) {
+      const events = generateMeasure({ timeSignature, level, rng });
+      expect(events.reduce((sum, e) => sum + e.sixteenths, 0)).toBe(getMeasureSixteenths(timeSignature));
+      expect(events.some(e => !e.rest)).toBe(true);
+      events.forEach((event, i) => {
+        if (event.tied) expect(!event.rest && events[i + 1] && !events[i + 1].rest).toBe(true);
+      });
+    }
+  });
+
+  it('repeats a measure for a seed', () => {
+    const make = () => generateMeasure({ timeSignature: '3/4', level: 'sixteenths', rng: createRng(99) });
+    expect(make()).toEqual(make());
+    expect(make()).not.toEqual(generateMeasure({ timeSignature: '3/4', level: 'sixteenths', rng: createRng(100) }));
+  });
+
+  it('starts long values on a beat group in compound time', () => {
+    const rng = createRng(3);
+    const { group } = TIME_SIGNATURES['6/8'];
+    for (let n = 0; n < 200; n++) {
+      const events = generateMeasure({ timeSignature: '6/8', level: 'eighths', rng });
+      const starts = getEventStarts(events);
+      events.forEach((event, i) => {
+        if (event.sixteenths >= group) expect([starts[i] % group, event.sixteenths % group]).toEqual([0, 0]);
+        else expect(Math.floor(starts[i] / group)).toBe(Math.floor((starts[i] + event.sixteenths - 1) / group));
+      });
+    }
+  });
+
+  it('writes no ties at the basic level', () => {
+    const rng = createRng(11);
+    for (let n = 0; n < 100; n++) {
+      expect(generateMeasure({ level: 'basic', rng }).some(e => e.tied)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, press, focus } from './render';
+import { Piano } from '../Piano.jsx';
+import { Fretboard } from '../Fretboard.jsx';
+import { createTranslator } from '../i18n';
+
+const t = createTranslator('en');
+const focused = () => document.activeElement.getAttribute('aria-label');
+const tabStops = (container) => [...container.querySelectorAll('[tabindex="0"]')];
+
+describe('piano keys', () => {
+  let view;
+  afterEach(() => view.unmount());
+
+  const renderPiano = async (onPlay = () => {}) => {
+    view = await render(<Piano minNote="C4" maxNote="E4" onPlay={onPlay} t={t} />);
+    const [start] = tabStops(view.container);
+    await focus(start);
+    return start;
+  };
+
+  it('puts one key, the lowest, in the tab order', async () => {
+    await renderPiano();
+    expect(tabStops(view.container).map(el => el.getAttribute('aria-label'))).toEqual(['C4']);
+  });
+
+  it('walks the keys in pitch order with the arrows', async () => {
+    await renderPiano();
+    const path = [];
+    for (const key of ['ArrowRight', 'ArrowRight', 'ArrowUp', 'ArrowLeft', 'ArrowDown']) {
+      await press(document.activeElement, key);
+      path.push(focused());
+    }
+    expect(path).toEqual(['C#4', 'D4', 'D#4', 'D4', 'C#4']);
+  });
+
+  it('jumps to the ends with Home and End, and stays put past them', async () => {
+    await renderPiano();
+    await press(document.activeElement, 'End');
+    expect(focused()).toBe('E4');
+    await press(document.activeElement, 'ArrowRight');
+    expect(focused()).toBe('E4');
+    await press(document.activeElement, 'Home');
+    expect(focused()).toBe('C4');
+    await press(document.activeElement, 'ArrowLeft');
+    expect(focused()).toBe('C4');
+  });
+
+  it('moves the tab stop with focus', async () => {
+    await renderPiano();
+    await press(document.activeElement, 'End');
+    expect(tabStops(view.container)).toEqual([document.activeElement]);
+  });
+
+  it('plays the focused key with Enter or Space', async () => {
+    const onPlay = vi.fn();
+    await renderPiano(onPlay);
+    await press(document.activeElement, 'ArrowRight');
+    await press(document.activeElement, 'Enter');
+    await press(document.activeElement, ' ');
+    expect(onPlay.mock.calls).toEqual([['C#4'], ['C#4']]);
+  });
+});
+
+describe('fretboard', () => {
+  let view;
+  afterEach(() => view.unmount());
+
+  // Strings as listed, thickest first; the labels count them from the thinnest
+  const renderFretboard = async (onPlay = () => {}) => {
+    view = await render(<Fretboard strings={['E2', 'A2', 'D3']} frets={{ min: 0, max: 3 }} onPlay={onPlay} t={t} />);
+    const [start] = tabStops(view.container);
+    await focus(start);
+    return start;
+  };
+
+  it('starts on the open thickest string', async () => {
+    await renderFretboard();
+    expect(focused()).toBe('E2, string 3, fret 0');
+  });
+
+  it('moves along a string with left and right', async () => {
+    await renderFretboard();
+    await press(document.activeElement, 'ArrowRight');
+    await press(document.activeElement, 'ArrowRight');
+    expect(focused()).toBe('F#2, string 3, fret 2');
+    await press(document.activeElement, 'ArrowLeft');
+    expect(focused()).toBe('F2, string 3, fret 1');
+  });
+
+  it('moves across strings with up and down, and stays put past the edge', async () => {
+    await renderFretboard();
+    await press(document.activeElement, 'ArrowRight');
+    await press(document.activeElement, 'ArrowUp');
+    expect(focused()).toBe('A#2, string 2, fret 1');
+    await press(document.activeElement, 'ArrowUp');
+    await press(document.activeElement, 'ArrowUp');
+    expect(focused()).toBe('D#3, string 1, fret 1');
+    await press(document.activeElement, 'ArrowDown');
+    expect(focused()).toBe('A#2, string 2, fret 1');
+  });
+
+  it('jumps to the first and last fret with Home and End', async () => {
+    await renderFretboard();
+    await press(document.activeElement, 'ArrowUp');
+    await press(document.activeElement, 'End');
+    expect(focused()).toBe('C3, string 2, fret 3');
+    await press(document.activeElement, 'Home');
+    expect(focused()).toBe('A2, string 2, fret 0');
+  });
+
+  it('plays the focused position with Enter', async () => {
+    const onPlay = vi.fn();
+    await renderFretboard(onPlay);
+    await press(document.activeElement, 'End');
+    await press(document.activeElement, 'Enter');
+    expect(onPlay).toHaveBeenCalledWith('G2');
+  });
+});
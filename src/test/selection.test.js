@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { createRng, itemKey, recordAttempt, getItemWeight, pickWeighted, selectNext } from '../selection';
+
+const ITEMS = ['C4', 'D4', 'E4', 'F4'].map(note => ({ key: itemKey('treble', note), clef: 'treble', note }));
+
+// How often each item comes up over `draws` picks from a seeded rng
+const countPicks = (stats, strategy, draws = 8000, seed = 1) => {
+  const rng = createRng(seed);
+  const counts = Object.fromEntries(ITEMS.map(i => [i.key, 0]));
+  let previousKey = null;
+  for (let n = 0; n < draws; n++) {
+    previousKey = selectNext(ITEMS, stats, { strategy, rng, previousKey }).key;
+    counts[previousKey]++;
+  }
+  return counts;
+};
+
+describe('createRng', () => {
+  it('repeats a sequence for a seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, createRng(43))).not.toEqual(first);
+    first.forEach(x => expect(x >= 0 && x < 1).toBe(true));
+  });
+});
+
+describe('recordAttempt', () => {
+  it('moves quick correct answers up a box and misses back to the first', () => {
+    let stats = {};
+    stats = recordAttempt(stats, 'k', { correct: true, responseMs: 900 });
+    stats = recordAttempt(stats, 'k', { correct: true, responseMs: 1000 });
+    expect(stats.k).toEqual({ attempts: 2, correct: 2, box: 3, avgMs: 930 });
+    stats = recordAttempt(stats, 'k', { correct: true, responseMs: 5000 });
+    expect(stats.k.box).toBe(3);
+    stats = recordAttempt(stats, 'k', { correct: false, responseMs: 700 });
+    expect(stats.k.box).toBe(1);
+  });
+
+  it('weighs low boxes and slow notes more', () => {
+    expect(getItemWeight(undefined)).toBe(16);
+    expect(getItemWeight({ box: 5, avgMs: 500 })).toBe(1);
+    expect(getItemWeight({ box: 2, avgMs: 3000 })).toBe(12);
+  });
+});
+
+describe('selectNext', () => {
+  it('draws the same sequence again from the same seed and stats', () => {
+    const draw = () => {
+      const rng = createRng(7);
+      return Array.from({ length: 20 }, () => selectNext(ITEMS, {}, { strategy: 'adaptive', rng }).key);
+    };
+    expect(draw()).toEqual(draw());
+  });
+
+  it('never repeats the last item', () => {
+    const rng = createRng(3);
+    let previousKey = null;
+    for (let n = 0; n < 200; n++) {
+      const { key } = selectNext(ITEMS, {}, { rng, previousKey });
+      expect(key).not.toBe(previousKey);
+      previousKey = key;
+    }
+    expect(selectNext(ITEMS.slice(0, 1), {}, { previousKey: ITEMS[0].key })).toBe(ITEMS[0]);
+  });
+
+  it('spreads uniform picks evenly, whatever the stats', () => {
+    const counts = countPicks({ [ITEMS[0].key]: { box: 5, avgMs: 400 } }, 'uniform');
+    Object.values(counts).forEach(count => expect(count / 8000).toBeCloseTo(0.25, 1));
+  });
+
+  it('favours notes in low boxes when adaptive', () => {
+    const stats = {
+      [ITEMS[0].key]: { box: 1, avgMs: 500 },
+      [ITEMS[1].key]: { box: 3, avgMs: 500 },
+      [ITEMS[2].key]: { box: 5, avgMs: 500 },
+      [ITEMS[3].key]: { box: 3, avgMs: 500 },
+    };
+    const counts = countPicks(stats, 'adaptive');
+    const [c, d, e, f] = ITEMS.map(i => counts[i.key]);
+    expect(c).toBeGreaterThan(d);
+    expect(f).toBeGreaterThan(e);
+    expect(Math.abs(d - f) / 8000).toBeLessThan(0.03);
+  });
+});
+
+describe('pickWeighted', () => {
+  it('draws in proportion to the weights', () => {
+    const rng = createRng(5);
+    const counts = { a: 0, b: 0, c: 0 };
+    for (let n = 0; n < 8000; n++) counts[pickWeighted(['a', 'b', 'c'], [16, 4, 1], rng)]++;
+    expect(counts.a / 8000).toBeCloseTo(16 / 21, 1);
+    expect(counts.b / 8000).toBeCloseTo(4 / 21, 1);
+    expect(counts.c / 8000).toBeCloseTo(1 / 21, 1);
+  });
+
+  it('never picks a zero weight', () => {
+    const rng = createRng(11);
+    for (let n = 0; n < 500; n++) expect(pickWeighted(['a', 'b', 'c'], [1, 0, 3], rng)).not.toBe('b');
+  });
+
+  it('falls back to an even pick when nothing has weight', () => {
+    expect(pickWeighted(['a', 'b'], [0, 0], () => 0.75)).toBe('b');
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SCHEMA_VERSION, STORAGE_KEY, createEmptyProgress, migrateProgress, loadProgress, saveProgress } from '../storage';
+
+// localStorage's surface, backed by a Map
+const createStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('migrateProgress', () => {
+  it('walks old data forward one version at a time', () => {
+    const v1 = { version: 1, sessions: [{ id: 'a' }], noteStats: {} };
+    expect(migrateProgress(v1)).toEqual({ ...v1, version: SCHEMA_VERSION, levels: {} });
+  });
+
+  it('starts fresh for data it cannot read', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(migrateProgress(null)).toEqual(createEmptyProgress());
+    expect(migrateProgress({ version: 'x' })).toEqual(createEmptyProgress());
+    expect(migrateProgress({ version: SCHEMA_VERSION + 1 })).toEqual(createEmptyProgress());
+    expect(migrateProgress({ version: 0 }, {}, 1)).toEqual(createEmptyProgress());
+  });
+});
+
+describe('loadProgress', () => {
+  it('round-trips through storage', () => {
+    const storage = createStorage();
+    const progress = { ...createEmptyProgress(), sessions: [{ id: 'a', attempts: [] }] };
+    saveProgress(progress, storage);
+    expect(loadProgress(storage)).toEqual(progress);
+  });
+
+  it('logs a failure that repeats on every save only once', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const full = { ...createStorage(), setItem: () => { throw new Error('QuotaExceededError'); } };
+    saveProgress(createEmptyProgress(), full);
+    saveProgress(createEmptyProgress(), full);
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith('Progress Save Error:', expect.any(Error));
+  });
+
+  it('falls back to empty progress when the stored JSON is broken', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(loadProgress(createStorage({ [STORAGE_KEY]: '{"version":' }))).toEqual(createEmptyProgress());
+  });
+});
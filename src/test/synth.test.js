@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { SYNTH_PRESETS, SUSTAIN_SECONDS, envelopeLevel, getEnvelopePoints, scheduleEnvelope, createVoiceAllocator, createSynth } from '../synth';
+
+const ENVELOPE = { attack: 0.1, decay: 0.4, sustain: 0.5, release: 0.2 };
+
+// An AudioParam that keeps a log of what was scheduled on it
+const createParam = () => ({
+  value: 0,
+  events: [],
+  setValueAtTime(value, time) { this.events.push(['set', value, time]); },
+  linearRampToValueAtTime(value, time) { this.events.push(['linear', value, time]); },
+  exponentialRampToValueAtTime(value, time) { this.events.push(['exponential', value, time]); },
+  setTargetAtTime(value, time) { this.events.push(['target', value, time]); },
+  cancelScheduledValues(time) { this.events.push(['cancel', time]); },
+});
+
+// Just the AudioContext node methods the synth uses, with every node kept for inspection
+const createMockContext = () => {
+  const node = (extra) => ({ connect() {}, ...extra });
+  const ctx = {
+    currentTime: 0,
+    destination: node(),
+    gains: [],
+    oscillators: [],
+    createGain: () => {
+      const gain = node({ gain: createParam() });
+      ctx.gains.push(gain);
+      return gain;
+    },
+    createOscillator: () => {
+      const osc = node({
+        frequency: createParam(),
+        start(time) { this.startedAt = time; },
+        stop(time) { this.stoppedAt = time; },
+      });
+      ctx.oscillators.push(osc);
+      return osc;
+    },
+    createBiquadFilter: () => node({ frequency: createParam() }),
+    createDynamicsCompressor: () => node(),
+  };
+  return ctx;
+};
+
+describe('envelope', () => {
+  it('rises, decays to the sustain level and releases', () => {
+    expect(envelopeLevel(ENVELOPE, 0)).toBe(0);
+    expect(envelopeLevel(ENVELOPE, 0.05)).toBeCloseTo(0.5);
+    expect(envelopeLevel(ENVELOPE, 0.1)).toBeCloseTo(1);
+    expect(envelopeLevel(ENVELOPE, 0.3)).toBeCloseTo(0.75);
+    expect(envelopeLevel(ENVELOPE, 2)).toBe(0.5);
+    expect(envelopeLevel(ENVELOPE, 1.1, 1)).toBeCloseTo(0.25);
+    expect(envelopeLevel(ENVELOPE, 1.2, 1)).toBe(0);
+  });
+
+  it('releases from wherever a short note had reached', () => {
+    expect(getEnvelopePoints(ENVELOPE, 0.05)).toEqual([[0, 0], [0.05, 0.5], [0.25, 0]]);
+    expect(getEnvelopePoints(ENVELOPE, 1)).toEqual([[0, 0], [0.1, 1], [0.5, 0.5], [1, 0.5], [1.2, 0]]);
+  });
+
+  it('schedules the breakpoints from the start time and returns the end', () => {
+    const param = createParam();
+    expect(scheduleEnvelope(param, ENVELOPE, { start: 2, gate: 1, peak: 0.5 })).toBeCloseTo(3.2);
+    expect(param.events).toEqual([
+      ['cancel', 2], ['set', 0, 2], ['linear', 0.5, 2.1], ['linear', 0.25, 2.5], ['linear', 0.25, 3], ['linear', 0, 3.2],
+    ]);
+  });
+});
+
+describe('createVoiceAllocator', () => {
+  it('steals the voice closest to silence once all are busy', () => {
+    const allocator = createVoiceAllocator(2);
+    expect(allocator.allocate('a', 0, 3)).toEqual([]);
+    expect(allocator.allocate('b', 0.5, 1.5)).toEqual([]);
+    expect(allocator.allocate('c', 1, 2)).toEqual(['b']);
+    expect(allocator.getActive(1.2)).toEqual(['a', 'c']);
+  });
+
+  it('frees voices that have fallen silent', () => {
+    const allocator = createVoiceAllocator(1);
+    allocator.allocate('a', 0, 1);
+    expect(allocator.allocate('b', 1, 2)).toEqual([]);
+    expect(allocator.getActive(0.5)).toEqual([]);
+  });
+});
+
+describe('createSynth', () => {
+  const partials = SYNTH_PRESETS.organ.partials.length;
+
+  it('starts one oscillator per partial and stops them after the release', () => {
+    const ctx = createMockContext();
+    const synth = createSynth(ctx, { preset: 'organ' });
+    synth.noteOn(440, { when: 1, duration: 0.5 });
+    expect(ctx.oscillators).toHaveLength(partials);
+    expect(ctx.oscillators.map(o => o.frequency.value)).toEqual(SYNTH_PRESETS.organ.partials.map(([ratio]) => 440 * ratio));
+    ctx.oscillators.forEach(osc => {
+      expect(osc.startedAt).toBe(1);
+      expect(osc.stoppedAt).toBeCloseTo(1 + 0.5 + SYNTH_PRESETS.organ.envelope.release + 0.05);
+    });
+  });
+
+  it('holds notes longer with sustain on', () => {
+    const ctx = createMockContext();
+    createSynth(ctx, { preset: 'organ', sustain: true }).noteOn(440, { duration: 0.5 });
+    expect(ctx.oscillators[0].stoppedAt).toBeCloseTo(SUSTAIN_SECONDS + SYNTH_PRESETS.organ.envelope.release + 0.05);
+  });
+
+  it('fades out a stolen voice when the next note needs it', () => {
+    const ctx = createMockContext();
+    const synth = createSynth(ctx, { preset: 'organ', maxVoices: 2 });
+    synth.noteOn(220, { when: 0, duration: 2 });
+    synth.noteOn(330, { when: 0, duration: 1 });
+    const second = ctx.oscillators.slice(partials, partials * 2);
+    const secondAmp = ctx.gains.find(g => g.gain.events.some(([type, , time]) => type === 'linear' && time === 1));
+    synth.noteOn(440, { when: 0.5, duration: 1 });
+    second.forEach(osc => expect(osc.stoppedAt).toBeCloseTo(0.55));
+    expect(secondAmp.gain.events.at(-1)).toEqual(['target', 0, 0.5]);
+    expect(ctx.oscillators[0].stoppedAt).toBeGreaterThan(2);
+  });
+
+  it('cuts every voice on stopAll', () => {
+    const ctx = createMockContext();
+    const synth = createSynth(ctx, { preset: 'electric' });
+    synth.noteOn(440, { duration: 4 });
+    synth.noteOn(550, { duration: 4 });
+    ctx.currentTime = 1;
+    synth.stopAll();
+    ctx.oscillators.forEach(osc => expect(osc.stoppedAt).toBeCloseTo(1.05));
+  });
+
+  it('skips notes with no frequency', () => {
+    const ctx = createMockContext();
+    expect(createSynth(ctx).noteOn(null)).toBe(null);
+    expect(ctx.oscillators).toHaveLength(0);
+  });
+});
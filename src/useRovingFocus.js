@@ -0,0 +1,35 @@
+// --- Roving Focus ---
+// Arrow-key focus for the keys of an answer surface: one key at a time sits in
+// the tab order, the arrows (and Home/End) move between keys and Enter or
+// Space plays the focused one. `keys` lists key ids; `getNext(id, e.key)`
+// names the key to move to, or null to stay put. Returns a function that
+// gives each key its props.
+
+import { useState, useRef } from 'react';
+
+const ROVING_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+export const useRovingFocus = (keys, getNext) => {
+  const [active, setActive] = useState(null);
+  const elements = useRef({});
+  const tabKey = keys.includes(active) ? active : keys[0];
+
+  return (id, onActivate) => ({
+    ref: (el) => { elements.current[id] = el; },
+    tabIndex: id === tabKey ? 0 : -1,
+    onFocus: () => setActive(id),
+    onKeyDown: (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        if (!e.repeat) onActivate();
+      } else if (ROVING_KEYS.includes(e.key)) {
+        const next = getNext(id, e.key);
+        if (next !== null) elements.current[next]?.focus();
+      } else {
+        return;
+      }
+      // Keep the computer-keyboard piano from playing these too
+      e.preventDefault();
+      e.stopPropagation();
+    },
+  });
+};